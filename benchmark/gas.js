@@ -0,0 +1,78 @@
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const path = require("path");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+
+// Gas used by the main Deal operations, compared with the numbers recorded in gas-baseline.json.
+// Run it with `npm run benchmark:gas`, REPORT_GAS adds the hardhat-gas-reporter table per method.
+// Set UPDATE_GAS_BASELINE=true to record the current numbers as the new baseline.
+const BASELINE_PATH = path.join(__dirname, "gas-baseline.json");
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Gas benchmark", function () {
+    const value = ethers.utils.parseEther("1");
+    const buyerDeposit = ethers.utils.parseEther("0.2");
+    const sellerDeposit = ethers.utils.parseEther("0.1");
+    const results = {};
+
+    async function measure(operation, txPromise) {
+        const receipt = await (await txPromise).wait();
+        results[operation] = receipt.gasUsed.toNumber();
+        return receipt;
+    }
+
+    after(function () {
+        const baseline = fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, "utf8")) : {};
+        const rows = Object.entries(results).map(([operation, gasUsed]) => {
+            const before = baseline[operation];
+            return {
+                operation,
+                baseline: before ?? "-",
+                current: gasUsed,
+                change: before ? `${((gasUsed - before) / before * 100).toFixed(1)}%` : "-"
+            };
+        });
+        console.table(rows);
+
+        if (process.env.UPDATE_GAS_BASELINE === "true") {
+            fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(results, null, 2)}\n`);
+            console.log(`Baseline written to ${BASELINE_PATH}`);
+        }
+    });
+
+    it("should measure the ETH and token Deal lifecycles", async function () {
+        const [, buyerAccount, sellerAccount] = await ethers.getSigners();
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+        const asBuyer = blockchainDeals.connect(buyerAccount);
+        const asSeller = blockchainDeals.connect(sellerAccount);
+
+        for (const account of [buyerAccount, sellerAccount]) {
+            await token.mint(account.address, value.mul(10));
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+        // The first Deal of each account initializes its storage, it isn't measured.
+        await asBuyer.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value.add(buyerDeposit)
+        });
+        await asSeller.sellerConfirmDeal(0, { value: sellerDeposit });
+        await asBuyer.completeDeal(0);
+
+        await measure("createDealAsBuyer", asBuyer.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value.add(buyerDeposit)
+        }));
+        await measure("sellerConfirmDeal", asSeller.sellerConfirmDeal(1, { value: sellerDeposit }));
+        await measure("completeDeal", asBuyer.completeDeal(1));
+
+        await measure("createDealAsSeller", asSeller.createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: sellerDeposit
+        }));
+        await measure("buyerConfirmDeal", asBuyer.buyerConfirmDeal(2, { value: value.add(buyerDeposit) }));
+
+        await measure("createTokenDealAsBuyer", asBuyer.createTokenDealAsBuyer(token.address, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero));
+        await measure("sellerConfirmTokenDeal", asSeller.sellerConfirmTokenDeal(3));
+        await measure("completeTokenDeal", asBuyer.completeDeal(3));
+    });
+});
@@ -3,6 +3,9 @@ pragma solidity ^0.8.9;
 
 // Uncomment this line to use console.log
 // import "hardhat/console.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./BlockchainDealsBase.sol";
 
 /**
  *  @title BlockchainDeals
@@ -13,77 +16,225 @@ pragma solidity ^0.8.9;
  *
  *
  *  The Deal manager contract. Keeps track of every deal ever created.
+ *  Storage and events are declared in BlockchainDealsBase. Admin actions, disputes and the flows
+ *  that renegotiate a Deal are implemented in BlockchainDealsExtension, listings, the creation of
+ *  Deals committed to a terms document and delivery notices in BlockchainDealsMarket, see _delegateTo.
+ *  It is deployed behind a transparent proxy and set up with initialize, see scripts/proxy.js.
  *  
  */
-contract BlockchainDeals {
-    address payable public owner; // Owner of the contract
-    uint public fee; // Public available fee for Deals, can be modified. 
-    uint private feeEarnings; // Storage for the contract earnings to be later withdraw. 
-    Deal[] deals; // All Deals created.
-
-    // Event fired when any type of deal is created, works also as a DB.
-    event DealCreated(uint id, address indexed buyer, address indexed seller, uint creationTime, uint value);
-
-    // States in which a Deal can be
-    enum State {
-        PendingSellerDeposit,
-        PendingBuyerDeposit,
-        Confirmed,
-        CancelledByCreator,
-        Completed
-    }
-
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Only the owner can perform this action.");
-        _;
-    }
-
-    struct Deal {
-        uint id;
-        address buyer;
-        address seller;
-        string creator;
-        uint value;
-        uint buyerDeposit;
-        uint sellerDeposit;
-        uint creationTime;
-        State state;
-    }
-
-    constructor() payable {
-        owner = payable(msg.sender);
+contract BlockchainDeals is BlockchainDealsBase {
+    using SafeERC20 for IERC20;
+
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable extension; // BlockchainDealsExtension the functions not implemented here are delegated to.
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable marketExtension; // BlockchainDealsMarket the listing, terms and delivery functions are delegated to.
+
+    /**
+     * @dev Deploys the implementation the proxy points to. Every upgrade deploys a new
+     * implementation, along with the extensions it delegates to.
+     * @param _extension address The BlockchainDealsExtension to delegate to.
+     * @param _marketExtension address The BlockchainDealsMarket to delegate to.
+    */
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _extension, address _marketExtension) {
+        extension = _extension;
+        marketExtension = _marketExtension;
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Sets up the contract behind its proxy, in place of a constructor. msg.sender becomes
+     * the owner and the treasury, and holds every role. Inspection periods go from 1 to 30 days.
+     * Can only be called once.
+    */
+    function initialize() external initializer {
+        __ReentrancyGuard_init();
+        __EIP712_init("BlockchainDeals", "1");
+        owner = payable(_msgSender());
         fee = 10;
-        feeEarnings = 0;
+        arbitrationFeeLimit = 500;
+        minInspectionPeriod = 1 days;
+        maxInspectionPeriod = 30 days;
+        treasury = payable(_msgSender());
+        _grantRole(FEE_MANAGER_ROLE, _msgSender());
+        _grantRole(TREASURER_ROLE, _msgSender());
+        _grantRole(PAUSER_ROLE, _msgSender());
+        _grantRole(ARBITER_ROLE, _msgSender());
+    }
+
+    /**
+     * @dev Propose a new owner of the contract, who becomes the owner once it calls acceptOwnership.
+     * Propose address(0) to cancel the proposal. Only the owner of the contract can call this function.
+    */
+    function proposeOwner(address payable) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Accept the ownership of the contract. Only the proposed owner can call this function.
+    */
+    function acceptOwnership() external {
+        _delegate();
+    }
+
+    /**
+     * @dev Grant a role to an account. Only the owner of the contract can call this function.
+    */
+    function grantRole(bytes32, address) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Revoke a role from an account. Only the owner of the contract can call this function.
+    */
+    function revokeRole(bytes32, address) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Announce a new fee and fee tiers, to be applied with applyFeeChange once
+     * FEE_CHANGE_DELAY has passed. Only accounts with FEE_MANAGER_ROLE can call this function.
+    */
+    function announceFeeChange(uint, uint[] calldata, uint[] calldata) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Apply the announced fee change once its timelock has ended. New Deals are created
+     * with the new fee, existing ones keep theirs. Only accounts with FEE_MANAGER_ROLE can call this function.
+    */
+    function applyFeeChange() external {
+        _delegate();
+    }
+
+    /**
+     * @dev Cancel the announced fee change. Only accounts with FEE_MANAGER_ROLE can call this function.
+    */
+    function cancelFeeChange() external {
+        _delegate();
+    }
+
+    /**
+     * @dev Retrieves the fee tiers in use. A Deal worth at least the min value of a tier is
+     * created with its fee instead of the general one, the highest tier it reaches wins.
+    */
+    function getFeeTiers() external view returns(uint[] memory minValues, uint[] memory fees) {
+        return (feeTierMinValues, feeTierFees);
+    }
+
+    /**
+     * @dev Retrieves the announced fee change, effectiveTime is 0 if there is none.
+    */
+    function getPendingFeeChange() external view returns(uint newFee, uint[] memory tierMinValues, uint[] memory tierFees, uint effectiveTime) {
+        return (pendingFeeChange.fee, pendingFeeChange.tierMinValues, pendingFeeChange.tierFees, pendingFeeChange.effectiveTime);
+    }
+
+    /**
+     * @dev Change the max fee an arbiter can charge when resolving
+     * a dispute. Only accounts with FEE_MANAGER_ROLE can call this function.
+    */
+    function changeArbitrationFeeLimit(uint) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Change the bounds of the inspection period Deals can set. Deals that don't set one get the
+     * min. Only the owner of the contract can call this function.
+    */
+    function setInspectionPeriodBounds(uint, uint) external {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Retrieves the bounds of the inspection period Deals can set.
+    */
+    function getInspectionPeriodBounds() external view returns(uint minPeriod, uint maxPeriod) {
+        return (minInspectionPeriod, maxInspectionPeriod);
+    }
+
+    /**
+     * @dev Change the treasury the fee earnings are sent to when there are no fee beneficiaries.
+     * Only the owner of the contract can call this function.
+    */
+    function changeTreasury(address payable) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Set the accounts the fee earnings are split between by basis points when withdrawn,
+     * instead of sending them to the treasury. Only the owner of the contract can call this function.
+    */
+    function setFeeBeneficiaries(address[] calldata, uint[] calldata) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Retrieves the fee beneficiaries and their shares in basis points, empty if the fee
+     * earnings go to the treasury.
+    */
+    function getFeeBeneficiaries() external view returns(address[] memory accounts, uint[] memory shares) {
+        return (feeBeneficiaries, feeBeneficiaryShares);
+    }
+
+    /**
+     * @dev Withdraw the ETH earnings of the contract so far,
+     * they m ust be greater than 0. They are sent to the treasury, or credited to the fee beneficiaries. Only accounts with
+     * TREASURER_ROLE can call this function.
+    */
+    function withdrawFeeEarnings() external {
+        _delegate();
+    }
+
+    /**
+     * @dev Withdraw the earnings of the contract so far in
+     * the given token, they must be greater than 0. They are sent to the treasury, or credited to the fee beneficiaries. Only accounts with
+     * TREASURER_ROLE can call this function.
+    */
+    function withdrawTokenFeeEarnings(address) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Withdraw part of the earnings of the contract to any recipient, regardless of the
+     * treasury and the fee beneficiaries. Only accounts with TREASURER_ROLE can call this function.
+    */
+    function withdrawFeeEarningsTo(address, address, uint) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Sweep the funds the contract holds that aren't accounted for by any
+     * Deal, pending withdrawal or by the fee earnings, e.g. ETH sent on deployment or tokens transferred
+     * directly to the contract. Only accounts with TREASURER_ROLE can call this function.
+    */
+    function sweepUnaccountedFunds(address, address) external {
+        _delegate();
     }
 
     /**
-     * @dev Change the owner of the contract. Only the owner of the
-     * contract can call this function.
-     * @param _newOwner address New owner
+     * @dev Pause the contract: no Deal can be created or confirmed until it is unpaused,
+     * while cancelling, completing, expiring and withdrawing keep working. Only accounts with
+     * PAUSER_ROLE can call this function.
     */
-    function changeOwner(address payable _newOwner) external onlyOwner {
-        owner = _newOwner;
+    function pause() external {
+        _delegate();
     }
 
     /**
-     * @dev Change the fee for Deals. Only the owner of the
-     * contract can call this function.
-     * @param _newFee uint The new fee
+     * @dev Unpause the contract. Only accounts with PAUSER_ROLE can call this function.
     */
-    function changeFee(uint _newFee) external onlyOwner {
-        fee = _newFee;
+    function unpause() external {
+        _delegate();
     }
 
     /**
-     * @dev Withdraw the earnings of the contract so far,
-     * they m ust be greater than 0. Only the owner of the
-     * contract can call this function.
+     * @dev Sunset the contract for good in favour of its successor: no Deal can be created or
+     * confirmed anymore, the existing ones can still be settled. Only the owner of the contract
+     * can call this function.
     */
-    function withdrawFeeEarnings() external onlyOwner {
-        require(feeEarnings > 0, "There are no earnings to withdraw");
-        (bool sent, ) = payable(owner).call{value: feeEarnings}("");
-        require(sent, "Failed to send Ether");
-        feeEarnings = 0;
+    function sunset(address) external {
+        _delegate();
     }
 
     /******************** DEAL ********************/
@@ -93,28 +244,198 @@ contract BlockchainDeals {
      * @param _id uint ID of the Turstless Deal.
     */
     function getDealById(uint _id) public view returns(Deal memory) {
-        require(_id < deals.length, "Invalid ID");
-        Deal memory deal = deals[_id];
-        return(deal);
+        _getDeal(_id);
+        return _toDeal(_id);
+    }
+
+    /**
+     * @dev Retrieves the number of Deals ever created, valid IDs go from 0 to count - 1.
+    */
+    function getDealCount() external view returns(uint) {
+        return deals.length;
+    }
+
+    /**
+     * @dev Retrieves the number of Deals an address takes part in as buyer.
+     * @param _buyer address The buyer.
+    */
+    function getBuyerDealCount(address _buyer) external view returns(uint) {
+        return buyerDealIds[_buyer].length;
+    }
+
+    /**
+     * @dev Retrieves the number of Deals an address takes part in as seller.
+     * @param _seller address The seller.
+    */
+    function getSellerDealCount(address _seller) external view returns(uint) {
+        return sellerDealIds[_seller].length;
+    }
+
+    /**
+     * @dev Retrieves a page of the IDs of the Deals an address takes part in as buyer,
+     * in creation order. The page is shorter than _limit when there are no more Deals.
+     * @param _buyer address The buyer.
+     * @param _offset uint Number of Deals to skip.
+     * @param _limit uint Max number of Deals to return.
+    */
+    function getDealIdsByBuyer(address _buyer, uint _offset, uint _limit) external view returns(uint[] memory) {
+        return _paginate(buyerDealIds[_buyer], false, State.PendingSellerDeposit, _offset, _limit);
+    }
+
+    /**
+     * @dev Retrieves a page of the IDs of the Deals an address takes part in as seller,
+     * in creation order. The page is shorter than _limit when there are no more Deals.
+     * @param _seller address The seller.
+     * @param _offset uint Number of Deals to skip.
+     * @param _limit uint Max number of Deals to return.
+    */
+    function getDealIdsBySeller(address _seller, uint _offset, uint _limit) external view returns(uint[] memory) {
+        return _paginate(sellerDealIds[_seller], false, State.PendingSellerDeposit, _offset, _limit);
+    }
+
+    /**
+     * @dev Same as getDealIdsByBuyer but only counting the Deals in _state,
+     * _offset skips Deals that match the state.
+     * @param _buyer address The buyer.
+     * @param _state State The state the Deals must be in.
+     * @param _offset uint Number of matching Deals to skip.
+     * @param _limit uint Max number of Deals to return.
+    */
+    function getDealIdsByBuyerAndState(address _buyer, State _state, uint _offset, uint _limit) external view returns(uint[] memory) {
+        return _paginate(buyerDealIds[_buyer], true, _state, _offset, _limit);
+    }
+
+    /**
+     * @dev Same as getDealIdsBySeller but only counting the Deals in _state,
+     * _offset skips Deals that match the state.
+     * @param _seller address The seller.
+     * @param _state State The state the Deals must be in.
+     * @param _offset uint Number of matching Deals to skip.
+     * @param _limit uint Max number of Deals to return.
+    */
+    function getDealIdsBySellerAndState(address _seller, State _state, uint _offset, uint _limit) external view returns(uint[] memory) {
+        return _paginate(sellerDealIds[_seller], true, _state, _offset, _limit);
+    }
+
+    /**
+     * @dev Same as getDealIdsByBuyer but returns the Deals themselves.
+     * @param _buyer address The buyer.
+     * @param _offset uint Number of Deals to skip.
+     * @param _limit uint Max number of Deals to return.
+    */
+    function getDealsByBuyer(address _buyer, uint _offset, uint _limit) external view returns(Deal[] memory) {
+        return _toDeals(_paginate(buyerDealIds[_buyer], false, State.PendingSellerDeposit, _offset, _limit));
+    }
+
+    /**
+     * @dev Same as getDealIdsBySeller but returns the Deals themselves.
+     * @param _seller address The seller.
+     * @param _offset uint Number of Deals to skip.
+     * @param _limit uint Max number of Deals to return.
+    */
+    function getDealsBySeller(address _seller, uint _offset, uint _limit) external view returns(Deal[] memory) {
+        return _toDeals(_paginate(sellerDealIds[_seller], false, State.PendingSellerDeposit, _offset, _limit));
+    }
+
+    /**
+     * @dev Same as getDealIdsByBuyerAndState but returns the Deals themselves.
+     * @param _buyer address The buyer.
+     * @param _state State The state the Deals must be in.
+     * @param _offset uint Number of matching Deals to skip.
+     * @param _limit uint Max number of Deals to return.
+    */
+    function getDealsByBuyerAndState(address _buyer, State _state, uint _offset, uint _limit) external view returns(Deal[] memory) {
+        return _toDeals(_paginate(buyerDealIds[_buyer], true, _state, _offset, _limit));
+    }
+
+    /**
+     * @dev Same as getDealIdsBySellerAndState but returns the Deals themselves.
+     * @param _seller address The seller.
+     * @param _state State The state the Deals must be in.
+     * @param _offset uint Number of matching Deals to skip.
+     * @param _limit uint Max number of Deals to return.
+    */
+    function getDealsBySellerAndState(address _seller, State _state, uint _offset, uint _limit) external view returns(Deal[] memory) {
+        return _toDeals(_paginate(sellerDealIds[_seller], true, _state, _offset, _limit));
+    }
+
+    /**
+     * @dev Walks _ids in order and returns up to _limit of them after skipping _offset,
+     * only counting the Deals in _state when _filterByState is set.
+     * Filtered pages scan the whole list, meant to be called off-chain.
+    */
+    function _paginate(uint[] storage _ids, bool _filterByState, State _state, uint _offset, uint _limit) private view returns(uint[] memory) {
+        uint length = _ids.length;
+        if (_limit > length) {
+            _limit = length;
+        }
+        uint[] memory page = new uint[](_limit);
+        uint skipped = 0;
+        uint count = 0;
+        for (uint i = 0; i < length && count < _limit; i++) {
+            uint id = _ids[i];
+            if (_filterByState && deals[id].state != _state) {
+                continue;
+            }
+            if (skipped < _offset) {
+                skipped++;
+                continue;
+            }
+            page[count] = id;
+            count++;
+        }
+        uint[] memory result = new uint[](count);
+        for (uint i = 0; i < count; i++) {
+            result[i] = page[i];
+        }
+        return result;
+    }
+
+    function _toDeals(uint[] memory _ids) private view returns(Deal[] memory) {
+        Deal[] memory result = new Deal[](_ids.length);
+        for (uint i = 0; i < _ids.length; i++) {
+            result[i] = _toDeal(_ids[i]);
+        }
+        return result;
+    }
+
+    /**
+     * @dev Unpacks a stored Deal into the Deal the external functions return.
+    */
+    function _toDeal(uint _id) private view returns(Deal memory) {
+        StoredDeal storage deal = deals[_id];
+        return Deal({
+            id: _id,
+            buyer: deal.buyer,
+            seller: deal.seller,
+            creator: deal.createdByBuyer ? "buyer" : "seller",
+            value: deal.value,
+            buyerDeposit: deal.buyerDeposit,
+            sellerDeposit: deal.sellerDeposit,
+            creationTime: deal.creationTime,
+            deadline: deal.deadline,
+            arbiter: deal.arbiter,
+            token: deal.token,
+            state: deal.state,
+            fee: deal.fee
+        });
     }
 
     /**
      * @dev Creates a new Deal as a buyer and stores it in the deals
      * array. deals require deposists by buyer and seller.
      * Emits an event with Deal information. This Deal can be canceled by the buyer
-     * if the Deal hasn't been confirmed bt the seller yet.
+     * if the Deal hasn't been confirmed bt the seller yet. msg.value must be exactly _value + _buyerDeposit.
      * @param _value uint The amount of ETH the seller will recieve upon Deal completion.
      * @param _seller address The address that will recieve the ETH value upon Deal completion. Should be different than buyer (msg.sender)
      * @param _sellerDeposit uint The amount of ETH the seller has to deposit in order to confirm the Deal.
      * @param _buyerDeposit uint The amount of ETH the buyer has to deposit in order to create the Deal.
+     * @param _deadline uint Timestamp until which the buyer can complete the Deal. Once passed, a Confirmed Deal can be expired.
+     * @param _arbiter address The address that will rule on a dispute. Use the zero address to leave it to the accounts with ARBITER_ROLE.
     */
-    function createDealAsBuyer(uint _value, address _seller, uint _sellerDeposit, uint _buyerDeposit) external payable {
-        require(_seller != msg.sender, "The buyer can't also be the seller");
-        require(_value > 0 && _buyerDeposit > 0 && _value + _buyerDeposit <= msg.value && _sellerDeposit > 0, "Invalid value or deposit");
-        uint id = deals.length;
-        Deal memory newDeal = Deal(id, msg.sender, _seller, "buyer", _value, _buyerDeposit, _sellerDeposit, block.timestamp, State.PendingSellerDeposit);
-        deals.push(newDeal);
-        emit DealCreated(id, msg.sender, _seller, block.timestamp, _value);
+    function createDealAsBuyer(uint _value, address _seller, uint _sellerDeposit, uint _buyerDeposit, uint _deadline, address _arbiter) external payable {
+        _receive(address(0), _value + _buyerDeposit);
+        _createDeal(address(0), _msgSender(), _seller, _value, _sellerDeposit, _buyerDeposit, _deadline, _arbiter, true);
     }
 
     /**
@@ -122,97 +443,599 @@ contract BlockchainDeals {
      * array. Deals require deposists by buyer and seller.
      * Emits an event with Deal information. This Deal can be canceled by the seller
      * if the Deal hasn't been confirmed bt the buyer yet. Forces the seller deposit to be greater
-     * than 0 but _buyerDeposit can be any value grater than 0.
+     * than 0 but _buyerDeposit can be any value grater than 0. msg.value must be exactly _sellerDeposit.
      * @param _value uint The amount of ETH the seller will recieve upon Deal completion.
      * @param _buyer address The address that will pay the ETH value. Should be different than seller (msg.sender)
      * @param _sellerDeposit uint The amount of ETH the seller has to deposit in order to confirm the Deal.
      * @param _buyerDeposit uint The amount of ETH the buyer has to deposit in order to create the Deal.
+     * @param _deadline uint Timestamp until which the buyer can complete the Deal. Once passed, a Confirmed Deal can be expired.
+     * @param _arbiter address The address that will rule on a dispute. Use the zero address to leave it to the accounts with ARBITER_ROLE.
+    */
+    function createDealAsSeller(uint _value, address _buyer, uint _sellerDeposit, uint _buyerDeposit, uint _deadline, address _arbiter) external payable {
+        _receive(address(0), _sellerDeposit);
+        _createDeal(address(0), _buyer, _msgSender(), _value, _sellerDeposit, _buyerDeposit, _deadline, _arbiter, false);
+    }
+
+    /**
+     * @dev Creates a new Deal priced in an ERC-20 token as a buyer. Same as createDealAsBuyer
+     * but the value and the buyer deposit are pulled from the buyer with transferFrom, so the
+     * contract must be approved for at least _value + _buyerDeposit beforehand.
+     * Fee-on-transfer tokens are not supported.
+     * @param _token address The ERC-20 token the value and deposits are denominated in.
+     * @param _value uint The amount of tokens the seller will recieve upon Deal completion.
+     * @param _seller address The address that will recieve the value upon Deal completion. Should be different than buyer (msg.sender)
+     * @param _sellerDeposit uint The amount of tokens the seller has to deposit in order to confirm the Deal.
+     * @param _buyerDeposit uint The amount of tokens the buyer has to deposit in order to create the Deal.
+     * @param _deadline uint Timestamp until which the buyer can complete the Deal. Once passed, a Confirmed Deal can be expired.
+     * @param _arbiter address The address that will rule on a dispute. Use the zero address to leave it to the accounts with ARBITER_ROLE.
+    */
+    function createTokenDealAsBuyer(address _token, uint _value, address _seller, uint _sellerDeposit, uint _buyerDeposit, uint _deadline, address _arbiter) external {
+        require(_token != address(0), "Invalid token");
+        _createDeal(_token, _msgSender(), _seller, _value, _sellerDeposit, _buyerDeposit, _deadline, _arbiter, true);
+        _receive(_token, _value + _buyerDeposit);
+    }
+
+    /**
+     * @dev Creates a new Deal priced in an ERC-20 token as a seller. Same as createDealAsSeller
+     * but the seller deposit is pulled from the seller with transferFrom, so the
+     * contract must be approved for at least _sellerDeposit beforehand.
+     * Fee-on-transfer tokens are not supported.
+     * @param _token address The ERC-20 token the value and deposits are denominated in.
+     * @param _value uint The amount of tokens the seller will recieve upon Deal completion.
+     * @param _buyer address The address that will pay the value. Should be different than seller (msg.sender)
+     * @param _sellerDeposit uint The amount of tokens the seller has to deposit in order to confirm the Deal.
+     * @param _buyerDeposit uint The amount of tokens the buyer has to deposit in order to create the Deal.
+     * @param _deadline uint Timestamp until which the buyer can complete the Deal. Once passed, a Confirmed Deal can be expired.
+     * @param _arbiter address The address that will rule on a dispute. Use the zero address to leave it to the accounts with ARBITER_ROLE.
     */
-    function createDealAsSeller(uint _value, address _buyer, uint _sellerDeposit, uint _buyerDeposit) external payable {
-        require(_buyer != msg.sender, "The buyer can't also be the seller");
-        require(_value > 0 && _buyerDeposit > 0 && _sellerDeposit > 0 && _sellerDeposit <= msg.value, "Invalid value or deposit");
-        uint id = deals.length;
-        Deal memory newDeal = Deal(id, _buyer, msg.sender, "seller", _value, _buyerDeposit, _sellerDeposit, block.timestamp, State.PendingBuyerDeposit);
-        deals.push(newDeal);
-        emit DealCreated(id, _buyer, msg.sender, block.timestamp, _value);
+    function createTokenDealAsSeller(address _token, uint _value, address _buyer, uint _sellerDeposit, uint _buyerDeposit, uint _deadline, address _arbiter) external {
+        require(_token != address(0), "Invalid token");
+        _createDeal(_token, _buyer, _msgSender(), _value, _sellerDeposit, _buyerDeposit, _deadline, _arbiter, false);
+        _receive(_token, _sellerDeposit);
+    }
+
+    /**
+     * @dev Creates several ETH Deals as their seller in one transaction, same as calling
+     * createDealAsSeller for each of them. Implemented in BlockchainDealsMarket.
+    */
+    function createDealsAsSeller(SellerDealParams[] calldata) external payable {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Same as createDealsAsSeller for Deals priced in an ERC-20 token. Implemented in BlockchainDealsMarket.
+    */
+    function createTokenDealsAsSeller(address, SellerDealParams[] calldata) external {
+        _delegateTo(marketExtension);
     }
 
     /**
      * @dev Cancel a Deal unilaterally by the buyer, only if the
-     * seller hasn't made his or hers deposit yet.
+     * seller hasn't made his or hers deposit yet. The deposit and the value
+     * are credited to the buyer, to be claimed with withdraw.
      * @param _id uint ID of the Turstless Deal to cancel.
     */
     function buyerCancelDeal(uint _id) external {
-        require(_id < deals.length, "Invalid ID");
-        Deal storage deal = deals[_id];
-        require(msg.sender == deal.buyer, "Only the buyer can cancel the Deal");
+        StoredDeal storage deal = _getDeal(_id);
+        require(_msgSender() == deal.buyer, "Only the buyer can cancel the Deal");
         require(deal.state == State.PendingSellerDeposit, "Deal can't be cancelled");
-        (bool sent, ) = payable(deal.buyer).call{value: deal.buyerDeposit + deal.value}("");
-        require(sent, "Failed to send Ether");
         deal.state = State.CancelledByCreator;
+        escrowed[deal.token] -= deal.buyerDeposit + deal.value;
+        _credit(deal.token, deal.buyer, deal.buyerDeposit + deal.value);
+        emit DealCancelled(_id, _msgSender(), deal.buyerDeposit + deal.value);
     }
 
     /**
      * @dev Cancel a Deal unilaterally by the seller, only if the
-     * buyer hasn't made his or hers deposit yet.
+     * buyer hasn't made his or hers deposit yet. The deposit is credited
+     * to the seller, to be claimed with withdraw.
      * @param _id uint ID of the Turstless Deal to cancel.
     */
     function sellerCancelDeal(uint _id) external {
-        require(_id < deals.length, "Invalid ID");
-        Deal storage deal = deals[_id];
-        require(msg.sender == deal.seller, "Only the seller can cancel the Deal");
+        StoredDeal storage deal = _getDeal(_id);
+        require(_msgSender() == deal.seller, "Only the seller can cancel the Deal");
         require(deal.state == State.PendingBuyerDeposit, "Deal can't be cancelled");
-        (bool sent, ) = payable(deal.seller).call{value: deal.sellerDeposit}("");
-        require(sent, "Failed to send Ether");
         deal.state = State.CancelledByCreator;
+        escrowed[deal.token] -= deal.sellerDeposit;
+        _credit(deal.token, deal.seller, deal.sellerDeposit);
+        emit DealCancelled(_id, _msgSender(), deal.sellerDeposit);
     }
 
     /**
      * @dev Confirm a Deal by the buyer, it requires
      * the buyer to make his/hers deposit and pay the value.
+     * msg.value must be exactly the buyer deposit plus the value.
      * @param _id uint ID of the Turstless Deal to confirm.
     */
     function buyerConfirmDeal(uint _id) external payable {
-        require(_id < deals.length, "Invalid ID");
-        Deal storage deal = deals[_id];
-        require(msg.sender == deal.buyer, "Only the buyer can confirm the Deal");
-        require(msg.value >= deal.buyerDeposit + deal.value, "Not enough ETH to confirm the Deal");
-        require(deal.state == State.PendingBuyerDeposit, "Deal can't be confirmed");
-        deal.state = State.Confirmed;
+        _confirmDeal(_id, true, false, bytes32(0), 0);
+    }
+
+    /**
+     * @dev Confirm a Deal priced in an ERC-20 token by the buyer, the
+     * buyer deposit and the value are pulled from the buyer with transferFrom.
+     * @param _id uint ID of the Turstless Deal to confirm.
+    */
+    function buyerConfirmTokenDeal(uint _id) external {
+        _confirmDeal(_id, true, true, bytes32(0), 0);
     }
 
     /**
      * @dev Confirm a Deal by the seller, it requires
-     * the seller to make his/hers deposit.
+     * the seller to make his/hers deposit. msg.value must be exactly the seller deposit.
      * @param _id uint ID of the Turstless Deal to confirm.
     */
     function sellerConfirmDeal(uint _id) external payable {
-        require(_id < deals.length, "Invalid ID");
-        Deal storage deal = deals[_id];
-        require(msg.sender == deal.seller, "Only the seller can confirm the Deal");
-        require(msg.value >= deal.sellerDeposit, "Not enough ETH to confirm the Deal");
-        require(deal.state == State.PendingSellerDeposit, "Deal can't be confirmed");
-        deal.state = State.Confirmed;
+        _confirmDeal(_id, false, false, bytes32(0), 0);
     }
 
+    /**
+     * @dev Confirm a Deal priced in an ERC-20 token by the seller, the
+     * seller deposit is pulled from the seller with transferFrom.
+     * @param _id uint ID of the Turstless Deal to confirm.
+    */
+    function sellerConfirmTokenDeal(uint _id) external {
+        _confirmDeal(_id, false, true, bytes32(0), 0);
+    }
+
+    /**
+     * @dev Confirm a Deal created with a terms document or an inspection period, by its counterparty,
+     * acknowledging the hash of the document and the period it agrees to, so the creator can't change
+     * the period right before. Takes the same deposit as the other confirm functions,
+     * as msg.value for ETH Deals or with transferFrom for token Deals.
+     * @param _id uint ID of the Turstless Deal to confirm.
+     * @param _termsHash bytes32 Hash of the terms document, must be the one the Deal was created with, bytes32(0) for Deals without terms.
+     * @param _inspectionPeriod uint Inspection period set by the creator, 0 for Deals that didn't set one.
+    */
+    function confirmDealWithTerms(uint _id, bytes32 _termsHash, uint _inspectionPeriod) external payable {
+        StoredDeal storage deal = _getDeal(_id);
+        _confirmDeal(_id, deal.state == State.PendingBuyerDeposit, deal.token != address(0), _termsHash, _inspectionPeriod);
+    }
+
+    /**
+     * @dev Confirms a pending Deal by its counterparty, taking the deposit it is waiting for:
+     * the seller deposit, or the buyer deposit plus the value. ETH must be sent exactly as msg.value,
+     * tokens are pulled with transferFrom. Deals can't be confirmed once their deadline has passed.
+     * @param _byBuyer bool Whether the buyer or the seller is confirming.
+     * @param _inTokens bool Whether the confirmation is for a Deal priced in an ERC-20 token.
+     * @param _termsHash bytes32 Terms hash acknowledged by the counterparty, bytes32(0) for Deals without terms.
+     * @param _inspectionPeriod uint Inspection period acknowledged by the counterparty, 0 for Deals that didn't set one.
+    */
+    function _confirmDeal(uint _id, bool _byBuyer, bool _inTokens, bytes32 _termsHash, uint _inspectionPeriod) private whenOpen {
+        StoredDeal storage deal = _getDeal(_id);
+        require(_msgSender() == (_byBuyer ? deal.buyer : deal.seller), _byBuyer ? "Only the buyer can confirm the Deal" : "Only the seller can confirm the Deal");
+        uint deposit = _byBuyer ? deal.buyerDeposit + deal.value : deal.sellerDeposit;
+        require(msg.value == (_inTokens ? 0 : deposit), "Invalid ETH amount to confirm the Deal");
+        require(deal.state == (_byBuyer ? State.PendingBuyerDeposit : State.PendingSellerDeposit), "Deal can't be confirmed");
+        require(termsHashes[_id] == _termsHash, "Terms hash doesn't match");
+        require(inspectionPeriods[_id] == _inspectionPeriod, "Inspection period doesn't match");
+        require(block.timestamp <= deal.deadline, "Deal deadline has passed");
+        require((deal.token != address(0)) == _inTokens, _inTokens ? "Deal is priced in ETH" : "Deal is priced in tokens");
+        _setConfirmed(_id);
+        escrowed[deal.token] += deposit;
+        if (_inTokens) {
+            IERC20(deal.token).safeTransferFrom(_msgSender(), address(this), deposit);
+        }
+        emit DealConfirmed(_id, _msgSender(), deposit);
+    }
+
+    /******************** COUNTER-OFFERS ********************/
+
+    /**
+     * @dev Propose new terms for a pending Deal, by the counterparty that hasn't deposited yet.
+     * Replaces any counter-offer proposed before. The Deal keeps its original terms, and can
+     * still be confirmed with them, until the creator accepts with acceptCounterOffer.
+     * Milestone Deals can't be renegotiated.
+    */
+    function proposeCounterOffer(uint, uint, uint, uint) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Accept the counter-offer of a pending Deal, by its creator. The terms are passed again
+     * so the counterparty can't swap them right before. The Deal keeps its ID and takes the new terms.
+     * If the creator now owes more the difference is taken, as msg.value for ETH Deals or with
+     * transferFrom for token Deals. If it owes less the difference is credited, to be claimed with withdraw.
+    */
+    function acceptCounterOffer(uint, uint, uint, uint) external payable {
+        _delegate();
+    }
+
+    /******************** OFFERS ********************/
+
+    /**
+     * @dev Accept an offer signed by its creator, creating a Deal that is already Confirmed.
+     * Only the counterparty named in the offer can accept it, before its expiry. The counterparty
+     * deposit is sent along (msg.value for ETH, transferFrom for tokens) while the creator share
+     * comes from the creator ETH balance in the contract (see depositFunds) or, for tokens,
+     * from the creator with transferFrom.
+    */
+    function acceptOffer(Offer calldata, bytes calldata) external payable {
+        _delegate();
+    }
+
+    /**
+     * @dev Cancel an offer signed by msg.sender so it can't be accepted anymore.
+    */
+    function cancelOffer(uint) external {
+        _delegate();
+    }
+
+    /******************** LISTINGS ********************/
+
+    /**
+     * @dev List units of a Deal as its seller, without a buyer. Any address other than the seller
+     * and the arbiter can take a unit with takeListing. The seller deposit of every unit is escrowed
+     * up front, as msg.value for ETH listings (_token address(0)) or with transferFrom for tokens.
+    */
+    function createListing(address, uint, uint, uint, uint, address, uint) external payable {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Take a unit of a listing as its buyer, creating a Deal that is already Confirmed with
+     * the terms of the listing. The value and the buyer deposit are sent along, as msg.value for
+     * ETH listings or with transferFrom for tokens.
+    */
+    function takeListing(uint) external payable {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Cancel the units left of a listing, by its seller. Their deposits are credited to the
+     * seller, to be claimed with withdraw.
+    */
+    function cancelListing(uint) external {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Retrieves a listing by ID, its units are the ones left to take.
+     * @param _id uint ID of the listing.
+    */
+    function getListingById(uint _id) external view returns(Listing memory) {
+        return _getListing(_id);
+    }
+
+    /**
+     * @dev Retrieves the number of listings ever created, valid IDs go from 0 to count - 1.
+    */
+    function getListingCount() external view returns(uint) {
+        return listings.length;
+    }
+
+    /**
+     * @dev Retrieves a page of the IDs of the listings an address created, in creation order.
+     * @param _seller address The seller.
+     * @param _offset uint Number of listings to skip.
+     * @param _limit uint Max number of listings to return.
+    */
+    function getListingIdsBySeller(address _seller, uint _offset, uint _limit) external view returns(uint[] memory) {
+        return _paginate(sellerListingIds[_seller], false, State.PendingSellerDeposit, _offset, _limit);
+    }
+
+    /**
+     * @dev Retrieves a page of the IDs of the listings that can be taken now, with units left and
+     * before their deadline, in creation order. Scans every listing, meant to be called off-chain.
+     * @param _offset uint Number of open listings to skip.
+     * @param _limit uint Max number of listings to return.
+    */
+    function getOpenListingIds(uint _offset, uint _limit) external view returns(uint[] memory) {
+        uint[] memory page = new uint[](_limit < listings.length ? _limit : listings.length);
+        uint count = 0;
+        for (uint id = 0; id < listings.length && count < page.length; id++) {
+            if (listings[id].units == 0 || listings[id].deadline <= block.timestamp) {
+                continue;
+            }
+            if (_offset > 0) {
+                _offset--;
+                continue;
+            }
+            page[count] = id;
+            count++;
+        }
+        uint[] memory result = new uint[](count);
+        for (uint i = 0; i < count; i++) {
+            result[i] = page[i];
+        }
+        return result;
+    }
+
+    /**
+     * @dev Retrieves the IDs of the Deals taken from a listing, in the order they were taken.
+     * @param _id uint ID of the listing.
+    */
+    function getListingDealIds(uint _id) external view returns(uint[] memory) {
+        _getListing(_id);
+        return listingDealIds[_id];
+    }
+
+
+    /******************** TERMS ********************/
+
+    /**
+     * @dev Create a new Deal as a buyer committed to a terms document, identified by its hash and
+     * found at the metadata URI. The counterparty can only confirm it with confirmDealWithTerms.
+     * For ETH Deals msg.value must be exactly the value + the buyer deposit, token Deals pull it with transferFrom.
+    */
+    function createDealWithTermsAsBuyer(address, uint, address, uint, uint, uint, address, bytes32, string calldata) external payable {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Same as createDealWithTermsAsBuyer but created by the seller, who only deposits the seller deposit.
+    */
+    function createDealWithTermsAsSeller(address, uint, address, uint, uint, uint, address, bytes32, string calldata) external payable {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Retrieves the terms a Deal was created with, termsHash is bytes32(0) if it has none.
+     * @param _id uint ID of the Turstless Deal.
+    */
+    function getDealTerms(uint _id) external view returns(bytes32 termsHash, string memory metadataURI) {
+        _getDeal(_id);
+        return (termsHashes[_id], metadataURIs[_id]);
+    }
+
+    /******************** MILESTONES ********************/
+
+    /**
+     * @dev Creates a new Deal as a buyer whose value is split into ordered milestones, released
+     * to the seller one at a time with releaseMilestone. Implemented in BlockchainDealsMarket.
+    */
+    function createMilestoneDealAsBuyer(address, uint[] calldata, address, uint, uint, uint, address) external payable {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Same as createMilestoneDealAsBuyer but created by the seller. Implemented in BlockchainDealsMarket.
+    */
+    function createMilestoneDealAsSeller(address, uint[] calldata, address, uint, uint, uint, address) external payable {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Retrieves the milestones of a Deal and how many of them have been released.
+     * Deals paid at once have a single milestone of their whole value.
+     * @param _id uint ID of the Turstless Deal.
+    */
+    function getMilestones(uint _id) external view returns(uint[] memory amounts, uint released) {
+        StoredDeal storage deal = _getDeal(_id);
+        amounts = milestones[_id];
+        if (amounts.length == 0) {
+            amounts = new uint[](1);
+            amounts[0] = deal.value;
+        }
+        released = releasedMilestones[_id];
+    }
+
+    /**
+     * @dev Release the next milestone of a Confirmed Deal to the seller, by the buyer and
+     * before the deadline. The seller is credited the milestone minus the fee. Releasing the
+     * last milestone completes the Deal and returns the deposits, as completeDeal does.
+     * @param _id uint ID of the Turstless Deal.
+    */
+    function releaseMilestone(uint _id) external {
+        StoredDeal storage deal = _getDeal(_id);
+        require(_msgSender() == deal.buyer, "Only the buyer can release a milestone");
+        require(deal.state == State.Confirmed, "Deal can't be completed");
+        require(block.timestamp <= deal.deadline, "Deal deadline has passed");
+        _releaseMilestones(_id, deal, 1);
+    }
 
     /**
      * @dev Complete a Deal by the buyer if the seller has
      * aleready confirmed it. The buyer gets his/her deposit back
      * and the seller gets the value of the Deal plus his/hers
-     * deposit minus the fee. The Deal is set as Completed and no more actions can be taken on it.
+     * deposit minus the fee the Deal was created with, in the currency the Deal is priced in. Funds are credited
+     * to each party, to be claimed with withdraw, so completing never depends on them being able
+     * to recieve ETH. The Deal is set as Completed and no more actions can be taken on it.
+     * For milestone Deals every milestone not released yet is released, with the fee applied to each.
      * @param _id uint ID of the Turstless Deal to complete.
     */
     function completeDeal(uint _id) external {
-        require(_id < deals.length, "Invalid ID");
-        Deal storage deal = deals[_id];
-        require(msg.sender == deal.buyer, "Only the buyer can complete the Deal");
+        StoredDeal storage deal = _getDeal(_id);
+        require(_msgSender() == deal.buyer, "Only the buyer can complete the Deal");
         require(deal.state == State.Confirmed, "Deal can't be completed");
-        uint valueFee = deal.value * fee / 10000;
-        feeEarnings += valueFee;
-        (bool buyerDepositSent, ) = payable(deal.buyer).call{value: deal.buyerDeposit}("");
-        (bool sellerValueSent, ) = payable(deal.seller).call{value: deal.sellerDeposit + deal.value - valueFee}("");
-        require((buyerDepositSent && sellerValueSent), "Failed to send Ether");
-        deal.state = State.Completed;
+        require(block.timestamp <= deal.deadline, "Deal deadline has passed");
+        _releaseMilestones(_id, deal, type(uint).max);
+    }
+
+    /**
+     * @dev Expire a Confirmed Deal once its deadline has passed without
+     * the buyer completing it. Can be called by either the buyer or the seller.
+     * The buyer gets the value plus his/her deposit back and the seller gets
+     * his/her deposit back as credits to be claimed with withdraw, no fee is charged. The Deal is set as Expired and no more actions can be taken on it.
+     * Deals the seller marked delivered can't be expired, they are completed, released with autoRelease or disputed.
+     * @param _id uint ID of the Turstless Deal to expire.
+    */
+    function expireDeal(uint _id) external {
+        StoredDeal storage deal = _getDeal(_id);
+        require(_msgSender() == deal.buyer || _msgSender() == deal.seller, "Only the buyer or the seller can expire the Deal");
+        require(deal.state == State.Confirmed && inspectionEnds[_id] == 0, "Deal can't be expired");
+        require(block.timestamp > deal.deadline, "Deal deadline hasn't passed yet");
+        deal.state = State.Expired;
+        uint remainingValue = deal.value - releasedValue[_id];
+        escrowed[deal.token] -= remainingValue + deal.buyerDeposit + deal.sellerDeposit;
+        _credit(deal.token, deal.buyer, deal.buyerDeposit + remainingValue);
+        _credit(deal.token, deal.seller, deal.sellerDeposit);
+        emit DealExpired(_id, deal.buyer, deal.seller, block.timestamp, deal.buyerDeposit + remainingValue, deal.sellerDeposit);
+    }
+
+    /******************** DELIVERY ********************/
+
+    /**
+     * @dev Set how long the buyer has to inspect the delivery of a pending Deal, by its creator and
+     * within the inspection period bounds. The counterparty accepts it by confirming the Deal.
+    */
+    function setInspectionPeriod(uint, uint) external {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Mark a Confirmed Deal delivered, by its seller, starting the inspection period of the buyer.
+     * The inspection must end before the Deal deadline. Once it ends, without the buyer completing or
+     * disputing the Deal, anyone can release it to the seller with autoRelease.
+    */
+    function markDelivered(uint) external {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Release a Deal marked delivered once its inspection period ended, by anyone. The Deal is
+     * completed as with completeDeal, the fee it was created with is charged.
+    */
+    function autoRelease(uint) external {
+        _delegateTo(marketExtension);
+    }
+
+    /**
+     * @dev Retrieves the inspection period of a Deal and when its inspection ends, 0 if it wasn't marked delivered.
+     * The period is 0 for pending Deals whose creator didn't set one, they get the min inspection period once Confirmed.
+     * @param _id uint ID of the Turstless Deal.
+    */
+    function getInspection(uint _id) external view returns(uint period, uint end) {
+        _getDeal(_id);
+        return (inspectionPeriods[_id], inspectionEnds[_id]);
+    }
+
+    /**
+     * @dev Open a dispute on a Confirmed Deal. Can be called by either the buyer or the seller.
+     * The Deal is frozen as Disputed until its arbiter resolves it. Deals marked delivered can
+     * only be disputed until their inspection ends, then they can be auto released.
+    */
+    function openDispute(uint) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Resolve a Disputed Deal by its arbiter. The value and both deposits
+     * are split between the buyer, the seller and the arbiter in any proportion, as long
+     * as the amounts add up to the funds held for the Deal and the arbitration fee
+     * doesn't exceed the arbitrationFeeLimit. Every amount is credited, to be claimed with withdraw. The Deal is set as Resolved and no more actions can be taken on it.
+    */
+    function resolveDispute(uint, uint, uint, uint) external {
+        _delegate();
+    }
+
+    /******************** MUTUAL CANCELLATION ********************/
+
+    /**
+     * @dev Propose to cancel a Confirmed Deal, by the buyer or the seller. The Deal
+     * is only cancelled once the other party accepts with acceptCancellation.
+    */
+    function proposeCancellation(uint) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Withdraw a cancellation proposal, by the party that made it.
+    */
+    function withdrawCancellation(uint) external {
+        _delegate();
+    }
+
+    /**
+     * @dev Accept the cancellation proposed by the other party of a Confirmed Deal.
+     * The buyer gets the value not released yet plus his/her deposit back and the seller gets
+     * his/her deposit back as credits to be claimed with withdraw, no fee is charged.
+     * The Deal is set as MutuallyCancelled and no more actions can be taken on it.
+    */
+    function acceptCancellation(uint) external {
+        _delegate();
+    }
+
+    /******************** WITHDRAWALS ********************/
+
+    /**
+     * @dev Withdraw all the ETH credited to msg.sender by settled Deals.
+    */
+    function withdraw() external nonReentrant {
+        _withdraw(address(0));
+    }
+
+    /**
+     * @dev Withdraw all the tokens credited to msg.sender by settled Deals.
+     * @param _token address The ERC-20 token to withdraw.
+    */
+    function withdrawToken(address _token) external nonReentrant {
+        require(_token != address(0), "Invalid token");
+        _withdraw(_token);
+    }
+
+    /**
+     * @dev Add ETH to msg.sender balance in the contract. It can be withdrawn at any time
+     * and backs the ETH offers msg.sender signs as creator.
+    */
+    function depositFunds() external payable {
+        require(msg.value > 0, "Invalid value or deposit");
+        _credit(address(0), _msgSender(), msg.value);
+        emit FundsDeposited(_msgSender(), msg.value);
+    }
+
+    function _withdraw(address _token) private {
+        uint amount = pendingWithdrawals[_msgSender()][_token];
+        require(amount > 0, "There is nothing to withdraw");
+        pendingWithdrawals[_msgSender()][_token] = 0;
+        totalPendingWithdrawals[_token] -= amount;
+        _transfer(_token, _msgSender(), amount);
+        emit Withdrawal(_msgSender(), _token, amount);
+    }
+
+    /******************** MULTICALL ********************/
+
+    /**
+     * @dev Runs several calls to this contract in one transaction, either all of them succeed
+     * or none does. Each call is made on behalf of msg.sender with the ETH it sets as value, so
+     * payable calls get exactly their share of msg.value, which must be the sum of those values.
+     * Calls that don't take ETH must set no value.
+     * @param _calls Call[] The calldata of each call, e.g. built with the SDK buildCall, and its ETH.
+     * @return results bytes[] The data returned by each call.
+    */
+    function multicall(Call[] calldata _calls) external payable returns (bytes[] memory results) {
+        uint totalValue;
+        for (uint i = 0; i < _calls.length; i++) {
+            totalValue += _calls[i].value;
+        }
+        require(totalValue == msg.value, "Invalid value or deposit");
+
+        results = new bytes[](_calls.length);
+        for (uint i = 0; i < _calls.length; i++) {
+            (bool success, bytes memory result) = address(this).call{value: _calls[i].value}(abi.encodePacked(_calls[i].data, _msgSender()));
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+            results[i] = result;
+        }
+    }
+
+    /******************** EXTENSION ********************/
+
+    /**
+     * @dev Runs the current call on BlockchainDealsExtension, see _delegateTo.
+    */
+    function _delegate() private {
+        _delegateTo(extension);
+    }
+
+    /**
+     * @dev Runs the current call on an extension with delegatecall and returns or reverts with
+     * its result. Functions implemented in an extension only declare their signature here and
+     * call this, their parameters are read by the extension from msg.data.
+     * @param _target address The extension the function is implemented in.
+    */
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    function _delegateTo(address _target) private {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), _target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
     }
 }
@@ -0,0 +1,474 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.9;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+
+/**
+ *  @title BlockchainDealsBase
+ *
+ *  Storage, events and shared helpers of BlockchainDeals. BlockchainDealsExtension inherits
+ *  it too, so both contracts have the same storage layout and the extension can run on the
+ *  storage of BlockchainDeals through delegatecall.
+ *
+ *  BlockchainDeals is deployed behind a proxy, so new state variables can only be appended
+ *  after the existing ones. The upgrade task checks this before upgrading.
+ */
+abstract contract BlockchainDealsBase is Initializable, ReentrancyGuardUpgradeable, EIP712Upgradeable {
+    using SafeERC20 for IERC20;
+
+    address payable public owner; // Owner of the contract
+    uint public fee; // Public available fee for Deals, can be modified with a timelock. Each Deal keeps the fee it was created with.
+    mapping(address => uint) public feeEarnings; // Storage for the contract earnings to be later withdraw, by token (address(0) for ETH).
+    mapping(address => uint) public escrowed; // Funds held for Deals that haven't been settled yet, by token (address(0) for ETH).
+    mapping(address => mapping(address => uint)) public pendingWithdrawals; // Funds credited to each address by settled Deals, by token (address(0) for ETH).
+    mapping(address => uint) public totalPendingWithdrawals; // Sum of every address pending withdrawals, by token (address(0) for ETH).
+    uint public arbitrationFeeLimit; // Max fee an arbiter can charge when resolving a dispute, can be modified.
+    StoredDeal[] deals; // All Deals created, the index is their ID.
+    mapping(address => uint[]) internal buyerDealIds; // IDs of the Deals each address takes part in as buyer, in creation order.
+    mapping(address => uint[]) internal sellerDealIds; // IDs of the Deals each address takes part in as seller, in creation order.
+    mapping(uint => uint[]) internal milestones; // Amounts of the milestones the value of each Deal is split into, empty for Deals paid at once.
+    mapping(uint => uint) public releasedMilestones; // Number of milestones of each Deal released to the seller so far.
+    mapping(uint => uint) public releasedValue; // Part of the value of each Deal released to the seller so far.
+    mapping(uint => Terms) public counterOffers; // Terms the counterparty of each pending Deal proposes instead of the original ones, all zero if there is no counter-offer.
+    mapping(uint => address) public cancellationProposedBy; // Party that proposed to cancel each Confirmed Deal, address(0) if there is no proposal.
+    mapping(address => mapping(uint => bool)) public usedOfferNonces; // Nonces of the signed offers each creator has had accepted or cancelled.
+    uint[] internal feeTierMinValues; // Min Deal value of each fee tier, in increasing order.
+    uint[] internal feeTierFees; // Fee of each fee tier, replaces fee for Deals worth at least the tier min value.
+    PendingFeeChange internal pendingFeeChange; // Fee and fee tiers announced to replace the current ones once the timelock ends.
+    address payable public pendingOwner; // Address proposed as the new owner, it becomes the owner once it accepts. address(0) if there is no proposal.
+    mapping(bytes32 => mapping(address => bool)) public hasRole; // Whether each address holds each role, granted and revoked by the owner.
+    bool public paused; // While paused no Deal can be created or confirmed, every other action keeps working.
+    address public successor; // Contract that replaces this one once sunset, no Deal can be created or confirmed after that. address(0) until then.
+    address payable public treasury; // Receives the fee earnings when there are no fee beneficiaries, can be modified.
+    address[] internal feeBeneficiaries; // Accounts the fee earnings are split between when withdrawn, empty to send them to the treasury.
+    uint[] internal feeBeneficiaryShares; // Share of the fee earnings of each fee beneficiary, in basis points adding up to 10000.
+    Listing[] internal listings; // All listings created, the index is their ID.
+    mapping(address => uint[]) internal sellerListingIds; // IDs of the listings each address created, in creation order.
+    mapping(uint => uint[]) internal listingDealIds; // IDs of the Deals taken from each listing, in the order they were taken.
+    mapping(uint => bytes32) internal termsHashes; // Hash of the terms document each Deal was created with, bytes32(0) if it has none.
+    mapping(uint => string) internal metadataURIs; // Where the terms document of each Deal can be found, e.g. an IPFS URI.
+    uint internal minInspectionPeriod; // Shortest inspection period a Deal can set, and the one Deals that don't set any get.
+    uint internal maxInspectionPeriod; // Longest inspection period a Deal can set.
+    mapping(uint => uint) internal inspectionPeriods; // Time the buyer of each Deal has to inspect a delivery, 0 until set or fixed at the min inspection period on confirmation.
+    mapping(uint => uint) internal inspectionEnds; // End of the inspection of each Deal marked delivered, 0 until the seller marks it.
+
+    uint public constant MAX_FEE = 500; // No fee or fee tier can be over 5% of the Deal value.
+    uint public constant FEE_CHANGE_DELAY = 2 days; // Time between announcing a fee change and being able to apply it.
+
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE"); // Changes the fee and the arbitration fee limit.
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE"); // Withdraws the fee earnings and sweeps unaccounted funds.
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE"); // Pauses and unpauses the contract.
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE"); // Resolves the disputes of Deals created without their own arbiter.
+
+    bytes32 internal constant OFFER_TYPEHASH = keccak256(
+        "Offer(address creator,bool creatorIsBuyer,address counterparty,address token,uint256 value,uint256 buyerDeposit,uint256 sellerDeposit,uint256 deadline,address arbiter,uint256 expiry,uint256 nonce)"
+    );
+
+    // Event fired when any type of deal is created, works also as a DB: it carries every field set on creation.
+    event DealCreated(uint indexed id, address indexed buyer, address indexed seller, uint creationTime, uint value, uint buyerDeposit, uint sellerDeposit, uint deadline, address arbiter, address token, bool createdByBuyer, uint fee);
+    // Event fired when the creator cancels a Deal before it is confirmed, carries the amount refunded.
+    event DealCancelled(uint indexed id, address indexed cancelledBy, uint refund);
+    // Event fired when the counterparty confirms a Deal, carries the amount deposited.
+    event DealConfirmed(uint indexed id, address indexed confirmedBy, uint deposit);
+    // Event fired when the buyer completes a Deal, carries the amounts paid out and the fee taken.
+    event DealCompleted(uint indexed id, uint buyerPayout, uint sellerPayout, uint fee);
+    // Event fired for every milestone of a milestone Deal the buyer releases to the seller.
+    event MilestoneReleased(uint indexed id, uint index, uint amount, uint fee);
+    // Event fired when a Confirmed Deal passes its deadline and the funds are returned.
+    event DealExpired(uint indexed id, address indexed buyer, address indexed seller, uint expirationTime, uint buyerRefund, uint sellerRefund);
+    // Event fired when the buyer or the seller opens a dispute on a Confirmed Deal.
+    event DisputeOpened(uint indexed id, address indexed openedBy, address indexed arbiter);
+    // Event fired when the arbiter rules on a Disputed Deal, records how the funds were split.
+    event DisputeResolved(uint indexed id, address indexed arbiter, uint buyerAmount, uint sellerAmount, uint arbitrationFee);
+    // Event fired when the counterparty of a pending Deal proposes new terms to its creator.
+    event CounterOfferProposed(uint indexed id, address indexed proposedBy, uint value, uint buyerDeposit, uint sellerDeposit);
+    // Event fired when the creator accepts a counter-offer, carries the new terms of the Deal.
+    event CounterOfferAccepted(uint indexed id, uint value, uint buyerDeposit, uint sellerDeposit);
+    // Event fired when the buyer or the seller proposes to cancel a Confirmed Deal.
+    event CancellationProposed(uint indexed id, address indexed proposedBy);
+    // Event fired when the proposer takes back a cancellation proposal.
+    event CancellationWithdrawn(uint indexed id, address indexed withdrawnBy);
+    // Event fired when the counterparty accepts a cancellation proposal, carries the amounts refunded.
+    event DealMutuallyCancelled(uint indexed id, address indexed acceptedBy, uint buyerRefund, uint sellerRefund);
+
+    // Admin events
+    event OwnershipTransferProposed(address indexed owner, address indexed proposedOwner);
+    event OwnerChanged(address indexed previousOwner, address indexed newOwner);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event Paused(address account);
+    event Unpaused(address account);
+    event Sunset(address indexed successor);
+    event FeeChangeAnnounced(uint newFee, uint[] tierMinValues, uint[] tierFees, uint effectiveTime);
+    event FeeChangeCancelled();
+    event FeeChanged(uint previousFee, uint newFee);
+    event ArbitrationFeeLimitChanged(uint previousLimit, uint newLimit);
+    event InspectionPeriodBoundsChanged(uint minPeriod, uint maxPeriod);
+    event FeeEarningsWithdrawn(address indexed token, address indexed to, uint amount);
+    event FeeEarningsCredited(address indexed token, address indexed beneficiary, uint amount);
+    event TreasuryChanged(address previousTreasury, address newTreasury);
+    event FeeBeneficiariesChanged(address[] accounts, uint[] shares);
+    event UnaccountedFundsSwept(address indexed token, address indexed to, uint amount);
+
+    // Event fired when an address withdraws the funds credited to it.
+    event Withdrawal(address indexed account, address indexed token, uint amount);
+    // Event fired when an address adds ETH to its balance, e.g. to back the offers it signs.
+    event FundsDeposited(address indexed account, uint amount);
+    // Event fired when the counterparty accepts a signed offer, creating Deal id.
+    event OfferAccepted(address indexed creator, uint nonce, uint indexed id);
+    // Event fired when the creator cancels a signed offer before it is accepted.
+    event OfferCancelled(address indexed creator, uint nonce);
+    // Event fired when a Deal is created with a terms document, the counterparty has to acknowledge its hash to confirm.
+    event DealTermsCommitted(uint indexed id, bytes32 termsHash, string metadataURI);
+    // Event fired when the creator of a pending Deal sets how long its buyer can inspect a delivery.
+    event InspectionPeriodSet(uint indexed id, uint period);
+    // Event fired when the seller marks a Confirmed Deal delivered, the buyer can inspect it until inspectionEnd.
+    event DealDelivered(uint indexed id, uint inspectionEnd);
+    // Event fired when a delivered Deal is released to the seller after its inspection, followed by DealCompleted.
+    event DealAutoReleased(uint indexed id, address indexed releasedBy);
+    // Event fired when a seller lists units of a Deal that any buyer can take.
+    event ListingCreated(uint indexed id, address indexed seller, address token, uint value, uint units);
+    // Event fired when a buyer takes a unit of a listing, creating Confirmed Deal dealId.
+    event ListingTaken(uint indexed id, uint indexed dealId, address indexed buyer, uint unitsLeft);
+    // Event fired when the seller cancels the units left of a listing, carries the deposits refunded.
+    event ListingCancelled(uint indexed id, uint refund);
+
+    // States in which a Deal can be
+    enum State {
+        PendingSellerDeposit,
+        PendingBuyerDeposit,
+        Confirmed,
+        CancelledByCreator,
+        Completed,
+        Expired,
+        Disputed,
+        Resolved,
+        MutuallyCancelled
+    }
+
+    modifier onlyOwner() {
+        require(_msgSender() == owner, "Only the owner can perform this action.");
+        _;
+    }
+
+    modifier onlyRole(bytes32 _role) {
+        require(hasRole[_role][_msgSender()], "Missing the role required for this action.");
+        _;
+    }
+
+    // Deals can only be created or confirmed while the contract isn't paused or sunset.
+    modifier whenOpen() {
+        require(!paused, "Contract is paused");
+        require(successor == address(0), "Contract is sunset");
+        _;
+    }
+
+    struct PendingFeeChange {
+        uint fee;
+        uint[] tierMinValues;
+        uint[] tierFees;
+        uint effectiveTime; // 0 if there is no fee change announced.
+    }
+
+    // Amounts a counter-offer proposes for a pending Deal.
+    struct Terms {
+        uint value;
+        uint buyerDeposit;
+        uint sellerDeposit;
+    }
+
+    // Deal terms signed off-chain by the creator with EIP-712, accepted on-chain by the counterparty.
+    struct Offer {
+        address creator;
+        bool creatorIsBuyer;
+        address counterparty;
+        address token; // address(0) for ETH
+        uint value;
+        uint buyerDeposit;
+        uint sellerDeposit;
+        uint deadline;
+        address arbiter;
+        uint expiry; // The offer can't be accepted after this time.
+        uint nonce; // Any number, each one can only be used once per creator.
+    }
+
+    // A call multicall makes to this contract, with the ETH sent along.
+    struct Call {
+        bytes data;
+        uint value;
+    }
+
+    // A Deal created by createDealsAsSeller or createTokenDealsAsSeller.
+    struct SellerDealParams {
+        address buyer;
+        uint value;
+        uint sellerDeposit;
+        uint buyerDeposit;
+        uint deadline;
+        address arbiter;
+    }
+
+    // A Deal as it is stored, packed into 6 slots. The external functions return it as a Deal.
+    struct StoredDeal {
+        address buyer;
+        uint40 creationTime;
+        uint40 deadline;
+        bool createdByBuyer;
+        State state;
+        address seller;
+        uint16 fee; // Fee at the time the Deal was created, applied when the value is released.
+        address arbiter;
+        address token; // address(0) for ETH
+        uint128 value;
+        uint128 buyerDeposit;
+        uint128 sellerDeposit;
+    }
+
+    // Terms a seller offers to any buyer. Each unit taken becomes a Confirmed Deal with the taker as buyer.
+    struct Listing {
+        address seller;
+        uint40 deadline; // Deadline of the Deals taken, the listing can't be taken after it.
+        uint32 units; // Units left to take, 0 once they are all taken or the listing is cancelled.
+        address arbiter;
+        address token; // address(0) for ETH
+        uint128 value;
+        uint128 buyerDeposit;
+        uint128 sellerDeposit; // Escrowed by the seller for every unit left.
+    }
+
+    // A Deal as the external functions return it, the shape clients decode.
+    struct Deal {
+        uint id;
+        address buyer;
+        address seller;
+        string creator;
+        uint value;
+        uint buyerDeposit;
+        uint sellerDeposit;
+        uint creationTime;
+        uint deadline;
+        address arbiter;
+        address token;
+        State state;
+        uint fee; // Fee at the time the Deal was created, applied when the value is released.
+    }
+
+    /**
+     * @dev Retrieves the arbiter of a Deal. If no arbiter was chosen when the Deal
+     * was created it returns address(0), and any account with ARBITER_ROLE acts as arbiter.
+     * @param _id uint ID of the Turstless Deal.
+    */
+    function getArbiter(uint _id) public view returns(address) {
+        return _getDeal(_id).arbiter;
+    }
+
+    /**
+     * @dev Retrieves the fee a Deal of the given value is created with: the fee of the
+     * highest fee tier whose min value it reaches, or the general fee if it reaches none.
+     * @param _value uint The value of the Deal.
+    */
+    function feeFor(uint _value) public view returns(uint) {
+        for (uint i = feeTierMinValues.length; i > 0; i--) {
+            if (_value >= feeTierMinValues[i - 1]) {
+                return feeTierFees[i - 1];
+            }
+        }
+        return fee;
+    }
+
+    /**
+     * @dev Grants a role to an account, if it doesn't hold it already.
+     * @param _role bytes32 The role to grant.
+     * @param _account address The account that receives the role.
+    */
+    function _grantRole(bytes32 _role, address _account) internal {
+        if (!hasRole[_role][_account]) {
+            hasRole[_role][_account] = true;
+            emit RoleGranted(_role, _account, _msgSender());
+        }
+    }
+
+    /**
+     * @dev Retrieves a Deal from storage, reverting if there's no Deal with the given ID.
+    */
+    function _getDeal(uint _id) internal view returns(StoredDeal storage) {
+        require(_id < deals.length, "Invalid ID");
+        return deals[_id];
+    }
+
+    /**
+     * @dev Retrieves a listing from storage, reverting if there's no listing with the given ID.
+    */
+    function _getListing(uint _id) internal view returns(Listing storage) {
+        require(_id < listings.length, "Invalid listing ID");
+        return listings[_id];
+    }
+
+    /**
+     * @dev Retrieves the EIP-712 digest the creator signs for an offer.
+     * @param _offer Offer The offer terms.
+    */
+    function hashOffer(Offer calldata _offer) public view returns(bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            OFFER_TYPEHASH,
+            _offer.creator,
+            _offer.creatorIsBuyer,
+            _offer.counterparty,
+            _offer.token,
+            _offer.value,
+            _offer.buyerDeposit,
+            _offer.sellerDeposit,
+            _offer.deadline,
+            _offer.arbiter,
+            _offer.expiry,
+            _offer.nonce
+        )));
+    }
+
+    /**
+     * @dev Validates the Deal terms, stores the new Deal in the deals array and
+     * emits the DealCreated event. The new Deal waits for the deposit of whoever didn't create it.
+     * @param _createdByBuyer bool Whether the buyer or the seller created the Deal.
+    */
+    function _createDeal(address _token, address _buyer, address _seller, uint _value, uint _sellerDeposit, uint _buyerDeposit, uint _deadline, address _arbiter, bool _createdByBuyer) internal whenOpen returns(uint) {
+        require(_buyer != _seller, "The buyer can't also be the seller");
+        _checkAmounts(_value, _buyerDeposit, _sellerDeposit);
+        require(_deadline > block.timestamp && _deadline <= type(uint40).max, "Invalid deadline");
+        require(_arbiter != _buyer && _arbiter != _seller, "The arbiter can't be the buyer or the seller");
+        uint id = deals.length;
+        deals.push(StoredDeal({
+            buyer: _buyer,
+            creationTime: uint40(block.timestamp),
+            deadline: uint40(_deadline),
+            createdByBuyer: _createdByBuyer,
+            state: _createdByBuyer ? State.PendingSellerDeposit : State.PendingBuyerDeposit,
+            seller: _seller,
+            fee: uint16(feeFor(_value)),
+            arbiter: _arbiter,
+            token: _token,
+            value: uint128(_value),
+            buyerDeposit: uint128(_buyerDeposit),
+            sellerDeposit: uint128(_sellerDeposit)
+        }));
+        buyerDealIds[_buyer].push(id);
+        sellerDealIds[_seller].push(id);
+        _emitDealCreated(id);
+        return id;
+    }
+
+    /**
+     * @dev Emits the DealCreated event of a new Deal from storage, the parameters of _createDeal
+     * don't fit in the stack along with it.
+    */
+    function _emitDealCreated(uint _id) private {
+        StoredDeal storage deal = deals[_id];
+        emit DealCreated(_id, deal.buyer, deal.seller, deal.creationTime, deal.value, deal.buyerDeposit, deal.sellerDeposit, deal.deadline, deal.arbiter, deal.token, deal.createdByBuyer, deal.fee);
+    }
+
+    /**
+     * @dev Sets a Deal as Confirmed. Deals whose creator didn't set an inspection period get the
+     * min inspection period, so later changes of the bounds don't apply to them.
+    */
+    function _setConfirmed(uint _id) internal {
+        deals[_id].state = State.Confirmed;
+        if (inspectionPeriods[_id] == 0) {
+            inspectionPeriods[_id] = minInspectionPeriod;
+        }
+    }
+
+    /**
+     * @dev Releases up to _count milestones of the Deal, charging the fee on each one.
+     * Completes the Deal once the last milestone is released.
+    */
+    function _releaseMilestones(uint _id, StoredDeal storage deal, uint _count) internal {
+        uint[] storage amounts = milestones[_id];
+        uint total = amounts.length == 0 ? 1 : amounts.length;
+        uint released = releasedMilestones[_id];
+        uint end = _count >= total - released ? total : released + _count;
+        uint amount = 0;
+        uint releaseFee = 0;
+        for (uint i = released; i < end; i++) {
+            uint milestone = amounts.length == 0 ? deal.value : amounts[i];
+            uint milestoneFee = milestone * deal.fee / 10000;
+            amount += milestone;
+            releaseFee += milestoneFee;
+            if (amounts.length > 0) {
+                emit MilestoneReleased(_id, i, milestone, milestoneFee);
+            }
+        }
+        releasedMilestones[_id] = end;
+        releasedValue[_id] += amount;
+        feeEarnings[deal.token] += releaseFee;
+        escrowed[deal.token] -= amount;
+        uint sellerPayout = amount - releaseFee;
+        if (end == total) {
+            deal.state = State.Completed;
+            escrowed[deal.token] -= deal.buyerDeposit + deal.sellerDeposit;
+            sellerPayout += deal.sellerDeposit;
+            _credit(deal.token, deal.buyer, deal.buyerDeposit);
+            emit DealCompleted(_id, deal.buyerDeposit, sellerPayout, releaseFee);
+        }
+        _credit(deal.token, deal.seller, sellerPayout);
+    }
+
+    /**
+     * @dev Checks the value and deposits of a Deal are greater than 0 and fit in the 128 bits
+     * they are stored in, added together too, so adding them up never overflows.
+    */
+    function _checkAmounts(uint _value, uint _buyerDeposit, uint _sellerDeposit) internal pure {
+        require(_value > 0 && _buyerDeposit > 0 && _sellerDeposit > 0 && _value + _buyerDeposit + _sellerDeposit <= type(uint128).max, "Invalid value or deposit");
+    }
+
+    /**
+     * @dev Account the current call is made for. It is msg.sender, except in the calls made by
+     * multicall: they come from this contract with the original sender appended to the calldata.
+    */
+    function _msgSender() internal view returns (address) {
+        if (msg.sender == address(this) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /**
+     * @dev Takes _amount of ETH, or of the given ERC-20 token, from msg.sender into escrow.
+     * ETH must be sent exactly as msg.value, tokens are pulled with transferFrom.
+    */
+    function _receive(address _token, uint _amount) internal {
+        if (_token == address(0)) {
+            require(msg.value == _amount, "Invalid value or deposit");
+        } else {
+            require(msg.value == 0, "Invalid value or deposit");
+            IERC20(_token).safeTransferFrom(_msgSender(), address(this), _amount);
+        }
+        escrowed[_token] += _amount;
+    }
+
+    /**
+     * @dev Credits _amount of ETH, or of the given ERC-20 token, to _to.
+     * The funds stay in the contract until _to withdraws them.
+     * @param _token address The ERC-20 token to credit, address(0) for ETH.
+    */
+    function _credit(address _token, address _to, uint _amount) internal {
+        pendingWithdrawals[_to][_token] += _amount;
+        totalPendingWithdrawals[_token] += _amount;
+    }
+
+    /**
+     * @dev Sends _amount of ETH, or of the given ERC-20 token, to _to.
+     * Reverts if the transfer fails.
+     * @param _token address The ERC-20 token to send, address(0) for ETH.
+    */
+    function _transfer(address _token, address _to, uint _amount) internal {
+        if (_token == address(0)) {
+            (bool sent, ) = payable(_to).call{value: _amount}("");
+            require(sent, "Failed to send Ether");
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
+    }
+}
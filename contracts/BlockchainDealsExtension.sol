@@ -0,0 +1,482 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.9;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./BlockchainDealsBase.sol";
+
+/**
+ *  @title BlockchainDealsExtension
+ *
+ *  Admin actions, disputes and the flows that renegotiate a Deal, moved out of BlockchainDeals
+ *  to keep it under the contract size limit. BlockchainDeals deploys it and delegates the calls
+ *  of these functions to it, so they run on the storage of BlockchainDeals and with its msg.sender
+ *  and msg.value. Calling it directly reverts.
+ */
+contract BlockchainDealsExtension is BlockchainDealsBase {
+    using SafeERC20 for IERC20;
+
+    address private immutable self; // Address of the extension itself, to tell direct calls from delegated ones.
+
+    modifier onlyDelegated() {
+        _checkDelegated();
+        _;
+    }
+
+    constructor() {
+        self = address(this);
+    }
+
+    // Out of onlyDelegated so its check isn't inlined in every function, the extension is close to the size limit.
+    function _checkDelegated() private view {
+        require(address(this) != self, "Only BlockchainDeals can call the extension");
+    }
+
+    /******************** ADMIN ********************/
+
+    /**
+     * @dev Propose a new owner of the contract, who becomes the owner once it calls acceptOwnership.
+     * Proposing again replaces the previous proposal, propose address(0) to cancel it. Only the
+     * owner of the contract can call this function.
+     * @param _newOwner address Proposed new owner
+    */
+    function proposeOwner(address payable _newOwner) external onlyDelegated onlyOwner {
+        pendingOwner = _newOwner;
+        emit OwnershipTransferProposed(owner, _newOwner);
+    }
+
+    /**
+     * @dev Accept the ownership of the contract. Only the proposed owner can call this function.
+     * The roles of the previous owner are kept until the new owner revokes them.
+    */
+    function acceptOwnership() external onlyDelegated {
+        require(_msgSender() == pendingOwner, "Only the proposed owner can accept the ownership");
+        emit OwnerChanged(owner, pendingOwner);
+        owner = pendingOwner;
+        delete pendingOwner;
+    }
+
+    /**
+     * @dev Grant a role to an account. Only the owner of the contract can call this function.
+     * @param _role bytes32 The role to grant, one of FEE_MANAGER_ROLE, TREASURER_ROLE, PAUSER_ROLE or ARBITER_ROLE.
+     * @param _account address The account that receives the role.
+    */
+    function grantRole(bytes32 _role, address _account) external onlyDelegated onlyOwner {
+        require(_isRole(_role), "Invalid role");
+        _grantRole(_role, _account);
+    }
+
+    /**
+     * @dev Revoke a role from an account. Only the owner of the contract can call this function.
+     * @param _role bytes32 The role to revoke.
+     * @param _account address The account that loses the role.
+    */
+    function revokeRole(bytes32 _role, address _account) external onlyDelegated onlyOwner {
+        if (hasRole[_role][_account]) {
+            hasRole[_role][_account] = false;
+            emit RoleRevoked(_role, _account, _msgSender());
+        }
+    }
+
+    /**
+     * @dev Announce a new fee and fee tiers, replacing any change announced before. They can be
+     * applied with applyFeeChange once FEE_CHANGE_DELAY has passed, and only affect the Deals created
+     * after that. Pass no tiers to charge the same fee on every Deal. Only accounts with
+     * FEE_MANAGER_ROLE can call this function.
+     * @param _newFee uint The new fee, at most MAX_FEE.
+     * @param _tierMinValues uint[] Min Deal value of each fee tier, in increasing order.
+     * @param _tierFees uint[] Fee of each fee tier, at most MAX_FEE.
+    */
+    function announceFeeChange(uint _newFee, uint[] calldata _tierMinValues, uint[] calldata _tierFees) external onlyDelegated onlyRole(FEE_MANAGER_ROLE) {
+        require(_newFee <= MAX_FEE, "Fee is too high");
+        require(_tierMinValues.length == _tierFees.length, "Invalid fee tiers");
+        for (uint i = 0; i < _tierFees.length; i++) {
+            require(_tierFees[i] <= MAX_FEE, "Fee is too high");
+            require(i == 0 || _tierMinValues[i] > _tierMinValues[i - 1], "Invalid fee tiers");
+        }
+        uint effectiveTime = block.timestamp + FEE_CHANGE_DELAY;
+        pendingFeeChange = PendingFeeChange(_newFee, _tierMinValues, _tierFees, effectiveTime);
+        emit FeeChangeAnnounced(_newFee, _tierMinValues, _tierFees, effectiveTime);
+    }
+
+    /**
+     * @dev Apply the announced fee change once its timelock has ended. Only accounts with
+     * FEE_MANAGER_ROLE can call this function.
+    */
+    function applyFeeChange() external onlyDelegated onlyRole(FEE_MANAGER_ROLE) {
+        require(pendingFeeChange.effectiveTime > 0, "No fee change announced");
+        require(block.timestamp >= pendingFeeChange.effectiveTime, "Fee change is still timelocked");
+        emit FeeChanged(fee, pendingFeeChange.fee);
+        fee = pendingFeeChange.fee;
+        feeTierMinValues = pendingFeeChange.tierMinValues;
+        feeTierFees = pendingFeeChange.tierFees;
+        delete pendingFeeChange;
+    }
+
+    /**
+     * @dev Cancel the announced fee change. Only accounts with FEE_MANAGER_ROLE can call this function.
+    */
+    function cancelFeeChange() external onlyDelegated onlyRole(FEE_MANAGER_ROLE) {
+        require(pendingFeeChange.effectiveTime > 0, "No fee change announced");
+        delete pendingFeeChange;
+        emit FeeChangeCancelled();
+    }
+
+    /**
+     * @dev Change the max fee an arbiter can charge when resolving
+     * a dispute. Only accounts with FEE_MANAGER_ROLE can call this function.
+     * @param _newArbitrationFeeLimit uint The new arbitration fee limit
+    */
+    function changeArbitrationFeeLimit(uint _newArbitrationFeeLimit) external onlyDelegated onlyRole(FEE_MANAGER_ROLE) {
+        require(_newArbitrationFeeLimit <= 10000, "Invalid arbitration fee limit");
+        emit ArbitrationFeeLimitChanged(arbitrationFeeLimit, _newArbitrationFeeLimit);
+        arbitrationFeeLimit = _newArbitrationFeeLimit;
+    }
+
+    /**
+     * @dev Change the treasury the fee earnings are sent to when there are no fee beneficiaries.
+     * Only the owner of the contract can call this function.
+     * @param _newTreasury address New treasury
+    */
+    function changeTreasury(address payable _newTreasury) external onlyDelegated onlyOwner {
+        require(_newTreasury != address(0), "Invalid treasury");
+        emit TreasuryChanged(treasury, _newTreasury);
+        treasury = _newTreasury;
+    }
+
+    /**
+     * @dev Set the accounts the fee earnings are split between when withdrawn, instead of sending
+     * them to the treasury. Pass no accounts to go back to the treasury. Only the owner of the
+     * contract can call this function.
+     * @param _accounts address[] The fee beneficiaries.
+     * @param _shares uint[] Share of each fee beneficiary in basis points, they must add up to 10000.
+    */
+    function setFeeBeneficiaries(address[] calldata _accounts, uint[] calldata _shares) external onlyDelegated onlyOwner {
+        require(_accounts.length == _shares.length, "Invalid fee beneficiaries");
+        uint totalShares;
+        for (uint i = 0; i < _accounts.length; i++) {
+            require(_accounts[i] != address(0) && _shares[i] > 0, "Invalid fee beneficiaries");
+            totalShares += _shares[i];
+        }
+        require(_accounts.length == 0 || totalShares == 10000, "Invalid fee beneficiaries");
+        feeBeneficiaries = _accounts;
+        feeBeneficiaryShares = _shares;
+        emit FeeBeneficiariesChanged(_accounts, _shares);
+    }
+
+    /**
+     * @dev Withdraw the ETH earnings of the contract so far,
+     * they m ust be greater than 0. They are sent to the treasury, or credited to the fee
+     * beneficiaries by their shares if there are any. Only accounts with
+     * TREASURER_ROLE can call this function.
+    */
+    function withdrawFeeEarnings() external onlyDelegated onlyRole(TREASURER_ROLE) nonReentrant {
+        _withdrawFeeEarnings(address(0));
+    }
+
+    /**
+     * @dev Withdraw the earnings of the contract so far in
+     * the given token, they must be greater than 0. They are sent to the treasury, or credited
+     * to the fee beneficiaries by their shares if there are any. Only accounts with
+     * TREASURER_ROLE can call this function.
+     * @param _token address The ERC-20 token to withdraw the earnings of.
+    */
+    function withdrawTokenFeeEarnings(address _token) external onlyDelegated onlyRole(TREASURER_ROLE) nonReentrant {
+        require(_token != address(0), "Invalid token");
+        _withdrawFeeEarnings(_token);
+    }
+
+    /**
+     * @dev Withdraw part of the earnings of the contract to any recipient, regardless of the
+     * treasury and the fee beneficiaries. Only accounts with TREASURER_ROLE can call this function.
+     * @param _token address The ERC-20 token to withdraw the earnings of, address(0) for ETH.
+     * @param _to address The address that will recieve the earnings.
+     * @param _amount uint The amount to withdraw, at most the earnings in _token.
+    */
+    function withdrawFeeEarningsTo(address _token, address _to, uint _amount) external onlyDelegated onlyRole(TREASURER_ROLE) nonReentrant {
+        require(_to != address(0), "Invalid recipient");
+        require(_amount > 0 && _amount <= feeEarnings[_token], "Invalid amount");
+        feeEarnings[_token] -= _amount;
+        _transfer(_token, _to, _amount);
+        emit FeeEarningsWithdrawn(_token, _to, _amount);
+    }
+
+    /**
+     * @dev Sweep the funds the contract holds that aren't accounted for by any
+     * Deal, pending withdrawal or by the fee earnings, e.g. ETH sent on deployment or tokens transferred
+     * directly to the contract. Only accounts with TREASURER_ROLE can call this function.
+     * @param _token address The ERC-20 token to sweep, address(0) for ETH.
+     * @param _to address The address that will recieve the unaccounted funds.
+    */
+    function sweepUnaccountedFunds(address _token, address _to) external onlyDelegated onlyRole(TREASURER_ROLE) nonReentrant {
+        uint balance = _token == address(0) ? address(this).balance : IERC20(_token).balanceOf(address(this));
+        uint unaccounted = balance - escrowed[_token] - totalPendingWithdrawals[_token] - feeEarnings[_token];
+        require(unaccounted > 0, "There are no unaccounted funds");
+        _transfer(_token, _to, unaccounted);
+        emit UnaccountedFundsSwept(_token, _to, unaccounted);
+    }
+
+    /**
+     * @dev Sends all the earnings in _token to the treasury, or credits them to the fee beneficiaries
+     * by their shares, the last one getting what rounding leaves.
+    */
+    function _withdrawFeeEarnings(address _token) private {
+        uint earnings = feeEarnings[_token];
+        require(earnings > 0, "There are no earnings to withdraw");
+        feeEarnings[_token] = 0;
+        uint beneficiaries = feeBeneficiaries.length;
+        if (beneficiaries == 0) {
+            _transfer(_token, treasury, earnings);
+            emit FeeEarningsWithdrawn(_token, treasury, earnings);
+            return;
+        }
+        uint left = earnings;
+        for (uint i = 0; i < beneficiaries; i++) {
+            uint amount = i == beneficiaries - 1 ? left : earnings * feeBeneficiaryShares[i] / 10000;
+            left -= amount;
+            _credit(_token, feeBeneficiaries[i], amount);
+            emit FeeEarningsCredited(_token, feeBeneficiaries[i], amount);
+        }
+    }
+
+    /**
+     * @dev Pause the contract: no Deal can be created or confirmed until it is unpaused,
+     * while cancelling, completing, expiring and withdrawing keep working. Only accounts with
+     * PAUSER_ROLE can call this function.
+    */
+    function pause() external onlyDelegated onlyRole(PAUSER_ROLE) {
+        require(!paused, "Contract is paused");
+        paused = true;
+        emit Paused(_msgSender());
+    }
+
+    /**
+     * @dev Unpause the contract. Only accounts with PAUSER_ROLE can call this function.
+    */
+    function unpause() external onlyDelegated onlyRole(PAUSER_ROLE) {
+        require(paused, "Contract isn't paused");
+        paused = false;
+        emit Unpaused(_msgSender());
+    }
+
+    /**
+     * @dev Sunset the contract for good in favour of its successor: no Deal can be created or
+     * confirmed anymore, the existing ones can still be settled. It can't be undone. Only the
+     * owner of the contract can call this function.
+     * @param _successor address The contract clients should use instead of this one.
+    */
+    function sunset(address _successor) external onlyDelegated onlyOwner {
+        require(successor == address(0), "Contract is sunset");
+        require(_successor != address(0) && _successor != address(this), "Invalid successor");
+        successor = _successor;
+        emit Sunset(_successor);
+    }
+
+    /**
+     * @dev Whether the given value is one of the roles of the contract.
+     * @param _role bytes32 The value to check.
+    */
+    function _isRole(bytes32 _role) private pure returns(bool) {
+        return _role == FEE_MANAGER_ROLE || _role == TREASURER_ROLE || _role == PAUSER_ROLE || _role == ARBITER_ROLE;
+    }
+
+    /******************** COUNTER-OFFERS ********************/
+
+    /**
+     * @dev Propose new terms for a pending Deal, by the counterparty that hasn't deposited yet.
+     * Replaces any counter-offer proposed before. The Deal keeps its original terms, and can
+     * still be confirmed with them, until the creator accepts with acceptCounterOffer.
+     * Milestone Deals can't be renegotiated.
+     * @param _id uint ID of the Turstless Deal.
+     * @param _value uint The proposed value.
+     * @param _buyerDeposit uint The proposed buyer deposit.
+     * @param _sellerDeposit uint The proposed seller deposit.
+    */
+    function proposeCounterOffer(uint _id, uint _value, uint _buyerDeposit, uint _sellerDeposit) external onlyDelegated {
+        StoredDeal storage deal = _getDeal(_id);
+        bool createdByBuyer = deal.state == State.PendingSellerDeposit;
+        require((createdByBuyer || deal.state == State.PendingBuyerDeposit) && milestones[_id].length == 0, "Deal can't be renegotiated");
+        require(_msgSender() == (createdByBuyer ? deal.seller : deal.buyer), "Only the counterparty can propose new terms");
+        _checkAmounts(_value, _buyerDeposit, _sellerDeposit);
+        counterOffers[_id] = Terms(_value, _buyerDeposit, _sellerDeposit);
+        emit CounterOfferProposed(_id, _msgSender(), _value, _buyerDeposit, _sellerDeposit);
+    }
+
+    /**
+     * @dev Accept the counter-offer of a pending Deal, by its creator. The terms are passed again
+     * so the counterparty can't swap them right before. The Deal keeps its ID and takes the new terms,
+     * along with the fee for the new value, so a Deal can't be moved into a fee tier it wasn't priced in.
+     * If the creator now owes more the difference is taken, as msg.value for ETH Deals or with
+     * transferFrom for token Deals. If it owes less the difference is credited, to be claimed with withdraw.
+     * @param _id uint ID of the Turstless Deal.
+     * @param _value uint The value of the counter-offer.
+     * @param _buyerDeposit uint The buyer deposit of the counter-offer.
+     * @param _sellerDeposit uint The seller deposit of the counter-offer.
+    */
+    function acceptCounterOffer(uint _id, uint _value, uint _buyerDeposit, uint _sellerDeposit) external payable onlyDelegated {
+        StoredDeal storage deal = _getDeal(_id);
+        Terms memory terms = counterOffers[_id];
+        require(terms.value > 0, "No counter-offer proposed");
+        bool createdByBuyer = deal.state == State.PendingSellerDeposit;
+        require(createdByBuyer || deal.state == State.PendingBuyerDeposit, "Deal can't be renegotiated");
+        require(_msgSender() == (createdByBuyer ? deal.buyer : deal.seller), "Only the creator can accept the counter-offer");
+        require(terms.value == _value && terms.buyerDeposit == _buyerDeposit && terms.sellerDeposit == _sellerDeposit, "Counter-offer terms don't match");
+        _checkAmounts(_value, _buyerDeposit, _sellerDeposit);
+        uint held = createdByBuyer ? deal.value + deal.buyerDeposit : deal.sellerDeposit;
+        uint owed = createdByBuyer ? _value + _buyerDeposit : _sellerDeposit;
+        delete counterOffers[_id];
+        deal.value = uint128(_value);
+        deal.buyerDeposit = uint128(_buyerDeposit);
+        deal.sellerDeposit = uint128(_sellerDeposit);
+        deal.fee = uint16(feeFor(_value));
+        if (owed > held) {
+            _receive(deal.token, owed - held);
+        } else {
+            require(msg.value == 0, "Invalid value or deposit");
+            escrowed[deal.token] -= held - owed;
+            _credit(deal.token, _msgSender(), held - owed);
+        }
+        emit CounterOfferAccepted(_id, _value, _buyerDeposit, _sellerDeposit);
+    }
+
+    /******************** OFFERS ********************/
+
+    /**
+     * @dev Accept an offer signed by its creator, creating a Deal that is already Confirmed.
+     * Only the counterparty named in the offer can accept it, before its expiry. The counterparty
+     * deposit is sent along (msg.value for ETH, transferFrom for tokens) while the creator share
+     * comes from the creator ETH balance in the contract (see depositFunds) or, for tokens,
+     * from the creator with transferFrom.
+     * @param _offer Offer The offer terms.
+     * @param _signature bytes The creator EIP-712 signature of the offer.
+    */
+    function acceptOffer(Offer calldata _offer, bytes calldata _signature) external payable onlyDelegated {
+        require(block.timestamp <= _offer.expiry, "Offer has expired");
+        require(!usedOfferNonces[_offer.creator][_offer.nonce], "Offer nonce already used");
+        require(_msgSender() == _offer.counterparty, "Only the counterparty can accept the offer");
+        require(ECDSA.recover(hashOffer(_offer), _signature) == _offer.creator, "Invalid offer signature");
+        usedOfferNonces[_offer.creator][_offer.nonce] = true;
+
+        (address buyer, address seller) = _offer.creatorIsBuyer ? (_offer.creator, _msgSender()) : (_msgSender(), _offer.creator);
+        uint id = _createDeal(_offer.token, buyer, seller, _offer.value, _offer.sellerDeposit, _offer.buyerDeposit, _offer.deadline, _offer.arbiter, _offer.creatorIsBuyer);
+        _setConfirmed(id);
+
+        uint creatorShare = _offer.creatorIsBuyer ? _offer.value + _offer.buyerDeposit : _offer.sellerDeposit;
+        uint counterpartyShare = _offer.creatorIsBuyer ? _offer.sellerDeposit : _offer.value + _offer.buyerDeposit;
+        escrowed[_offer.token] += creatorShare + counterpartyShare;
+        if (_offer.token == address(0)) {
+            require(msg.value == counterpartyShare, "Invalid ETH amount to accept the offer");
+            require(pendingWithdrawals[_offer.creator][address(0)] >= creatorShare, "Insufficient creator balance");
+            pendingWithdrawals[_offer.creator][address(0)] -= creatorShare;
+            totalPendingWithdrawals[address(0)] -= creatorShare;
+        } else {
+            require(msg.value == 0, "Offer is priced in tokens");
+            IERC20(_offer.token).safeTransferFrom(_offer.creator, address(this), creatorShare);
+            IERC20(_offer.token).safeTransferFrom(_msgSender(), address(this), counterpartyShare);
+        }
+
+        emit DealConfirmed(id, _msgSender(), counterpartyShare);
+        emit OfferAccepted(_offer.creator, _offer.nonce, id);
+    }
+
+    /**
+     * @dev Cancel an offer signed by msg.sender so it can't be accepted anymore.
+     * @param _nonce uint The nonce of the offer.
+    */
+    function cancelOffer(uint _nonce) external onlyDelegated {
+        require(!usedOfferNonces[_msgSender()][_nonce], "Offer nonce already used");
+        usedOfferNonces[_msgSender()][_nonce] = true;
+        emit OfferCancelled(_msgSender(), _nonce);
+    }
+
+    /******************** DISPUTES ********************/
+
+    /**
+     * @dev Open a dispute on a Confirmed Deal. Can be called by either the buyer or the seller.
+     * The Deal is frozen as Disputed until its arbiter resolves it. Deals marked delivered can
+     * only be disputed until their inspection ends, then they can be auto released.
+     * @param _id uint ID of the Turstless Deal to dispute.
+    */
+    function openDispute(uint _id) external onlyDelegated {
+        StoredDeal storage deal = _getDeal(_id);
+        require(_msgSender() == deal.buyer || _msgSender() == deal.seller, "Only the buyer or the seller can open a dispute");
+        require(deal.state == State.Confirmed && (inspectionEnds[_id] == 0 || block.timestamp <= inspectionEnds[_id]), "Deal can't be disputed");
+        deal.state = State.Disputed;
+        emit DisputeOpened(_id, _msgSender(), getArbiter(_id));
+    }
+
+    /**
+     * @dev Resolve a Disputed Deal by its arbiter. The value and both deposits
+     * are split between the buyer, the seller and the arbiter in any proportion, as long
+     * as the amounts add up to the funds held for the Deal and the arbitration fee
+     * doesn't exceed the arbitrationFeeLimit. Every amount is credited, to be claimed with withdraw. The Deal is set as Resolved and no more actions can be taken on it.
+     * @param _id uint ID of the Turstless Deal to resolve.
+     * @param _buyerAmount uint The amount of ETH (or tokens) the buyer will recieve.
+     * @param _sellerAmount uint The amount of ETH (or tokens) the seller will recieve.
+     * @param _arbitrationFee uint The amount of ETH (or tokens) the arbiter will recieve.
+    */
+    function resolveDispute(uint _id, uint _buyerAmount, uint _sellerAmount, uint _arbitrationFee) external onlyDelegated {
+        StoredDeal storage deal = _getDeal(_id);
+        require(deal.arbiter == address(0) ? hasRole[ARBITER_ROLE][_msgSender()] : _msgSender() == deal.arbiter, "Only the arbiter can resolve the dispute");
+        require(deal.state == State.Disputed, "Deal isn't disputed");
+        uint total = deal.value - releasedValue[_id] + deal.buyerDeposit + deal.sellerDeposit;
+        require(_buyerAmount + _sellerAmount + _arbitrationFee == total, "Amounts don't match the Deal funds");
+        require(_arbitrationFee <= total * arbitrationFeeLimit / 10000, "Arbitration fee is too high");
+        deal.state = State.Resolved;
+        escrowed[deal.token] -= total;
+        _credit(deal.token, deal.buyer, _buyerAmount);
+        _credit(deal.token, deal.seller, _sellerAmount);
+        _credit(deal.token, _msgSender(), _arbitrationFee);
+        emit DisputeResolved(_id, _msgSender(), _buyerAmount, _sellerAmount, _arbitrationFee);
+    }
+
+    /******************** MUTUAL CANCELLATION ********************/
+
+    /**
+     * @dev Propose to cancel a Confirmed Deal, by the buyer or the seller. The Deal
+     * is only cancelled once the other party accepts with acceptCancellation.
+     * @param _id uint ID of the Turstless Deal to cancel.
+    */
+    function proposeCancellation(uint _id) external onlyDelegated {
+        StoredDeal storage deal = _getDeal(_id);
+        require(_msgSender() == deal.buyer || _msgSender() == deal.seller, "Only the buyer or the seller can propose a cancellation");
+        require(deal.state == State.Confirmed, "Deal can't be cancelled");
+        require(cancellationProposedBy[_id] == address(0), "Cancellation already proposed");
+        cancellationProposedBy[_id] = _msgSender();
+        emit CancellationProposed(_id, _msgSender());
+    }
+
+    /**
+     * @dev Withdraw a cancellation proposal, by the party that made it.
+     * @param _id uint ID of the Turstless Deal.
+    */
+    function withdrawCancellation(uint _id) external onlyDelegated {
+        require(_id < deals.length, "Invalid ID");
+        require(_msgSender() == cancellationProposedBy[_id], "Only the proposer can withdraw the cancellation");
+        delete cancellationProposedBy[_id];
+        emit CancellationWithdrawn(_id, _msgSender());
+    }
+
+    /**
+     * @dev Accept the cancellation proposed by the other party of a Confirmed Deal.
+     * The buyer gets the value not released yet plus his/her deposit back and the seller gets
+     * his/her deposit back as credits to be claimed with withdraw, no fee is charged.
+     * The Deal is set as MutuallyCancelled and no more actions can be taken on it.
+     * @param _id uint ID of the Turstless Deal to cancel.
+    */
+    function acceptCancellation(uint _id) external onlyDelegated {
+        StoredDeal storage deal = _getDeal(_id);
+        address proposer = cancellationProposedBy[_id];
+        require(proposer != address(0), "No cancellation proposed");
+        require(_msgSender() == (proposer == deal.buyer ? deal.seller : deal.buyer), "Only the counterparty can accept the cancellation");
+        require(deal.state == State.Confirmed, "Deal can't be cancelled");
+        deal.state = State.MutuallyCancelled;
+        delete cancellationProposedBy[_id];
+        uint buyerRefund = deal.value - releasedValue[_id] + deal.buyerDeposit;
+        escrowed[deal.token] -= buyerRefund + deal.sellerDeposit;
+        _credit(deal.token, deal.buyer, buyerRefund);
+        _credit(deal.token, deal.seller, deal.sellerDeposit);
+        emit DealMutuallyCancelled(_id, _msgSender(), buyerRefund, deal.sellerDeposit);
+    }
+}
@@ -0,0 +1,285 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.9;
+
+import "./BlockchainDealsBase.sol";
+
+/**
+ *  @title BlockchainDealsMarket
+ *
+ *  Marketplace flows: listings any buyer can take, batches of Deals created by a seller, Deals
+ *  committed to a terms document, milestone Deals and delivery notices with an inspection period, moved
+ *  out of BlockchainDeals to keep it under the contract size limit. Like BlockchainDealsExtension,
+ *  BlockchainDeals delegates the calls of these functions to it, so they run on the storage of
+ *  BlockchainDeals and with its msg.sender and msg.value. Calling it directly reverts.
+ *  Their views, confirmDealWithTerms and releaseMilestone are implemented in BlockchainDeals.
+ */
+contract BlockchainDealsMarket is BlockchainDealsBase {
+    address private immutable self; // Address of the extension itself, to tell direct calls from delegated ones.
+
+    modifier onlyDelegated() {
+        require(address(this) != self, "Only BlockchainDeals can call the extension");
+        _;
+    }
+
+    constructor() {
+        self = address(this);
+    }
+
+    /******************** LISTINGS ********************/
+
+    /**
+     * @dev Lists _units of a Deal as its seller, without a buyer. Any address other than the
+     * seller and the arbiter can take a unit with takeListing, which creates a Confirmed Deal
+     * with it as buyer. The seller deposit of every unit is escrowed up front: msg.value must be
+     * exactly _sellerDeposit * _units for ETH listings, token listings pull it with transferFrom.
+     * @param _token address The ERC-20 token the value and deposits are denominated in, address(0) for ETH.
+     * @param _value uint The amount the seller will recieve upon completion of each Deal.
+     * @param _sellerDeposit uint The amount the seller deposits for each unit.
+     * @param _buyerDeposit uint The amount the buyer has to deposit, along with the value, to take a unit.
+     * @param _deadline uint Timestamp until which units can be taken, and the deadline of the Deals taken.
+     * @param _arbiter address The address that will rule on disputes. Use the zero address to leave it to the accounts with ARBITER_ROLE.
+     * @param _units uint The number of Deals that can be taken from the listing.
+    */
+    function createListing(address _token, uint _value, uint _sellerDeposit, uint _buyerDeposit, uint _deadline, address _arbiter, uint _units) external payable onlyDelegated whenOpen {
+        _checkAmounts(_value, _buyerDeposit, _sellerDeposit);
+        require(_units > 0 && _units <= type(uint32).max, "Invalid units");
+        require(_deadline > block.timestamp && _deadline <= type(uint40).max, "Invalid deadline");
+        require(_arbiter != _msgSender(), "The arbiter can't be the buyer or the seller");
+        uint id = listings.length;
+        listings.push(Listing({
+            seller: _msgSender(),
+            deadline: uint40(_deadline),
+            units: uint32(_units),
+            arbiter: _arbiter,
+            token: _token,
+            value: uint128(_value),
+            buyerDeposit: uint128(_buyerDeposit),
+            sellerDeposit: uint128(_sellerDeposit)
+        }));
+        sellerListingIds[_msgSender()].push(id);
+        _receive(_token, _sellerDeposit * _units);
+        emit ListingCreated(id, _msgSender(), _token, _value, _units);
+    }
+
+    /**
+     * @dev Takes a unit of a listing as its buyer, creating a Deal that is already Confirmed
+     * with the terms of the listing. msg.value must be exactly the value plus the buyer deposit
+     * for ETH listings, token listings pull them with transferFrom.
+     * @param _id uint ID of the listing.
+    */
+    function takeListing(uint _id) external payable onlyDelegated {
+        Listing storage listing = _getListing(_id);
+        require(listing.units > 0, "Listing is closed");
+        require(block.timestamp < listing.deadline, "Listing has expired");
+        listing.units--;
+        uint dealId = _createDeal(listing.token, _msgSender(), listing.seller, listing.value, listing.sellerDeposit, listing.buyerDeposit, listing.deadline, listing.arbiter, false);
+        _setConfirmed(dealId);
+        listingDealIds[_id].push(dealId);
+        _receive(listing.token, listing.value + listing.buyerDeposit);
+        emit DealConfirmed(dealId, _msgSender(), listing.value + listing.buyerDeposit);
+        emit ListingTaken(_id, dealId, _msgSender(), listing.units);
+    }
+
+    /**
+     * @dev Cancels the units left of a listing, by its seller. Their deposits are credited to
+     * the seller, to be claimed with withdraw. The Deals already taken are not affected.
+     * @param _id uint ID of the listing.
+    */
+    function cancelListing(uint _id) external onlyDelegated {
+        Listing storage listing = _getListing(_id);
+        require(_msgSender() == listing.seller, "Only the seller can cancel the listing");
+        require(listing.units > 0, "Listing is closed");
+        uint refund = uint(listing.sellerDeposit) * listing.units;
+        listing.units = 0;
+        escrowed[listing.token] -= refund;
+        _credit(listing.token, listing.seller, refund);
+        emit ListingCancelled(_id, refund);
+    }
+
+    /******************** BATCHES ********************/
+
+    /**
+     * @dev Creates several ETH Deals as their seller in one transaction, same as calling
+     * createDealAsSeller for each of them. msg.value must be exactly the sum of their seller deposits.
+     * @param _deals SellerDealParams[] The buyer and terms of each Deal.
+    */
+    function createDealsAsSeller(SellerDealParams[] calldata _deals) external payable onlyDelegated {
+        _receive(address(0), _createDealsAsSeller(address(0), _deals));
+    }
+
+    /**
+     * @dev Creates several Deals priced in an ERC-20 token as their seller in one transaction,
+     * same as calling createTokenDealAsSeller for each of them. The sum of their seller deposits
+     * is pulled with a single transferFrom.
+     * @param _token address The ERC-20 token the values and deposits are denominated in.
+     * @param _deals SellerDealParams[] The buyer and terms of each Deal.
+    */
+    function createTokenDealsAsSeller(address _token, SellerDealParams[] calldata _deals) external onlyDelegated {
+        require(_token != address(0), "Invalid token");
+        _receive(_token, _createDealsAsSeller(_token, _deals));
+    }
+
+    function _createDealsAsSeller(address _token, SellerDealParams[] calldata _deals) private returns (uint sellerDeposits) {
+        require(_deals.length > 0, "No Deals to create");
+        for (uint i = 0; i < _deals.length; i++) {
+            SellerDealParams calldata params = _deals[i];
+            _createDeal(_token, params.buyer, _msgSender(), params.value, params.sellerDeposit, params.buyerDeposit, params.deadline, params.arbiter, false);
+            sellerDeposits += params.sellerDeposit;
+        }
+    }
+
+    /******************** TERMS ********************/
+
+    /**
+     * @dev Creates a new Deal as a buyer, committed to a terms document: the counterparty can only
+     * confirm it with confirmDealWithTerms, acknowledging _termsHash. Both are fixed for the life of the Deal.
+     * For ETH Deals msg.value must be exactly _value + _buyerDeposit, token Deals pull it with transferFrom.
+     * @param _token address The ERC-20 token the Deal is priced in, address(0) for ETH.
+     * @param _value uint The amount the seller will recieve upon Deal completion.
+     * @param _seller address The address that will recieve the value. Should be different than buyer (msg.sender)
+     * @param _sellerDeposit uint The amount the seller has to deposit in order to confirm the Deal.
+     * @param _buyerDeposit uint The amount the buyer deposits along with the value.
+     * @param _deadline uint Time until which the Deal can be completed.
+     * @param _arbiter address Who resolves disputes on the Deal, address(0) for the accounts with ARBITER_ROLE.
+     * @param _termsHash bytes32 Hash of the terms document, e.g. computed with the SDK hashTerms.
+     * @param _metadataURI string Where the terms document can be found, e.g. an IPFS URI.
+    */
+    function createDealWithTermsAsBuyer(address _token, uint _value, address _seller, uint _sellerDeposit, uint _buyerDeposit, uint _deadline, address _arbiter, bytes32 _termsHash, string calldata _metadataURI) external payable onlyDelegated {
+        uint id = _createDeal(_token, _msgSender(), _seller, _value, _sellerDeposit, _buyerDeposit, _deadline, _arbiter, true);
+        _commitTerms(id, _termsHash, _metadataURI);
+        _receive(_token, _value + _buyerDeposit);
+    }
+
+    /**
+     * @dev Same as createDealWithTermsAsBuyer but created by the seller, who only deposits _sellerDeposit.
+     * @param _token address The ERC-20 token the Deal is priced in, address(0) for ETH.
+     * @param _value uint The amount the seller will recieve upon Deal completion.
+     * @param _buyer address The address that will pay the value. Should be different than seller (msg.sender)
+     * @param _sellerDeposit uint The amount the seller deposits.
+     * @param _buyerDeposit uint The amount the buyer has to deposit along with the value to confirm the Deal.
+     * @param _deadline uint Time until which the Deal can be completed.
+     * @param _arbiter address Who resolves disputes on the Deal, address(0) for the accounts with ARBITER_ROLE.
+     * @param _termsHash bytes32 Hash of the terms document, e.g. computed with the SDK hashTerms.
+     * @param _metadataURI string Where the terms document can be found, e.g. an IPFS URI.
+    */
+    function createDealWithTermsAsSeller(address _token, uint _value, address _buyer, uint _sellerDeposit, uint _buyerDeposit, uint _deadline, address _arbiter, bytes32 _termsHash, string calldata _metadataURI) external payable onlyDelegated {
+        uint id = _createDeal(_token, _buyer, _msgSender(), _value, _sellerDeposit, _buyerDeposit, _deadline, _arbiter, false);
+        _commitTerms(id, _termsHash, _metadataURI);
+        _receive(_token, _sellerDeposit);
+    }
+
+    function _commitTerms(uint _id, bytes32 _termsHash, string calldata _metadataURI) private {
+        require(_termsHash != bytes32(0), "Invalid terms hash");
+        termsHashes[_id] = _termsHash;
+        metadataURIs[_id] = _metadataURI;
+        emit DealTermsCommitted(_id, _termsHash, _metadataURI);
+    }
+
+    /******************** MILESTONES ********************/
+
+    /**
+     * @dev Creates a new Deal as a buyer whose value is split into ordered milestones, released
+     * to the seller one at a time with releaseMilestone. The value of the Deal is the sum of the milestones.
+     * For ETH Deals msg.value must be exactly that sum + _buyerDeposit, token Deals pull it with transferFrom.
+     * @param _token address The ERC-20 token the Deal is priced in, address(0) for ETH.
+     * @param _milestones uint[] The amount of each milestone, in release order.
+     * @param _seller address The address that will recieve the milestones. Should be different than buyer (msg.sender)
+     * @param _sellerDeposit uint The amount the seller has to deposit in order to confirm the Deal.
+     * @param _buyerDeposit uint The amount the buyer deposits along with the value.
+     * @param _deadline uint Time until which the Deal can be completed.
+     * @param _arbiter address Who resolves disputes on the Deal, address(0) for the accounts with ARBITER_ROLE.
+    */
+    function createMilestoneDealAsBuyer(address _token, uint[] calldata _milestones, address _seller, uint _sellerDeposit, uint _buyerDeposit, uint _deadline, address _arbiter) external payable onlyDelegated {
+        uint value = _sumMilestones(_milestones);
+        uint id = _createDeal(_token, _msgSender(), _seller, value, _sellerDeposit, _buyerDeposit, _deadline, _arbiter, true);
+        milestones[id] = _milestones;
+        _receive(_token, value + _buyerDeposit);
+    }
+
+    /**
+     * @dev Same as createMilestoneDealAsBuyer but created by the seller, who only deposits _sellerDeposit.
+     * @param _token address The ERC-20 token the Deal is priced in, address(0) for ETH.
+     * @param _milestones uint[] The amount of each milestone, in release order.
+     * @param _buyer address The address that will pay the milestones. Should be different than seller (msg.sender)
+     * @param _sellerDeposit uint The amount the seller deposits.
+     * @param _buyerDeposit uint The amount the buyer has to deposit along with the value to confirm the Deal.
+     * @param _deadline uint Time until which the Deal can be completed.
+     * @param _arbiter address Who resolves disputes on the Deal, address(0) for the accounts with ARBITER_ROLE.
+    */
+    function createMilestoneDealAsSeller(address _token, uint[] calldata _milestones, address _buyer, uint _sellerDeposit, uint _buyerDeposit, uint _deadline, address _arbiter) external payable onlyDelegated {
+        uint value = _sumMilestones(_milestones);
+        uint id = _createDeal(_token, _buyer, _msgSender(), value, _sellerDeposit, _buyerDeposit, _deadline, _arbiter, false);
+        milestones[id] = _milestones;
+        _receive(_token, _sellerDeposit);
+    }
+
+    function _sumMilestones(uint[] calldata _milestones) private pure returns(uint sum) {
+        require(_milestones.length > 0, "Invalid milestones");
+        for (uint i = 0; i < _milestones.length; i++) {
+            require(_milestones[i] > 0, "Invalid milestones");
+            sum += _milestones[i];
+        }
+    }
+
+    /******************** DELIVERY ********************/
+
+    /**
+     * @dev Change the bounds of the inspection period Deals can set, the periods already set are kept,
+     * as are those of Deals already Confirmed.
+     * Only the owner of the contract can call this function.
+     * @param _minPeriod uint Shortest inspection period, in seconds. Deals that don't set one get it.
+     * @param _maxPeriod uint Longest inspection period, in seconds.
+    */
+    function setInspectionPeriodBounds(uint _minPeriod, uint _maxPeriod) external onlyDelegated onlyOwner {
+        require(_minPeriod > 0 && _minPeriod <= _maxPeriod, "Invalid inspection period bounds");
+        minInspectionPeriod = _minPeriod;
+        maxInspectionPeriod = _maxPeriod;
+        emit InspectionPeriodBoundsChanged(_minPeriod, _maxPeriod);
+    }
+
+    /**
+     * @dev Set how long the buyer has to inspect the delivery of a pending Deal, by its creator.
+     * The counterparty accepts it by confirming the Deal with confirmDealWithTerms, passing the same
+     * period, so a period changed right before the confirmation makes it revert. It can't be changed afterwards.
+     * @param _id uint ID of the Turstless Deal.
+     * @param _period uint Inspection period in seconds, within the inspection period bounds.
+    */
+    function setInspectionPeriod(uint _id, uint _period) external onlyDelegated {
+        StoredDeal storage deal = _getDeal(_id);
+        require(_msgSender() == (deal.createdByBuyer ? deal.buyer : deal.seller), "Only the creator can set the inspection period");
+        require(deal.state == State.PendingSellerDeposit || deal.state == State.PendingBuyerDeposit, "Deal can't be renegotiated");
+        require(_period >= minInspectionPeriod && _period <= maxInspectionPeriod, "Invalid inspection period");
+        inspectionPeriods[_id] = _period;
+        emit InspectionPeriodSet(_id, _period);
+    }
+
+    /**
+     * @dev Mark a Confirmed Deal delivered, by its seller, starting the inspection period of the buyer.
+     * The buyer can complete or dispute the Deal until the inspection ends, which must be before the
+     * Deal deadline. From then on anyone can release it with autoRelease, and it can't be expired.
+     * @param _id uint ID of the Turstless Deal.
+    */
+    function markDelivered(uint _id) external onlyDelegated {
+        StoredDeal storage deal = _getDeal(_id);
+        require(_msgSender() == deal.seller, "Only the seller can mark the Deal delivered");
+        require(deal.state == State.Confirmed && inspectionEnds[_id] == 0, "Deal can't be marked delivered");
+        uint period = inspectionPeriods[_id];
+        require(block.timestamp + period <= deal.deadline, "Inspection would end after the deadline");
+        inspectionEnds[_id] = block.timestamp + period;
+        emit DealDelivered(_id, block.timestamp + period);
+    }
+
+    /**
+     * @dev Release a Deal marked delivered once its inspection period ended without the buyer completing
+     * or disputing it. Anyone can call it. The seller gets every milestone not released yet, or the value,
+     * minus the fee the Deal was created with, and both parties get their deposits back, as with completeDeal.
+     * @param _id uint ID of the Turstless Deal.
+    */
+    function autoRelease(uint _id) external onlyDelegated {
+        StoredDeal storage deal = _getDeal(_id);
+        require(deal.state == State.Confirmed && inspectionEnds[_id] != 0, "Deal can't be released");
+        require(block.timestamp > inspectionEnds[_id], "Inspection period hasn't ended");
+        emit DealAutoReleased(_id, _msgSender());
+        _releaseMilestones(_id, deal, type(uint).max);
+    }
+}
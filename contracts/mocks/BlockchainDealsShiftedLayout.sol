@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.9;
+
+import "../BlockchainDeals.sol";
+
+contract ShiftedSlot {
+    uint internal shifted;
+}
+
+/**
+ *  @title BlockchainDealsShiftedLayout
+ *
+ *  BlockchainDeals with a state variable inserted before all of its storage, only meant to
+ *  test that upgrades breaking the storage layout are rejected.
+ *  Set up by the initialize of BlockchainDeals, it has nothing else to initialize.
+ *  @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract BlockchainDealsShiftedLayout is ShiftedSlot, BlockchainDeals {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _extension, address _marketExtension) BlockchainDeals(_extension, _marketExtension) {}
+}
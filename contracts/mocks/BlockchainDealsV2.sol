@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.9;
+
+import "../BlockchainDeals.sol";
+
+/**
+ *  @title BlockchainDealsV2
+ *
+ *  BlockchainDeals with a state variable appended and a new function, only meant to
+ *  test upgrades of the proxy on a local network.
+ *  Set up by the initialize of BlockchainDeals, it has nothing else to initialize.
+ *  @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract BlockchainDealsV2 is BlockchainDeals {
+    uint public upgradeCount;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _extension, address _marketExtension) BlockchainDeals(_extension, _marketExtension) {}
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function countUpgrade() external {
+        upgradeCount++;
+    }
+}
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.9;
+
+/**
+ *  @title MaliciousReceiver
+ *
+ *  Contract account that can take part in Deals and then either reject ETH
+ *  or try to re-enter withdraw(), only meant to test withdrawals on a local network.
+ */
+contract MaliciousReceiver {
+    address public target;
+    bool public rejectEther;
+    bool public reenter;
+
+    constructor(address _target) {
+        target = _target;
+    }
+
+    function setRejectEther(bool _rejectEther) external {
+        rejectEther = _rejectEther;
+    }
+
+    function setReenter(bool _reenter) external {
+        reenter = _reenter;
+    }
+
+    /**
+     * @dev Forwards a call to the target contract, bubbling up its revert reason.
+     * @param _data bytes The encoded function call.
+    */
+    function call(bytes calldata _data) external payable {
+        (bool success, bytes memory result) = target.call{value: msg.value}(_data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    receive() external payable {
+        require(!rejectEther, "Ether rejected");
+        if (reenter) {
+            reenter = false;
+            (bool success, bytes memory result) = target.call(abi.encodeWithSignature("withdraw()"));
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+        }
+    }
+}
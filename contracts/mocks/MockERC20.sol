@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.9;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ *  @title MockERC20
+ *
+ *  ERC-20 token with a public mint, only meant to test token Deals on a local network.
+ */
+contract MockERC20 is ERC20 {
+    uint8 private immutable tokenDecimals;
+
+    constructor(string memory _name, string memory _symbol, uint8 _decimals) ERC20(_name, _symbol) {
+        tokenDecimals = _decimals;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return tokenDecimals;
+    }
+
+    /**
+     * @dev Mint tokens to any address, anyone can call this function.
+     * @param _to address The address that will recieve the tokens.
+     * @param _amount uint The amount of tokens to mint.
+    */
+    function mint(address _to, uint _amount) external {
+        _mint(_to, _amount);
+    }
+}
@@ -0,0 +1,239 @@
+const { Contract } = require("ethers");
+const abi = require("../sdk/abi/BlockchainDeals.json");
+const { STATE_NAMES } = require("../sdk/states");
+const { JsonStore } = require("./jsonStore");
+
+// State every event leaves the Deal in, DealCreated depends on the creator.
+const STATE_BY_EVENT = {
+  DealConfirmed: "Confirmed",
+  DealCancelled: "CancelledByCreator",
+  DealCompleted: "Completed",
+  DealExpired: "Expired",
+  DisputeOpened: "Disputed",
+  DisputeResolved: "Resolved",
+  DealMutuallyCancelled: "MutuallyCancelled",
+};
+
+/**
+ * Rebuilds the Deals of a BlockchainDeals contract from its logs.
+ *
+ * Events from blocks at least `confirmations` deep are folded into a confirmed snapshot, newer
+ * ones are kept apart so a reorg only has to drop them and index again from the confirmed block.
+ */
+class DealIndexer {
+  /**
+   * @param {Object} options
+   * @param {import("ethers").providers.Provider} options.provider
+   * @param {string} options.address Address of the BlockchainDeals contract.
+   * @param {number} [options.startBlock] First block to index, usually the deployment block.
+   * @param {number} [options.confirmations] Depth after which blocks are considered final.
+   * @param {number} [options.batchSize] Max number of blocks per log query.
+   * @param {JsonStore} [options.store]
+   */
+  constructor({ provider, address, startBlock = 0, confirmations = 12, batchSize = 2000, store = new JsonStore() }) {
+    this.provider = provider;
+    this.contract = new Contract(address, abi, provider);
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.store = store;
+    this.state = store.load() || {
+      address,
+      confirmedBlock: startBlock - 1,
+      confirmedHash: null,
+      confirmedDeals: {},
+      headBlock: startBlock - 1,
+      headHash: null,
+      pendingEvents: [],
+    };
+    if (this.state.address.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`The store belongs to ${this.state.address}, not to ${address}`);
+    }
+  }
+
+  /**
+   * Indexes every block up to the latest one, rolling back to the confirmed block first if the
+   * indexed head is no longer part of the chain.
+   * @returns {Promise<{ fromBlock: number, toBlock: number, rolledBack: boolean }>}
+   */
+  async sync() {
+    const rolledBack = await this._rollbackIfReorged();
+    const fromBlock = this.state.headBlock + 1;
+    const latest = await this.provider.getBlockNumber();
+
+    for (let from = fromBlock; from <= latest; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, latest);
+      const logs = await this.provider.getLogs({ address: this.contract.address, fromBlock: from, toBlock: to });
+      // Decoded before any is kept, so a batch that fails halfway is indexed again in full on the next sync.
+      const events = [];
+      for (const log of logs) {
+        const event = this._decode(log);
+        if (event) {
+          events.push(event);
+        }
+      }
+      this.state.pendingEvents.push(...events);
+      this.state.headBlock = to;
+      this.state.headHash = (await this.provider.getBlock(to)).hash;
+    }
+
+    await this._confirm(latest - this.confirmations);
+    this.store.save(this.state);
+    return { fromBlock, toBlock: this.state.headBlock, rolledBack };
+  }
+
+  /**
+   * Syncs every intervalMs until stop is called. Errors are passed to onError and syncing goes on.
+   */
+  start(intervalMs = 5000, onError = console.error) {
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        onError(error);
+      }
+      if (this.timer !== undefined) {
+        this.timer = setTimeout(tick, intervalMs);
+      }
+    };
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Object | undefined} The Deal as of the last indexed block.
+   */
+  getDeal(id) {
+    return this._deals()[id];
+  }
+
+  /**
+   * Deals matching every given filter, sorted by ID. from and to are inclusive
+   * bounds on the creation time, in seconds.
+   * @param {{ buyer?: string, seller?: string, state?: string, from?: number, to?: number }} [filter]
+   */
+  getDeals({ buyer, seller, state, from, to } = {}) {
+    if (state !== undefined && !STATE_NAMES.includes(state)) {
+      throw new Error(`Invalid state: ${state}`);
+    }
+    return Object.values(this._deals())
+      .filter((deal) => buyer === undefined || deal.buyer.toLowerCase() === buyer.toLowerCase())
+      .filter((deal) => seller === undefined || deal.seller.toLowerCase() === seller.toLowerCase())
+      .filter((deal) => state === undefined || deal.state === state)
+      .filter((deal) => from === undefined || deal.creationTime >= from)
+      .filter((deal) => to === undefined || deal.creationTime <= to)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  get headBlock() {
+    return this.state.headBlock;
+  }
+
+  get confirmedBlock() {
+    return this.state.confirmedBlock;
+  }
+
+  _deals() {
+    const deals = structuredClone(this.state.confirmedDeals);
+    for (const event of this.state.pendingEvents) {
+      applyEvent(deals, event);
+    }
+    return deals;
+  }
+
+  async _rollbackIfReorged() {
+    const { headBlock, headHash, confirmedBlock, confirmedHash } = this.state;
+    if (headHash === null || (await this.provider.getBlock(headBlock))?.hash === headHash) {
+      return false;
+    }
+    if (confirmedHash !== null && (await this.provider.getBlock(confirmedBlock))?.hash !== confirmedHash) {
+      throw new Error(`Reorg deeper than ${this.confirmations} confirmations, block ${confirmedBlock} changed`);
+    }
+    this.state.pendingEvents = [];
+    this.state.headBlock = confirmedBlock;
+    this.state.headHash = confirmedHash;
+    return true;
+  }
+
+  // Folds the events of the blocks up to confirmedBlock into the confirmed snapshot.
+  async _confirm(confirmedBlock) {
+    const newConfirmedBlock = Math.min(confirmedBlock, this.state.headBlock);
+    if (newConfirmedBlock <= this.state.confirmedBlock) {
+      return;
+    }
+    const confirmedEvents = this.state.pendingEvents.filter((event) => event.blockNumber <= newConfirmedBlock);
+    for (const event of confirmedEvents) {
+      applyEvent(this.state.confirmedDeals, event);
+    }
+    this.state.pendingEvents = this.state.pendingEvents.filter((event) => event.blockNumber > newConfirmedBlock);
+    this.state.confirmedBlock = newConfirmedBlock;
+    this.state.confirmedHash = (await this.provider.getBlock(newConfirmedBlock)).hash;
+  }
+
+  _decode(log) {
+    let parsed;
+    try {
+      parsed = this.contract.interface.parseLog(log);
+    } catch (error) {
+      return undefined;
+    }
+    if (parsed.name !== "DealCreated" && parsed.name !== "CounterOfferAccepted" && !STATE_BY_EVENT[parsed.name]) {
+      return undefined;
+    }
+    const event = {
+      name: parsed.name,
+      id: parsed.args.id.toNumber(),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+    };
+    if (parsed.name === "DealCreated") {
+      // The event carries every field set on creation, so no state is read and any node can be
+      // indexed, not only archive ones. Amounts only change when a counter-offer is accepted, and
+      // that event carries the new ones.
+      const { args } = parsed;
+      event.deal = {
+        id: event.id,
+        buyer: args.buyer,
+        seller: args.seller,
+        creator: args.createdByBuyer ? "buyer" : "seller",
+        value: args.value.toString(),
+        buyerDeposit: args.buyerDeposit.toString(),
+        sellerDeposit: args.sellerDeposit.toString(),
+        creationTime: args.creationTime.toNumber(),
+        deadline: args.deadline.toNumber(),
+        arbiter: args.arbiter,
+        token: args.token,
+        fee: args.fee.toNumber(),
+      };
+    } else if (parsed.name === "CounterOfferAccepted") {
+      event.terms = {
+        value: parsed.args.value.toString(),
+        buyerDeposit: parsed.args.buyerDeposit.toString(),
+        sellerDeposit: parsed.args.sellerDeposit.toString(),
+      };
+    }
+    return event;
+  }
+}
+
+function applyEvent(deals, event) {
+  if (event.name === "DealCreated") {
+    deals[event.id] = {
+      ...event.deal,
+      state: event.deal.creator === "buyer" ? "PendingSellerDeposit" : "PendingBuyerDeposit",
+      updatedBlock: event.blockNumber,
+    };
+  } else if (deals[event.id] && event.terms) {
+    Object.assign(deals[event.id], event.terms, { updatedBlock: event.blockNumber });
+  } else if (deals[event.id]) {
+    deals[event.id].state = STATE_BY_EVENT[event.name];
+    deals[event.id].updatedBlock = event.blockNumber;
+  }
+}
+
+module.exports = { DealIndexer };
@@ -0,0 +1,5 @@
+const { DealIndexer } = require("./dealIndexer");
+const { JsonStore } = require("./jsonStore");
+const { createServer } = require("./server");
+
+module.exports = { DealIndexer, JsonStore, createServer };
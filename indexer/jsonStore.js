@@ -0,0 +1,29 @@
+const fs = require("fs");
+
+/**
+ * Keeps the indexer state in a JSON file, or in memory when no path is given.
+ */
+class JsonStore {
+  constructor(path) {
+    this.path = path;
+    this.state = undefined;
+  }
+
+  load() {
+    if (this.path && fs.existsSync(this.path)) {
+      this.state = JSON.parse(fs.readFileSync(this.path, "utf8"));
+    }
+    return this.state;
+  }
+
+  save(state) {
+    this.state = state;
+    if (this.path) {
+      // Write then rename so a crash never leaves a half written store.
+      fs.writeFileSync(`${this.path}.tmp`, JSON.stringify(state));
+      fs.renameSync(`${this.path}.tmp`, this.path);
+    }
+  }
+}
+
+module.exports = { JsonStore };
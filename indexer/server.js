@@ -0,0 +1,43 @@
+const http = require("http");
+
+/**
+ * Serves the indexed Deals as JSON:
+ *   GET /deals?buyer=&seller=&state=&from=&to=
+ *   GET /deals/:id
+ *   GET /status
+ */
+function createServer(indexer) {
+  return http.createServer((request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    const send = (status, body) => {
+      response.writeHead(status, { "Content-Type": "application/json" });
+      response.end(JSON.stringify(body));
+    };
+
+    try {
+      if (url.pathname === "/status") {
+        return send(200, { headBlock: indexer.headBlock, confirmedBlock: indexer.confirmedBlock });
+      }
+      if (url.pathname === "/deals") {
+        const query = Object.fromEntries(url.searchParams);
+        return send(200, indexer.getDeals({
+          buyer: query.buyer,
+          seller: query.seller,
+          state: query.state,
+          from: query.from === undefined ? undefined : Number(query.from),
+          to: query.to === undefined ? undefined : Number(query.to),
+        }));
+      }
+      const match = /^\/deals\/(\d+)$/.exec(url.pathname);
+      if (match) {
+        const deal = indexer.getDeal(Number(match[1]));
+        return deal ? send(200, deal) : send(404, { error: "Deal not found" });
+      }
+      return send(404, { error: "Not found" });
+    } catch (error) {
+      return send(400, { error: error.message });
+    }
+  });
+}
+
+module.exports = { createServer };
@@ -6,15 +6,9 @@
 // global scope, and execute the script.
 const hre = require("hardhat");
 
+// Set FORCE_DEPLOY=true to redeploy over the deployment recorded for the network.
 async function main() {
-  const BlockchainDeals = await hre.ethers.getContractFactory("BlockchainDeals");
-  const blockchainDeals = await BlockchainDeals.deploy();
-
-  await blockchainDeals.deployed();
-
-  console.log(
-    `BlockchainDeal deployed to ${blockchainDeals.address}`
-  );
+  await hre.run("deploy", { force: process.env.FORCE_DEPLOY === "true" });
 }
 
 // We recommend this pattern to be able to use async/await everywhere
@@ -0,0 +1,22 @@
+// Copies the BlockchainDeals ABI from the compiled artifacts into the SDK.
+// Run with `npm run export-abi` after changing the contract interface.
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+async function main() {
+  await hre.run("compile");
+  const { abi } = await hre.artifacts.readArtifact("BlockchainDeals");
+  const abiPath = path.join(hre.config.paths.root, "sdk", "abi", "BlockchainDeals.json");
+
+  fs.mkdirSync(path.dirname(abiPath), { recursive: true });
+  fs.writeFileSync(abiPath, `${JSON.stringify(abi, null, 2)}\n`);
+  console.log(`ABI written to ${abiPath}`);
+}
+
+// We recommend this pattern to be able to use async/await everywhere
+// and properly handle errors.
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,37 @@
+// Follows the BlockchainDeals deployment recorded for the network and serves the indexed Deals over HTTP.
+// Run with `npx hardhat run scripts/indexer.js --network <network>`, configured through:
+//   INDEXER_STORE          JSON file the indexer state is kept in (default indexer-<network>.json)
+//   INDEXER_START_BLOCK    first block to index (default the deployment block)
+//   INDEXER_CONFIRMATIONS  depth after which blocks are considered final (default 12)
+//   INDEXER_PORT           port of the query API (default 3001)
+const hre = require("hardhat");
+const { getDeployment } = require("./registry");
+const { DealIndexer, JsonStore, createServer } = require("../indexer");
+
+async function main() {
+  const deployment = await getDeployment(hre, "BlockchainDeals");
+  if (!deployment) {
+    throw new Error(`No BlockchainDeals deployment recorded for ${hre.network.name}`);
+  }
+
+  const indexer = new DealIndexer({
+    provider: hre.ethers.provider,
+    address: deployment.address,
+    startBlock: Number(process.env.INDEXER_START_BLOCK || deployment.blockNumber),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 12),
+    store: new JsonStore(process.env.INDEXER_STORE || `indexer-${hre.network.name}.json`),
+  });
+  const port = Number(process.env.INDEXER_PORT || 3001);
+
+  indexer.start();
+  createServer(indexer).listen(port, () => {
+    console.log(`Indexing ${deployment.address} on ${hre.network.name}, query API on http://localhost:${port}/deals`);
+  });
+}
+
+// We recommend this pattern to be able to use async/await everywhere
+// and properly handle errors.
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
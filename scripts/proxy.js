@@ -0,0 +1,62 @@
+// Deploys and upgrades BlockchainDeals behind a transparent proxy. Every implementation
+// delegates part of its functions to its own BlockchainDealsExtension and BlockchainDealsMarket,
+// deployed first and passed to its constructor, so an upgrade deploys all three.
+
+const PROXY_OPTIONS = { kind: "transparent" };
+
+// Constructor arguments of a new implementation, the addresses of its newly deployed extensions.
+async function deployExtensions(hre) {
+  const addresses = [];
+  for (const name of ["BlockchainDealsExtension", "BlockchainDealsMarket"]) {
+    const factory = await hre.ethers.getContractFactory(name);
+    const extension = await factory.deploy();
+    await extension.deployed();
+    addresses.push(extension.address);
+  }
+  return addresses;
+}
+
+/**
+ * Deploys a BlockchainDeals proxy and initializes it, the signer becomes its owner.
+ * The signer also owns the ProxyAdmin that can upgrade it.
+ */
+async function deployBlockchainDeals(hre) {
+  const constructorArgs = await deployExtensions(hre);
+  const BlockchainDeals = await hre.ethers.getContractFactory("BlockchainDeals");
+  const blockchainDeals = await hre.upgrades.deployProxy(BlockchainDeals, [], {
+    ...PROXY_OPTIONS,
+    constructorArgs,
+  });
+  await blockchainDeals.deployed();
+  return blockchainDeals;
+}
+
+/**
+ * Checks that contractName can replace the implementation behind proxyAddress: it must be
+ * upgrade safe and keep the storage layout of the current implementation. Throws otherwise.
+ */
+async function validateBlockchainDealsUpgrade(hre, proxyAddress, contractName = "BlockchainDeals") {
+  const factory = await hre.ethers.getContractFactory(contractName);
+  await hre.upgrades.validateUpgrade(proxyAddress, factory, {
+    ...PROXY_OPTIONS,
+    constructorArgs: [hre.ethers.constants.AddressZero, hre.ethers.constants.AddressZero],
+  });
+}
+
+/**
+ * Validates and upgrades the proxy at proxyAddress to contractName, with new extensions.
+ * The proxy keeps its address, its storage and its balance.
+ */
+async function upgradeBlockchainDeals(hre, proxyAddress, contractName = "BlockchainDeals") {
+  await validateBlockchainDealsUpgrade(hre, proxyAddress, contractName);
+  const constructorArgs = await deployExtensions(hre);
+  const factory = await hre.ethers.getContractFactory(contractName);
+  const blockchainDeals = await hre.upgrades.upgradeProxy(proxyAddress, factory, {
+    ...PROXY_OPTIONS,
+    constructorArgs,
+  });
+  await blockchainDeals.deployed();
+  return blockchainDeals;
+}
+
+module.exports = { deployBlockchainDeals, validateBlockchainDealsUpgrade, upgradeBlockchainDeals };
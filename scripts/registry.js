@@ -0,0 +1,81 @@
+// Deployment registry shared by the scripts and the tasks. Deployments are recorded to
+// deployments.json keyed by "<network name>-<chainId>", then by contract name.
+const fs = require("fs");
+const path = require("path");
+
+function getRegistryPath(hre) {
+  return process.env.DEPLOYMENTS_REGISTRY || path.join(hre.config.paths.root, "deployments.json");
+}
+
+function readRegistry(hre) {
+  const registryPath = getRegistryPath(hre);
+  if (!fs.existsSync(registryPath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(registryPath, "utf8"));
+}
+
+function writeRegistry(hre, registry) {
+  fs.writeFileSync(getRegistryPath(hre), `${JSON.stringify(registry, null, 2)}\n`);
+}
+
+async function getNetworkKey(hre) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return `${hre.network.name}-${chainId}`;
+}
+
+async function getDeployment(hre, name) {
+  const registry = readRegistry(hre);
+  const networkKey = await getNetworkKey(hre);
+  return registry[networkKey]?.[name];
+}
+
+/**
+ * Resolves a contract address from an address or a deployment name
+ * recorded for the network hre is connected to.
+ */
+async function resolveAddress(hre, addressOrName) {
+  if (hre.ethers.utils.isAddress(addressOrName)) {
+    return addressOrName;
+  }
+  const deployment = await getDeployment(hre, addressOrName);
+  if (!deployment) {
+    throw new Error(`No ${addressOrName} deployment recorded for ${await getNetworkKey(hre)} in ${getRegistryPath(hre)}`);
+  }
+  return deployment.address;
+}
+
+/**
+ * Throws if name is already deployed on the network, unless force is set. Entries without
+ * code on chain (e.g. a restarted local node) are considered stale and can be replaced.
+ */
+async function checkNotDeployed(hre, name, { force = false } = {}) {
+  const existing = await getDeployment(hre, name);
+
+  if (existing && !force && (await hre.ethers.provider.getCode(existing.address)) !== "0x") {
+    throw new Error(`${name} is already deployed to ${existing.address} on ${await getNetworkKey(hre)}, force the deployment to replace it`);
+  }
+}
+
+/**
+ * Records the deployment of name for the network, replacing the previous entry.
+ */
+async function recordDeployment(hre, name, deployment) {
+  const networkKey = await getNetworkKey(hre);
+  const registry = readRegistry(hre);
+  registry[networkKey] = {
+    ...registry[networkKey],
+    [name]: deployment,
+  };
+  writeRegistry(hre, registry);
+}
+
+module.exports = {
+  getRegistryPath,
+  readRegistry,
+  getNetworkKey,
+  getDeployment,
+  resolveAddress,
+  checkNotDeployed,
+  recordDeployment,
+};
@@ -0,0 +1,23 @@
+// We require the Hardhat Runtime Environment explicitly here. This is optional
+// but useful for running the script in a standalone fashion through `node <script>`.
+//
+// You can also run a script with `npx hardhat run <script>`. If you do that, Hardhat
+// will compile your contracts, add the Hardhat Runtime Environment's members to the
+// global scope, and execute the script.
+const hre = require("hardhat");
+
+// Set UPGRADE_IMPLEMENTATION to upgrade to a contract other than BlockchainDeals and
+// VALIDATE_ONLY=true to only check the storage layout of the new implementation.
+async function main() {
+  await hre.run("upgrade", {
+    implementation: process.env.UPGRADE_IMPLEMENTATION || "BlockchainDeals",
+    validateOnly: process.env.VALIDATE_ONLY === "true",
+  });
+}
+
+// We recommend this pattern to be able to use async/await everywhere
+// and properly handle errors.
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,14 +1,13 @@
 const hre = require("hardhat");
-const SEPOLIA_CONTRACT_ADDRESS = '0xE35E7d9a4b8e01869ca2789dA9f7feB1457C8Ee4';
-async function main() {
-  const blockchainDeals = await hre.ethers.getContractAt("BlockchainDeals", SEPOLIA_CONTRACT_ADDRESS);
-  const tx = await blockchainDeals.withdrawFeeEarnings();
-
-  console.log(
-    `Funds withdrawn: ${tx}`
-  );
 
-  console.log(JSON.stringify(tx, null, 4));
+// Withdraws the fee earnings with the admin:withdraw task. Set WITHDRAW_TOKEN to withdraw the
+// earnings of an ERC-20 token, and WITHDRAW_TO and WITHDRAW_AMOUNT for a partial withdrawal.
+async function main() {
+  await hre.run("admin:withdraw", {
+    token: process.env.WITHDRAW_TOKEN,
+    to: process.env.WITHDRAW_TO,
+    amount: process.env.WITHDRAW_AMOUNT,
+  });
 }
 
 // We recommend this pattern to be able to use async/await everywhere
@@ -0,0 +1,587 @@
+const { Contract, constants } = require("ethers");
+const abi = require("./abi/BlockchainDeals.json");
+const { STATE_NAMES } = require("./states");
+const { DealNotConfirmableError, DealNotCancellableError, InvalidStateError, toBlockchainDealsError } = require("./errors");
+const { signOffer } = require("./offers");
+const { buildCall, getCallsValue } = require("./multicall");
+const { hashTerms, verifyTerms } = require("./terms");
+
+/**
+ * @typedef {import("ethers").BigNumber} BigNumber
+ * @typedef {import("ethers").BigNumberish} BigNumberish
+ * @typedef {import("ethers").Signer} Signer
+ * @typedef {import("ethers").providers.Provider} Provider
+ * @typedef {import("ethers").ContractReceipt} ContractReceipt
+ *
+ * @typedef {Object} Deal
+ * @property {number} id
+ * @property {string} buyer
+ * @property {string} seller
+ * @property {"buyer" | "seller"} creator
+ * @property {BigNumber} value
+ * @property {BigNumber} buyerDeposit
+ * @property {BigNumber} sellerDeposit
+ * @property {number} creationTime Unix timestamp in seconds.
+ * @property {number} deadline Unix timestamp in seconds.
+ * @property {string} arbiter address(0) when the accounts with the arbiter role arbitrate.
+ * @property {string} token address(0) for ETH Deals.
+ * @property {number} fee Fee the Deal was created with, in hundredths of a percent of the value.
+ * @property {string} state Name of the State enum value, e.g. "Confirmed".
+ *
+ * @typedef {Object} DealTerms
+ * @property {BigNumberish} value Amount the seller receives upon completion.
+ * @property {BigNumberish} buyerDeposit
+ * @property {BigNumberish} sellerDeposit
+ * @property {number} deadline Unix timestamp in seconds.
+ * @property {string} [arbiter] Defaults to address(0), the accounts with the arbiter role.
+ * @property {string} [token] ERC-20 token the Deal is priced in, ETH if not set.
+ * @property {import("./terms").TermsDocument} [terms] Terms document the Deal commits to, by its hash.
+ * @property {string} [metadataURI] Where the terms document can be found, only stored along with terms.
+ *
+ * @typedef {Object} CreatedDeal
+ * @property {number} id
+ * @property {ContractReceipt} receipt
+ *
+ * @typedef {Object} Listing
+ * @property {number} id
+ * @property {string} seller
+ * @property {number} deadline Unix timestamp in seconds, units can't be taken after it.
+ * @property {number} units Units left to take, 0 once taken or cancelled.
+ * @property {string} arbiter
+ * @property {string} token address(0) for ETH listings.
+ * @property {BigNumber} value
+ * @property {BigNumber} buyerDeposit
+ * @property {BigNumber} sellerDeposit Deposited by the seller for each unit.
+ */
+
+/**
+ * Client for a BlockchainDeals contract. Computes the ETH every call has to send
+ * and throws the BlockchainDealsError subclass matching the revert string on failure.
+ */
+class BlockchainDealsClient {
+  /**
+   * @param {string} address Address of the BlockchainDeals contract.
+   * @param {Signer | Provider} signerOrProvider A signer is needed to send transactions.
+   */
+  constructor(address, signerOrProvider) {
+    this.contract = new Contract(address, abi, signerOrProvider);
+  }
+
+  get address() {
+    return this.contract.address;
+  }
+
+  /**
+   * Returns a client for the same contract sending transactions from signer.
+   * @param {Signer} signer
+   * @returns {BlockchainDealsClient}
+   */
+  connect(signer) {
+    return new BlockchainDealsClient(this.contract.address, signer);
+  }
+
+  /**
+   * Creates a Deal as its buyer with the given seller, sending value + buyerDeposit for ETH Deals.
+   * Token Deals need the contract to be approved for value + buyerDeposit beforehand.
+   * With a terms document the seller has to pass the same document to confirm.
+   * @param {DealTerms & { seller: string }} terms
+   * @returns {Promise<CreatedDeal>}
+   */
+  async createAsBuyer({ seller, value, buyerDeposit, sellerDeposit, deadline, arbiter = constants.AddressZero, token, terms, metadataURI = "" }) {
+    const overrides = { value: token ? 0 : constants.Zero.add(value).add(buyerDeposit) };
+    let receipt;
+    if (terms !== undefined) {
+      receipt = await this._send("createDealWithTermsAsBuyer", [
+        token || constants.AddressZero, value, seller, sellerDeposit, buyerDeposit, deadline, arbiter, hashTerms(terms), metadataURI,
+      ], overrides);
+    } else {
+      receipt = token
+        ? await this._send("createTokenDealAsBuyer", [token, value, seller, sellerDeposit, buyerDeposit, deadline, arbiter])
+        : await this._send("createDealAsBuyer", [value, seller, sellerDeposit, buyerDeposit, deadline, arbiter], overrides);
+    }
+    return { id: this._createdDealId(receipt), receipt };
+  }
+
+  /**
+   * Creates a Deal as its seller with the given buyer, sending sellerDeposit for ETH Deals.
+   * Token Deals need the contract to be approved for sellerDeposit beforehand.
+   * With a terms document the buyer has to pass the same document to confirm.
+   * @param {DealTerms & { buyer: string }} terms
+   * @returns {Promise<CreatedDeal>}
+   */
+  async createAsSeller({ buyer, value, buyerDeposit, sellerDeposit, deadline, arbiter = constants.AddressZero, token, terms, metadataURI = "" }) {
+    const overrides = { value: token ? 0 : sellerDeposit };
+    let receipt;
+    if (terms !== undefined) {
+      receipt = await this._send("createDealWithTermsAsSeller", [
+        token || constants.AddressZero, value, buyer, sellerDeposit, buyerDeposit, deadline, arbiter, hashTerms(terms), metadataURI,
+      ], overrides);
+    } else {
+      receipt = token
+        ? await this._send("createTokenDealAsSeller", [token, value, buyer, sellerDeposit, buyerDeposit, deadline, arbiter])
+        : await this._send("createDealAsSeller", [value, buyer, sellerDeposit, buyerDeposit, deadline, arbiter], overrides);
+    }
+    return { id: this._createdDealId(receipt), receipt };
+  }
+
+  /**
+   * Creates several Deals as their seller in one transaction, sending the sum of the seller
+   * deposits for ETH Deals. Token Deals need the contract to be approved for that sum beforehand.
+   * @param {Array<Omit<DealTerms, "token"> & { buyer: string }>} deals
+   * @param {string} [token] ERC-20 token all the Deals are priced in, ETH if not set.
+   * @returns {Promise<{ ids: number[], receipt: ContractReceipt }>}
+   */
+  async createManyAsSeller(deals, token) {
+    const params = deals.map(({ buyer, value, buyerDeposit, sellerDeposit, deadline, arbiter = constants.AddressZero }) => ({
+      buyer,
+      value,
+      sellerDeposit,
+      buyerDeposit,
+      deadline,
+      arbiter,
+    }));
+    const receipt = token
+      ? await this._send("createTokenDealsAsSeller", [token, params])
+      : await this._send("createDealsAsSeller", [params], {
+          value: deals.reduce((total, deal) => total.add(deal.sellerDeposit), constants.Zero),
+        });
+    return { ids: this._createdDealIds(receipt), receipt };
+  }
+
+  /**
+   * Runs several calls in one transaction, all of them or none, sending the sum of their values.
+   * @param {import("./multicall").Call[]} calls Built with buildCall.
+   * @returns {Promise<ContractReceipt>}
+   */
+  async multicall(calls) {
+    return this._send("multicall", [calls], { value: getCallsValue(calls) });
+  }
+
+  /**
+   * Completes several Confirmed Deals as their buyer in one transaction.
+   * @param {BigNumberish[]} ids
+   * @returns {Promise<ContractReceipt>}
+   */
+  async completeMany(ids) {
+    return this.multicall(ids.map((id) => buildCall("completeDeal", [id])));
+  }
+
+  /**
+   * Cancels several pending Deals as their creator in one transaction.
+   * @param {BigNumberish[]} ids
+   * @returns {Promise<ContractReceipt>}
+   */
+  async cancelMany(ids) {
+    const calls = [];
+    for (const id of ids) {
+      const deal = await this.getDeal(id);
+      if (deal.state === "PendingSellerDeposit") {
+        calls.push(buildCall("buyerCancelDeal", [id]));
+      } else if (deal.state === "PendingBuyerDeposit") {
+        calls.push(buildCall("sellerCancelDeal", [id]));
+      } else {
+        throw new DealNotCancellableError("Deal can't be cancelled");
+      }
+    }
+    return this.multicall(calls);
+  }
+
+  /**
+   * Confirms a pending Deal as its counterparty, sending the deposit it is waiting for.
+   * Deals created with a terms document need it, the confirmation acknowledges its hash.
+   * Deals whose creator set an inspection period need it too, so it can't be changed right before.
+   * @param {BigNumberish} id
+   * @param {{ terms?: import("./terms").TermsDocument, inspectionPeriod?: BigNumberish }} [options]
+   * @returns {Promise<ContractReceipt>}
+   */
+  async confirm(id, { terms, inspectionPeriod } = {}) {
+    const deal = await this.getDeal(id);
+    const isTokenDeal = deal.token !== constants.AddressZero;
+
+    if (terms !== undefined || inspectionPeriod !== undefined) {
+      const deposit = deal.state === "PendingBuyerDeposit" ? deal.value.add(deal.buyerDeposit) : deal.sellerDeposit;
+      const termsHash = terms !== undefined ? hashTerms(terms) : constants.HashZero;
+      return this._send("confirmDealWithTerms", [id, termsHash, inspectionPeriod || 0], { value: isTokenDeal ? 0 : deposit });
+    }
+    if (deal.state === "PendingSellerDeposit") {
+      return isTokenDeal
+        ? this._send("sellerConfirmTokenDeal", [id])
+        : this._send("sellerConfirmDeal", [id], { value: deal.sellerDeposit });
+    }
+    if (deal.state === "PendingBuyerDeposit") {
+      return isTokenDeal
+        ? this._send("buyerConfirmTokenDeal", [id])
+        : this._send("buyerConfirmDeal", [id], { value: deal.value.add(deal.buyerDeposit) });
+    }
+    throw new DealNotConfirmableError("Deal can't be confirmed");
+  }
+
+  /**
+   * Cancels a pending Deal as its creator.
+   * @param {BigNumberish} id
+   * @returns {Promise<ContractReceipt>}
+   */
+  async cancel(id) {
+    const deal = await this.getDeal(id);
+
+    if (deal.state === "PendingSellerDeposit") {
+      return this._send("buyerCancelDeal", [id]);
+    }
+    if (deal.state === "PendingBuyerDeposit") {
+      return this._send("sellerCancelDeal", [id]);
+    }
+    throw new DealNotCancellableError("Deal can't be cancelled");
+  }
+
+  /**
+   * Completes a Confirmed Deal as its buyer.
+   * @param {BigNumberish} id
+   * @returns {Promise<ContractReceipt>}
+   */
+  async complete(id) {
+    return this._send("completeDeal", [id]);
+  }
+
+  /**
+   * Proposes new terms for a pending Deal as its counterparty, replacing any previous counter-offer.
+   * @param {BigNumberish} id
+   * @param {{ value: BigNumberish, buyerDeposit: BigNumberish, sellerDeposit: BigNumberish }} terms
+   * @returns {Promise<ContractReceipt>}
+   */
+  async proposeCounterOffer(id, { value, buyerDeposit, sellerDeposit }) {
+    return this._send("proposeCounterOffer", [id, value, buyerDeposit, sellerDeposit]);
+  }
+
+  /**
+   * Accepts the current counter-offer of a pending Deal as its creator, sending the top-up
+   * it owes for ETH Deals. Token Deals need the contract to be approved for it beforehand.
+   * @param {BigNumberish} id
+   * @returns {Promise<ContractReceipt>}
+   */
+  async acceptCounterOffer(id) {
+    const deal = await this.getDeal(id);
+    const terms = await this.getCounterOffer(id);
+    if (!terms) {
+      throw new InvalidStateError("No counter-offer proposed");
+    }
+    const createdByBuyer = deal.state === "PendingSellerDeposit";
+    const held = createdByBuyer ? deal.value.add(deal.buyerDeposit) : deal.sellerDeposit;
+    const owed = createdByBuyer ? terms.value.add(terms.buyerDeposit) : terms.sellerDeposit;
+    const topUp = deal.token === constants.AddressZero && owed.gt(held) ? owed.sub(held) : constants.Zero;
+    return this._send("acceptCounterOffer", [id, terms.value, terms.buyerDeposit, terms.sellerDeposit], { value: topUp });
+  }
+
+  /**
+   * @param {BigNumberish} id
+   * @returns {Promise<{ value: BigNumber, buyerDeposit: BigNumber, sellerDeposit: BigNumber } | undefined>}
+   */
+  async getCounterOffer(id) {
+    const { value, buyerDeposit, sellerDeposit } = await this._call("counterOffers", [id]);
+    return value.isZero() ? undefined : { value, buyerDeposit, sellerDeposit };
+  }
+
+  /**
+   * Proposes to cancel a Confirmed Deal as its buyer or seller, the other party has to accept it.
+   * @param {BigNumberish} id
+   * @returns {Promise<ContractReceipt>}
+   */
+  async proposeCancellation(id) {
+    return this._send("proposeCancellation", [id]);
+  }
+
+  /**
+   * Accepts the cancellation proposed by the other party, refunding the value and both deposits.
+   * @param {BigNumberish} id
+   * @returns {Promise<ContractReceipt>}
+   */
+  async acceptCancellation(id) {
+    return this._send("acceptCancellation", [id]);
+  }
+
+  /**
+   * Takes back a cancellation proposal made by the signer of this client.
+   * @param {BigNumberish} id
+   * @returns {Promise<ContractReceipt>}
+   */
+  async withdrawCancellation(id) {
+    return this._send("withdrawCancellation", [id]);
+  }
+
+  /**
+   * Releases the next milestone of a Confirmed Deal as its buyer. Deals paid at once have a single milestone.
+   * @param {BigNumberish} id
+   * @returns {Promise<ContractReceipt>}
+   */
+  async releaseMilestone(id) {
+    return this._send("releaseMilestone", [id]);
+  }
+
+  /**
+   * @param {BigNumberish} id
+   * @returns {Promise<{ amounts: BigNumber[], released: number }>}
+   */
+  async getMilestones(id) {
+    const { amounts, released } = await this._call("getMilestones", [id]);
+    return { amounts, released: released.toNumber() };
+  }
+
+  /**
+   * Sets how long the buyer has to inspect the delivery of a pending Deal, as its creator.
+   * @param {BigNumberish} id
+   * @param {BigNumberish} period Seconds, within the bounds of the contract.
+   * @returns {Promise<ContractReceipt>}
+   */
+  async setInspectionPeriod(id, period) {
+    return this._send("setInspectionPeriod", [id, period]);
+  }
+
+  /**
+   * Marks a Confirmed Deal delivered as its seller, starting the inspection period of the buyer.
+   * @param {BigNumberish} id
+   * @returns {Promise<ContractReceipt>}
+   */
+  async markDelivered(id) {
+    return this._send("markDelivered", [id]);
+  }
+
+  /**
+   * Releases a delivered Deal to its seller once the inspection period ended. Anyone can call it.
+   * @param {BigNumberish} id
+   * @returns {Promise<ContractReceipt>}
+   */
+  async autoRelease(id) {
+    return this._send("autoRelease", [id]);
+  }
+
+  /**
+   * Retrieves the inspection period of a Deal, in seconds, and the timestamp its inspection ends
+   * at, undefined until the seller marks it delivered.
+   * @param {BigNumberish} id
+   * @returns {Promise<{ period: number, end: number | undefined }>}
+   */
+  async getInspection(id) {
+    const { period, end } = await this._call("getInspection", [id]);
+    return { period: period.toNumber(), end: end.isZero() ? undefined : end.toNumber() };
+  }
+
+  /**
+   * Signs an offer as its creator, the signer of this client.
+   * @param {import("./offers").Offer} offer
+   * @returns {Promise<string>}
+   */
+  async signOffer(offer) {
+    return signOffer(this.contract.signer, this.contract.address, offer);
+  }
+
+  /**
+   * Accepts an offer as its counterparty, sending the counterparty deposit for ETH offers.
+   * The resulting Deal is already Confirmed.
+   * @param {import("./offers").Offer} offer
+   * @param {string} signature The creator signature.
+   * @returns {Promise<CreatedDeal>}
+   */
+  async acceptOffer(offer, signature) {
+    const counterpartyShare = offer.creatorIsBuyer
+      ? constants.Zero.add(offer.sellerDeposit)
+      : constants.Zero.add(offer.value).add(offer.buyerDeposit);
+    const isTokenOffer = offer.token !== constants.AddressZero;
+    const receipt = await this._send("acceptOffer", [offer, signature], { value: isTokenOffer ? 0 : counterpartyShare });
+    return { id: this._createdDealId(receipt), receipt };
+  }
+
+  /**
+   * Cancels an offer signed by the signer of this client.
+   * @param {BigNumberish} nonce
+   * @returns {Promise<ContractReceipt>}
+   */
+  async cancelOffer(nonce) {
+    return this._send("cancelOffer", [nonce]);
+  }
+
+  /**
+   * Lists units of a Deal as their seller, any buyer can take them. Sends the seller deposit of
+   * every unit for ETH listings, token listings need the contract to be approved for it beforehand.
+   * @param {DealTerms & { units?: number }} terms units defaults to 1.
+   * @returns {Promise<{ id: number, receipt: ContractReceipt }>}
+   */
+  async createListing({ value, buyerDeposit, sellerDeposit, deadline, arbiter = constants.AddressZero, token = constants.AddressZero, units = 1 }) {
+    const isTokenListing = token !== constants.AddressZero;
+    const receipt = await this._send("createListing", [token, value, sellerDeposit, buyerDeposit, deadline, arbiter, units], {
+      value: isTokenListing ? 0 : constants.Zero.add(sellerDeposit).mul(units),
+    });
+    const id = receipt.events.find((event) => event.event === "ListingCreated").args.id.toNumber();
+    return { id, receipt };
+  }
+
+  /**
+   * Takes a unit of a listing as its buyer, sending value + buyerDeposit for ETH listings.
+   * Token listings need the contract to be approved for them beforehand. The Deal is already Confirmed.
+   * @param {BigNumberish} id ID of the listing.
+   * @returns {Promise<CreatedDeal>}
+   */
+  async takeListing(id) {
+    const listing = await this.getListing(id);
+    const isTokenListing = listing.token !== constants.AddressZero;
+    const receipt = await this._send("takeListing", [id], { value: isTokenListing ? 0 : listing.value.add(listing.buyerDeposit) });
+    return { id: this._createdDealId(receipt), receipt };
+  }
+
+  /**
+   * Cancels the units left of a listing of the signer, their deposits are credited to it.
+   * @param {BigNumberish} id
+   * @returns {Promise<ContractReceipt>}
+   */
+  async cancelListing(id) {
+    return this._send("cancelListing", [id]);
+  }
+
+  /**
+   * @param {BigNumberish} id
+   * @returns {Promise<Listing>}
+   */
+  async getListing(id) {
+    return decodeListing(id, await this._call("getListingById", [id]));
+  }
+
+  /**
+   * Retrieves a page of the listings that can be taken now, in creation order.
+   * @param {number} [offset]
+   * @param {number} [limit]
+   * @returns {Promise<Listing[]>}
+   */
+  async getOpenListings(offset = 0, limit = 100) {
+    const ids = await this._call("getOpenListingIds", [offset, limit]);
+    return Promise.all(ids.map((id) => this.getListing(id)));
+  }
+
+  /**
+   * Adds ETH to the signer balance in the contract, it backs the ETH offers the signer creates.
+   * @param {BigNumberish} amount
+   * @returns {Promise<ContractReceipt>}
+   */
+  async depositFunds(amount) {
+    return this._send("depositFunds", [], { value: amount });
+  }
+
+  /**
+   * Withdraws the funds credited to the signer by settled Deals.
+   * @param {string} [token] ERC-20 token to withdraw, ETH if not set.
+   * @returns {Promise<ContractReceipt>}
+   */
+  async withdraw(token) {
+    return token ? this._send("withdrawToken", [token]) : this._send("withdraw", []);
+  }
+
+  /**
+   * @param {BigNumberish} id
+   * @returns {Promise<Deal>}
+   */
+  async getDeal(id) {
+    return decodeDeal(await this._call("getDealById", [id]));
+  }
+
+  /**
+   * Retrieves the terms a Deal was created with, termsHash is bytes32(0) if it has none.
+   * @param {BigNumberish} id
+   * @returns {Promise<{ termsHash: string, metadataURI: string }>}
+   */
+  async getDealTerms(id) {
+    const { termsHash, metadataURI } = await this._call("getDealTerms", [id]);
+    return { termsHash, metadataURI };
+  }
+
+  /**
+   * Checks a local terms document against the hash a Deal was created with.
+   * @param {BigNumberish} id
+   * @param {import("./terms").TermsDocument} document
+   * @returns {Promise<{ valid: boolean, termsHash: string, documentHash: string, metadataURI: string }>}
+   */
+  async verifyDealTerms(id, document) {
+    const { termsHash, metadataURI } = await this.getDealTerms(id);
+    return { valid: verifyTerms(document, termsHash), termsHash, documentHash: hashTerms(document), metadataURI };
+  }
+
+  /**
+   * @returns {Promise<number>}
+   */
+  async getDealCount() {
+    return (await this._call("getDealCount", [])).toNumber();
+  }
+
+  /**
+   * Whether new Deals can be created and confirmed. Once sunset, successor is the
+   * contract to use instead, otherwise it is undefined.
+   * @returns {Promise<{ paused: boolean, successor: string | undefined }>}
+   */
+  async getStatus() {
+    const [paused, successor] = await Promise.all([this._call("paused", []), this._call("successor", [])]);
+    return { paused, successor: successor === constants.AddressZero ? undefined : successor };
+  }
+
+  async _call(method, args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw toBlockchainDealsError(error);
+    }
+  }
+
+  async _send(method, args, overrides = {}) {
+    try {
+      const tx = await this.contract[method](...args, overrides);
+      return await tx.wait();
+    } catch (error) {
+      throw toBlockchainDealsError(error);
+    }
+  }
+
+  _createdDealId(receipt) {
+    return receipt.events.find((event) => event.event === "DealCreated").args.id.toNumber();
+  }
+
+  _createdDealIds(receipt) {
+    return receipt.events.filter((event) => event.event === "DealCreated").map((event) => event.args.id.toNumber());
+  }
+}
+
+/**
+ * Turns the Deal struct returned by the contract into a Deal with its state name.
+ * @returns {Deal}
+ */
+function decodeDeal(deal) {
+  return {
+    id: deal.id.toNumber(),
+    buyer: deal.buyer,
+    seller: deal.seller,
+    creator: deal.creator,
+    value: deal.value,
+    buyerDeposit: deal.buyerDeposit,
+    sellerDeposit: deal.sellerDeposit,
+    creationTime: deal.creationTime.toNumber(),
+    deadline: deal.deadline.toNumber(),
+    arbiter: deal.arbiter,
+    token: deal.token,
+    fee: deal.fee.toNumber(),
+    state: STATE_NAMES[deal.state],
+  };
+}
+
+/**
+ * Turns the Listing struct returned by the contract into a Listing with its ID.
+ * @returns {Listing}
+ */
+function decodeListing(id, listing) {
+  return {
+    id: Number(id),
+    seller: listing.seller,
+    deadline: listing.deadline,
+    units: listing.units,
+    arbiter: listing.arbiter,
+    token: listing.token,
+    value: listing.value,
+    buyerDeposit: listing.buyerDeposit,
+    sellerDeposit: listing.sellerDeposit,
+  };
+}
+
+module.exports = { BlockchainDealsClient, decodeDeal, decodeListing };
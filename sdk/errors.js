@@ -0,0 +1,146 @@
+const { utils } = require("ethers");
+
+// Selector of Error(string), the ABI encoding of require reason strings.
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+/**
+ * Base class for the reverts of BlockchainDeals. reason is the revert string,
+ * cause is the original ethers error.
+ */
+class BlockchainDealsError extends Error {
+  constructor(reason, cause) {
+    super(reason);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+class InvalidDealIdError extends BlockchainDealsError {}
+class InvalidValueOrDepositError extends BlockchainDealsError {}
+class InvalidParticipantsError extends BlockchainDealsError {}
+class DeadlineError extends BlockchainDealsError {}
+class UnauthorizedError extends BlockchainDealsError {}
+class WrongCurrencyError extends BlockchainDealsError {}
+class NothingToWithdrawError extends BlockchainDealsError {}
+class InvalidStateError extends BlockchainDealsError {}
+class DealNotConfirmableError extends InvalidStateError {}
+class DealNotCancellableError extends InvalidStateError {}
+class DealNotCompletableError extends InvalidStateError {}
+class InvalidOfferError extends BlockchainDealsError {}
+class ContractClosedError extends BlockchainDealsError {}
+class TermsMismatchError extends BlockchainDealsError {}
+
+const ERRORS_BY_REASON = {
+  "Invalid ID": InvalidDealIdError,
+  "Invalid value or deposit": InvalidValueOrDepositError,
+  "Invalid ETH amount to confirm the Deal": InvalidValueOrDepositError,
+  "The buyer can't also be the seller": InvalidParticipantsError,
+  "The arbiter can't be the buyer or the seller": InvalidParticipantsError,
+  "Invalid deadline": DeadlineError,
+  "Deal deadline has passed": DeadlineError,
+  "Deal deadline hasn't passed yet": DeadlineError,
+  "Invalid token": WrongCurrencyError,
+  "Deal is priced in ETH": WrongCurrencyError,
+  "Deal is priced in tokens": WrongCurrencyError,
+  "There is nothing to withdraw": NothingToWithdrawError,
+  "There are no earnings to withdraw": NothingToWithdrawError,
+  "Deal can't be confirmed": DealNotConfirmableError,
+  "Deal can't be cancelled": DealNotCancellableError,
+  "Deal can't be completed": DealNotCompletableError,
+  "Deal can't be disputed": InvalidStateError,
+  "Deal can't be expired": InvalidStateError,
+  "Deal isn't disputed": InvalidStateError,
+  "Invalid ETH amount to accept the offer": InvalidValueOrDepositError,
+  "Offer is priced in tokens": WrongCurrencyError,
+  "Offer has expired": InvalidOfferError,
+  "Offer nonce already used": InvalidOfferError,
+  "Invalid offer signature": InvalidOfferError,
+  "Insufficient creator balance": InvalidOfferError,
+  "Invalid milestones": InvalidValueOrDepositError,
+  "No Deals to create": InvalidValueOrDepositError,
+  "Cancellation already proposed": InvalidStateError,
+  "No cancellation proposed": InvalidStateError,
+  "Deal can't be renegotiated": InvalidStateError,
+  "No counter-offer proposed": InvalidStateError,
+  "Counter-offer terms don't match": InvalidOfferError,
+  "Invalid listing ID": InvalidDealIdError,
+  "Invalid units": InvalidValueOrDepositError,
+  "Listing is closed": InvalidStateError,
+  "Listing has expired": DeadlineError,
+  "Invalid terms hash": TermsMismatchError,
+  "Terms hash doesn't match": TermsMismatchError,
+  "Inspection period doesn't match": TermsMismatchError,
+  "Invalid inspection period": DeadlineError,
+  "Inspection would end after the deadline": DeadlineError,
+  "Inspection period hasn't ended": DeadlineError,
+  "Deal can't be marked delivered": InvalidStateError,
+  "Deal can't be released": InvalidStateError,
+  "Contract is paused": ContractClosedError,
+  "Contract is sunset": ContractClosedError,
+};
+
+function findRevertData(error) {
+  for (let current = error; current; current = current.error || current.cause) {
+    if (typeof current.data === "string" && current.data.startsWith(ERROR_STRING_SELECTOR)) {
+      return current.data;
+    }
+    if (typeof current.data?.data === "string" && current.data.data.startsWith(ERROR_STRING_SELECTOR)) {
+      return current.data.data;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Extracts the revert string from an ethers error, undefined if the error isn't a revert with a reason.
+ */
+function getRevertReason(error) {
+  const data = findRevertData(error);
+  if (data) {
+    return utils.defaultAbiCoder.decode(["string"], utils.hexDataSlice(data, 4))[0];
+  }
+  for (let current = error; current; current = current.error || current.cause) {
+    const match = /reverted with reason string '(.*)'/.exec(current.message || "");
+    if (match) {
+      return match[1];
+    }
+  }
+  if (typeof error.reason === "string" && error.code === "CALL_EXCEPTION") {
+    return error.reason;
+  }
+  return undefined;
+}
+
+/**
+ * Turns an ethers error into the BlockchainDealsError matching its revert string.
+ * Errors that aren't reverts with a reason are returned as they are.
+ */
+function toBlockchainDealsError(error) {
+  const reason = getRevertReason(error);
+  if (reason === undefined) {
+    return error;
+  }
+  const ErrorClass = ERRORS_BY_REASON[reason] || (reason.startsWith("Only ") ? UnauthorizedError : BlockchainDealsError);
+  return new ErrorClass(reason, error);
+}
+
+module.exports = {
+  BlockchainDealsError,
+  InvalidDealIdError,
+  InvalidValueOrDepositError,
+  InvalidParticipantsError,
+  DeadlineError,
+  UnauthorizedError,
+  WrongCurrencyError,
+  NothingToWithdrawError,
+  InvalidStateError,
+  DealNotConfirmableError,
+  DealNotCancellableError,
+  DealNotCompletableError,
+  InvalidOfferError,
+  ContractClosedError,
+  TermsMismatchError,
+  getRevertReason,
+  toBlockchainDealsError,
+};
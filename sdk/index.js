@@ -0,0 +1,9 @@
+const { BlockchainDealsClient, decodeDeal, decodeListing } = require("./client");
+const { STATE_NAMES, State } = require("./states");
+const errors = require("./errors");
+const offers = require("./offers");
+const multicall = require("./multicall");
+const terms = require("./terms");
+const abi = require("./abi/BlockchainDeals.json");
+
+module.exports = { BlockchainDealsClient, decodeDeal, decodeListing, STATE_NAMES, State, abi, ...errors, ...offers, ...multicall, ...terms };
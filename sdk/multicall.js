@@ -0,0 +1,43 @@
+const { BigNumber, constants, utils } = require("ethers");
+const abi = require("./abi/BlockchainDeals.json");
+
+const blockchainDealsInterface = new utils.Interface(abi);
+
+/**
+ * @typedef {Object} Call
+ * @property {string} data Calldata of a BlockchainDeals function.
+ * @property {BigNumber} value ETH sent along, only payable functions accept it.
+ */
+
+/**
+ * Builds a call for BlockchainDeals.multicall. The calls of a batch run in order on behalf
+ * of the sender, and the batch sends the sum of their values.
+ * @param {string} method Name or signature of a BlockchainDeals function, e.g. "completeDeal".
+ * @param {Array} [args]
+ * @param {import("ethers").BigNumberish} [value]
+ * @returns {Call}
+ */
+function buildCall(method, args = [], value = 0) {
+  return { data: blockchainDealsInterface.encodeFunctionData(method, args), value: BigNumber.from(value) };
+}
+
+/**
+ * ETH a multicall of the given calls has to send.
+ * @param {Call[]} calls
+ * @returns {BigNumber}
+ */
+function getCallsValue(calls) {
+  return calls.reduce((total, call) => total.add(call.value), constants.Zero);
+}
+
+/**
+ * Decodes the data a call of a multicall returned.
+ * @param {string} method The method the call was built with.
+ * @param {string} result
+ * @returns {import("ethers").utils.Result}
+ */
+function decodeCallResult(method, result) {
+  return blockchainDealsInterface.decodeFunctionResult(method, result);
+}
+
+module.exports = { buildCall, getCallsValue, decodeCallResult };
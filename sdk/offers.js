@@ -0,0 +1,82 @@
+const { constants, BigNumber, utils } = require("ethers");
+
+// EIP-712 types of the offers BlockchainDeals accepts, must match OFFER_TYPEHASH in the contract.
+const OFFER_TYPES = {
+  Offer: [
+    { name: "creator", type: "address" },
+    { name: "creatorIsBuyer", type: "bool" },
+    { name: "counterparty", type: "address" },
+    { name: "token", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "buyerDeposit", type: "uint256" },
+    { name: "sellerDeposit", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "arbiter", type: "address" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+/**
+ * @typedef {Object} Offer
+ * @property {string} creator Address that signs the offer.
+ * @property {boolean} creatorIsBuyer
+ * @property {string} counterparty The only address that can accept the offer.
+ * @property {string} token address(0) for ETH.
+ * @property {import("ethers").BigNumberish} value
+ * @property {import("ethers").BigNumberish} buyerDeposit
+ * @property {import("ethers").BigNumberish} sellerDeposit
+ * @property {number} deadline Deadline of the Deal, unix timestamp in seconds.
+ * @property {string} arbiter address(0) for the accounts with the arbiter role.
+ * @property {number} expiry Last time the offer can be accepted, unix timestamp in seconds.
+ * @property {import("ethers").BigNumberish} nonce
+ */
+
+/**
+ * @param {number} chainId
+ * @param {string} verifyingContract Address of the BlockchainDeals contract.
+ */
+function getOfferDomain(chainId, verifyingContract) {
+  return { name: "BlockchainDeals", version: "1", chainId, verifyingContract };
+}
+
+/**
+ * Fills in the optional offer fields: ETH as currency, the arbiter role as arbiter and a random nonce.
+ * @returns {Offer}
+ */
+function buildOffer({ creator, creatorIsBuyer, counterparty, value, buyerDeposit, sellerDeposit, deadline, expiry, token, arbiter, nonce }) {
+  return {
+    creator,
+    creatorIsBuyer,
+    counterparty,
+    token: token || constants.AddressZero,
+    value: BigNumber.from(value),
+    buyerDeposit: BigNumber.from(buyerDeposit),
+    sellerDeposit: BigNumber.from(sellerDeposit),
+    deadline,
+    arbiter: arbiter || constants.AddressZero,
+    expiry,
+    nonce: nonce === undefined ? BigNumber.from(utils.randomBytes(32)) : BigNumber.from(nonce),
+  };
+}
+
+/**
+ * Signs an offer with the creator signer.
+ * @param {import("ethers").Signer} signer Must be the offer creator.
+ * @param {string} contractAddress
+ * @param {Offer} offer
+ * @returns {Promise<string>} The signature to pass to acceptOffer.
+ */
+async function signOffer(signer, contractAddress, offer) {
+  const { chainId } = await signer.provider.getNetwork();
+  return signer._signTypedData(getOfferDomain(chainId, contractAddress), OFFER_TYPES, offer);
+}
+
+/**
+ * Recovers the address that signed an offer.
+ */
+function recoverOfferSigner(chainId, contractAddress, offer, signature) {
+  return utils.verifyTypedData(getOfferDomain(chainId, contractAddress), OFFER_TYPES, offer, signature);
+}
+
+module.exports = { OFFER_TYPES, getOfferDomain, buildOffer, signOffer, recoverOfferSigner };
@@ -0,0 +1,16 @@
+// Same order as the State enum in BlockchainDeals.sol
+const STATE_NAMES = [
+  "PendingSellerDeposit",
+  "PendingBuyerDeposit",
+  "Confirmed",
+  "CancelledByCreator",
+  "Completed",
+  "Expired",
+  "Disputed",
+  "Resolved",
+  "MutuallyCancelled",
+];
+
+const State = Object.freeze(Object.fromEntries(STATE_NAMES.map((name, index) => [name, index])));
+
+module.exports = { STATE_NAMES, State };
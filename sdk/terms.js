@@ -0,0 +1,61 @@
+const { utils } = require("ethers");
+
+/**
+ * A terms document: any JSON value, usually an object describing what is exchanged.
+ * Passed as a string it is parsed as JSON first.
+ * @typedef {Object | Array | string | number | boolean | null} TermsDocument
+ */
+
+/**
+ * Serializes a terms document to its canonical JSON: object keys sorted by UTF-16 code units,
+ * no whitespace, and numbers and strings written as JSON.stringify writes them (RFC 8785).
+ * Two documents with the same content have the same canonical form however they are formatted.
+ * @param {TermsDocument} document
+ * @returns {string}
+ */
+function canonicalizeTerms(document) {
+  return canonicalize(typeof document === "string" ? JSON.parse(document) : document, "$");
+}
+
+function canonicalize(value, path) {
+  if (value === null || typeof value === "boolean" || typeof value === "string") {
+    return JSON.stringify(value);
+  }
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      throw new TypeError(`Terms can't contain ${value}, found at ${path}`);
+    }
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((item, index) => canonicalize(item, `${path}[${index}]`)).join(",")}]`;
+  }
+  if (typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    const members = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key], `${path}.${key}`)}`);
+    return `{${members.join(",")}}`;
+  }
+  throw new TypeError(`Terms must be plain JSON, found ${typeof value} at ${path}`);
+}
+
+/**
+ * Hash a Deal commits to for a terms document, keccak256 of its canonical JSON in UTF-8.
+ * @param {TermsDocument} document
+ * @returns {string} bytes32 hex string.
+ */
+function hashTerms(document) {
+  return utils.keccak256(utils.toUtf8Bytes(canonicalizeTerms(document)));
+}
+
+/**
+ * Whether a terms document is the one termsHash commits to.
+ * @param {TermsDocument} document
+ * @param {string} termsHash
+ * @returns {boolean}
+ */
+function verifyTerms(document, termsHash) {
+  return hashTerms(document) === termsHash.toLowerCase();
+}
+
+module.exports = { canonicalizeTerms, hashTerms, verifyTerms };
@@ -0,0 +1,130 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { PLUGIN_NAME, address, role } = require("./types");
+const { getContract, formatAmount, logTransaction } = require("./utils");
+
+task("admin:fee", "Prints the Deal fee, announces a change when --fee is set and applies it with --apply")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addOptionalParam("fee", "New fee, in hundredths of a percent of the Deal value, keeps the current fee tiers", undefined, types.int)
+  .addFlag("apply", "Applies the announced fee change, once its timelock has ended")
+  .addOptionalParam("from", "Owner account, the first account if not set", undefined, address)
+  .setAction(async ({ contract, fee, apply, from }, hre) => {
+    const blockchainDeals = await getContract(hre, contract, from);
+
+    if (fee !== undefined) {
+      const { minValues, fees } = await blockchainDeals.getFeeTiers();
+      await logTransaction(await blockchainDeals.announceFeeChange(fee, minValues, fees));
+    }
+    if (apply) {
+      await logTransaction(await blockchainDeals.applyFeeChange());
+    }
+    const currentFee = await blockchainDeals.fee();
+    console.log(`Fee: ${currentFee} (${currentFee.toNumber() / 100}% of the Deal value)`);
+    const { newFee, effectiveTime } = await blockchainDeals.getPendingFeeChange();
+    if (!effectiveTime.isZero()) {
+      console.log(`Fee change to ${newFee} announced, can be applied from ${new Date(effectiveTime.toNumber() * 1000).toISOString()}`);
+    }
+    return currentFee;
+  });
+
+task("admin:owner", "Prints the contract owner, proposes a new one when --new-owner is set and accepts with --accept")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addOptionalParam("newOwner", "Address of the proposed owner", undefined, address)
+  .addFlag("accept", "Accepts the ownership, sent from the proposed owner")
+  .addOptionalParam("from", "Owner account, or proposed owner with --accept, the first account if not set", undefined, address)
+  .setAction(async ({ contract, newOwner, accept, from }, hre) => {
+    const blockchainDeals = await getContract(hre, contract, from);
+
+    if (newOwner) {
+      await logTransaction(await blockchainDeals.proposeOwner(newOwner));
+    }
+    if (accept) {
+      await logTransaction(await blockchainDeals.acceptOwnership());
+    }
+    const owner = await blockchainDeals.owner();
+    console.log(`Owner: ${owner}`);
+    const pendingOwner = await blockchainDeals.pendingOwner();
+    if (pendingOwner !== hre.ethers.constants.AddressZero) {
+      console.log(`Proposed owner: ${pendingOwner}`);
+    }
+    return owner;
+  });
+
+task("admin:role", "Prints whether an account holds a role, or grants or revokes it with --grant or --revoke")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addParam("role", "Role: fee-manager, treasurer, pauser or arbiter", undefined, role)
+  .addParam("account", "Account to check, grant the role to or revoke it from", undefined, address)
+  .addFlag("grant", "Grants the role to the account")
+  .addFlag("revoke", "Revokes the role from the account")
+  .addOptionalParam("from", "Owner account, the first account if not set", undefined, address)
+  .setAction(async ({ contract, role, account, grant, revoke, from }, hre) => {
+    if (grant && revoke) {
+      throw new HardhatPluginError(PLUGIN_NAME, "Pass either --grant or --revoke");
+    }
+    const blockchainDeals = await getContract(hre, contract, from);
+
+    if (grant) {
+      await logTransaction(await blockchainDeals.grantRole(role, account));
+    }
+    if (revoke) {
+      await logTransaction(await blockchainDeals.revokeRole(role, account));
+    }
+    const holdsRole = await blockchainDeals.hasRole(role, account);
+    console.log(`${account} ${holdsRole ? "holds" : "doesn't hold"} the role`);
+    return holdsRole;
+  });
+
+task("admin:pause", "Pauses the creation and confirmation of Deals, or unpauses them with --unpause")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addFlag("unpause", "Unpauses the contract")
+  .addOptionalParam("from", "Pauser account, the first account if not set", undefined, address)
+  .setAction(async ({ contract, unpause, from }, hre) => {
+    const blockchainDeals = await getContract(hre, contract, from);
+
+    await logTransaction(unpause ? await blockchainDeals.unpause() : await blockchainDeals.pause());
+    const paused = await blockchainDeals.paused();
+    console.log(`Paused: ${paused}`);
+    return paused;
+  });
+
+task("admin:withdraw", "Withdraws the fee earnings of the contract to the treasury, or part of them to --to")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addOptionalParam("token", "ERC-20 token to withdraw the earnings of, ETH if not set", undefined, address)
+  .addOptionalParam("to", "Recipient of a partial withdrawal, requires --amount", undefined, address)
+  .addOptionalParam("amount", "Amount of a partial withdrawal, in ether for ETH or in the token base unit", undefined, types.string)
+  .addOptionalParam("from", "Treasurer account, the first account if not set", undefined, address)
+  .setAction(async ({ contract, token, to, amount, from }, hre) => {
+    if ((to === undefined) !== (amount === undefined)) {
+      throw new HardhatPluginError(PLUGIN_NAME, "Pass both --to and --amount for a partial withdrawal");
+    }
+    const blockchainDeals = await getContract(hre, contract, from);
+    const sender = await blockchainDeals.signer.getAddress();
+    const isEth = token === undefined;
+    token = token || hre.ethers.constants.AddressZero;
+    const recipient = to || await blockchainDeals.treasury();
+    const balanceOf = async (account) => isEth
+      ? hre.ethers.provider.getBalance(account)
+      : (await hre.ethers.getContractAt("IERC20", token)).balanceOf(account);
+
+    const balanceBefore = await balanceOf(recipient);
+    let tx;
+    if (to) {
+      tx = await blockchainDeals.withdrawFeeEarningsTo(token, to, isEth ? hre.ethers.utils.parseEther(amount) : hre.ethers.BigNumber.from(amount));
+    } else {
+      tx = isEth ? await blockchainDeals.withdrawFeeEarnings() : await blockchainDeals.withdrawTokenFeeEarnings(token);
+    }
+    const receipt = await logTransaction(tx);
+
+    // Split earnings are credited to the fee beneficiaries, who withdraw them like any other funds.
+    const credited = receipt.events.filter((event) => event.event === "FeeEarningsCredited");
+    if (credited.length > 0) {
+      credited.forEach(({ args }) => console.log(`Credited ${formatAmount(hre, args.amount, token)} to ${args.beneficiary}`));
+      return credited.reduce((total, { args }) => total.add(args.amount), hre.ethers.constants.Zero);
+    }
+    let received = (await balanceOf(recipient)).sub(balanceBefore);
+    if (isEth && recipient === sender) {
+      received = received.add(receipt.gasUsed.mul(receipt.effectiveGasPrice));
+    }
+    console.log(`Received ${formatAmount(hre, received, token)} at ${recipient}`);
+    return received;
+  });
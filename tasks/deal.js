@@ -0,0 +1,208 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { PLUGIN_NAME, ether, address, dealState } = require("./types");
+const { STATE_NAMES, STATE, getContract, formatAmount, formatDeal, logTransaction } = require("./utils");
+const { hashTerms } = require("../sdk/terms");
+
+// Hash of the terms document stored in a local JSON file.
+function hashTermsFile(path) {
+  try {
+    return hashTerms(fs.readFileSync(path, "utf8"));
+  } catch (error) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Can't read the terms document ${path}: ${error.message}`);
+  }
+}
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+task("deal:create", "Creates a new ETH Deal as buyer or seller")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addParam("creator", "Who creates the Deal, buyer or seller")
+  .addParam("counterparty", "The seller when creating as buyer, the buyer when creating as seller", undefined, address)
+  .addParam("value", "ETH the seller receives when the Deal is completed", undefined, ether)
+  .addParam("buyerDeposit", "ETH the buyer deposits", undefined, ether)
+  .addParam("sellerDeposit", "ETH the seller deposits", undefined, ether)
+  .addOptionalParam("duration", "Seconds from now until the Deal deadline", ONE_WEEK_IN_SECS, types.int)
+  .addOptionalParam("arbiter", "Arbiter of the Deal, the accounts with the arbiter role if not set", undefined, address)
+  .addOptionalParam("from", "Account creating the Deal, the first account if not set", undefined, address)
+  .addOptionalParam("terms", "JSON file with the terms document the Deal commits to, by its hash")
+  .addOptionalParam("metadataUri", "Where the terms document can be found, e.g. an IPFS URI", "")
+  .setAction(async ({ contract, creator, counterparty, value, buyerDeposit, sellerDeposit, duration, arbiter, from, terms, metadataUri }, hre) => {
+    const blockchainDeals = await getContract(hre, contract, from);
+    const deadline = (await hre.ethers.provider.getBlock("latest")).timestamp + duration;
+    const arbiterAddress = arbiter || hre.ethers.constants.AddressZero;
+    const ETH = hre.ethers.constants.AddressZero;
+
+    let tx;
+    if (creator === "buyer") {
+      const overrides = { value: value.add(buyerDeposit) };
+      tx = terms
+        ? await blockchainDeals.createDealWithTermsAsBuyer(ETH, value, counterparty, sellerDeposit, buyerDeposit, deadline, arbiterAddress, hashTermsFile(terms), metadataUri, overrides)
+        : await blockchainDeals.createDealAsBuyer(value, counterparty, sellerDeposit, buyerDeposit, deadline, arbiterAddress, overrides);
+    } else if (creator === "seller") {
+      const overrides = { value: sellerDeposit };
+      tx = terms
+        ? await blockchainDeals.createDealWithTermsAsSeller(ETH, value, counterparty, sellerDeposit, buyerDeposit, deadline, arbiterAddress, hashTermsFile(terms), metadataUri, overrides)
+        : await blockchainDeals.createDealAsSeller(value, counterparty, sellerDeposit, buyerDeposit, deadline, arbiterAddress, overrides);
+    } else {
+      throw new HardhatPluginError(PLUGIN_NAME, `Invalid creator: ${creator}, expected buyer or seller`);
+    }
+
+    const receipt = await logTransaction(tx);
+    const id = receipt.events.find((event) => event.event === "DealCreated").args.id;
+    console.log(`Deal ${id} created as ${creator}`);
+    return id;
+  });
+
+task("deal:confirm", "Confirms a Deal as its counterparty, sending the required deposit")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addParam("id", "ID of the Deal", undefined, types.int)
+  .addOptionalParam("from", "Account confirming the Deal, the first account if not set", undefined, address)
+  .addOptionalParam("terms", "JSON file with the terms document of the Deal, required if it was created with one")
+  .addOptionalParam("inspectionPeriod", "Inspection period set by the creator of the Deal in seconds, required if it set one", undefined, types.int)
+  .setAction(async ({ contract, id, from, terms, inspectionPeriod }, hre) => {
+    const blockchainDeals = await getContract(hre, contract, from);
+    const deal = await blockchainDeals.getDealById(id);
+    const isTokenDeal = deal.token !== hre.ethers.constants.AddressZero;
+
+    let tx;
+    let deposit;
+    if ((terms || inspectionPeriod) && (deal.state === STATE.PendingSellerDeposit || deal.state === STATE.PendingBuyerDeposit)) {
+      deposit = deal.state === STATE.PendingSellerDeposit ? deal.sellerDeposit : deal.value.add(deal.buyerDeposit);
+      const termsHash = terms ? hashTermsFile(terms) : hre.ethers.constants.HashZero;
+      tx = await blockchainDeals.confirmDealWithTerms(id, termsHash, inspectionPeriod || 0, { value: isTokenDeal ? 0 : deposit });
+    } else if (deal.state === STATE.PendingSellerDeposit) {
+      deposit = deal.sellerDeposit;
+      tx = isTokenDeal
+        ? await blockchainDeals.sellerConfirmTokenDeal(id)
+        : await blockchainDeals.sellerConfirmDeal(id, { value: deposit });
+    } else if (deal.state === STATE.PendingBuyerDeposit) {
+      deposit = deal.value.add(deal.buyerDeposit);
+      tx = isTokenDeal
+        ? await blockchainDeals.buyerConfirmTokenDeal(id)
+        : await blockchainDeals.buyerConfirmDeal(id, { value: deposit });
+    } else {
+      throw new HardhatPluginError(PLUGIN_NAME, `Deal ${id} can't be confirmed, it is ${STATE_NAMES[deal.state]}`);
+    }
+
+    await logTransaction(tx);
+    console.log(`Deal ${id} confirmed, deposited ${formatAmount(hre, deposit, deal.token)}`);
+  });
+
+task("deal:cancel", "Cancels a Deal that hasn't been confirmed yet, as its creator")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addParam("id", "ID of the Deal", undefined, types.int)
+  .addOptionalParam("from", "Account cancelling the Deal, the first account if not set", undefined, address)
+  .setAction(async ({ contract, id, from }, hre) => {
+    const blockchainDeals = await getContract(hre, contract, from);
+    const deal = await blockchainDeals.getDealById(id);
+
+    let tx;
+    if (deal.state === STATE.PendingSellerDeposit) {
+      tx = await blockchainDeals.buyerCancelDeal(id);
+    } else if (deal.state === STATE.PendingBuyerDeposit) {
+      tx = await blockchainDeals.sellerCancelDeal(id);
+    } else {
+      throw new HardhatPluginError(PLUGIN_NAME, `Deal ${id} can't be cancelled, it is ${STATE_NAMES[deal.state]}`);
+    }
+
+    await logTransaction(tx);
+    console.log(`Deal ${id} cancelled, the refund can be claimed with deal:withdraw`);
+  });
+
+task("deal:complete", "Completes a Confirmed Deal as its buyer")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addParam("id", "ID of the Deal", undefined, types.int)
+  .addOptionalParam("from", "Account completing the Deal, the first account if not set", undefined, address)
+  .setAction(async ({ contract, id, from }, hre) => {
+    const blockchainDeals = await getContract(hre, contract, from);
+
+    const receipt = await logTransaction(await blockchainDeals.completeDeal(id));
+    const { buyerPayout, sellerPayout, fee } = receipt.events.find((event) => event.event === "DealCompleted").args;
+    const { token } = await blockchainDeals.getDealById(id);
+    console.log(`Deal ${id} completed`);
+    console.log(`  Buyer payout:  ${formatAmount(hre, buyerPayout, token)}`);
+    console.log(`  Seller payout: ${formatAmount(hre, sellerPayout, token)}`);
+    console.log(`  Fee:           ${formatAmount(hre, fee, token)}`);
+  });
+
+task("deal:withdraw", "Withdraws the funds credited to an account by settled Deals")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addOptionalParam("token", "ERC-20 token to withdraw, ETH if not set", undefined, address)
+  .addOptionalParam("from", "Account withdrawing, the first account if not set", undefined, address)
+  .setAction(async ({ contract, token, from }, hre) => {
+    const blockchainDeals = await getContract(hre, contract, from);
+
+    const receipt = await logTransaction(token ? await blockchainDeals.withdrawToken(token) : await blockchainDeals.withdraw());
+    const { amount } = receipt.events.find((event) => event.event === "Withdrawal").args;
+    console.log(`Withdrawn ${formatAmount(hre, amount, token || hre.ethers.constants.AddressZero)}`);
+    return amount;
+  });
+
+task("deal:show", "Prints a Deal")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addParam("id", "ID of the Deal", undefined, types.int)
+  .setAction(async ({ contract, id }, hre) => {
+    const blockchainDeals = await getContract(hre, contract);
+    const deal = await blockchainDeals.getDealById(id);
+
+    console.log(formatDeal(hre, deal));
+    return deal;
+  });
+
+task("deal:verify-terms", "Checks a local terms document against the hash a Deal was created with")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addParam("id", "ID of the Deal", undefined, types.int)
+  .addParam("terms", "JSON file with the terms document")
+  .setAction(async ({ contract, id, terms }, hre) => {
+    const blockchainDeals = await getContract(hre, contract);
+    const { termsHash, metadataURI } = await blockchainDeals.getDealTerms(id);
+    const documentHash = hashTermsFile(terms);
+
+    if (termsHash === hre.ethers.constants.HashZero) {
+      console.log(`Deal ${id} wasn't created with a terms document`);
+      return false;
+    }
+    const valid = documentHash === termsHash;
+    console.log(valid ? `${terms} matches the terms of Deal ${id}` : `${terms} doesn't match the terms of Deal ${id}`);
+    console.log(`  Deal terms hash:     ${termsHash}`);
+    console.log(`  Document terms hash: ${documentHash}`);
+    if (metadataURI) {
+      console.log(`  Metadata URI:        ${metadataURI}`);
+    }
+    return valid;
+  });
+
+task("deal:list", "Lists the Deals of a buyer or a seller, optionally in a given state")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals contract", "BlockchainDeals")
+  .addOptionalParam("buyer", "List the Deals of this buyer", undefined, address)
+  .addOptionalParam("seller", "List the Deals of this seller", undefined, address)
+  .addOptionalParam("state", `Only list Deals in this state: ${STATE_NAMES.join(", ")}`, undefined, dealState)
+  .addOptionalParam("offset", "Number of Deals to skip", 0, types.int)
+  .addOptionalParam("limit", "Max number of Deals to list", 20, types.int)
+  .setAction(async ({ contract, buyer, seller, state, offset, limit }, hre) => {
+    if (!buyer === !seller) {
+      throw new HardhatPluginError(PLUGIN_NAME, "Pass either --buyer or --seller");
+    }
+    const blockchainDeals = await getContract(hre, contract);
+
+    let deals;
+    if (buyer) {
+      deals = state === undefined
+        ? await blockchainDeals.getDealsByBuyer(buyer, offset, limit)
+        : await blockchainDeals.getDealsByBuyerAndState(buyer, state, offset, limit);
+    } else {
+      deals = state === undefined
+        ? await blockchainDeals.getDealsBySeller(seller, offset, limit)
+        : await blockchainDeals.getDealsBySellerAndState(seller, state, offset, limit);
+    }
+
+    if (deals.length === 0) {
+      console.log("No Deals found");
+    }
+    for (const deal of deals) {
+      console.log(`Deal ${deal.id}: ${STATE_NAMES[deal.state]}, value ${formatAmount(hre, deal.value, deal.token)}, buyer ${deal.buyer}, seller ${deal.seller}`);
+    }
+    return deals;
+  });
@@ -0,0 +1,65 @@
+const { task } = require("hardhat/config");
+const { getDeployment, getNetworkKey, checkNotDeployed, recordDeployment, resolveAddress } = require("../scripts/registry");
+const { deployBlockchainDeals, validateBlockchainDealsUpgrade, upgradeBlockchainDeals } = require("../scripts/proxy");
+
+// Addresses behind the proxy, the constructor arguments and the hash of the implementation,
+// as recorded in the registry.
+async function describeImplementation(hre, blockchainDeals, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const extension = await blockchainDeals.extension();
+  const marketExtension = await blockchainDeals.marketExtension();
+  return {
+    implementation: await hre.upgrades.erc1967.getImplementationAddress(blockchainDeals.address),
+    constructorArgs: [extension, marketExtension],
+    extension,
+    marketExtension,
+    proxyAdmin: await hre.upgrades.erc1967.getAdminAddress(blockchainDeals.address),
+    bytecodeHash: hre.ethers.utils.keccak256(artifact.bytecode),
+  };
+}
+
+task("deploy", "Deploys BlockchainDeals behind a transparent proxy and records it in the deployment registry")
+  .addFlag("force", "Redeploy over the deployment recorded for the network")
+  .setAction(async ({ force }, hre) => {
+    await checkNotDeployed(hre, "BlockchainDeals", { force });
+
+    const blockchainDeals = await deployBlockchainDeals(hre);
+    const receipt = await blockchainDeals.deployTransaction.wait();
+
+    await recordDeployment(hre, "BlockchainDeals", {
+      address: blockchainDeals.address,
+      deployer: receipt.from,
+      blockNumber: receipt.blockNumber,
+      transactionHash: receipt.transactionHash,
+      ...(await describeImplementation(hre, blockchainDeals, "BlockchainDeals")),
+    });
+
+    console.log(`BlockchainDeals deployed to ${blockchainDeals.address} on ${await getNetworkKey(hre)}`);
+    return blockchainDeals;
+  });
+
+task("upgrade", "Upgrades a BlockchainDeals proxy to a new implementation, once its storage layout is validated")
+  .addOptionalParam("contract", "Address or deployment name of the BlockchainDeals proxy", "BlockchainDeals")
+  .addOptionalParam("implementation", "Name of the new implementation contract", "BlockchainDeals")
+  .addFlag("validateOnly", "Only checks the new implementation can replace the current one")
+  .setAction(async ({ contract, implementation, validateOnly }, hre) => {
+    const proxyAddress = await resolveAddress(hre, contract);
+
+    if (validateOnly) {
+      await validateBlockchainDealsUpgrade(hre, proxyAddress, implementation);
+      console.log(`${implementation} is a valid upgrade for ${proxyAddress}`);
+      return;
+    }
+
+    const blockchainDeals = await upgradeBlockchainDeals(hre, proxyAddress, implementation);
+    const deployment = await getDeployment(hre, contract);
+    if (deployment) {
+      await recordDeployment(hre, contract, {
+        ...deployment,
+        ...(await describeImplementation(hre, blockchainDeals, implementation)),
+      });
+    }
+
+    console.log(`${proxyAddress} upgraded to ${implementation} at ${await hre.upgrades.erc1967.getImplementationAddress(proxyAddress)}`);
+    return blockchainDeals;
+  });
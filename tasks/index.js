@@ -0,0 +1,3 @@
+require("./deal");
+require("./admin");
+require("./deploy");
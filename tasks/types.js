@@ -0,0 +1,69 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const { BigNumber, utils } = require("ethers");
+const { STATE_NAMES } = require("./utils");
+
+const PLUGIN_NAME = "blockchain-deals";
+
+// Amount of ether given as a decimal string, e.g. 0.5, parsed to wei.
+const ether = {
+  name: "ether",
+  parse: (argName, strValue) => {
+    try {
+      return utils.parseEther(strValue);
+    } catch (error) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Invalid ether amount for ${argName}: ${strValue}`);
+    }
+  },
+  validate: (argName, value) => {
+    if (!BigNumber.isBigNumber(value) || value.isNegative()) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Invalid ether amount for ${argName}: ${value}`);
+    }
+  },
+};
+
+const address = {
+  name: "address",
+  parse: (argName, strValue) => strValue,
+  validate: (argName, value) => {
+    if (!utils.isAddress(value)) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Invalid address for ${argName}: ${value}`);
+    }
+  },
+};
+
+// Deal state given by its name in the State enum, parsed to its index.
+const dealState = {
+  name: "dealState",
+  parse: (argName, strValue) => {
+    const index = STATE_NAMES.indexOf(strValue);
+    if (index === -1) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Invalid state for ${argName}: ${strValue}, expected one of ${STATE_NAMES.join(", ")}`);
+    }
+    return index;
+  },
+  validate: (argName, value) => {
+    if (!Number.isInteger(value) || value < 0 || value >= STATE_NAMES.length) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Invalid state for ${argName}: ${value}`);
+    }
+  },
+};
+
+const ROLE_NAMES = ["fee-manager", "treasurer", "pauser", "arbiter"];
+
+// Contract role given by its name, e.g. fee-manager, parsed to its id, e.g. keccak256("FEE_MANAGER_ROLE").
+const role = {
+  name: "role",
+  parse: (argName, strValue) => {
+    if (!ROLE_NAMES.includes(strValue)) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Invalid role for ${argName}: ${strValue}, expected one of ${ROLE_NAMES.join(", ")}`);
+    }
+    return utils.id(`${strValue.replace("-", "_").toUpperCase()}_ROLE`);
+  },
+  validate: (argName, value) => {
+    if (!utils.isHexString(value, 32)) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Invalid role for ${argName}: ${value}`);
+    }
+  },
+};
+
+module.exports = { PLUGIN_NAME, ether, address, dealState, role };
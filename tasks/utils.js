@@ -0,0 +1,49 @@
+const { resolveAddress } = require("../scripts/registry");
+const { STATE_NAMES, State: STATE } = require("../sdk/states");
+
+async function getSigner(hre, from) {
+  if (from) {
+    return hre.ethers.getSigner(from);
+  }
+  const [signer] = await hre.ethers.getSigners();
+  return signer;
+}
+
+// contract is an address or a deployment name from the registry.
+async function getContract(hre, contract, from) {
+  const signer = await getSigner(hre, from);
+  return hre.ethers.getContractAt("BlockchainDeals", await resolveAddress(hre, contract), signer);
+}
+
+// Amounts of token Deals are printed in the token base unit, ETH Deals in ether.
+function formatAmount(hre, amount, token) {
+  if (token === hre.ethers.constants.AddressZero) {
+    return `${hre.ethers.utils.formatEther(amount)} ETH`;
+  }
+  return `${amount.toString()} (token ${token})`;
+}
+
+function formatDeal(hre, deal) {
+  const lines = [
+    `Deal ${deal.id}: ${STATE_NAMES[deal.state]}`,
+    `  Buyer:          ${deal.buyer}`,
+    `  Seller:         ${deal.seller}`,
+    `  Creator:        ${deal.creator}`,
+    `  Value:          ${formatAmount(hre, deal.value, deal.token)}`,
+    `  Buyer deposit:  ${formatAmount(hre, deal.buyerDeposit, deal.token)}`,
+    `  Seller deposit: ${formatAmount(hre, deal.sellerDeposit, deal.token)}`,
+    `  Created:        ${new Date(deal.creationTime.toNumber() * 1000).toISOString()}`,
+    `  Deadline:       ${new Date(deal.deadline.toNumber() * 1000).toISOString()}`,
+    `  Arbiter:        ${deal.arbiter === hre.ethers.constants.AddressZero ? "arbiter role" : deal.arbiter}`,
+  ];
+  return lines.join("\n");
+}
+
+// Waits for the transaction to be mined and prints where it landed and the gas it used.
+async function logTransaction(tx) {
+  const receipt = await tx.wait();
+  console.log(`Transaction ${receipt.transactionHash} mined in block ${receipt.blockNumber}, gas used: ${receipt.gasUsed.toString()}`);
+  return receipt;
+}
+
+module.exports = { STATE_NAMES, STATE, getSigner, getContract, formatAmount, formatDeal, logTransaction };
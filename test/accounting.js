@@ -0,0 +1,123 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Accounting", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const fee = value * 10 / 10000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, arbiterAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        return { blockchainDeals, owner, buyerAccount, sellerAccount, arbiterAccount, deadline };
+    }
+
+    // Sum of the funds every Deal still holds, computed from the Deals themselves.
+    async function outstandingEscrow(blockchainDeals, count) {
+        let total = BigInt(0);
+        for (let id = 0; id < count; id++) {
+            const deal = await blockchainDeals.getDealById(id);
+            if (deal.state === dealStateMapper.PendingSellerDeposit) {
+                total += BigInt(deal.value) + BigInt(deal.buyerDeposit);
+            } else if (deal.state === dealStateMapper.PendingBuyerDeposit) {
+                total += BigInt(deal.sellerDeposit);
+            } else if (deal.state === dealStateMapper.Confirmed || deal.state === dealStateMapper.Disputed) {
+                total += BigInt(deal.value) + BigInt(deal.buyerDeposit) + BigInt(deal.sellerDeposit);
+            }
+        }
+        return total;
+    }
+
+    async function expectBalanceInvariant(blockchainDeals, count, feeEarnings) {
+        const escrow = await outstandingEscrow(blockchainDeals, count);
+        const balance = await hre.ethers.provider.getBalance(blockchainDeals.address);
+
+        const pending = BigInt(await blockchainDeals.totalPendingWithdrawals(ethers.constants.AddressZero));
+
+        expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(escrow);
+        expect(balance).to.equal(escrow + pending + BigInt(feeEarnings));
+    }
+
+    it("should keep the balance equal to the outstanding escrow plus pending withdrawals and fee earnings", async function () {
+        const { blockchainDeals, buyerAccount, sellerAccount, arbiterAccount, deadline } = await loadFixture(deployFixture);
+        const asBuyer = blockchainDeals.connect(buyerAccount);
+        const asSeller = blockchainDeals.connect(sellerAccount);
+        let feeEarnings = 0;
+
+        // 0: created by buyer and completed
+        await asBuyer.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, { value: value + buyerDeposit });
+        await expectBalanceInvariant(blockchainDeals, 1, feeEarnings);
+        await asSeller.sellerConfirmDeal(0, { value: sellerDeposit });
+        await expectBalanceInvariant(blockchainDeals, 1, feeEarnings);
+        await asBuyer.completeDeal(0);
+        feeEarnings += fee;
+        await expectBalanceInvariant(blockchainDeals, 1, feeEarnings);
+
+        // 1: created by seller and cancelled
+        await asSeller.createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, { value: sellerDeposit });
+        await expectBalanceInvariant(blockchainDeals, 2, feeEarnings);
+        await asSeller.sellerCancelDeal(1);
+        await expectBalanceInvariant(blockchainDeals, 2, feeEarnings);
+
+        // 2: created by buyer and cancelled
+        await asBuyer.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, { value: value + buyerDeposit });
+        await asBuyer.buyerCancelDeal(2);
+        await expectBalanceInvariant(blockchainDeals, 3, feeEarnings);
+
+        // 3: disputed and resolved
+        await asSeller.createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, arbiterAccount.address, { value: sellerDeposit });
+        await asBuyer.buyerConfirmDeal(3, { value: value + buyerDeposit });
+        await asBuyer.openDispute(3);
+        await expectBalanceInvariant(blockchainDeals, 4, feeEarnings);
+        await blockchainDeals.connect(arbiterAccount).resolveDispute(3, value, buyerDeposit + sellerDeposit - 100, 100);
+        await expectBalanceInvariant(blockchainDeals, 4, feeEarnings);
+
+        // 4: expired, 5: still pending
+        await asBuyer.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, { value: value + buyerDeposit });
+        await asSeller.sellerConfirmDeal(4, { value: sellerDeposit });
+        await asSeller.createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline + ONE_WEEK_IN_SECS, ethers.constants.AddressZero, { value: sellerDeposit });
+        await expectBalanceInvariant(blockchainDeals, 6, feeEarnings);
+        await time.increase(ONE_WEEK_IN_SECS + 1);
+        await asSeller.expireDeal(4);
+        await expectBalanceInvariant(blockchainDeals, 6, feeEarnings);
+
+        await asBuyer.withdraw();
+        await expectBalanceInvariant(blockchainDeals, 6, feeEarnings);
+        await asSeller.withdraw();
+        await blockchainDeals.connect(arbiterAccount).withdraw();
+        expect(await blockchainDeals.totalPendingWithdrawals(ethers.constants.AddressZero)).to.equal(0);
+        await expectBalanceInvariant(blockchainDeals, 6, feeEarnings);
+
+        await blockchainDeals.withdrawFeeEarnings();
+        feeEarnings = 0;
+        await expectBalanceInvariant(blockchainDeals, 6, feeEarnings);
+    });
+
+    it("should not keep any ETH from rejected overpayments", async function () {
+        const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+        await expect(blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value + buyerDeposit + 1
+        })).to.be.revertedWith("Invalid value or deposit");
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value + buyerDeposit
+        });
+        await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {
+            value: sellerDeposit + 1
+        })).to.be.revertedWith("Invalid ETH amount to confirm the Deal");
+
+        await expectBalanceInvariant(blockchainDeals, 1, 0);
+    });
+});
@@ -0,0 +1,271 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Counter-offers", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        for (const account of [buyerAccount, sellerAccount]) {
+            await token.mint(account.address, 10000000);
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+
+        return { blockchainDeals, token, owner, buyerAccount, sellerAccount, otherAccount, deadline };
+    }
+
+    // Deal 0 is created by the buyer and Deal 1 by the seller, both in ETH. Deal 2 is created by the buyer in tokens.
+    async function pendingDealsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = fixture;
+
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: sellerDeposit
+        });
+        await blockchainDeals.connect(buyerAccount).createTokenDealAsBuyer(token.address, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero);
+
+        return fixture;
+    }
+
+    describe("proposeCounterOffer", function () {
+        it("should revert when trying to counter a Deal with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.proposeCounterOffer(0, value, buyerDeposit, sellerDeposit)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if not the counterparty", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, otherAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).proposeCounterOffer(0, value, buyerDeposit, sellerDeposit)).to.be.revertedWith(
+                "Only the counterparty can propose new terms"
+            );
+            await expect(blockchainDeals.connect(sellerAccount).proposeCounterOffer(1, value, buyerDeposit, sellerDeposit)).to.be.revertedWith(
+                "Only the counterparty can propose new terms"
+            );
+            await expect(blockchainDeals.connect(otherAccount).proposeCounterOffer(0, value, buyerDeposit, sellerDeposit)).to.be.revertedWith(
+                "Only the counterparty can propose new terms"
+            );
+        });
+
+        it("should revert if the Deal isn't pending", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+
+            await expect(blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value, buyerDeposit, sellerDeposit)).to.be.revertedWith(
+                "Deal can't be renegotiated"
+            );
+        });
+
+        it("should revert for milestone Deals", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).createMilestoneDealAsBuyer(ethers.constants.AddressZero, [value], sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+
+            await expect(blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value, buyerDeposit, sellerDeposit)).to.be.revertedWith(
+                "Deal can't be renegotiated"
+            );
+        });
+
+        it("should revert with a zero value or deposit", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value, 0, sellerDeposit)).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
+        it("should revert if the terms do not fit the stored Deal", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, ethers.constants.MaxUint256.div(2), buyerDeposit, sellerDeposit)).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
+        it("should store the terms and emit CounterOfferProposed event", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value * 2, buyerDeposit, sellerDeposit))
+                .to.emit(blockchainDeals, "CounterOfferProposed")
+                .withArgs(0, sellerAccount.address, value * 2, buyerDeposit, sellerDeposit);
+
+            const terms = await blockchainDeals.counterOffers(0);
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(terms.value).to.equal(value * 2);
+            expect(deal.value).to.equal(value);
+        });
+
+        it("should replace the previous counter-offer", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value * 2, buyerDeposit, sellerDeposit);
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value * 3, buyerDeposit, sellerDeposit);
+
+            expect((await blockchainDeals.counterOffers(0)).value).to.equal(value * 3);
+        });
+    });
+
+    describe("acceptCounterOffer", function () {
+        it("should revert when trying to accept on a Deal with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.acceptCounterOffer(0, value, buyerDeposit, sellerDeposit)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if there is no counter-offer", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).acceptCounterOffer(0, value, buyerDeposit, sellerDeposit)).to.be.revertedWith(
+                "No counter-offer proposed"
+            );
+        });
+
+        it("should revert if not the creator", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value, buyerDeposit, sellerDeposit * 2);
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptCounterOffer(0, value, buyerDeposit, sellerDeposit * 2)).to.be.revertedWith(
+                "Only the creator can accept the counter-offer"
+            );
+        });
+
+        it("should revert if the Deal was confirmed with the original terms", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value, buyerDeposit, sellerDeposit * 2);
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+
+            await expect(blockchainDeals.connect(buyerAccount).acceptCounterOffer(0, value, buyerDeposit, sellerDeposit * 2)).to.be.revertedWith(
+                "Deal can't be renegotiated"
+            );
+        });
+
+        it("should revert if the terms don't match the counter-offer", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value * 2, buyerDeposit, sellerDeposit);
+
+            await expect(blockchainDeals.connect(buyerAccount).acceptCounterOffer(0, value * 3, buyerDeposit, sellerDeposit, { value: value * 2 })).to.be.revertedWith(
+                "Counter-offer terms don't match"
+            );
+        });
+
+        it("should revert if the ETH sent doesn't match the top-up", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value * 2, buyerDeposit, sellerDeposit);
+
+            await expect(blockchainDeals.connect(buyerAccount).acceptCounterOffer(0, value * 2, buyerDeposit, sellerDeposit, { value: value - 1 })).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
+        it("should revert if ETH is sent when the creator owes less", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).proposeCounterOffer(1, value, buyerDeposit, sellerDeposit / 2);
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptCounterOffer(1, value, buyerDeposit, sellerDeposit / 2, { value: 1 })).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
+        it("should take the top-up from the buyer and keep the Deal ID", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value * 2, buyerDeposit, sellerDeposit);
+
+            await expect(blockchainDeals.connect(buyerAccount).acceptCounterOffer(0, value * 2, buyerDeposit, sellerDeposit, { value }))
+                .to.changeEtherBalances([buyerAccount, blockchainDeals], [-value, value]);
+
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(deal.id).to.equal(0);
+            expect(deal.value).to.equal(value * 2);
+            expect(deal.state).to.equal(dealStateMapper.PendingSellerDeposit);
+            expect(await blockchainDeals.getDealCount()).to.equal(3);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(value * 2 + buyerDeposit + sellerDeposit);
+            expect((await blockchainDeals.counterOffers(0)).value).to.equal(0);
+        });
+
+        it("should credit the difference to the seller when it owes less", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(pendingDealsFixture);
+            const newSellerDeposit = sellerDeposit / 3;
+
+            await blockchainDeals.connect(buyerAccount).proposeCounterOffer(1, value, buyerDeposit, newSellerDeposit);
+            await blockchainDeals.connect(sellerAccount).acceptCounterOffer(1, value, buyerDeposit, newSellerDeposit);
+
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit - newSellerDeposit);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(value + buyerDeposit + newSellerDeposit);
+        });
+
+        it("should let the counterparty confirm with the new terms", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(pendingDealsFixture);
+            const newSellerDeposit = sellerDeposit * 2;
+
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value, buyerDeposit, newSellerDeposit);
+            await blockchainDeals.connect(buyerAccount).acceptCounterOffer(0, value, buyerDeposit, newSellerDeposit);
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit})).to.be.revertedWith(
+                "Invalid ETH amount to confirm the Deal"
+            );
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: newSellerDeposit});
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(value + newSellerDeposit - value * 10 / 10000);
+        });
+
+        it("should pull or credit tokens for token Deals", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(2, value * 2, buyerDeposit, sellerDeposit);
+            await expect(blockchainDeals.connect(buyerAccount).acceptCounterOffer(2, value * 2, buyerDeposit, sellerDeposit))
+                .to.changeTokenBalances(token, [buyerAccount, blockchainDeals], [-value, value]);
+
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(2, value, buyerDeposit / 2, sellerDeposit);
+            await blockchainDeals.connect(buyerAccount).acceptCounterOffer(2, value, buyerDeposit / 2, sellerDeposit);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, token.address)).to.equal(value + buyerDeposit / 2);
+            expect(await blockchainDeals.escrowed(token.address)).to.equal(value + buyerDeposit / 2);
+        });
+
+        it("should emit CounterOfferAccepted event", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).proposeCounterOffer(1, value / 2, buyerDeposit, sellerDeposit);
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptCounterOffer(1, value / 2, buyerDeposit, sellerDeposit))
+                .to.emit(blockchainDeals, "CounterOfferAccepted")
+                .withArgs(1, value / 2, buyerDeposit, sellerDeposit);
+        });
+    });
+});
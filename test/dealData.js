@@ -4,7 +4,11 @@ const dealStateMapper = {
     PendingBuyerDeposit: 1,
     Confirmed: 2,
     CancelledByCreator: 3,
-    Completed: 4
+    Completed: 4,
+    Expired: 5,
+    Disputed: 6,
+    Resolved: 7,
+    MutuallyCancelled: 8
 }
 
 module.exports = dealStateMapper; 
\ No newline at end of file
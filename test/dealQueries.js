@@ -0,0 +1,233 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Deal queries", function () {
+    const value = 1000;
+    const buyerDeposit = 1200;
+    const sellerDeposit = 300;
+    const dealCount = 300;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, ...accounts] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        return { blockchainDeals, owner, accounts: accounts.slice(0, 5), deadline };
+    }
+
+    // Creates dealCount Deals rotating buyer and seller among 5 signers. Half are created
+    // by the buyer and half by the seller, every 3rd one is confirmed and every 7th one cancelled.
+    // Returns the expected IDs for every buyer and seller, with the state of each Deal.
+    async function manyDealsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, accounts, deadline } = fixture;
+        const expected = { byBuyer: {}, bySeller: {}, states: [] };
+
+        for (const account of accounts) {
+            expected.byBuyer[account.address] = [];
+            expected.bySeller[account.address] = [];
+        }
+
+        for (let id = 0; id < dealCount; id++) {
+            const buyer = accounts[id % accounts.length];
+            const seller = accounts[(id + 1 + Math.floor(id / accounts.length) % (accounts.length - 1)) % accounts.length];
+            let state;
+
+            if (id % 2 === 0) {
+                await blockchainDeals.connect(buyer).createDealAsBuyer(value, seller.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                    value: value + buyerDeposit
+                });
+                state = dealStateMapper.PendingSellerDeposit;
+                if (id % 3 === 0) {
+                    await blockchainDeals.connect(seller).sellerConfirmDeal(id, {value: sellerDeposit});
+                    state = dealStateMapper.Confirmed;
+                } else if (id % 7 === 0) {
+                    await blockchainDeals.connect(buyer).buyerCancelDeal(id);
+                    state = dealStateMapper.CancelledByCreator;
+                }
+            } else {
+                await blockchainDeals.connect(seller).createDealAsSeller(value, buyer.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                    value: sellerDeposit
+                });
+                state = dealStateMapper.PendingBuyerDeposit;
+                if (id % 3 === 0) {
+                    await blockchainDeals.connect(buyer).buyerConfirmDeal(id, {value: value + buyerDeposit});
+                    state = dealStateMapper.Confirmed;
+                } else if (id % 7 === 0) {
+                    await blockchainDeals.connect(seller).sellerCancelDeal(id);
+                    state = dealStateMapper.CancelledByCreator;
+                }
+            }
+
+            expected.byBuyer[buyer.address].push(id);
+            expected.bySeller[seller.address].push(id);
+            expected.states.push(state);
+        }
+
+        return { ...fixture, expected };
+    }
+
+    // Reads every page of a paginated view until a short page is returned.
+    async function readAllPages(view, pageSize) {
+        const ids = [];
+        for (let offset = 0; ; offset += pageSize) {
+            const page = await view(offset, pageSize);
+            ids.push(...page.map(id => Number(id)));
+            if (page.length < pageSize) {
+                return ids;
+            }
+        }
+    }
+
+    describe("getDealCount", function () {
+        it("should be 0 before any Deal is created", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            expect(await blockchainDeals.getDealCount()).to.equal(0);
+        });
+
+        it("should count every Deal created", async function () {
+            const { blockchainDeals } = await loadFixture(manyDealsFixture);
+
+            expect(await blockchainDeals.getDealCount()).to.equal(dealCount);
+        });
+    });
+
+    describe("getBuyerDealCount and getSellerDealCount", function () {
+        it("should count the Deals of each participant", async function () {
+            const { blockchainDeals, owner, accounts, expected } = await loadFixture(manyDealsFixture);
+
+            for (const account of accounts) {
+                expect(await blockchainDeals.getBuyerDealCount(account.address)).to.equal(expected.byBuyer[account.address].length);
+                expect(await blockchainDeals.getSellerDealCount(account.address)).to.equal(expected.bySeller[account.address].length);
+            }
+            expect(await blockchainDeals.getBuyerDealCount(owner.address)).to.equal(0);
+            expect(await blockchainDeals.getSellerDealCount(owner.address)).to.equal(0);
+        });
+    });
+
+    describe("getDealIdsByBuyer and getDealIdsBySeller", function () {
+        it("should return every Deal of each participant in creation order across pages", async function () {
+            const { blockchainDeals, accounts, expected } = await loadFixture(manyDealsFixture);
+
+            for (const account of accounts) {
+                expect(await readAllPages((offset, limit) => blockchainDeals.getDealIdsByBuyer(account.address, offset, limit), 25))
+                    .to.deep.equal(expected.byBuyer[account.address]);
+                expect(await readAllPages((offset, limit) => blockchainDeals.getDealIdsBySeller(account.address, offset, limit), 7))
+                    .to.deep.equal(expected.bySeller[account.address]);
+            }
+        });
+
+        it("should return the requested page", async function () {
+            const { blockchainDeals, accounts, expected } = await loadFixture(manyDealsFixture);
+            const buyer = accounts[2].address;
+
+            const page = await blockchainDeals.getDealIdsByBuyer(buyer, 10, 5);
+
+            expect(page.map(id => Number(id))).to.deep.equal(expected.byBuyer[buyer].slice(10, 15));
+        });
+
+        it("should return an empty page when the offset is past the end or limit is 0", async function () {
+            const { blockchainDeals, owner, accounts } = await loadFixture(manyDealsFixture);
+
+            expect(await blockchainDeals.getDealIdsByBuyer(accounts[0].address, dealCount, 10)).to.deep.equal([]);
+            expect(await blockchainDeals.getDealIdsBySeller(accounts[0].address, 0, 0)).to.deep.equal([]);
+            expect(await blockchainDeals.getDealIdsByBuyer(owner.address, 0, 10)).to.deep.equal([]);
+        });
+
+        it("should cap the page at the number of Deals", async function () {
+            const { blockchainDeals, accounts, expected } = await loadFixture(manyDealsFixture);
+            const seller = accounts[1].address;
+
+            const page = await blockchainDeals.getDealIdsBySeller(seller, 0, ethers.constants.MaxUint256);
+
+            expect(page.map(id => Number(id))).to.deep.equal(expected.bySeller[seller]);
+        });
+    });
+
+    describe("getDealIdsByBuyerAndState and getDealIdsBySellerAndState", function () {
+        it("should only return the Deals in the given state across pages", async function () {
+            const { blockchainDeals, accounts, expected } = await loadFixture(manyDealsFixture);
+
+            for (const state of [dealStateMapper.PendingSellerDeposit, dealStateMapper.PendingBuyerDeposit, dealStateMapper.Confirmed, dealStateMapper.CancelledByCreator]) {
+                for (const account of accounts) {
+                    const byBuyer = expected.byBuyer[account.address].filter(id => expected.states[id] === state);
+                    const bySeller = expected.bySeller[account.address].filter(id => expected.states[id] === state);
+
+                    expect(await readAllPages((offset, limit) => blockchainDeals.getDealIdsByBuyerAndState(account.address, state, offset, limit), 4))
+                        .to.deep.equal(byBuyer);
+                    expect(await readAllPages((offset, limit) => blockchainDeals.getDealIdsBySellerAndState(account.address, state, offset, limit), 10))
+                        .to.deep.equal(bySeller);
+                }
+            }
+        });
+
+        it("should return an empty page when no Deal is in the given state", async function () {
+            const { blockchainDeals, accounts } = await loadFixture(manyDealsFixture);
+
+            expect(await blockchainDeals.getDealIdsByBuyerAndState(accounts[0].address, dealStateMapper.Completed, 0, 10)).to.deep.equal([]);
+        });
+
+        it("should reflect state changes", async function () {
+            const { blockchainDeals, accounts, expected } = await loadFixture(manyDealsFixture);
+            const buyer = accounts[0];
+            const confirmed = expected.byBuyer[buyer.address].filter(id => expected.states[id] === dealStateMapper.Confirmed);
+
+            await blockchainDeals.connect(buyer).completeDeal(confirmed[0]);
+
+            const completed = await blockchainDeals.getDealIdsByBuyerAndState(buyer.address, dealStateMapper.Completed, 0, 10);
+            const stillConfirmed = await blockchainDeals.getDealIdsByBuyerAndState(buyer.address, dealStateMapper.Confirmed, 0, dealCount);
+
+            expect(completed.map(id => Number(id))).to.deep.equal([confirmed[0]]);
+            expect(stillConfirmed.map(id => Number(id))).to.deep.equal(confirmed.slice(1));
+        });
+    });
+
+    describe("getDealsByBuyer and getDealsBySeller", function () {
+        it("should return the Deals of the requested page", async function () {
+            const { blockchainDeals, accounts, expected } = await loadFixture(manyDealsFixture);
+            const buyer = accounts[3].address;
+            const seller = accounts[4].address;
+
+            const buyerDeals = await blockchainDeals.getDealsByBuyer(buyer, 5, 10);
+            const sellerDeals = await blockchainDeals.getDealsBySeller(seller, 0, 3);
+
+            expect(buyerDeals.map(deal => Number(deal.id))).to.deep.equal(expected.byBuyer[buyer].slice(5, 15));
+            expect(sellerDeals.map(deal => Number(deal.id))).to.deep.equal(expected.bySeller[seller].slice(0, 3));
+            for (const deal of buyerDeals) {
+                expect(deal.buyer).to.equal(buyer);
+                expect(deal.state).to.equal(expected.states[deal.id]);
+                expect(deal).to.deep.equal(await blockchainDeals.getDealById(deal.id));
+            }
+        });
+    });
+
+    describe("getDealsByBuyerAndState and getDealsBySellerAndState", function () {
+        it("should only return the Deals in the given state", async function () {
+            const { blockchainDeals, accounts, expected } = await loadFixture(manyDealsFixture);
+            const account = accounts[1].address;
+
+            const buyerDeals = await blockchainDeals.getDealsByBuyerAndState(account, dealStateMapper.Confirmed, 2, 5);
+            const sellerDeals = await blockchainDeals.getDealsBySellerAndState(account, dealStateMapper.CancelledByCreator, 0, dealCount);
+
+            expect(buyerDeals.map(deal => Number(deal.id))).to.deep.equal(
+                expected.byBuyer[account].filter(id => expected.states[id] === dealStateMapper.Confirmed).slice(2, 7)
+            );
+            expect(sellerDeals.map(deal => Number(deal.id))).to.deep.equal(
+                expected.bySeller[account].filter(id => expected.states[id] === dealStateMapper.CancelledByCreator)
+            );
+            for (const deal of [...buyerDeals, ...sellerDeals]) {
+                expect(deal.state).to.be.oneOf([dealStateMapper.Confirmed, dealStateMapper.CancelledByCreator]);
+            }
+        });
+    });
+});
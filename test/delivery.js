@@ -0,0 +1,409 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+const { BlockchainDealsClient, DeadlineError, InvalidStateError, TermsMismatchError } = require("../sdk");
+
+const ONE_DAY_IN_SECS = 24 * 60 * 60;
+const ONE_WEEK_IN_SECS = 7 * ONE_DAY_IN_SECS;
+
+describe("Delivery", function () {
+    const milestones = [200000, 300000, 500000];
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const feeOf = (amount) => Math.floor(amount * 10 / 10000);
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, arbiterAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        for (const account of [buyerAccount, sellerAccount]) {
+            await token.mint(account.address, 10000000);
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+
+        // Deal 0 is an ETH Deal created by the buyer and Deal 1 a token milestone Deal created by the seller, both pending.
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, arbiterAccount.address, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).createMilestoneDealAsSeller(token.address, milestones, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero);
+
+        return { blockchainDeals, token, owner, buyerAccount, sellerAccount, arbiterAccount, otherAccount, deadline };
+    }
+
+    // Both Deals Confirmed.
+    async function confirmedDealsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, buyerAccount, sellerAccount } = fixture;
+
+        await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+        await blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(1);
+
+        return fixture;
+    }
+
+    // Both Deals Confirmed and marked delivered, with the default inspection period of one day.
+    async function deliveredDealsFixture() {
+        const fixture = await confirmedDealsFixture();
+        const { blockchainDeals, sellerAccount } = fixture;
+
+        await blockchainDeals.connect(sellerAccount).markDelivered(0);
+        await blockchainDeals.connect(sellerAccount).markDelivered(1);
+
+        return fixture;
+    }
+
+    describe("setInspectionPeriodBounds", function () {
+        it("should go from one to thirty days by default", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+            const [minPeriod, maxPeriod] = await blockchainDeals.getInspectionPeriodBounds();
+
+            expect(minPeriod).to.equal(ONE_DAY_IN_SECS);
+            expect(maxPeriod).to.equal(30 * ONE_DAY_IN_SECS);
+        });
+
+        it("should change the bounds and emit InspectionPeriodBoundsChanged event", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.setInspectionPeriodBounds(3600, ONE_WEEK_IN_SECS))
+                .to.emit(blockchainDeals, "InspectionPeriodBoundsChanged")
+                .withArgs(3600, ONE_WEEK_IN_SECS);
+            const [minPeriod, maxPeriod] = await blockchainDeals.getInspectionPeriodBounds();
+
+            expect(minPeriod).to.equal(3600);
+            expect(maxPeriod).to.equal(ONE_WEEK_IN_SECS);
+        });
+
+        it("should give pending Deals that don't set an inspection period the min one on confirmation", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(deployFixture);
+
+            await blockchainDeals.setInspectionPeriodBounds(3600, ONE_WEEK_IN_SECS);
+            expect((await blockchainDeals.getInspection(0)).period).to.equal(0);
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            expect((await blockchainDeals.getInspection(0)).period).to.equal(3600);
+        });
+
+        it("should keep the inspection period of Deals already Confirmed", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.setInspectionPeriodBounds(3 * ONE_DAY_IN_SECS, ONE_WEEK_IN_SECS);
+            expect((await blockchainDeals.getInspection(0)).period).to.equal(ONE_DAY_IN_SECS);
+            await blockchainDeals.connect(sellerAccount).markDelivered(0);
+            expect((await blockchainDeals.getInspection(0)).end).to.equal((await time.latest()) + ONE_DAY_IN_SECS);
+
+            await blockchainDeals.setInspectionPeriodBounds(60, ONE_WEEK_IN_SECS);
+            expect((await blockchainDeals.getInspection(1)).period).to.equal(ONE_DAY_IN_SECS);
+            await blockchainDeals.connect(sellerAccount).markDelivered(1);
+            expect((await blockchainDeals.getInspection(1)).end).to.equal((await time.latest()) + ONE_DAY_IN_SECS);
+        });
+
+        it("should revert if not the owner", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).setInspectionPeriodBounds(3600, ONE_WEEK_IN_SECS)).to.be.revertedWith(
+                "Only the owner can perform this action."
+            );
+        });
+
+        it("should revert with an empty min or a min over the max", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.setInspectionPeriodBounds(0, ONE_WEEK_IN_SECS)).to.be.revertedWith(
+                "Invalid inspection period bounds"
+            );
+            await expect(blockchainDeals.setInspectionPeriodBounds(ONE_WEEK_IN_SECS, 3600)).to.be.revertedWith(
+                "Invalid inspection period bounds"
+            );
+        });
+    });
+
+    describe("setInspectionPeriod", function () {
+        it("should set the inspection period of a pending Deal and emit InspectionPeriodSet event", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            expect((await blockchainDeals.getInspection(0)).period).to.equal(0);
+
+            await expect(blockchainDeals.connect(buyerAccount).setInspectionPeriod(0, 3 * ONE_DAY_IN_SECS))
+                .to.emit(blockchainDeals, "InspectionPeriodSet")
+                .withArgs(0, 3 * ONE_DAY_IN_SECS);
+            await blockchainDeals.connect(sellerAccount).setInspectionPeriod(1, 30 * ONE_DAY_IN_SECS);
+            const [period, end] = await blockchainDeals.getInspection(0);
+
+            expect(period).to.equal(3 * ONE_DAY_IN_SECS);
+            expect(end).to.equal(0);
+            expect((await blockchainDeals.getInspection(1)).period).to.equal(30 * ONE_DAY_IN_SECS);
+        });
+
+        it("should revert when trying to get the inspection of a Deal with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.getInspection(2)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if not the creator", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).setInspectionPeriod(0, 3 * ONE_DAY_IN_SECS)).to.be.revertedWith(
+                "Only the creator can set the inspection period"
+            );
+            await expect(blockchainDeals.connect(buyerAccount).setInspectionPeriod(1, 3 * ONE_DAY_IN_SECS)).to.be.revertedWith(
+                "Only the creator can set the inspection period"
+            );
+        });
+
+        it("should revert once the Deal is confirmed", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).setInspectionPeriod(0, 3 * ONE_DAY_IN_SECS)).to.be.revertedWith(
+                "Deal can't be renegotiated"
+            );
+        });
+
+        it("should only confirm Deals acknowledging the inspection period set by the creator", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).setInspectionPeriod(0, 3 * ONE_DAY_IN_SECS);
+            await blockchainDeals.connect(buyerAccount).setInspectionPeriod(0, 5 * ONE_DAY_IN_SECS);
+            await blockchainDeals.connect(sellerAccount).setInspectionPeriod(1, 3 * ONE_DAY_IN_SECS);
+
+            await expect(blockchainDeals.connect(sellerAccount).confirmDealWithTerms(0, ethers.constants.HashZero, 3 * ONE_DAY_IN_SECS, {value: sellerDeposit})).to.be.revertedWith(
+                "Inspection period doesn't match"
+            );
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit})).to.be.revertedWith(
+                "Inspection period doesn't match"
+            );
+            await expect(blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(1)).to.be.revertedWith(
+                "Inspection period doesn't match"
+            );
+
+            await blockchainDeals.connect(sellerAccount).confirmDealWithTerms(0, ethers.constants.HashZero, 5 * ONE_DAY_IN_SECS, {value: sellerDeposit});
+            await expect(blockchainDeals.connect(buyerAccount).confirmDealWithTerms(1, ethers.constants.HashZero, 3 * ONE_DAY_IN_SECS)).to.changeTokenBalances(
+                token,
+                [buyerAccount, blockchainDeals],
+                [-(value + buyerDeposit), value + buyerDeposit]
+            );
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Confirmed);
+            expect((await blockchainDeals.getInspection(0)).period).to.equal(5 * ONE_DAY_IN_SECS);
+        });
+
+        it("should revert if out of the inspection period bounds", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).setInspectionPeriod(0, ONE_DAY_IN_SECS - 1)).to.be.revertedWith(
+                "Invalid inspection period"
+            );
+            await expect(blockchainDeals.connect(buyerAccount).setInspectionPeriod(0, 30 * ONE_DAY_IN_SECS + 1)).to.be.revertedWith(
+                "Invalid inspection period"
+            );
+        });
+    });
+
+    describe("markDelivered", function () {
+        it("should start the inspection period and emit DealDelivered event", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(confirmedDealsFixture);
+            const inspectionEnd = (await time.latest()) + 1 + ONE_DAY_IN_SECS;
+
+            await expect(blockchainDeals.connect(sellerAccount).markDelivered(0))
+                .to.emit(blockchainDeals, "DealDelivered")
+                .withArgs(0, inspectionEnd);
+            const [period, end] = await blockchainDeals.getInspection(0);
+
+            expect(period).to.equal(ONE_DAY_IN_SECS);
+            expect(end).to.equal(inspectionEnd);
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Confirmed);
+        });
+
+        it("should use the inspection period the Deal was created with", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).setInspectionPeriod(0, 3 * ONE_DAY_IN_SECS);
+            await blockchainDeals.connect(sellerAccount).confirmDealWithTerms(0, ethers.constants.HashZero, 3 * ONE_DAY_IN_SECS, {value: sellerDeposit});
+            await blockchainDeals.connect(sellerAccount).markDelivered(0);
+
+            expect((await blockchainDeals.getInspection(0)).end).to.equal((await time.latest()) + 3 * ONE_DAY_IN_SECS);
+        });
+
+        it("should revert if not the seller", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).markDelivered(0)).to.be.revertedWith(
+                "Only the seller can mark the Deal delivered"
+            );
+        });
+
+        it("should revert if the Deal isn't Confirmed or was already marked delivered", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).markDelivered(0)).to.be.revertedWith(
+                "Deal can't be marked delivered"
+            );
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            await blockchainDeals.connect(sellerAccount).markDelivered(0);
+
+            await expect(blockchainDeals.connect(sellerAccount).markDelivered(0)).to.be.revertedWith(
+                "Deal can't be marked delivered"
+            );
+        });
+
+        it("should revert if the inspection would end after the deadline", async function () {
+            const { blockchainDeals, sellerAccount, deadline } = await loadFixture(confirmedDealsFixture);
+
+            await time.increaseTo(deadline - ONE_DAY_IN_SECS);
+
+            await expect(blockchainDeals.connect(sellerAccount).markDelivered(0)).to.be.revertedWith(
+                "Inspection would end after the deadline"
+            );
+        });
+    });
+
+    describe("autoRelease", function () {
+        it("should revert until the inspection period has ended", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deliveredDealsFixture);
+            const [, end] = await blockchainDeals.getInspection(0);
+
+            await time.setNextBlockTimestamp(end);
+
+            await expect(blockchainDeals.connect(otherAccount).autoRelease(0)).to.be.revertedWith(
+                "Inspection period hasn't ended"
+            );
+        });
+
+        it("should revert if the Deal wasn't marked delivered", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(confirmedDealsFixture);
+
+            await time.increase(ONE_DAY_IN_SECS + 1);
+
+            await expect(blockchainDeals.connect(otherAccount).autoRelease(0)).to.be.revertedWith(
+                "Deal can't be released"
+            );
+        });
+
+        it("should complete the Deal charging its fee, by anyone", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, otherAccount } = await loadFixture(deliveredDealsFixture);
+            const fee = feeOf(value);
+
+            await time.increase(ONE_DAY_IN_SECS + 1);
+
+            await expect(blockchainDeals.connect(otherAccount).autoRelease(0))
+                .to.emit(blockchainDeals, "DealAutoReleased")
+                .withArgs(0, otherAccount.address)
+                .and.to.emit(blockchainDeals, "DealCompleted")
+                .withArgs(0, buyerDeposit, sellerDeposit + value - fee, fee);
+
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Completed);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit + value - fee);
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(buyerDeposit);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(0);
+            await expect(blockchainDeals.connect(otherAccount).autoRelease(0)).to.be.revertedWith(
+                "Deal can't be released"
+            );
+        });
+
+        it("should release every milestone not released yet", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+            const remaining = milestones[1] + milestones[2];
+            const remainingFee = feeOf(milestones[1]) + feeOf(milestones[2]);
+
+            await blockchainDeals.connect(buyerAccount).releaseMilestone(1);
+            await blockchainDeals.connect(sellerAccount).markDelivered(1);
+            await time.increase(ONE_DAY_IN_SECS + 1);
+
+            await expect(blockchainDeals.autoRelease(1))
+                .to.emit(blockchainDeals, "MilestoneReleased")
+                .withArgs(1, 2, milestones[2], feeOf(milestones[2]))
+                .and.to.emit(blockchainDeals, "DealCompleted")
+                .withArgs(1, buyerDeposit, sellerDeposit + remaining - remainingFee, remainingFee);
+
+            expect((await blockchainDeals.getMilestones(1)).released).to.equal(milestones.length);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, token.address)).to.equal(sellerDeposit + value - feeOf(milestones[0]) - remainingFee);
+        });
+
+        it("should let the buyer complete the Deal during the inspection", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(deliveredDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+            await time.increase(ONE_DAY_IN_SECS + 1);
+
+            await expect(blockchainDeals.autoRelease(0)).to.be.revertedWith(
+                "Deal can't be released"
+            );
+        });
+
+        it("should not release a Deal the buyer disputed during the inspection", async function () {
+            const { blockchainDeals, buyerAccount, arbiterAccount } = await loadFixture(deliveredDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).openDispute(0);
+            await time.increase(ONE_DAY_IN_SECS + 1);
+
+            await expect(blockchainDeals.autoRelease(0)).to.be.revertedWith(
+                "Deal can't be released"
+            );
+            await blockchainDeals.connect(arbiterAccount).resolveDispute(0, buyerDeposit + value, sellerDeposit, 0);
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Resolved);
+        });
+
+        it("should not let a Deal be disputed once the inspection has ended", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deliveredDealsFixture);
+            const [, end] = await blockchainDeals.getInspection(0);
+
+            await time.setNextBlockTimestamp(end.add(1));
+
+            await expect(blockchainDeals.connect(buyerAccount).openDispute(0)).to.be.revertedWith(
+                "Deal can't be disputed"
+            );
+            await expect(blockchainDeals.connect(sellerAccount).openDispute(0)).to.be.revertedWith(
+                "Deal can't be disputed"
+            );
+            await blockchainDeals.autoRelease(0);
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Completed);
+        });
+
+        it("should keep delivered Deals from being expired", async function () {
+            const { blockchainDeals, buyerAccount, deadline } = await loadFixture(deliveredDealsFixture);
+
+            await time.increaseTo(deadline + 1);
+
+            await expect(blockchainDeals.connect(buyerAccount).expireDeal(0)).to.be.revertedWith(
+                "Deal can't be expired"
+            );
+            await blockchainDeals.autoRelease(0);
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Completed);
+        });
+    });
+
+    describe("SDK", function () {
+        it("should set the inspection period, mark delivered and release through the client", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, otherAccount } = await loadFixture(deployFixture);
+            const asBuyer = new BlockchainDealsClient(blockchainDeals.address, buyerAccount);
+            const asSeller = asBuyer.connect(sellerAccount);
+
+            await asBuyer.setInspectionPeriod(0, 2 * ONE_DAY_IN_SECS);
+            await expect(asSeller.confirm(0)).to.be.rejectedWith(TermsMismatchError, "Inspection period doesn't match");
+            await asSeller.confirm(0, { inspectionPeriod: 2 * ONE_DAY_IN_SECS });
+            expect(await asSeller.getInspection(0)).to.deep.equal({ period: 2 * ONE_DAY_IN_SECS, end: undefined });
+
+            await asSeller.markDelivered(0);
+            const { end } = await asSeller.getInspection(0);
+            expect(end).to.equal(await time.latest() + 2 * ONE_DAY_IN_SECS);
+            await expect(asSeller.markDelivered(0)).to.be.rejectedWith(InvalidStateError, "Deal can't be marked delivered");
+            await expect(asSeller.autoRelease(0)).to.be.rejectedWith(DeadlineError, "Inspection period hasn't ended");
+
+            await time.increaseTo(end + 1);
+            await asSeller.connect(otherAccount).autoRelease(0);
+            expect((await asSeller.getDeal(0)).state).to.equal("Completed");
+        });
+    });
+});
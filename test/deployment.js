@@ -1,5 +1,6 @@
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
 const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
 
 describe("Deployment", function () {
     // We define a fixture to reuse the same setup in every test.
@@ -9,8 +10,7 @@ describe("Deployment", function () {
         // Contracts are deployed using the first signer/account by default
         const [owner, otherAccount] = await ethers.getSigners();
 
-        const BlockchainDeals = await ethers.getContractFactory("BlockchainDeals");
-        const blockchainDeals = await BlockchainDeals.deploy();
+        const blockchainDeals = await deployBlockchainDeals(hre);
 
         return { blockchainDeals, owner, otherAccount };
     }
@@ -20,9 +20,47 @@ describe("Deployment", function () {
     expect(await blockchainDeals.fee()).to.equal(10);
     });
 
+    it("should set the right arbitration fee limit", async function () {
+    const { blockchainDeals } = await loadFixture(deployFixture);
+
+    expect(await blockchainDeals.arbitrationFeeLimit()).to.equal(500);
+    });
+
     it("should set the right owner", async function () {
     const { blockchainDeals, owner } = await loadFixture(deployFixture);
 
     expect(await blockchainDeals.owner()).to.equal(owner.address);
     });
+
+    it("should delegate to deployed extensions", async function () {
+    const { blockchainDeals } = await loadFixture(deployFixture);
+
+    expect(await ethers.provider.getCode(await blockchainDeals.extension())).to.not.equal("0x");
+    expect(await ethers.provider.getCode(await blockchainDeals.marketExtension())).to.not.equal("0x");
+    });
+
+    it("should not let the extensions be called directly", async function () {
+    const { blockchainDeals } = await loadFixture(deployFixture);
+    const extensions = [
+        await ethers.getContractAt("BlockchainDealsExtension", await blockchainDeals.extension()),
+        await ethers.getContractAt("BlockchainDealsMarket", await blockchainDeals.marketExtension())
+    ];
+
+    const zeroValue = (param) => {
+        if (param.baseType === "tuple") return param.components.map(zeroValue);
+        if (param.baseType === "array") return [];
+        if (param.baseType === "address") return ethers.constants.AddressZero;
+        if (param.baseType === "bool") return false;
+        if (param.type === "bytes32") return ethers.constants.HashZero;
+        return param.baseType === "bytes" ? "0x" : 0;
+    };
+
+    for (const extension of extensions) {
+        for (const fragment of Object.values(extension.interface.functions).filter(fragment => !fragment.constant)) {
+            await expect(extension[fragment.format()](...fragment.inputs.map(zeroValue))).to.be.revertedWith(
+                "Only BlockchainDeals can call the extension"
+            );
+        }
+    }
+    });
 });
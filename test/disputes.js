@@ -0,0 +1,268 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Disputes", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const total = value + buyerDeposit + sellerDeposit;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, arbiterAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        return { blockchainDeals, owner, buyerAccount, sellerAccount, arbiterAccount, otherAccount, deadline };
+    }
+
+    // Deal 0 has its own arbiter, Deal 1 falls back to the owner. Both are Confirmed.
+    async function confirmedDealsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, buyerAccount, sellerAccount, arbiterAccount, deadline } = fixture;
+
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, arbiterAccount.address, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+
+        await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: sellerDeposit
+        });
+        await blockchainDeals.connect(buyerAccount).buyerConfirmDeal(1, {value: value + buyerDeposit});
+
+        return fixture;
+    }
+
+    describe("getArbiter", function () {
+        it("should revert when trying to get the arbiter of a Deal with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.getArbiter(0)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should return the arbiter chosen at creation", async function () {
+            const { blockchainDeals, arbiterAccount } = await loadFixture(confirmedDealsFixture);
+
+            expect(await blockchainDeals.getArbiter(0)).to.equal(arbiterAccount.address);
+        });
+
+        it("should return address(0) when the arbiter role arbitrates", async function () {
+            const { blockchainDeals } = await loadFixture(confirmedDealsFixture);
+
+            expect(await blockchainDeals.getArbiter(1)).to.equal(ethers.constants.AddressZero);
+        });
+    });
+
+    describe("openDispute", function () {
+        it("should revert when trying to dispute a Deal with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.openDispute(0)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if not the buyer or the seller", async function () {
+            const { blockchainDeals, arbiterAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(arbiterAccount).openDispute(0)).to.be.revertedWith(
+                "Only the buyer or the seller can open a dispute"
+            );
+        });
+
+        it("should revert if deal not confirmed", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+
+            await expect(blockchainDeals.connect(buyerAccount).openDispute(0)).to.be.revertedWith(
+                "Deal can't be disputed"
+            );
+        });
+
+        it("should revert if already disputed", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).openDispute(0);
+
+            await expect(blockchainDeals.connect(sellerAccount).openDispute(0)).to.be.revertedWith(
+                "Deal can't be disputed"
+            );
+        });
+
+        it("should set the Deal state to Disputed", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).openDispute(0);
+
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(deal.state).to.equal(dealStateMapper.Disputed);
+        });
+
+        it("should freeze the Deal", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).openDispute(0);
+            await time.increase(ONE_WEEK_IN_SECS + 1);
+
+            await expect(blockchainDeals.connect(buyerAccount).completeDeal(0)).to.be.revertedWith(
+                "Deal can't be completed"
+            );
+            await expect(blockchainDeals.connect(buyerAccount).expireDeal(0)).to.be.revertedWith(
+                "Deal can't be expired"
+            );
+        });
+
+        it("should emit DisputeOpened event", async function () {
+            const { blockchainDeals, buyerAccount, arbiterAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).openDispute(0))
+                .to.emit(blockchainDeals, "DisputeOpened")
+                .withArgs(0, buyerAccount.address, arbiterAccount.address);
+
+            await expect(blockchainDeals.connect(buyerAccount).openDispute(1))
+                .to.emit(blockchainDeals, "DisputeOpened")
+                .withArgs(1, buyerAccount.address, ethers.constants.AddressZero);
+        });
+    });
+
+    describe("resolveDispute", function () {
+        it("should revert when trying to resolve a Deal with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.resolveDispute(0, 0, 0, 0)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if not the arbiter", async function () {
+            const { blockchainDeals, owner, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).openDispute(0);
+
+            await expect(blockchainDeals.connect(owner).resolveDispute(0, total, 0, 0)).to.be.revertedWith(
+                "Only the arbiter can resolve the dispute"
+            );
+            await expect(blockchainDeals.connect(buyerAccount).resolveDispute(0, total, 0, 0)).to.be.revertedWith(
+                "Only the arbiter can resolve the dispute"
+            );
+        });
+
+        it("should revert if deal not disputed", async function () {
+            const { blockchainDeals, arbiterAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(arbiterAccount).resolveDispute(0, total, 0, 0)).to.be.revertedWith(
+                "Deal isn't disputed"
+            );
+        });
+
+        it("should revert if amounts don't add up to the Deal funds", async function () {
+            const { blockchainDeals, buyerAccount, arbiterAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).openDispute(0);
+
+            await expect(blockchainDeals.connect(arbiterAccount).resolveDispute(0, total, 1, 0)).to.be.revertedWith(
+                "Amounts don't match the Deal funds"
+            );
+            await expect(blockchainDeals.connect(arbiterAccount).resolveDispute(0, total - 2, 1, 0)).to.be.revertedWith(
+                "Amounts don't match the Deal funds"
+            );
+        });
+
+        it("should revert if the arbitration fee is over the limit", async function () {
+            const { blockchainDeals, buyerAccount, arbiterAccount } = await loadFixture(confirmedDealsFixture);
+            const arbitrationFee = total * 500 / 10000 + 1;
+
+            await blockchainDeals.connect(buyerAccount).openDispute(0);
+
+            await expect(blockchainDeals.connect(arbiterAccount).resolveDispute(0, total - arbitrationFee, 0, arbitrationFee)).to.be.revertedWith(
+                "Arbitration fee is too high"
+            );
+        });
+
+        it("should credit the split funds to buyer, seller and arbiter", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, arbiterAccount } = await loadFixture(confirmedDealsFixture);
+            const arbitrationFee = total * 500 / 10000;
+            const buyerAmount = 1500000;
+            const sellerAmount = total - buyerAmount - arbitrationFee;
+
+            await blockchainDeals.connect(sellerAccount).openDispute(0);
+            await blockchainDeals.connect(arbiterAccount).resolveDispute(0, buyerAmount, sellerAmount, arbitrationFee);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(buyerAmount);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerAmount);
+            expect(await blockchainDeals.pendingWithdrawals(arbiterAccount.address, ethers.constants.AddressZero)).to.equal(arbitrationFee);
+        });
+
+        it("should let the deployer resolve as fallback arbiter", async function () {
+            const { blockchainDeals, owner, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).openDispute(1);
+            await blockchainDeals.connect(owner).resolveDispute(1, 0, total, 0);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(0);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(total);
+        });
+
+        it("should let any account with the arbiter role resolve as fallback arbiter", async function () {
+            const { blockchainDeals, owner, buyerAccount, sellerAccount, otherAccount } = await loadFixture(confirmedDealsFixture);
+            const arbiterRole = await blockchainDeals.ARBITER_ROLE();
+
+            await blockchainDeals.connect(buyerAccount).openDispute(1);
+            await expect(blockchainDeals.connect(otherAccount).resolveDispute(1, 0, total, 0)).to.be.revertedWith(
+                "Only the arbiter can resolve the dispute"
+            );
+            await blockchainDeals.grantRole(arbiterRole, otherAccount.address);
+            await blockchainDeals.revokeRole(arbiterRole, owner.address);
+            await expect(blockchainDeals.connect(owner).resolveDispute(1, 0, total, 0)).to.be.revertedWith(
+                "Only the arbiter can resolve the dispute"
+            );
+
+            await expect(blockchainDeals.connect(otherAccount).resolveDispute(1, total, 0, 0))
+                .to.emit(blockchainDeals, "DisputeResolved")
+                .withArgs(1, otherAccount.address, total, 0, 0);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(0);
+        });
+
+        it("should set the Deal state to Resolved", async function () {
+            const { blockchainDeals, buyerAccount, arbiterAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).openDispute(0);
+            await blockchainDeals.connect(arbiterAccount).resolveDispute(0, total, 0, 0);
+
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(deal.state).to.equal(dealStateMapper.Resolved);
+            await expect(blockchainDeals.connect(arbiterAccount).resolveDispute(0, total, 0, 0)).to.be.revertedWith(
+                "Deal isn't disputed"
+            );
+        });
+
+        it("should emit DisputeResolved event", async function () {
+            const { blockchainDeals, buyerAccount, arbiterAccount } = await loadFixture(confirmedDealsFixture);
+            const arbitrationFee = 1000;
+            const buyerAmount = 2000000;
+            const sellerAmount = total - buyerAmount - arbitrationFee;
+
+            await blockchainDeals.connect(buyerAccount).openDispute(0);
+
+            await expect(blockchainDeals.connect(arbiterAccount).resolveDispute(0, buyerAmount, sellerAmount, arbitrationFee))
+                .to.emit(blockchainDeals, "DisputeResolved")
+                .withArgs(0, arbiterAccount.address, buyerAmount, sellerAmount, arbitrationFee);
+        });
+    });
+});
@@ -0,0 +1,239 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Fee policy", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+        const delay = (await blockchainDeals.FEE_CHANGE_DELAY()).toNumber();
+
+        return { blockchainDeals, owner, buyerAccount, sellerAccount, otherAccount, deadline, delay };
+    }
+
+    async function changeFee(blockchainDeals, newFee, tierMinValues = [], tierFees = []) {
+        await blockchainDeals.announceFeeChange(newFee, tierMinValues, tierFees);
+        await time.increase(await blockchainDeals.FEE_CHANGE_DELAY());
+        await blockchainDeals.applyFeeChange();
+    }
+
+    async function createDeal(blockchainDeals, buyerAccount, sellerAccount, dealValue = value) {
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(dealValue, sellerAccount.address, sellerDeposit, buyerDeposit, (await time.latest()) + ONE_WEEK_IN_SECS, ethers.constants.AddressZero, {
+            value: dealValue + buyerDeposit
+        });
+    }
+
+    describe("announceFeeChange", function () {
+        it("should revert if the fee is over MAX_FEE", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+            const maxFee = (await blockchainDeals.MAX_FEE()).toNumber();
+
+            await expect(blockchainDeals.announceFeeChange(maxFee + 1, [], [])).to.be.revertedWith(
+                "Fee is too high"
+            );
+            await expect(blockchainDeals.announceFeeChange(10, [value], [maxFee + 1])).to.be.revertedWith(
+                "Fee is too high"
+            );
+            await expect(blockchainDeals.announceFeeChange(maxFee, [value], [maxFee])).not.to.be.reverted;
+        });
+
+        it("should revert if the tiers don't match or aren't in increasing order", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.announceFeeChange(10, [value], [])).to.be.revertedWith(
+                "Invalid fee tiers"
+            );
+            await expect(blockchainDeals.announceFeeChange(10, [value, value], [5, 2])).to.be.revertedWith(
+                "Invalid fee tiers"
+            );
+            await expect(blockchainDeals.announceFeeChange(10, [value * 10, value], [5, 2])).to.be.revertedWith(
+                "Invalid fee tiers"
+            );
+        });
+
+        it("should store the pending change and emit FeeChangeAnnounced event", async function () {
+            const { blockchainDeals, delay } = await loadFixture(deployFixture);
+            const effectiveTime = (await time.latest()) + 1 + delay;
+
+            await expect(blockchainDeals.announceFeeChange(20, [value], [5]))
+                .to.emit(blockchainDeals, "FeeChangeAnnounced")
+                .withArgs(20, [value], [5], effectiveTime);
+
+            const pending = await blockchainDeals.getPendingFeeChange();
+            expect(pending.newFee).to.equal(20);
+            expect(pending.tierMinValues).to.deep.equal([ethers.BigNumber.from(value)]);
+            expect(pending.tierFees).to.deep.equal([ethers.BigNumber.from(5)]);
+            expect(pending.effectiveTime).to.equal(effectiveTime);
+            expect(await blockchainDeals.fee()).to.equal(10);
+        });
+
+        it("should replace a change announced before and restart the timelock", async function () {
+            const { blockchainDeals, delay } = await loadFixture(deployFixture);
+
+            await blockchainDeals.announceFeeChange(20, [], []);
+            await time.increase(delay);
+            await blockchainDeals.announceFeeChange(30, [], []);
+
+            await expect(blockchainDeals.applyFeeChange()).to.be.revertedWith(
+                "Fee change is still timelocked"
+            );
+            await time.increase(delay);
+            await blockchainDeals.applyFeeChange();
+            expect(await blockchainDeals.fee()).to.equal(30);
+        });
+    });
+
+    describe("applyFeeChange", function () {
+        it("should revert if there is no fee change announced", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.applyFeeChange()).to.be.revertedWith(
+                "No fee change announced"
+            );
+        });
+
+        it("should revert before the timelock ends", async function () {
+            const { blockchainDeals, delay } = await loadFixture(deployFixture);
+
+            await blockchainDeals.announceFeeChange(20, [], []);
+            await time.increase(delay - 10);
+
+            await expect(blockchainDeals.applyFeeChange()).to.be.revertedWith(
+                "Fee change is still timelocked"
+            );
+        });
+
+        it("should apply the fee and tiers and clear the pending change", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await changeFee(blockchainDeals, 20, [value, value * 10], [15, 5]);
+
+            expect(await blockchainDeals.fee()).to.equal(20);
+            const tiers = await blockchainDeals.getFeeTiers();
+            expect(tiers.minValues).to.deep.equal([ethers.BigNumber.from(value), ethers.BigNumber.from(value * 10)]);
+            expect(tiers.fees).to.deep.equal([ethers.BigNumber.from(15), ethers.BigNumber.from(5)]);
+            expect((await blockchainDeals.getPendingFeeChange()).effectiveTime).to.equal(0);
+            await expect(blockchainDeals.applyFeeChange()).to.be.revertedWith(
+                "No fee change announced"
+            );
+        });
+
+        it("should remove the tiers when applying a change without tiers", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await changeFee(blockchainDeals, 20, [value], [15]);
+            await changeFee(blockchainDeals, 30);
+
+            expect((await blockchainDeals.getFeeTiers()).minValues).to.deep.equal([]);
+            expect(await blockchainDeals.feeFor(value * 10)).to.equal(30);
+        });
+    });
+
+    describe("cancelFeeChange", function () {
+        it("should revert if there is no fee change announced", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.cancelFeeChange()).to.be.revertedWith(
+                "No fee change announced"
+            );
+        });
+
+        it("should discard the pending change and emit FeeChangeCancelled event", async function () {
+            const { blockchainDeals, delay } = await loadFixture(deployFixture);
+
+            await blockchainDeals.announceFeeChange(20, [], []);
+
+            await expect(blockchainDeals.cancelFeeChange())
+                .to.emit(blockchainDeals, "FeeChangeCancelled");
+
+            await time.increase(delay);
+            await expect(blockchainDeals.applyFeeChange()).to.be.revertedWith(
+                "No fee change announced"
+            );
+            expect(await blockchainDeals.fee()).to.equal(10);
+        });
+    });
+
+    describe("feeFor", function () {
+        it("should use the highest tier the value reaches, or the general fee", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await changeFee(blockchainDeals, 20, [value, value * 10], [15, 5]);
+
+            expect(await blockchainDeals.feeFor(value - 1)).to.equal(20);
+            expect(await blockchainDeals.feeFor(value)).to.equal(15);
+            expect(await blockchainDeals.feeFor(value * 10 - 1)).to.equal(15);
+            expect(await blockchainDeals.feeFor(value * 10)).to.equal(5);
+        });
+    });
+
+    describe("Fee snapshot", function () {
+        it("should store the fee of its tier in the Deal", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await changeFee(blockchainDeals, 20, [value * 2], [5]);
+            await createDeal(blockchainDeals, buyerAccount, sellerAccount);
+            await createDeal(blockchainDeals, buyerAccount, sellerAccount, value * 2);
+
+            expect((await blockchainDeals.getDealById(0)).fee).to.equal(20);
+            expect((await blockchainDeals.getDealById(1)).fee).to.equal(5);
+        });
+
+        it("should complete a Deal with the fee it was created with", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+            const fee = value * 10 / 10000;
+
+            await createDeal(blockchainDeals, buyerAccount, sellerAccount);
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            await changeFee(blockchainDeals, 500);
+
+            await expect(blockchainDeals.connect(buyerAccount).completeDeal(0))
+                .to.emit(blockchainDeals, "DealCompleted")
+                .withArgs(0, buyerDeposit, sellerDeposit + value - fee, fee);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit + value - fee);
+        });
+
+        it("should take the fee of the tier the new value reaches when renegotiated", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+            const tierMinValue = value * 2;
+
+            await changeFee(blockchainDeals, 20, [tierMinValue], [5]);
+            await createDeal(blockchainDeals, buyerAccount, sellerAccount);
+            await createDeal(blockchainDeals, buyerAccount, sellerAccount);
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, tierMinValue, buyerDeposit, sellerDeposit);
+            await blockchainDeals.connect(buyerAccount).acceptCounterOffer(0, tierMinValue, buyerDeposit, sellerDeposit, {value: tierMinValue - value});
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(1, tierMinValue - 1, buyerDeposit, sellerDeposit);
+            await blockchainDeals.connect(buyerAccount).acceptCounterOffer(1, tierMinValue - 1, buyerDeposit, sellerDeposit, {value: tierMinValue - 1 - value});
+
+            expect((await blockchainDeals.getDealById(0)).fee).to.equal(5);
+            expect((await blockchainDeals.getDealById(1)).fee).to.equal(20);
+        });
+
+        it("should leave the fee tier of a Deal renegotiated below its min value", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await changeFee(blockchainDeals, 500, [value], [10]);
+            await createDeal(blockchainDeals, buyerAccount, sellerAccount);
+            await blockchainDeals.connect(sellerAccount).proposeCounterOffer(0, value - 1, buyerDeposit, sellerDeposit);
+            await blockchainDeals.connect(buyerAccount).acceptCounterOffer(0, value - 1, buyerDeposit, sellerDeposit);
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            const fee = Math.floor((value - 1) * 500 / 10000);
+
+            await expect(blockchainDeals.connect(buyerAccount).completeDeal(0))
+                .to.emit(blockchainDeals, "DealCompleted")
+                .withArgs(0, buyerDeposit, sellerDeposit + value - 1 - fee, fee);
+        });
+    });
+});
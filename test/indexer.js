@@ -0,0 +1,331 @@
+const { loadFixture, time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DealIndexer, JsonStore, createServer } = require("../indexer");
+
+const ONE_DAY_IN_SECS = 24 * 60 * 60;
+const ONE_WEEK_IN_SECS = 7 * ONE_DAY_IN_SECS;
+
+describe("Indexer", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const total = value + buyerDeposit + sellerDeposit;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const startBlock = (await blockchainDeals.deployTransaction.wait()).blockNumber;
+        const startTime = await time.latest();
+
+        return { blockchainDeals, owner, buyerAccount, sellerAccount, otherAccount, startBlock, startTime };
+    }
+
+    // Replays one Deal ending in every state, one day apart:
+    // 0 Completed, 1 CancelledByCreator, 2 Resolved, 3 Expired, 4 PendingBuyerDeposit, 5 Confirmed (other buyer)
+    async function scriptedDealsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, owner, buyerAccount, sellerAccount, otherAccount, startTime } = fixture;
+        const asBuyer = blockchainDeals.connect(buyerAccount);
+        const asSeller = blockchainDeals.connect(sellerAccount);
+        const deadline = startTime + ONE_WEEK_IN_SECS;
+        const createAsBuyer = async (buyer, day, dealDeadline = deadline) => {
+            await time.setNextBlockTimestamp(startTime + day * ONE_DAY_IN_SECS);
+            await blockchainDeals.connect(buyer).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, dealDeadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+        };
+
+        await createAsBuyer(buyerAccount, 1);
+        await asSeller.sellerConfirmDeal(0, { value: sellerDeposit });
+        await asBuyer.completeDeal(0);
+
+        await createAsBuyer(buyerAccount, 2);
+        await asBuyer.buyerCancelDeal(1);
+
+        await createAsBuyer(buyerAccount, 3);
+        await asSeller.sellerConfirmDeal(2, { value: sellerDeposit });
+        await asSeller.openDispute(2);
+        await blockchainDeals.connect(owner).resolveDispute(2, total, 0, 0);
+
+        await createAsBuyer(buyerAccount, 4, startTime + 5 * ONE_DAY_IN_SECS);
+        await asSeller.sellerConfirmDeal(3, { value: sellerDeposit });
+
+        await time.setNextBlockTimestamp(startTime + 6 * ONE_DAY_IN_SECS);
+        await asSeller.createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, startTime + 2 * ONE_WEEK_IN_SECS, ethers.constants.AddressZero, {
+            value: sellerDeposit
+        });
+        await asSeller.expireDeal(3);
+
+        await createAsBuyer(otherAccount, 7, startTime + 2 * ONE_WEEK_IN_SECS);
+        await asSeller.sellerConfirmDeal(5, { value: sellerDeposit });
+
+        return fixture;
+    }
+
+    function createIndexer(blockchainDeals, startBlock, options = {}) {
+        return new DealIndexer({ provider: ethers.provider, address: blockchainDeals.address, startBlock, confirmations: 3, ...options });
+    }
+
+    describe("sync", function () {
+        it("should rebuild every Deal and its state from the logs", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, startBlock } = await loadFixture(scriptedDealsFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock);
+
+            const { fromBlock, toBlock, rolledBack } = await indexer.sync();
+
+            expect(fromBlock).to.equal(startBlock);
+            expect(toBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(rolledBack).to.equal(false);
+            expect(indexer.getDeals().map(deal => deal.state)).to.deep.equal([
+                "Completed", "CancelledByCreator", "Resolved", "Expired", "PendingBuyerDeposit", "Confirmed"
+            ]);
+            expect(indexer.getDeal(4)).to.deep.include({
+                id: 4,
+                buyer: buyerAccount.address,
+                seller: sellerAccount.address,
+                creator: "seller",
+                value: value.toString(),
+                buyerDeposit: buyerDeposit.toString(),
+                sellerDeposit: sellerDeposit.toString(),
+                arbiter: ethers.constants.AddressZero,
+                token: ethers.constants.AddressZero
+            });
+        });
+
+        it("should match the contract state", async function () {
+            const { blockchainDeals, startBlock } = await loadFixture(scriptedDealsFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock, { batchSize: 4 });
+
+            await indexer.sync();
+
+            for (const deal of indexer.getDeals()) {
+                const onChain = await blockchainDeals.getDealById(deal.id);
+                expect(deal.creationTime).to.equal(onChain.creationTime);
+                expect(deal.deadline).to.equal(onChain.deadline);
+                expect(deal.state).to.equal(["PendingSellerDeposit", "PendingBuyerDeposit", "Confirmed", "CancelledByCreator", "Completed", "Expired", "Disputed", "Resolved"][onChain.state]);
+            }
+        });
+
+        it("should index from the logs alone, without reading state the node may have pruned", async function () {
+            const { blockchainDeals, startBlock } = await loadFixture(scriptedDealsFixture);
+            const provider = Object.create(ethers.provider, {
+                call: { value: async () => { throw new Error("missing trie node"); } }
+            });
+            const indexer = createIndexer(blockchainDeals, startBlock, { provider });
+
+            await indexer.sync();
+
+            expect(indexer.getDeal(2)).to.deep.include({
+                creator: "buyer",
+                buyerDeposit: buyerDeposit.toString(),
+                sellerDeposit: sellerDeposit.toString(),
+                fee: (await blockchainDeals.getDealById(2)).fee.toNumber(),
+                state: "Resolved"
+            });
+        });
+
+        it("should only index new blocks on later syncs", async function () {
+            const { blockchainDeals, buyerAccount, startBlock } = await loadFixture(scriptedDealsFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock);
+
+            const first = await indexer.sync();
+            await blockchainDeals.connect(buyerAccount).buyerConfirmDeal(4, { value: value + buyerDeposit });
+            const second = await indexer.sync();
+
+            expect(second.fromBlock).to.equal(first.toBlock + 1);
+            expect(indexer.getDeal(4).state).to.equal("Confirmed");
+        });
+
+        it("should update the amounts of a Deal when a counter-offer is accepted", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, startBlock } = await loadFixture(scriptedDealsFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock);
+
+            await blockchainDeals.connect(buyerAccount).proposeCounterOffer(4, value / 2, buyerDeposit, sellerDeposit * 2);
+            await blockchainDeals.connect(sellerAccount).acceptCounterOffer(4, value / 2, buyerDeposit, sellerDeposit * 2, { value: sellerDeposit });
+            await indexer.sync();
+
+            expect(indexer.getDeal(4)).to.deep.include({
+                value: (value / 2).toString(),
+                buyerDeposit: buyerDeposit.toString(),
+                sellerDeposit: (sellerDeposit * 2).toString(),
+                state: "PendingBuyerDeposit"
+            });
+        });
+
+        it("should ignore logs of other contracts", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, startBlock, startTime } = await loadFixture(deployFixture);
+            const otherDeals = await deployBlockchainDeals(hre);
+            const indexer = createIndexer(blockchainDeals, startBlock);
+
+            await otherDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, startTime + ONE_WEEK_IN_SECS, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+            await indexer.sync();
+
+            expect(indexer.getDeals()).to.deep.equal([]);
+        });
+    });
+
+    describe("reorgs", function () {
+        it("should fold events into the confirmed snapshot once they are deep enough", async function () {
+            const { blockchainDeals, startBlock } = await loadFixture(scriptedDealsFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock);
+
+            await indexer.sync();
+
+            expect(indexer.confirmedBlock).to.equal(indexer.headBlock - 3);
+            expect(indexer.state.pendingEvents.every(event => event.blockNumber > indexer.confirmedBlock)).to.equal(true);
+        });
+
+        it("should roll back to the confirmed block and index the new chain", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, startBlock } = await loadFixture(scriptedDealsFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock);
+            await indexer.sync();
+
+            const snapshot = await network.provider.send("evm_snapshot");
+            await blockchainDeals.connect(buyerAccount).buyerConfirmDeal(4, { value: value + buyerDeposit });
+            await indexer.sync();
+            expect(indexer.getDeal(4).state).to.equal("Confirmed");
+
+            // The block with the confirmation is replaced by a longer chain where the seller cancels instead.
+            await network.provider.send("evm_revert", [snapshot]);
+            await blockchainDeals.connect(sellerAccount).sellerCancelDeal(4);
+            await mine(1);
+            const { rolledBack } = await indexer.sync();
+
+            expect(rolledBack).to.equal(true);
+            expect(indexer.getDeal(4).state).to.equal("CancelledByCreator");
+            expect(indexer.getDeals().length).to.equal(6);
+        });
+
+        it("should keep the amounts a Deal was created with when a counter-offer is reorged out", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, startBlock } = await loadFixture(scriptedDealsFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock);
+
+            const snapshot = await network.provider.send("evm_snapshot");
+            await blockchainDeals.connect(buyerAccount).proposeCounterOffer(4, value / 2, buyerDeposit, sellerDeposit * 2);
+            await blockchainDeals.connect(sellerAccount).acceptCounterOffer(4, value / 2, buyerDeposit, sellerDeposit * 2, { value: sellerDeposit });
+            await indexer.sync();
+            // Deal 4 is created deep enough to be confirmed, the counter-offer isn't.
+            expect(indexer.state.confirmedDeals[4]).to.not.equal(undefined);
+            expect(indexer.getDeal(4).sellerDeposit).to.equal((sellerDeposit * 2).toString());
+
+            await network.provider.send("evm_revert", [snapshot]);
+            await time.increase(60);
+            await mine(3);
+            const { rolledBack } = await indexer.sync();
+
+            expect(rolledBack).to.equal(true);
+            expect(indexer.getDeal(4)).to.deep.include({
+                value: value.toString(),
+                buyerDeposit: buyerDeposit.toString(),
+                sellerDeposit: sellerDeposit.toString(),
+                state: "PendingBuyerDeposit"
+            });
+        });
+
+        it("should throw if the reorg is deeper than the confirmed depth", async function () {
+            const { blockchainDeals, startBlock } = await loadFixture(scriptedDealsFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock, { confirmations: 1 });
+
+            const snapshot = await network.provider.send("evm_snapshot");
+            await mine(3);
+            await indexer.sync();
+            await network.provider.send("evm_revert", [snapshot]);
+            // Mined at a later time so the new blocks get different hashes.
+            await time.increase(60);
+            await mine(5);
+
+            await expect(indexer.sync()).to.be.rejectedWith("Reorg deeper than 1 confirmations");
+        });
+    });
+
+    describe("getDeals", function () {
+        it("should filter by buyer, seller, state and creation time", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, otherAccount, startBlock, startTime } = await loadFixture(scriptedDealsFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock);
+            await indexer.sync();
+            const ids = deals => deals.map(deal => deal.id);
+
+            expect(ids(indexer.getDeals({ buyer: otherAccount.address }))).to.deep.equal([5]);
+            expect(ids(indexer.getDeals({ buyer: buyerAccount.address.toLowerCase() }))).to.deep.equal([0, 1, 2, 3, 4]);
+            expect(ids(indexer.getDeals({ seller: sellerAccount.address }))).to.deep.equal([0, 1, 2, 3, 4, 5]);
+            expect(ids(indexer.getDeals({ seller: buyerAccount.address }))).to.deep.equal([]);
+            expect(ids(indexer.getDeals({ state: "Resolved" }))).to.deep.equal([2]);
+            expect(ids(indexer.getDeals({ buyer: buyerAccount.address, state: "Confirmed" }))).to.deep.equal([]);
+            expect(ids(indexer.getDeals({ from: startTime + 2 * ONE_DAY_IN_SECS, to: startTime + 4 * ONE_DAY_IN_SECS }))).to.deep.equal([1, 2, 3]);
+            expect(ids(indexer.getDeals({ from: startTime + 6 * ONE_DAY_IN_SECS }))).to.deep.equal([4, 5]);
+        });
+
+        it("should throw on an invalid state", async function () {
+            const { blockchainDeals, startBlock } = await loadFixture(deployFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock);
+
+            expect(() => indexer.getDeals({ state: "Done" })).to.throw("Invalid state: Done");
+        });
+    });
+
+    describe("JsonStore", function () {
+        const storePath = path.join(os.tmpdir(), `blockchain-deals-indexer-${process.pid}.json`);
+
+        afterEach(function () {
+            fs.rmSync(storePath, { force: true });
+        });
+
+        it("should resume from the stored state", async function () {
+            const { blockchainDeals, buyerAccount, startBlock } = await loadFixture(scriptedDealsFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock, { store: new JsonStore(storePath) });
+            await indexer.sync();
+
+            await blockchainDeals.connect(buyerAccount).buyerConfirmDeal(4, { value: value + buyerDeposit });
+            const resumed = createIndexer(blockchainDeals, startBlock, { store: new JsonStore(storePath) });
+            const { fromBlock } = await resumed.sync();
+
+            expect(fromBlock).to.equal(indexer.headBlock + 1);
+            expect(resumed.getDeals()).to.have.length(6);
+            expect(resumed.getDeal(4).state).to.equal("Confirmed");
+        });
+
+        it("should refuse a store of another contract", async function () {
+            const { blockchainDeals, startBlock } = await loadFixture(deployFixture);
+            await createIndexer(blockchainDeals, startBlock, { store: new JsonStore(storePath) }).sync();
+
+            expect(() => new DealIndexer({ provider: ethers.provider, address: ethers.constants.AddressZero, store: new JsonStore(storePath) }))
+                .to.throw(`The store belongs to ${blockchainDeals.address}`);
+        });
+    });
+
+    describe("query API", function () {
+        it("should serve the indexed Deals", async function () {
+            const { blockchainDeals, startBlock } = await loadFixture(scriptedDealsFixture);
+            const indexer = createIndexer(blockchainDeals, startBlock);
+            await indexer.sync();
+            const server = createServer(indexer).listen(0);
+            const url = `http://localhost:${server.address().port}`;
+
+            try {
+                const confirmed = await (await fetch(`${url}/deals?state=Confirmed`)).json();
+                const deal = await (await fetch(`${url}/deals/2`)).json();
+                const status = await (await fetch(`${url}/status`)).json();
+
+                expect(confirmed.map(deal => deal.id)).to.deep.equal([5]);
+                expect(deal.state).to.equal("Resolved");
+                expect(status.headBlock).to.equal(indexer.headBlock);
+                expect((await fetch(`${url}/deals/9`)).status).to.equal(404);
+                expect((await fetch(`${url}/deals?state=Done`)).status).to.equal(400);
+                expect((await fetch(`${url}/other`)).status).to.equal(404);
+            } finally {
+                server.close();
+            }
+        });
+    });
+});
@@ -0,0 +1,398 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+const { BlockchainDealsClient, InvalidStateError, DeadlineError } = require("../sdk");
+
+const ONE_DAY_IN_SECS = 24 * 60 * 60;
+const ONE_WEEK_IN_SECS = 7 * ONE_DAY_IN_SECS;
+
+describe("Listings", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const units = 3;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, sellerAccount, buyerAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        for (const account of [sellerAccount, buyerAccount, otherAccount]) {
+            await token.mint(account.address, 10000000);
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+
+        return { blockchainDeals, token, owner, sellerAccount, buyerAccount, otherAccount, deadline };
+    }
+
+    // Listing 0 has 3 units in ETH and listing 1 has 2 units in tokens, both by the seller.
+    async function listedFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, token, sellerAccount, deadline } = fixture;
+
+        await blockchainDeals.connect(sellerAccount).createListing(ethers.constants.AddressZero, value, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, units, {
+            value: sellerDeposit * units
+        });
+        await blockchainDeals.connect(sellerAccount).createListing(token.address, value, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, 2);
+
+        return fixture;
+    }
+
+    describe("createListing", function () {
+        it("should store the listing and escrow the seller deposit of every unit", async function () {
+            const { blockchainDeals, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createListing(ethers.constants.AddressZero, value, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, units, {
+                value: sellerDeposit * units
+            })).to.changeEtherBalances([sellerAccount, blockchainDeals], [-sellerDeposit * units, sellerDeposit * units]);
+            const listing = await blockchainDeals.getListingById(0);
+
+            expect(listing.seller).to.equal(sellerAccount.address);
+            expect(listing.deadline).to.equal(deadline);
+            expect(listing.units).to.equal(units);
+            expect(listing.arbiter).to.equal(ethers.constants.AddressZero);
+            expect(listing.token).to.equal(ethers.constants.AddressZero);
+            expect(listing.value).to.equal(value);
+            expect(listing.buyerDeposit).to.equal(buyerDeposit);
+            expect(listing.sellerDeposit).to.equal(sellerDeposit);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(sellerDeposit * units);
+            expect(await blockchainDeals.getDealCount()).to.equal(0);
+        });
+
+        it("should pull the seller deposits of token listings with transferFrom", async function () {
+            const { blockchainDeals, token, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createListing(token.address, value, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, units, {
+                value: 1
+            })).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+            await expect(blockchainDeals.connect(sellerAccount).createListing(token.address, value, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, units)).to.changeTokenBalances(
+                token,
+                [sellerAccount, blockchainDeals],
+                [-sellerDeposit * units, sellerDeposit * units]
+            );
+            expect(await blockchainDeals.escrowed(token.address)).to.equal(sellerDeposit * units);
+        });
+
+        it("should emit ListingCreated event", async function () {
+            const { blockchainDeals, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createListing(ethers.constants.AddressZero, value, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, units, {
+                value: sellerDeposit * units
+            })).to.emit(blockchainDeals, "ListingCreated").withArgs(0, sellerAccount.address, ethers.constants.AddressZero, value, units);
+        });
+
+        it("should revert if msg.value isn't the seller deposit of every unit", async function () {
+            const { blockchainDeals, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createListing(ethers.constants.AddressZero, value, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, units, {
+                value: sellerDeposit
+            })).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
+        it("should validate the terms", async function () {
+            const { blockchainDeals, sellerAccount, deadline } = await loadFixture(deployFixture);
+            const createListing = (overrides) => {
+                const terms = { value, sellerDeposit, buyerDeposit, deadline, arbiter: ethers.constants.AddressZero, units, ...overrides };
+                return blockchainDeals.connect(sellerAccount).createListing(ethers.constants.AddressZero, terms.value, terms.sellerDeposit, terms.buyerDeposit, terms.deadline, terms.arbiter, terms.units, {
+                    value: terms.sellerDeposit * terms.units
+                });
+            };
+
+            await expect(createListing({ value: 0 })).to.be.revertedWith("Invalid value or deposit");
+            await expect(createListing({ buyerDeposit: 0 })).to.be.revertedWith("Invalid value or deposit");
+            await expect(createListing({ units: 0 })).to.be.revertedWith("Invalid units");
+            await expect(createListing({ deadline: await time.latest() })).to.be.revertedWith("Invalid deadline");
+            await expect(createListing({ arbiter: sellerAccount.address })).to.be.revertedWith("The arbiter can't be the buyer or the seller");
+        });
+
+        it("should revert while the contract is paused", async function () {
+            const { blockchainDeals, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.pause();
+
+            await expect(blockchainDeals.connect(sellerAccount).createListing(ethers.constants.AddressZero, value, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, units, {
+                value: sellerDeposit * units
+            })).to.be.revertedWith(
+                "Contract is paused"
+            );
+        });
+    });
+
+    describe("takeListing", function () {
+        it("should revert when trying to take a listing with an invalid ID", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(listedFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).takeListing(2, { value: value + buyerDeposit })).to.be.revertedWith(
+                "Invalid listing ID"
+            );
+        });
+
+        it("should create a Confirmed Deal with the taker as buyer", async function () {
+            const { blockchainDeals, sellerAccount, buyerAccount, deadline } = await loadFixture(listedFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).takeListing(0, {
+                value: value + buyerDeposit
+            })).to.changeEtherBalances([buyerAccount, blockchainDeals], [-(value + buyerDeposit), value + buyerDeposit]);
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(deal.buyer).to.equal(buyerAccount.address);
+            expect(deal.seller).to.equal(sellerAccount.address);
+            expect(deal.creator).to.equal("seller");
+            expect(deal.value).to.equal(value);
+            expect(deal.buyerDeposit).to.equal(buyerDeposit);
+            expect(deal.sellerDeposit).to.equal(sellerDeposit);
+            expect(deal.deadline).to.equal(deadline);
+            expect(deal.state).to.equal(dealStateMapper.Confirmed);
+            expect((await blockchainDeals.getInspection(0)).period).to.equal(ONE_DAY_IN_SECS);
+            expect((await blockchainDeals.getListingById(0)).units).to.equal(units - 1);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(sellerDeposit * units + value + buyerDeposit);
+        });
+
+        it("should emit DealCreated, DealConfirmed and ListingTaken events", async function () {
+            const { blockchainDeals, sellerAccount, buyerAccount } = await loadFixture(listedFixture);
+
+            const tx = blockchainDeals.connect(buyerAccount).takeListing(0, { value: value + buyerDeposit });
+
+            await expect(tx).to.emit(blockchainDeals, "DealCreated");
+            await expect(tx).to.emit(blockchainDeals, "DealConfirmed").withArgs(0, buyerAccount.address, value + buyerDeposit);
+            await expect(tx).to.emit(blockchainDeals, "ListingTaken").withArgs(0, 0, buyerAccount.address, units - 1);
+            expect(await blockchainDeals.getDealIdsBySeller(sellerAccount.address, 0, 10)).to.deep.equal([ethers.BigNumber.from(0)]);
+        });
+
+        it("should create a Deal per unit, each with its own buyer, until none is left", async function () {
+            const { blockchainDeals, buyerAccount, otherAccount } = await loadFixture(listedFixture);
+
+            await blockchainDeals.connect(buyerAccount).takeListing(0, { value: value + buyerDeposit });
+            await blockchainDeals.connect(otherAccount).takeListing(0, { value: value + buyerDeposit });
+            await blockchainDeals.connect(buyerAccount).takeListing(0, { value: value + buyerDeposit });
+
+            expect((await blockchainDeals.getDealById(1)).buyer).to.equal(otherAccount.address);
+            expect(await blockchainDeals.getListingDealIds(0)).to.deep.equal([0, 1, 2].map(ethers.BigNumber.from));
+            expect((await blockchainDeals.getListingById(0)).units).to.equal(0);
+            await expect(blockchainDeals.connect(otherAccount).takeListing(0, { value: value + buyerDeposit })).to.be.revertedWith(
+                "Listing is closed"
+            );
+        });
+
+        it("should let the Deals taken be completed as any other", async function () {
+            const { blockchainDeals, sellerAccount, buyerAccount } = await loadFixture(listedFixture);
+
+            await blockchainDeals.connect(buyerAccount).takeListing(0, { value: value + buyerDeposit });
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Completed);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(value - value * 10 / 10000 + sellerDeposit);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(sellerDeposit * (units - 1));
+        });
+
+        it("should pull the value and buyer deposit of token listings with transferFrom", async function () {
+            const { blockchainDeals, token, buyerAccount } = await loadFixture(listedFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).takeListing(1, { value: 1 })).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+            await expect(blockchainDeals.connect(buyerAccount).takeListing(1)).to.changeTokenBalances(
+                token,
+                [buyerAccount, blockchainDeals],
+                [-(value + buyerDeposit), value + buyerDeposit]
+            );
+            expect((await blockchainDeals.getDealById(0)).token).to.equal(token.address);
+            expect(await blockchainDeals.escrowed(token.address)).to.equal(sellerDeposit * 2 + value + buyerDeposit);
+        });
+
+        it("should revert if the ETH sent isn't the value plus the buyer deposit", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(listedFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).takeListing(0, { value: value })).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
+        it("should revert if the seller or the arbiter takes it", async function () {
+            const { blockchainDeals, sellerAccount, buyerAccount, otherAccount, deadline } = await loadFixture(listedFixture);
+
+            await blockchainDeals.connect(sellerAccount).createListing(ethers.constants.AddressZero, value, sellerDeposit, buyerDeposit, deadline, otherAccount.address, 1, {
+                value: sellerDeposit
+            });
+
+            await expect(blockchainDeals.connect(sellerAccount).takeListing(0, { value: value + buyerDeposit })).to.be.revertedWith(
+                "The buyer can't also be the seller"
+            );
+            await expect(blockchainDeals.connect(otherAccount).takeListing(2, { value: value + buyerDeposit })).to.be.revertedWith(
+                "The arbiter can't be the buyer or the seller"
+            );
+            await blockchainDeals.connect(buyerAccount).takeListing(2, { value: value + buyerDeposit });
+            expect((await blockchainDeals.getDealById(0)).arbiter).to.equal(otherAccount.address);
+        });
+
+        it("should revert once the deadline has passed", async function () {
+            const { blockchainDeals, buyerAccount, deadline } = await loadFixture(listedFixture);
+
+            await time.increaseTo(deadline);
+
+            await expect(blockchainDeals.connect(buyerAccount).takeListing(0, { value: value + buyerDeposit })).to.be.revertedWith(
+                "Listing has expired"
+            );
+        });
+
+        it("should revert while the contract is paused", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(listedFixture);
+
+            await blockchainDeals.pause();
+
+            await expect(blockchainDeals.connect(buyerAccount).takeListing(0, { value: value + buyerDeposit })).to.be.revertedWith(
+                "Contract is paused"
+            );
+        });
+    });
+
+    describe("cancelListing", function () {
+        it("should credit the deposits of the units left to the seller", async function () {
+            const { blockchainDeals, sellerAccount, buyerAccount } = await loadFixture(listedFixture);
+
+            await blockchainDeals.connect(buyerAccount).takeListing(0, { value: value + buyerDeposit });
+
+            await expect(blockchainDeals.connect(sellerAccount).cancelListing(0))
+                .to.emit(blockchainDeals, "ListingCancelled")
+                .withArgs(0, sellerDeposit * (units - 1));
+            expect((await blockchainDeals.getListingById(0)).units).to.equal(0);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit * (units - 1));
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(value + buyerDeposit + sellerDeposit);
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Confirmed);
+            await expect(blockchainDeals.connect(buyerAccount).takeListing(0, { value: value + buyerDeposit })).to.be.revertedWith(
+                "Listing is closed"
+            );
+        });
+
+        it("should credit token deposits in the token", async function () {
+            const { blockchainDeals, token, sellerAccount } = await loadFixture(listedFixture);
+
+            await blockchainDeals.connect(sellerAccount).cancelListing(1);
+
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, token.address)).to.equal(sellerDeposit * 2);
+            expect(await blockchainDeals.escrowed(token.address)).to.equal(0);
+        });
+
+        it("should let the seller recover the deposits after the deadline and while paused", async function () {
+            const { blockchainDeals, sellerAccount, deadline } = await loadFixture(listedFixture);
+
+            await time.increaseTo(deadline);
+            await blockchainDeals.pause();
+            await blockchainDeals.connect(sellerAccount).cancelListing(0);
+
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit * units);
+        });
+
+        it("should revert if not the seller", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(listedFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).cancelListing(0)).to.be.revertedWith(
+                "Only the seller can cancel the listing"
+            );
+        });
+
+        it("should revert if the listing is closed", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(listedFixture);
+
+            await blockchainDeals.connect(sellerAccount).cancelListing(0);
+
+            await expect(blockchainDeals.connect(sellerAccount).cancelListing(0)).to.be.revertedWith(
+                "Listing is closed"
+            );
+        });
+    });
+
+    describe("Listing queries", function () {
+        it("should count every listing created", async function () {
+            const { blockchainDeals } = await loadFixture(listedFixture);
+
+            expect(await blockchainDeals.getListingCount()).to.equal(2);
+            await expect(blockchainDeals.getListingById(2)).to.be.revertedWith("Invalid listing ID");
+            await expect(blockchainDeals.getListingDealIds(2)).to.be.revertedWith("Invalid listing ID");
+        });
+
+        it("should return the listings of each seller across pages", async function () {
+            const { blockchainDeals, sellerAccount, buyerAccount, deadline } = await loadFixture(listedFixture);
+
+            await blockchainDeals.connect(buyerAccount).createListing(ethers.constants.AddressZero, value, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, 1, {
+                value: sellerDeposit
+            });
+            await blockchainDeals.connect(sellerAccount).createListing(ethers.constants.AddressZero, value, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, 1, {
+                value: sellerDeposit
+            });
+
+            expect(await blockchainDeals.getListingIdsBySeller(sellerAccount.address, 0, 2)).to.deep.equal([0, 1].map(ethers.BigNumber.from));
+            expect(await blockchainDeals.getListingIdsBySeller(sellerAccount.address, 2, 2)).to.deep.equal([ethers.BigNumber.from(3)]);
+            expect(await blockchainDeals.getListingIdsBySeller(buyerAccount.address, 0, 10)).to.deep.equal([ethers.BigNumber.from(2)]);
+        });
+
+        it("should only return the listings that can be taken as open", async function () {
+            const { blockchainDeals, sellerAccount, buyerAccount, deadline } = await loadFixture(listedFixture);
+
+            await blockchainDeals.connect(sellerAccount).createListing(ethers.constants.AddressZero, value, sellerDeposit, buyerDeposit, deadline + ONE_WEEK_IN_SECS, ethers.constants.AddressZero, 1, {
+                value: sellerDeposit
+            });
+            await blockchainDeals.connect(sellerAccount).createListing(ethers.constants.AddressZero, value, sellerDeposit, buyerDeposit, deadline + ONE_WEEK_IN_SECS, ethers.constants.AddressZero, 1, {
+                value: sellerDeposit
+            });
+            await blockchainDeals.connect(buyerAccount).takeListing(2, { value: value + buyerDeposit });
+
+            expect(await blockchainDeals.getOpenListingIds(0, 10)).to.deep.equal([0, 1, 3].map(ethers.BigNumber.from));
+            expect(await blockchainDeals.getOpenListingIds(1, 1)).to.deep.equal([ethers.BigNumber.from(1)]);
+            expect(await blockchainDeals.getOpenListingIds(0, 0)).to.deep.equal([]);
+
+            await blockchainDeals.connect(sellerAccount).cancelListing(1);
+            await time.increaseTo(deadline);
+
+            expect(await blockchainDeals.getOpenListingIds(0, 10)).to.deep.equal([ethers.BigNumber.from(3)]);
+        });
+    });
+
+    describe("SDK", function () {
+        it("should create, take and cancel listings through the client", async function () {
+            const { blockchainDeals, token, sellerAccount, buyerAccount, deadline } = await loadFixture(deployFixture);
+            const asSeller = new BlockchainDealsClient(blockchainDeals.address, sellerAccount);
+            const asBuyer = asSeller.connect(buyerAccount);
+
+            const { id } = await asSeller.createListing({ value, buyerDeposit, sellerDeposit, deadline, units });
+            const { id: tokenListingId } = await asSeller.createListing({ value, buyerDeposit, sellerDeposit, deadline, units: 1, token: token.address });
+            const listing = await asBuyer.getListing(id);
+
+            expect(listing).to.include({ id, seller: sellerAccount.address, units, deadline });
+            expect(listing.value.toNumber()).to.equal(value);
+            expect((await asBuyer.getOpenListings()).map((open) => open.id)).to.deep.equal([id, tokenListingId]);
+
+            const { id: dealId } = await asBuyer.takeListing(id);
+            expect(await asBuyer.getDeal(dealId)).to.include({ buyer: buyerAccount.address, state: "Confirmed" });
+            const { id: tokenDealId } = await asBuyer.takeListing(tokenListingId);
+            expect((await asBuyer.getDeal(tokenDealId)).token).to.equal(token.address);
+            await expect(asBuyer.takeListing(tokenListingId)).to.be.rejectedWith(InvalidStateError, "Listing is closed");
+
+            await asSeller.cancelListing(id);
+            expect((await asSeller.getListing(id)).units).to.equal(0);
+            expect(await asSeller.getOpenListings()).to.deep.equal([]);
+        });
+
+        it("should throw DeadlineError for an expired listing", async function () {
+            const { blockchainDeals, sellerAccount, buyerAccount, deadline } = await loadFixture(deployFixture);
+            const asSeller = new BlockchainDealsClient(blockchainDeals.address, sellerAccount);
+            const { id } = await asSeller.createListing({ value, buyerDeposit, sellerDeposit, deadline });
+
+            await time.increaseTo(deadline);
+
+            await expect(asSeller.connect(buyerAccount).takeListing(id)).to.be.rejectedWith(DeadlineError, "Listing has expired");
+        });
+    });
+});
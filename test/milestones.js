@@ -0,0 +1,314 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Milestones", function () {
+    const milestones = [200000, 300000, 500000];
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const feeOf = (amount) => Math.floor(amount * 10 / 10000);
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, arbiterAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        for (const account of [buyerAccount, sellerAccount]) {
+            await token.mint(account.address, 10000000);
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+
+        return { blockchainDeals, token, owner, buyerAccount, sellerAccount, arbiterAccount, otherAccount, deadline };
+    }
+
+    // Deal 0 is an ETH milestone Deal created by the buyer, Deal 1 a token one created by the seller. Both are Confirmed.
+    async function confirmedDealsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, token, buyerAccount, sellerAccount, arbiterAccount, deadline } = fixture;
+
+        await blockchainDeals.connect(buyerAccount).createMilestoneDealAsBuyer(ethers.constants.AddressZero, milestones, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, arbiterAccount.address, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+
+        await blockchainDeals.connect(sellerAccount).createMilestoneDealAsSeller(token.address, milestones, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero);
+        await blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(1);
+
+        return fixture;
+    }
+
+    describe("Creation", function () {
+        it("should revert with no milestones or an empty milestone", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).createMilestoneDealAsBuyer(ethers.constants.AddressZero, [], sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit
+            })).to.be.revertedWith("Invalid milestones");
+            await expect(blockchainDeals.connect(sellerAccount).createMilestoneDealAsSeller(ethers.constants.AddressZero, [value, 0], buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: sellerDeposit
+            })).to.be.revertedWith("Invalid milestones");
+        });
+
+        it("should revert if the ETH sent doesn't match the milestones and deposit", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).createMilestoneDealAsBuyer(ethers.constants.AddressZero, milestones, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit - 1
+            })).to.be.revertedWith("Invalid value or deposit");
+            await expect(blockchainDeals.connect(sellerAccount).createMilestoneDealAsSeller(ethers.constants.AddressZero, milestones, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: sellerDeposit + 1
+            })).to.be.revertedWith("Invalid value or deposit");
+        });
+
+        it("should revert if ETH is sent for a token Deal", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).createMilestoneDealAsBuyer(token.address, milestones, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: 1
+            })).to.be.revertedWith("Invalid value or deposit");
+        });
+
+        it("should create a Deal valued at the sum of its milestones", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).createMilestoneDealAsBuyer(ethers.constants.AddressZero, milestones, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            })).to.changeEtherBalances([buyerAccount, blockchainDeals], [-(value + buyerDeposit), value + buyerDeposit]);
+
+            const deal = await blockchainDeals.getDealById(0);
+            const [amounts, released] = await blockchainDeals.getMilestones(0);
+
+            expect(deal.value).to.equal(value);
+            expect(deal.state).to.equal(dealStateMapper.PendingSellerDeposit);
+            expect(amounts).to.deep.equal(milestones.map((amount) => ethers.BigNumber.from(amount)));
+            expect(released).to.equal(0);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(value + buyerDeposit);
+        });
+
+        it("should pull the seller deposit of a token Deal", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createMilestoneDealAsSeller(token.address, milestones, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero))
+                .to.changeTokenBalances(token, [sellerAccount, blockchainDeals], [-sellerDeposit, sellerDeposit]);
+
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(deal.state).to.equal(dealStateMapper.PendingBuyerDeposit);
+            expect(deal.token).to.equal(token.address);
+        });
+
+        it("should refund the whole value when cancelled before confirmation", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).createMilestoneDealAsBuyer(ethers.constants.AddressZero, milestones, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+            await blockchainDeals.connect(buyerAccount).buyerCancelDeal(0);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(value + buyerDeposit);
+        });
+    });
+
+    describe("getMilestones", function () {
+        it("should revert with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.getMilestones(0)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should return a single milestone for Deals paid at once", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+            const [amounts, released] = await blockchainDeals.getMilestones(0);
+
+            expect(amounts).to.deep.equal([ethers.BigNumber.from(value)]);
+            expect(released).to.equal(0);
+        });
+    });
+
+    describe("releaseMilestone", function () {
+        it("should revert with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.releaseMilestone(0)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if not the buyer", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).releaseMilestone(0)).to.be.revertedWith(
+                "Only the buyer can release a milestone"
+            );
+        });
+
+        it("should revert if the Deal is not confirmed", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).createMilestoneDealAsBuyer(ethers.constants.AddressZero, milestones, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+
+            await expect(blockchainDeals.connect(buyerAccount).releaseMilestone(0)).to.be.revertedWith(
+                "Deal can't be completed"
+            );
+        });
+
+        it("should revert after the deadline", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await time.increase(ONE_WEEK_IN_SECS + 1);
+
+            await expect(blockchainDeals.connect(buyerAccount).releaseMilestone(0)).to.be.revertedWith(
+                "Deal deadline has passed"
+            );
+        });
+
+        it("should credit the seller the milestone minus its fee", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).releaseMilestone(0))
+                .to.emit(blockchainDeals, "MilestoneReleased")
+                .withArgs(0, 0, milestones[0], feeOf(milestones[0]))
+                .and.not.to.emit(blockchainDeals, "DealCompleted");
+
+            const deal = await blockchainDeals.getDealById(0);
+            const [, released] = await blockchainDeals.getMilestones(0);
+
+            expect(deal.state).to.equal(dealStateMapper.Confirmed);
+            expect(released).to.equal(1);
+            expect(await blockchainDeals.releasedValue(0)).to.equal(milestones[0]);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(milestones[0] - feeOf(milestones[0]));
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(0);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(value - milestones[0] + buyerDeposit + sellerDeposit);
+        });
+
+        it("should complete the Deal and return the deposits with the last milestone", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).releaseMilestone(0);
+            await blockchainDeals.connect(buyerAccount).releaseMilestone(0);
+
+            const lastFee = feeOf(milestones[2]);
+            await expect(blockchainDeals.connect(buyerAccount).releaseMilestone(0))
+                .to.emit(blockchainDeals, "MilestoneReleased")
+                .withArgs(0, 2, milestones[2], lastFee)
+                .and.to.emit(blockchainDeals, "DealCompleted")
+                .withArgs(0, buyerDeposit, sellerDeposit + milestones[2] - lastFee, lastFee);
+
+            const deal = await blockchainDeals.getDealById(0);
+            const totalFee = milestones.reduce((sum, amount) => sum + feeOf(amount), 0);
+
+            expect(deal.state).to.equal(dealStateMapper.Completed);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit + value - totalFee);
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(buyerDeposit);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(0);
+            await expect(blockchainDeals.connect(buyerAccount).releaseMilestone(0)).to.be.revertedWith(
+                "Deal can't be completed"
+            );
+        });
+
+        it("should release token milestones", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).releaseMilestone(1);
+
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, token.address)).to.equal(milestones[0] - feeOf(milestones[0]));
+            expect(await blockchainDeals.escrowed(token.address)).to.equal(value - milestones[0] + buyerDeposit + sellerDeposit);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(value + buyerDeposit + sellerDeposit);
+        });
+
+        it("should complete a Deal paid at once as its single milestone", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+            const fee = feeOf(value);
+
+            await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+
+            await expect(blockchainDeals.connect(buyerAccount).releaseMilestone(0))
+                .to.emit(blockchainDeals, "DealCompleted")
+                .withArgs(0, buyerDeposit, sellerDeposit + value - fee, fee)
+                .and.not.to.emit(blockchainDeals, "MilestoneReleased");
+        });
+    });
+
+    describe("completeDeal", function () {
+        it("should release every remaining milestone with the fee applied to each", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+            const remaining = milestones[1] + milestones[2];
+            const remainingFee = feeOf(milestones[1]) + feeOf(milestones[2]);
+
+            await blockchainDeals.connect(buyerAccount).releaseMilestone(0);
+
+            await expect(blockchainDeals.connect(buyerAccount).completeDeal(0))
+                .to.emit(blockchainDeals, "MilestoneReleased")
+                .withArgs(0, 1, milestones[1], feeOf(milestones[1]))
+                .and.to.emit(blockchainDeals, "MilestoneReleased")
+                .withArgs(0, 2, milestones[2], feeOf(milestones[2]))
+                .and.to.emit(blockchainDeals, "DealCompleted")
+                .withArgs(0, buyerDeposit, sellerDeposit + remaining - remainingFee, remainingFee);
+
+            const [, released] = await blockchainDeals.getMilestones(0);
+
+            expect(released).to.equal(milestones.length);
+            expect(await blockchainDeals.releasedValue(0)).to.equal(value);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(0);
+        });
+    });
+
+    describe("expireDeal", function () {
+        it("should refund only the unreleased remainder to the buyer", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+            const remaining = value - milestones[0];
+
+            await blockchainDeals.connect(buyerAccount).releaseMilestone(0);
+            await time.increase(ONE_WEEK_IN_SECS + 1);
+
+            await expect(blockchainDeals.connect(sellerAccount).expireDeal(0))
+                .to.emit(blockchainDeals, "DealExpired")
+                .withArgs(0, buyerAccount.address, sellerAccount.address, await time.latest() + 1, buyerDeposit + remaining, sellerDeposit);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(buyerDeposit + remaining);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit + milestones[0] - feeOf(milestones[0]));
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(0);
+        });
+    });
+
+    describe("resolveDispute", function () {
+        it("should only split the unreleased remainder and the deposits", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, arbiterAccount } = await loadFixture(confirmedDealsFixture);
+            const total = value - milestones[0] - milestones[1] + buyerDeposit + sellerDeposit;
+
+            await blockchainDeals.connect(buyerAccount).releaseMilestone(0);
+            await blockchainDeals.connect(buyerAccount).releaseMilestone(0);
+            await blockchainDeals.connect(sellerAccount).openDispute(0);
+
+            await expect(blockchainDeals.connect(arbiterAccount).resolveDispute(0, value + buyerDeposit + sellerDeposit, 0, 0)).to.be.revertedWith(
+                "Amounts don't match the Deal funds"
+            );
+            await blockchainDeals.connect(arbiterAccount).resolveDispute(0, total, 0, 0);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(total);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,244 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Batches", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const fee = value * 10 / 10000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        for (const account of [buyerAccount, sellerAccount]) {
+            await token.mint(account.address, 10000000);
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+
+        return { blockchainDeals, token, owner, buyerAccount, sellerAccount, otherAccount, deadline };
+    }
+
+    // Deals 0 to 2 are Confirmed and Deals 3 and 4 pending the seller deposit, all created by the buyer.
+    async function dealsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, buyerAccount, sellerAccount, deadline } = fixture;
+
+        for (let id = 0; id < 5; id++) {
+            await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+            if (id < 3) {
+                await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(id, {value: sellerDeposit});
+            }
+        }
+
+        return fixture;
+    }
+
+    function call(blockchainDeals, method, args = [], callValue = 0) {
+        return { data: blockchainDeals.interface.encodeFunctionData(method, args), value: callValue };
+    }
+
+    function sellerDeal(buyer, deadline, dealValue = value) {
+        return { buyer, value: dealValue, sellerDeposit, buyerDeposit, deadline, arbiter: ethers.constants.AddressZero };
+    }
+
+    describe("multicall", function () {
+        it("should run every call on behalf of the sender", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(dealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).multicall([
+                call(blockchainDeals, "completeDeal", [0]),
+                call(blockchainDeals, "completeDeal", [1]),
+                call(blockchainDeals, "buyerCancelDeal", [3]),
+                call(blockchainDeals, "buyerCancelDeal", [4])
+            ])).to.emit(blockchainDeals, "DealCompleted")
+                .withArgs(1, buyerDeposit, sellerDeposit + value - fee, fee)
+                .and.to.emit(blockchainDeals, "DealCancelled")
+                .withArgs(4, buyerAccount.address, value + buyerDeposit);
+
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Completed);
+            expect((await blockchainDeals.getDealById(1)).state).to.equal(dealStateMapper.Completed);
+            expect((await blockchainDeals.getDealById(2)).state).to.equal(dealStateMapper.Confirmed);
+            expect((await blockchainDeals.getDealById(4)).state).to.equal(dealStateMapper.CancelledByCreator);
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(buyerDeposit * 2 + (value + buyerDeposit) * 2);
+        });
+
+        it("should give each payable call its own value, along with calls that take no ETH", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(dealsFixture);
+            const total = (value + buyerDeposit) * 2 + 700;
+
+            await expect(blockchainDeals.connect(buyerAccount).multicall([
+                call(blockchainDeals, "createDealAsBuyer", [value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero], value + buyerDeposit),
+                call(blockchainDeals, "completeDeal", [0]),
+                call(blockchainDeals, "depositFunds", [], 700),
+                call(blockchainDeals, "createDealAsBuyer", [value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero], value + buyerDeposit)
+            ], { value: total })).to.changeEtherBalances([buyerAccount, blockchainDeals], [-total, total]);
+
+            expect(await blockchainDeals.getDealCount()).to.equal(7);
+            expect((await blockchainDeals.getDealById(6)).buyer).to.equal(buyerAccount.address);
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(buyerDeposit + 700);
+        });
+
+        it("should revert if msg.value isn't the sum of the call values", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(dealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).multicall([
+                call(blockchainDeals, "depositFunds", [], 700)
+            ], { value: 701 })).to.be.revertedWith("Invalid value or deposit");
+            await expect(blockchainDeals.connect(buyerAccount).multicall([
+                call(blockchainDeals, "depositFunds", [], 700),
+                call(blockchainDeals, "depositFunds", [], 700)
+            ], { value: 700 })).to.be.revertedWith("Invalid value or deposit");
+        });
+
+        it("should revert if a call gets a value it doesn't expect", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(dealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).multicall([
+                call(blockchainDeals, "completeDeal", [0], 700)
+            ], { value: 700 })).to.be.reverted;
+            await expect(blockchainDeals.connect(sellerAccount).multicall([
+                call(blockchainDeals, "sellerConfirmDeal", [3], sellerDeposit - 1),
+                call(blockchainDeals, "sellerConfirmDeal", [4], sellerDeposit + 1)
+            ], { value: sellerDeposit * 2 })).to.be.revertedWith("Invalid ETH amount to confirm the Deal");
+        });
+
+        it("should revert every call with the reason of the one that failed", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(dealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).multicall([
+                call(blockchainDeals, "completeDeal", [0]),
+                call(blockchainDeals, "completeDeal", [3])
+            ])).to.be.revertedWith("Deal can't be completed");
+
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Confirmed);
+        });
+
+        it("should not let the sender act for other accounts", async function () {
+            const { blockchainDeals, buyerAccount, otherAccount } = await loadFixture(dealsFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).multicall([
+                call(blockchainDeals, "completeDeal", [0])
+            ])).to.be.revertedWith("Only the buyer can complete the Deal");
+            await expect(otherAccount.sendTransaction({
+                to: blockchainDeals.address,
+                data: ethers.utils.hexConcat([call(blockchainDeals, "completeDeal", [0]).data, buyerAccount.address])
+            })).to.be.revertedWith("Only the buyer can complete the Deal");
+        });
+
+        it("should run admin actions with the roles of the sender", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).multicall([
+                call(blockchainDeals, "pause")
+            ])).to.be.revertedWith("Missing the role required for this action.");
+
+            await blockchainDeals.multicall([
+                call(blockchainDeals, "changeTreasury", [otherAccount.address]),
+                call(blockchainDeals, "grantRole", [await blockchainDeals.PAUSER_ROLE(), otherAccount.address]),
+                call(blockchainDeals, "pause")
+            ]);
+            expect(await blockchainDeals.treasury()).to.equal(otherAccount.address);
+            expect(await blockchainDeals.hasRole(await blockchainDeals.PAUSER_ROLE(), otherAccount.address)).to.equal(true);
+            await expect(blockchainDeals.connect(owner).multicall([call(blockchainDeals, "pause")])).to.be.revertedWith("Contract is paused");
+        });
+
+        it("should return the data returned by each call", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(dealsFixture);
+
+            const results = await blockchainDeals.connect(buyerAccount).callStatic.multicall([
+                call(blockchainDeals, "getDealCount"),
+                call(blockchainDeals, "completeDeal", [0])
+            ]);
+
+            expect(results).to.have.length(2);
+            expect(blockchainDeals.interface.decodeFunctionResult("getDealCount", results[0])[0]).to.equal(5);
+            expect(results[1]).to.equal("0x");
+        });
+    });
+
+    describe("createDealsAsSeller", function () {
+        it("should create a Deal for each buyer with the seller as creator", async function () {
+            const { blockchainDeals, owner, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createDealsAsSeller([
+                sellerDeal(buyerAccount.address, deadline),
+                sellerDeal(owner.address, deadline, value * 2)
+            ], { value: sellerDeposit * 2 }))
+                .to.emit(blockchainDeals, "DealCreated")
+                .withArgs(1, owner.address, sellerAccount.address, anyValue, value * 2, buyerDeposit, sellerDeposit, deadline, ethers.constants.AddressZero, ethers.constants.AddressZero, false, await blockchainDeals.feeFor(value * 2))
+                .and.to.changeEtherBalances([sellerAccount, blockchainDeals], [-sellerDeposit * 2, sellerDeposit * 2]);
+
+            const deal = await blockchainDeals.getDealById(1);
+            expect(deal.seller).to.equal(sellerAccount.address);
+            expect(deal.creator).to.equal("seller");
+            expect(deal.state).to.equal(dealStateMapper.PendingBuyerDeposit);
+            expect(await blockchainDeals.getDealCount()).to.equal(2);
+        });
+
+        it("should revert if msg.value isn't the sum of the seller deposits", async function () {
+            const { blockchainDeals, owner, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+            const deals = [sellerDeal(buyerAccount.address, deadline), sellerDeal(owner.address, deadline)];
+
+            await expect(blockchainDeals.connect(sellerAccount).createDealsAsSeller(deals, { value: sellerDeposit })).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
+        it("should revert without Deals", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createDealsAsSeller([])).to.be.revertedWith(
+                "No Deals to create"
+            );
+        });
+
+        it("should create none of the Deals if one is invalid", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createDealsAsSeller([
+                sellerDeal(buyerAccount.address, deadline),
+                sellerDeal(sellerAccount.address, deadline)
+            ], { value: sellerDeposit * 2 })).to.be.revertedWith("The buyer can't also be the seller");
+            expect(await blockchainDeals.getDealCount()).to.equal(0);
+        });
+    });
+
+    describe("createTokenDealsAsSeller", function () {
+        it("should pull the sum of the seller deposits", async function () {
+            const { blockchainDeals, token, owner, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createTokenDealsAsSeller(token.address, [
+                sellerDeal(buyerAccount.address, deadline),
+                sellerDeal(owner.address, deadline)
+            ])).to.changeTokenBalances(token, [sellerAccount, blockchainDeals], [-sellerDeposit * 2, sellerDeposit * 2]);
+
+            expect((await blockchainDeals.getDealById(1)).token).to.equal(token.address);
+            await blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(0);
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Confirmed);
+        });
+
+        it("should revert with the zero address as token", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createTokenDealsAsSeller(ethers.constants.AddressZero, [sellerDeal(buyerAccount.address, deadline)])).to.be.revertedWith(
+                "Invalid token"
+            );
+        });
+    });
+});
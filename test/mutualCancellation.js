@@ -0,0 +1,248 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Mutual cancellation", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        for (const account of [buyerAccount, sellerAccount]) {
+            await token.mint(account.address, 10000000);
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+
+        return { blockchainDeals, token, owner, buyerAccount, sellerAccount, otherAccount, deadline };
+    }
+
+    // Deal 0 is priced in ETH and Deal 1 in tokens, both Confirmed.
+    async function confirmedDealsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = fixture;
+
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+
+        await blockchainDeals.connect(sellerAccount).createTokenDealAsSeller(token.address, value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero);
+        await blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(1);
+
+        return fixture;
+    }
+
+    describe("proposeCancellation", function () {
+        it("should revert when trying to propose on a Deal with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.proposeCancellation(0)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if not the buyer or the seller", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).proposeCancellation(0)).to.be.revertedWith(
+                "Only the buyer or the seller can propose a cancellation"
+            );
+        });
+
+        it("should revert if the Deal is not confirmed", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+
+            await expect(blockchainDeals.connect(buyerAccount).proposeCancellation(0)).to.be.revertedWith(
+                "Deal can't be cancelled"
+            );
+        });
+
+        it("should revert if a cancellation is already proposed", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).proposeCancellation(0);
+
+            await expect(blockchainDeals.connect(sellerAccount).proposeCancellation(0)).to.be.revertedWith(
+                "Cancellation already proposed"
+            );
+        });
+
+        it("should record the proposer and emit CancellationProposed event", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).proposeCancellation(0))
+                .to.emit(blockchainDeals, "CancellationProposed")
+                .withArgs(0, sellerAccount.address);
+
+            expect(await blockchainDeals.cancellationProposedBy(0)).to.equal(sellerAccount.address);
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Confirmed);
+        });
+    });
+
+    describe("withdrawCancellation", function () {
+        it("should revert when trying to withdraw on a Deal with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.withdrawCancellation(0)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if not the proposer", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).withdrawCancellation(0)).to.be.revertedWith(
+                "Only the proposer can withdraw the cancellation"
+            );
+            await blockchainDeals.connect(buyerAccount).proposeCancellation(0);
+            await expect(blockchainDeals.connect(sellerAccount).withdrawCancellation(0)).to.be.revertedWith(
+                "Only the proposer can withdraw the cancellation"
+            );
+        });
+
+        it("should remove the proposal and emit CancellationWithdrawn event", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).proposeCancellation(0);
+
+            await expect(blockchainDeals.connect(buyerAccount).withdrawCancellation(0))
+                .to.emit(blockchainDeals, "CancellationWithdrawn")
+                .withArgs(0, buyerAccount.address);
+
+            expect(await blockchainDeals.cancellationProposedBy(0)).to.equal(ethers.constants.AddressZero);
+            await expect(blockchainDeals.connect(sellerAccount).acceptCancellation(0)).to.be.revertedWith(
+                "No cancellation proposed"
+            );
+        });
+
+        it("should let the other party propose once withdrawn", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).proposeCancellation(0);
+            await blockchainDeals.connect(buyerAccount).withdrawCancellation(0);
+            await blockchainDeals.connect(sellerAccount).proposeCancellation(0);
+
+            expect(await blockchainDeals.cancellationProposedBy(0)).to.equal(sellerAccount.address);
+        });
+    });
+
+    describe("acceptCancellation", function () {
+        it("should revert when trying to accept on a Deal with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.acceptCancellation(0)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if there is no proposal", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptCancellation(0)).to.be.revertedWith(
+                "No cancellation proposed"
+            );
+        });
+
+        it("should revert if not the counterparty of the proposer", async function () {
+            const { blockchainDeals, buyerAccount, otherAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).proposeCancellation(0);
+
+            await expect(blockchainDeals.connect(buyerAccount).acceptCancellation(0)).to.be.revertedWith(
+                "Only the counterparty can accept the cancellation"
+            );
+            await expect(blockchainDeals.connect(otherAccount).acceptCancellation(0)).to.be.revertedWith(
+                "Only the counterparty can accept the cancellation"
+            );
+        });
+
+        it("should revert if the Deal left the Confirmed state", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).proposeCancellation(0);
+            await blockchainDeals.connect(sellerAccount).openDispute(0);
+
+            await expect(blockchainDeals.connect(buyerAccount).acceptCancellation(0)).to.be.revertedWith(
+                "Deal can't be cancelled"
+            );
+        });
+
+        it("should refund the value and both deposits without a fee", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).proposeCancellation(0);
+            await blockchainDeals.connect(sellerAccount).acceptCancellation(0);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(value + buyerDeposit);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(0);
+            await expect(blockchainDeals.withdrawFeeEarnings()).to.be.revertedWith(
+                "There are no earnings to withdraw"
+            );
+        });
+
+        it("should refund token Deals in tokens", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).proposeCancellation(1);
+            await blockchainDeals.connect(buyerAccount).acceptCancellation(1);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, token.address)).to.equal(value + buyerDeposit);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, token.address)).to.equal(sellerDeposit);
+            expect(await blockchainDeals.escrowed(token.address)).to.equal(0);
+        });
+
+        it("should only refund the value of milestones not released yet", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+            const milestones = [400000, 600000];
+
+            await blockchainDeals.connect(buyerAccount).createMilestoneDealAsBuyer(ethers.constants.AddressZero, milestones, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            await blockchainDeals.connect(buyerAccount).releaseMilestone(0);
+            await blockchainDeals.connect(buyerAccount).proposeCancellation(0);
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptCancellation(0))
+                .to.emit(blockchainDeals, "DealMutuallyCancelled")
+                .withArgs(0, sellerAccount.address, milestones[1] + buyerDeposit, sellerDeposit);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(0);
+        });
+
+        it("should set the Deal state to MutuallyCancelled and emit DealMutuallyCancelled event", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).proposeCancellation(0);
+
+            await expect(blockchainDeals.connect(buyerAccount).acceptCancellation(0))
+                .to.emit(blockchainDeals, "DealMutuallyCancelled")
+                .withArgs(0, buyerAccount.address, value + buyerDeposit, sellerDeposit);
+
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(deal.state).to.equal(dealStateMapper.MutuallyCancelled);
+            expect(await blockchainDeals.cancellationProposedBy(0)).to.equal(ethers.constants.AddressZero);
+            await expect(blockchainDeals.connect(buyerAccount).completeDeal(0)).to.be.revertedWith(
+                "Deal can't be completed"
+            );
+        });
+    });
+});
@@ -0,0 +1,336 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+const { BlockchainDealsClient, InvalidOfferError, OFFER_TYPES, getOfferDomain, buildOffer, signOffer, recoverOfferSigner } = require("../sdk");
+
+const ONE_DAY_IN_SECS = 24 * 60 * 60;
+const ONE_WEEK_IN_SECS = 7 * ONE_DAY_IN_SECS;
+
+describe("Offers", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const now = await time.latest();
+
+        // The buyer backs its ETH offers with its balance in the contract.
+        await blockchainDeals.connect(buyerAccount).depositFunds({ value: 10 * (value + buyerDeposit) });
+
+        const buyerOffer = buildOffer({
+            creator: buyerAccount.address,
+            creatorIsBuyer: true,
+            counterparty: sellerAccount.address,
+            value,
+            buyerDeposit,
+            sellerDeposit,
+            deadline: now + ONE_WEEK_IN_SECS,
+            expiry: now + ONE_DAY_IN_SECS,
+            nonce: 1
+        });
+        const buyerSignature = await signOffer(buyerAccount, blockchainDeals.address, buyerOffer);
+
+        return { blockchainDeals, owner, buyerAccount, sellerAccount, otherAccount, now, buyerOffer, buyerSignature };
+    }
+
+    describe("hashOffer", function () {
+        it("should match the EIP-712 digest of the offer", async function () {
+            const { blockchainDeals, buyerOffer } = await loadFixture(deployFixture);
+            const { chainId } = await ethers.provider.getNetwork();
+
+            expect(await blockchainDeals.hashOffer(buyerOffer)).to.equal(
+                ethers.utils._TypedDataEncoder.hash(getOfferDomain(chainId, blockchainDeals.address), OFFER_TYPES, buyerOffer)
+            );
+        });
+    });
+
+    describe("acceptOffer", function () {
+        it("should create a Confirmed Deal from an offer signed by the buyer", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit });
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(deal.buyer).to.equal(buyerAccount.address);
+            expect(deal.seller).to.equal(sellerAccount.address);
+            expect(deal.creator).to.equal("buyer");
+            expect(deal.value).to.equal(value);
+            expect(deal.deadline).to.equal(buyerOffer.deadline);
+            expect(deal.state).to.equal(dealStateMapper.Confirmed);
+            expect((await blockchainDeals.getInspection(0)).period).to.equal(ONE_DAY_IN_SECS);
+        });
+
+        it("should take the creator share from its balance and escrow the whole Deal", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit }))
+                .to.changeEtherBalances([sellerAccount, blockchainDeals], [-sellerDeposit, sellerDeposit]);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(9 * (value + buyerDeposit));
+            expect(await blockchainDeals.totalPendingWithdrawals(ethers.constants.AddressZero)).to.equal(9 * (value + buyerDeposit));
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(value + buyerDeposit + sellerDeposit);
+        });
+
+        it("should create a Confirmed Deal from an offer signed by the seller", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, now } = await loadFixture(deployFixture);
+            await blockchainDeals.connect(sellerAccount).depositFunds({ value: sellerDeposit });
+            const offer = buildOffer({
+                creator: sellerAccount.address,
+                creatorIsBuyer: false,
+                counterparty: buyerAccount.address,
+                value,
+                buyerDeposit,
+                sellerDeposit,
+                deadline: now + ONE_WEEK_IN_SECS,
+                expiry: now + ONE_DAY_IN_SECS
+            });
+            const signature = await signOffer(sellerAccount, blockchainDeals.address, offer);
+
+            await expect(blockchainDeals.connect(buyerAccount).acceptOffer(offer, signature, { value: value + buyerDeposit }))
+                .to.changeEtherBalances([buyerAccount, blockchainDeals], [-(value + buyerDeposit), value + buyerDeposit]);
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(deal.creator).to.equal("seller");
+            expect(deal.state).to.equal(dealStateMapper.Confirmed);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(0);
+        });
+
+        it("should let the Deal be completed as any other", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit });
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Completed);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(value + sellerDeposit - value * 10 / 10000);
+        });
+
+        it("should emit DealCreated, DealConfirmed and OfferAccepted events", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            const tx = blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit });
+
+            await expect(tx).to.emit(blockchainDeals, "DealCreated");
+            await expect(tx).to.emit(blockchainDeals, "DealConfirmed").withArgs(0, sellerAccount.address, sellerDeposit);
+            await expect(tx).to.emit(blockchainDeals, "OfferAccepted").withArgs(buyerAccount.address, 1, 0);
+        });
+
+        it("should revert if the offer has expired", async function () {
+            const { blockchainDeals, sellerAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            await time.increaseTo(buyerOffer.expiry + 1);
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit })).to.be.revertedWith(
+                "Offer has expired"
+            );
+        });
+
+        it("should revert if the offer is accepted twice", async function () {
+            const { blockchainDeals, sellerAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit });
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit })).to.be.revertedWith(
+                "Offer nonce already used"
+            );
+        });
+
+        it("should revert if not the counterparty", async function () {
+            const { blockchainDeals, otherAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit })).to.be.revertedWith(
+                "Only the counterparty can accept the offer"
+            );
+        });
+
+        it("should revert if the signature isn't the creator's or the terms changed", async function () {
+            const { blockchainDeals, sellerAccount, otherAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+            const otherSignature = await signOffer(otherAccount, blockchainDeals.address, buyerOffer);
+            const tampered = { ...buyerOffer, sellerDeposit: 1 };
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, otherSignature, { value: sellerDeposit })).to.be.revertedWith(
+                "Invalid offer signature"
+            );
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(tampered, buyerSignature, { value: 1 })).to.be.revertedWith(
+                "Invalid offer signature"
+            );
+        });
+
+        it("should revert if the signature is for another contract", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, buyerOffer } = await loadFixture(deployFixture);
+            const signature = await signOffer(buyerAccount, sellerAccount.address, buyerOffer);
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, signature, { value: sellerDeposit })).to.be.revertedWith(
+                "Invalid offer signature"
+            );
+        });
+
+        it("should revert if the counterparty sends the wrong amount", async function () {
+            const { blockchainDeals, sellerAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit + 1 })).to.be.revertedWith(
+                "Invalid ETH amount to accept the offer"
+            );
+        });
+
+        it("should revert if the creator balance doesn't cover its share", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).withdraw();
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit })).to.be.revertedWith(
+                "Insufficient creator balance"
+            );
+        });
+
+        it("should validate the Deal terms", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, now } = await loadFixture(deployFixture);
+            const offer = buildOffer({
+                creator: buyerAccount.address,
+                creatorIsBuyer: true,
+                counterparty: sellerAccount.address,
+                value,
+                buyerDeposit,
+                sellerDeposit,
+                deadline: now,
+                expiry: now + ONE_DAY_IN_SECS
+            });
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(offer, await signOffer(buyerAccount, blockchainDeals.address, offer), { value: sellerDeposit }))
+                .to.be.revertedWith("Invalid deadline");
+        });
+    });
+
+    describe("token offers", function () {
+        it("should pull both shares with transferFrom", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, now } = await loadFixture(deployFixture);
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+            for (const account of [buyerAccount, sellerAccount]) {
+                await token.mint(account.address, 10000000);
+                await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+            }
+            const offer = buildOffer({
+                creator: buyerAccount.address,
+                creatorIsBuyer: true,
+                counterparty: sellerAccount.address,
+                token: token.address,
+                value,
+                buyerDeposit,
+                sellerDeposit,
+                deadline: now + ONE_WEEK_IN_SECS,
+                expiry: now + ONE_DAY_IN_SECS
+            });
+            const signature = await signOffer(buyerAccount, blockchainDeals.address, offer);
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(offer, signature, { value: 1 })).to.be.revertedWith(
+                "Offer is priced in tokens"
+            );
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(offer, signature)).to.changeTokenBalances(
+                token,
+                [buyerAccount, sellerAccount, blockchainDeals],
+                [-(value + buyerDeposit), -sellerDeposit, value + buyerDeposit + sellerDeposit]
+            );
+            expect(await blockchainDeals.escrowed(token.address)).to.equal(value + buyerDeposit + sellerDeposit);
+        });
+    });
+
+    describe("cancelOffer", function () {
+        it("should stop the offer from being accepted", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).cancelOffer(buyerOffer.nonce))
+                .to.emit(blockchainDeals, "OfferCancelled")
+                .withArgs(buyerAccount.address, buyerOffer.nonce);
+
+            expect(await blockchainDeals.usedOfferNonces(buyerAccount.address, buyerOffer.nonce)).to.equal(true);
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit })).to.be.revertedWith(
+                "Offer nonce already used"
+            );
+        });
+
+        it("should revert if the nonce was already used", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit });
+
+            await expect(blockchainDeals.connect(buyerAccount).cancelOffer(buyerOffer.nonce)).to.be.revertedWith(
+                "Offer nonce already used"
+            );
+        });
+
+        it("should only cancel the nonce of msg.sender", async function () {
+            const { blockchainDeals, sellerAccount, buyerOffer, buyerSignature } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(sellerAccount).cancelOffer(buyerOffer.nonce);
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature, { value: sellerDeposit })).not.to.be.reverted;
+        });
+    });
+
+    describe("depositFunds", function () {
+        it("should credit the ETH to msg.sender balance", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).depositFunds({ value: 5000 }))
+                .to.emit(blockchainDeals, "FundsDeposited")
+                .withArgs(sellerAccount.address, 5000);
+
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(5000);
+            await expect(blockchainDeals.connect(sellerAccount).withdraw()).to.changeEtherBalance(sellerAccount, 5000);
+        });
+
+        it("should revert without ETH", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).depositFunds()).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+    });
+
+    describe("SDK", function () {
+        it("should sign and accept offers through the client", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, now } = await loadFixture(deployFixture);
+            const asBuyer = new BlockchainDealsClient(blockchainDeals.address, buyerAccount);
+            const asSeller = asBuyer.connect(sellerAccount);
+            const offer = buildOffer({
+                creator: buyerAccount.address,
+                creatorIsBuyer: true,
+                counterparty: sellerAccount.address,
+                value,
+                buyerDeposit,
+                sellerDeposit,
+                deadline: now + ONE_WEEK_IN_SECS,
+                expiry: now + ONE_DAY_IN_SECS
+            });
+            const signature = await asBuyer.signOffer(offer);
+            const { chainId } = await ethers.provider.getNetwork();
+
+            expect(recoverOfferSigner(chainId, blockchainDeals.address, offer, signature)).to.equal(buyerAccount.address);
+            const { id } = await asSeller.acceptOffer(offer, signature);
+            expect((await asSeller.getDeal(id)).state).to.equal("Confirmed");
+
+            await expect(asSeller.acceptOffer(offer, signature)).to.be.rejectedWith(InvalidOfferError, "Offer nonce already used");
+        });
+
+        it("should cancel offers and deposit funds through the client", async function () {
+            const { blockchainDeals, sellerAccount, buyerOffer, buyerSignature, buyerAccount } = await loadFixture(deployFixture);
+            const asBuyer = new BlockchainDealsClient(blockchainDeals.address, buyerAccount);
+
+            await asBuyer.depositFunds(100);
+            await asBuyer.cancelOffer(buyerOffer.nonce);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(10 * (value + buyerDeposit) + 100);
+            await expect(asBuyer.connect(sellerAccount).acceptOffer(buyerOffer, buyerSignature)).to.be.rejectedWith(InvalidOfferError);
+        });
+    });
+});
@@ -1,6 +1,8 @@
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, setBalance, time } = require("@nomicfoundation/hardhat-network-helpers");
 const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
 
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
 
 
 describe("Owner actions", function () {
@@ -11,52 +13,268 @@ describe("Owner actions", function () {
         // Contracts are deployed using the first signer/account by default
         const [owner, otherAccount] = await ethers.getSigners();
     
-        const BlockchainDeals = await ethers.getContractFactory("BlockchainDeals");
-        const blockchainDeals = await BlockchainDeals.deploy();
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
     
-        return { blockchainDeals, owner, otherAccount };
+        return { blockchainDeals, owner, otherAccount, deadline };
     }
-    it("should be able to change fee with changeFee", async function () {
+    it("should be able to change fee with announceFeeChange and applyFeeChange", async function () {
         const { blockchainDeals } = await loadFixture(deployFixture);
 
         expect(await blockchainDeals.fee()).to.equal(10);
-        blockchainDeals.changeFee(100);
+        await blockchainDeals.announceFeeChange(100, [], []);
+        await time.increase(await blockchainDeals.FEE_CHANGE_DELAY());
+        await blockchainDeals.applyFeeChange();
         expect(await blockchainDeals.fee()).to.equal(100);
     });
 
-    it("should revert fee change from not owner account", async function () {
+    it("should emit FeeChanged event", async function () {
+        const { blockchainDeals } = await loadFixture(deployFixture);
+
+        await blockchainDeals.announceFeeChange(100, [], []);
+        await time.increase(await blockchainDeals.FEE_CHANGE_DELAY());
+
+        await expect(blockchainDeals.applyFeeChange())
+            .to.emit(blockchainDeals, "FeeChanged")
+            .withArgs(10, 100);
+    });
+
+    it("should revert fee change from account without the fee manager role", async function () {
         const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
         expect(await blockchainDeals.fee()).to.equal(10);
-        blockchainDeals.connect(otherAccount).changeFee(100)
-        
-        await expect(blockchainDeals.connect(otherAccount).changeFee(100)).to.be.revertedWith(
-        "Only the owner can perform this action."
+
+        await expect(blockchainDeals.connect(otherAccount).announceFeeChange(100, [], [])).to.be.revertedWith(
+        "Missing the role required for this action."
+        );
+        await blockchainDeals.announceFeeChange(100, [], []);
+        await time.increase(await blockchainDeals.FEE_CHANGE_DELAY());
+        await expect(blockchainDeals.connect(otherAccount).applyFeeChange()).to.be.revertedWith(
+        "Missing the role required for this action."
+        );
+        await expect(blockchainDeals.connect(otherAccount).cancelFeeChange()).to.be.revertedWith(
+        "Missing the role required for this action."
         );
         expect(await blockchainDeals.fee()).to.equal(10);
     });
 
-    it("should be able to change owner", async function () {
-        const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
-    
-        expect(await blockchainDeals.owner()).to.equal(owner.address);
-        blockchainDeals.changeOwner(otherAccount.address);
-        expect(await blockchainDeals.owner()).to.equal(otherAccount.address);
+    it("should be able to change the arbitration fee limit", async function () {
+        const { blockchainDeals } = await loadFixture(deployFixture);
+
+        expect(await blockchainDeals.arbitrationFeeLimit()).to.equal(500);
+        await blockchainDeals.changeArbitrationFeeLimit(1000);
+        expect(await blockchainDeals.arbitrationFeeLimit()).to.equal(1000);
     });
 
-    it("should revert to change owner", async function () {
-        const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
-    
-        expect(await blockchainDeals.owner()).to.equal(owner.address);
-        await expect(blockchainDeals.connect(otherAccount).changeOwner(otherAccount.address)).to.be.revertedWith(
-            "Only the owner can perform this action."
+    it("should emit ArbitrationFeeLimitChanged event", async function () {
+        const { blockchainDeals } = await loadFixture(deployFixture);
+
+        await expect(blockchainDeals.changeArbitrationFeeLimit(1000))
+            .to.emit(blockchainDeals, "ArbitrationFeeLimitChanged")
+            .withArgs(500, 1000);
+    });
+
+    it("should revert arbitration fee limit change from account without the fee manager role", async function () {
+        const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+
+        await expect(blockchainDeals.connect(otherAccount).changeArbitrationFeeLimit(1000)).to.be.revertedWith(
+            "Missing the role required for this action."
+        );
+        expect(await blockchainDeals.arbitrationFeeLimit()).to.equal(500);
+    });
+
+    it("should revert arbitration fee limit over 100%", async function () {
+        const { blockchainDeals } = await loadFixture(deployFixture);
+
+        await expect(blockchainDeals.changeArbitrationFeeLimit(10001)).to.be.revertedWith(
+            "Invalid arbitration fee limit"
         );
-        expect(await blockchainDeals.owner()).to.equal(owner.address);
     });
 
-    it("should not be able to withdraw earnings if not owner", async function () {
+    describe("Ownership", function () {
+        it("should only change the owner once the proposed owner accepts", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+
+            expect(await blockchainDeals.owner()).to.equal(owner.address);
+            await blockchainDeals.proposeOwner(otherAccount.address);
+            expect(await blockchainDeals.owner()).to.equal(owner.address);
+            expect(await blockchainDeals.pendingOwner()).to.equal(otherAccount.address);
+
+            await blockchainDeals.connect(otherAccount).acceptOwnership();
+            expect(await blockchainDeals.owner()).to.equal(otherAccount.address);
+            expect(await blockchainDeals.pendingOwner()).to.equal(ethers.constants.AddressZero);
+        });
+
+        it("should emit OwnershipTransferProposed and OwnerChanged events", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.proposeOwner(otherAccount.address))
+                .to.emit(blockchainDeals, "OwnershipTransferProposed")
+                .withArgs(owner.address, otherAccount.address);
+            await expect(blockchainDeals.connect(otherAccount).acceptOwnership())
+                .to.emit(blockchainDeals, "OwnerChanged")
+                .withArgs(owner.address, otherAccount.address);
+        });
+
+        it("should revert to propose an owner from not owner account", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).proposeOwner(otherAccount.address)).to.be.revertedWith(
+                "Only the owner can perform this action."
+            );
+            expect(await blockchainDeals.owner()).to.equal(owner.address);
+        });
+
+        it("should revert to accept the ownership if not the proposed owner", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).acceptOwnership()).to.be.revertedWith(
+                "Only the proposed owner can accept the ownership"
+            );
+            await blockchainDeals.proposeOwner(otherAccount.address);
+            await expect(blockchainDeals.connect(owner).acceptOwnership()).to.be.revertedWith(
+                "Only the proposed owner can accept the ownership"
+            );
+        });
+
+        it("should cancel the proposal when proposing address(0)", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+
+            await blockchainDeals.proposeOwner(otherAccount.address);
+            await blockchainDeals.proposeOwner(ethers.constants.AddressZero);
+
+            await expect(blockchainDeals.connect(otherAccount).acceptOwnership()).to.be.revertedWith(
+                "Only the proposed owner can accept the ownership"
+            );
+        });
+
+        it("should let only the new owner manage roles", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+            const pauserRole = await blockchainDeals.PAUSER_ROLE();
+
+            await blockchainDeals.proposeOwner(otherAccount.address);
+            await blockchainDeals.connect(otherAccount).acceptOwnership();
+
+            await expect(blockchainDeals.grantRole(pauserRole, owner.address)).to.be.revertedWith(
+                "Only the owner can perform this action."
+            );
+            await blockchainDeals.connect(otherAccount).revokeRole(pauserRole, owner.address);
+            expect(await blockchainDeals.hasRole(pauserRole, owner.address)).to.equal(false);
+        });
+    });
+
+    describe("Roles", function () {
+        it("should grant every role to the deployer", async function () {
+            const { blockchainDeals, owner } = await loadFixture(deployFixture);
+
+            for (const role of ["FEE_MANAGER_ROLE", "TREASURER_ROLE", "PAUSER_ROLE", "ARBITER_ROLE"]) {
+                expect(await blockchainDeals.hasRole(await blockchainDeals[role](), owner.address)).to.equal(true);
+            }
+        });
+
+        it("should grant a role and emit RoleGranted event", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+            const treasurerRole = await blockchainDeals.TREASURER_ROLE();
+
+            await expect(blockchainDeals.grantRole(treasurerRole, otherAccount.address))
+                .to.emit(blockchainDeals, "RoleGranted")
+                .withArgs(treasurerRole, otherAccount.address, owner.address);
+            expect(await blockchainDeals.hasRole(treasurerRole, otherAccount.address)).to.equal(true);
+            await expect(blockchainDeals.grantRole(treasurerRole, otherAccount.address))
+                .not.to.emit(blockchainDeals, "RoleGranted");
+        });
+
+        it("should revoke a role and emit RoleRevoked event", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+            const treasurerRole = await blockchainDeals.TREASURER_ROLE();
+
+            await expect(blockchainDeals.revokeRole(treasurerRole, owner.address))
+                .to.emit(blockchainDeals, "RoleRevoked")
+                .withArgs(treasurerRole, owner.address, owner.address);
+            expect(await blockchainDeals.hasRole(treasurerRole, owner.address)).to.equal(false);
+            await expect(blockchainDeals.revokeRole(treasurerRole, otherAccount.address))
+                .not.to.emit(blockchainDeals, "RoleRevoked");
+        });
+
+        it("should revert to grant an unknown role", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.grantRole(ethers.utils.id("OWNER_ROLE"), otherAccount.address)).to.be.revertedWith(
+                "Invalid role"
+            );
+        });
+
+        it("should revert role changes from not owner account", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+            const feeManagerRole = await blockchainDeals.FEE_MANAGER_ROLE();
+
+            await expect(blockchainDeals.connect(otherAccount).grantRole(feeManagerRole, otherAccount.address)).to.be.revertedWith(
+                "Only the owner can perform this action."
+            );
+            await expect(blockchainDeals.connect(otherAccount).revokeRole(feeManagerRole, owner.address)).to.be.revertedWith(
+                "Only the owner can perform this action."
+            );
+        });
+
+        it("should let only fee managers change the fee and the arbitration fee limit", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+            const feeManagerRole = await blockchainDeals.FEE_MANAGER_ROLE();
+
+            await blockchainDeals.grantRole(feeManagerRole, otherAccount.address);
+            await blockchainDeals.revokeRole(feeManagerRole, owner.address);
+
+            await expect(blockchainDeals.announceFeeChange(100, [], [])).to.be.revertedWith(
+                "Missing the role required for this action."
+            );
+            await expect(blockchainDeals.changeArbitrationFeeLimit(1000)).to.be.revertedWith(
+                "Missing the role required for this action."
+            );
+            await blockchainDeals.connect(otherAccount).announceFeeChange(100, [], []);
+            await blockchainDeals.connect(otherAccount).changeArbitrationFeeLimit(1000);
+            expect(await blockchainDeals.arbitrationFeeLimit()).to.equal(1000);
+        });
+
+        it("should let only treasurers withdraw the fee earnings and sweep", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+            const treasurerRole = await blockchainDeals.TREASURER_ROLE();
+
+            await blockchainDeals.grantRole(treasurerRole, otherAccount.address);
+            await blockchainDeals.revokeRole(treasurerRole, owner.address);
+
+            await expect(blockchainDeals.withdrawFeeEarnings()).to.be.revertedWith(
+                "Missing the role required for this action."
+            );
+            await expect(blockchainDeals.withdrawTokenFeeEarnings(otherAccount.address)).to.be.revertedWith(
+                "Missing the role required for this action."
+            );
+            await expect(blockchainDeals.sweepUnaccountedFunds(ethers.constants.AddressZero, owner.address)).to.be.revertedWith(
+                "Missing the role required for this action."
+            );
+            await expect(blockchainDeals.connect(otherAccount).withdrawFeeEarnings()).to.be.revertedWith(
+                "There are no earnings to withdraw"
+            );
+        });
+
+        it("should send the fee earnings to the treasury when a treasurer withdraws", async function () {
+            const { blockchainDeals, owner, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const [,, treasurer] = await ethers.getSigners();
+            const value = 1000000;
+            const fee = value * 10 / 10000;
+            await blockchainDeals.grantRole(await blockchainDeals.TREASURER_ROLE(), treasurer.address);
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, value, value, deadline, ethers.constants.AddressZero, {
+                value: value * 2
+            });
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: value});
+            await blockchainDeals.completeDeal(0);
+
+            await expect(blockchainDeals.connect(treasurer).withdrawFeeEarnings())
+                .to.changeEtherBalances([owner, treasurer], [fee, 0]);
+        });
+    });
+
+    it("should not be able to withdraw earnings without the treasurer role", async function () {
         const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
         await expect(blockchainDeals.connect(otherAccount).withdrawFeeEarnings()).to.be.revertedWith(
-            "Only the owner can perform this action."
+            "Missing the role required for this action."
         );
     });
 
@@ -68,12 +286,12 @@ describe("Owner actions", function () {
     });
 
     it("should be able to withdraw earnings after deals completed", async function () {
-        const { blockchainDeals, owner, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+        const { blockchainDeals, owner, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
         const value = 1000000;
         const buyerDeposit = 1200000;
         const sellerDeposit = 300000;
         const fee = value * 10 / 10000;
-        await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+        await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
             value: buyerDeposit + value
         });
 
@@ -84,20 +302,38 @@ describe("Owner actions", function () {
         const tx = await blockchainDeals.withdrawFeeEarnings();
         const receipt = await tx.wait();
         const newBalance = await hre.ethers.provider.getBalance(owner.address);
-        expect(newBalance).to.equal(BigInt(prevBalance) + BigInt(fee) - BigInt(receipt.gasUsed));
+        expect(newBalance).to.equal(prevBalance.add(fee).sub(receipt.gasUsed.mul(receipt.effectiveGasPrice)));
+    });
+
+    it("should emit FeeEarningsWithdrawn event", async function () {
+        const { blockchainDeals, owner, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+        const value = 1000000;
+        const buyerDeposit = 1200000;
+        const sellerDeposit = 300000;
+        const fee = value * 10 / 10000;
+        await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: buyerDeposit + value
+        });
+
+        await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+        await blockchainDeals.completeDeal(0);
+
+        await expect(blockchainDeals.withdrawFeeEarnings())
+            .to.emit(blockchainDeals, "FeeEarningsWithdrawn")
+            .withArgs(ethers.constants.AddressZero, owner.address, fee);
     });
 
     it("should not be able to withdraw earnings a withdrawal", async function () {
-        const { blockchainDeals, owner, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+        const { blockchainDeals, owner, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
         const value = 1000000;
         const buyerDeposit = 1200000;
         const sellerDeposit = 300000;
         const fee = value * 10 / 10000;
-        await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+        await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
             value: buyerDeposit + value
         });
 
-        await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+        await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
             value: buyerDeposit + value
         });
 
@@ -109,5 +345,60 @@ describe("Owner actions", function () {
             "There are no earnings to withdraw"
         );
     });
-});
-  
\ No newline at end of file
+
+    it("should not be able to sweep unaccounted funds without the treasurer role", async function () {
+        const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+        await expect(blockchainDeals.connect(otherAccount).sweepUnaccountedFunds(ethers.constants.AddressZero, otherAccount.address)).to.be.revertedWith(
+            "Missing the role required for this action."
+        );
+    });
+
+    it("should not be able to sweep if there are no unaccounted funds", async function () {
+        const { blockchainDeals, owner, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+        const value = 1000000;
+        const buyerDeposit = 1200000;
+        const sellerDeposit = 300000;
+        await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: buyerDeposit + value
+        });
+        await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+        await blockchainDeals.completeDeal(0);
+
+        await expect(blockchainDeals.sweepUnaccountedFunds(ethers.constants.AddressZero, owner.address)).to.be.revertedWith(
+            "There are no unaccounted funds"
+        );
+    });
+
+    it("should sweep only the ETH no Deal or fee accounts for", async function () {
+        const [owner, sellerAccount, recipient] = await ethers.getSigners();
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        // ETH no Deal accounts for, as if forced in by a selfdestruct
+        await setBalance(blockchainDeals.address, 5000);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+        const value = 1000000;
+        const buyerDeposit = 1200000;
+        const sellerDeposit = 300000;
+        await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: buyerDeposit + value
+        });
+
+        await expect(blockchainDeals.sweepUnaccountedFunds(ethers.constants.AddressZero, recipient.address))
+            .to.emit(blockchainDeals, "UnaccountedFundsSwept")
+            .withArgs(ethers.constants.AddressZero, recipient.address, 5000)
+            .and.to.changeEtherBalances([recipient, blockchainDeals], [5000, -5000]);
+        expect(await hre.ethers.provider.getBalance(blockchainDeals.address)).to.equal(value + buyerDeposit);
+    });
+
+    it("should sweep tokens transferred directly to the contract", async function () {
+        const { blockchainDeals, owner } = await loadFixture(deployFixture);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        await token.mint(blockchainDeals.address, 700);
+
+        await expect(blockchainDeals.sweepUnaccountedFunds(token.address, owner.address)).to.changeTokenBalances(
+            token,
+            [owner, blockchainDeals],
+            [700, -700]
+        );
+    });
+});
\ No newline at end of file
@@ -0,0 +1,241 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+const { buildOffer, signOffer } = require("../sdk");
+
+const ONE_DAY_IN_SECS = 24 * 60 * 60;
+const ONE_WEEK_IN_SECS = 7 * ONE_DAY_IN_SECS;
+
+describe("Pause and sunset", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        for (const account of [buyerAccount, sellerAccount]) {
+            await token.mint(account.address, 10000000);
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+
+        return { blockchainDeals, token, owner, buyerAccount, sellerAccount, otherAccount, deadline };
+    }
+
+    // Deal 0 is pending the seller deposit, Deal 1 pending the buyer deposit in tokens
+    // and Deal 2 Confirmed. The contract is paused after creating them.
+    async function pausedFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = fixture;
+
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).createTokenDealAsSeller(token.address, value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero);
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(2, {value: sellerDeposit});
+        await blockchainDeals.pause();
+
+        return fixture;
+    }
+
+    describe("pause and unpause", function () {
+        it("should revert without the pauser role", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).pause()).to.be.revertedWith(
+                "Missing the role required for this action."
+            );
+            await blockchainDeals.pause();
+            await expect(blockchainDeals.connect(otherAccount).unpause()).to.be.revertedWith(
+                "Missing the role required for this action."
+            );
+        });
+
+        it("should let any account with the pauser role pause", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+
+            await blockchainDeals.grantRole(await blockchainDeals.PAUSER_ROLE(), otherAccount.address);
+
+            await expect(blockchainDeals.connect(otherAccount).pause())
+                .to.emit(blockchainDeals, "Paused")
+                .withArgs(otherAccount.address);
+            expect(await blockchainDeals.paused()).to.equal(true);
+        });
+
+        it("should revert pausing twice or unpausing when not paused", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.unpause()).to.be.revertedWith(
+                "Contract isn't paused"
+            );
+            await blockchainDeals.pause();
+            await expect(blockchainDeals.pause()).to.be.revertedWith(
+                "Contract is paused"
+            );
+        });
+
+        it("should unpause and emit Unpaused event", async function () {
+            const { blockchainDeals, owner, buyerAccount, sellerAccount, deadline } = await loadFixture(pausedFixture);
+
+            await expect(blockchainDeals.unpause())
+                .to.emit(blockchainDeals, "Unpaused")
+                .withArgs(owner.address);
+
+            expect(await blockchainDeals.paused()).to.equal(false);
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            await expect(blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            })).not.to.be.reverted;
+        });
+    });
+
+    describe("While paused", function () {
+        it("should block creating Deals", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(pausedFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            })).to.be.revertedWith("Contract is paused");
+            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: sellerDeposit
+            })).to.be.revertedWith("Contract is paused");
+            await expect(blockchainDeals.connect(buyerAccount).createTokenDealAsBuyer(token.address, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero))
+                .to.be.revertedWith("Contract is paused");
+            await expect(blockchainDeals.connect(buyerAccount).createMilestoneDealAsBuyer(ethers.constants.AddressZero, [value], sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            })).to.be.revertedWith("Contract is paused");
+        });
+
+        it("should block confirming Deals", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(pausedFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit})).to.be.revertedWith(
+                "Contract is paused"
+            );
+            await expect(blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(1)).to.be.revertedWith(
+                "Contract is paused"
+            );
+        });
+
+        it("should block accepting signed offers", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(pausedFixture);
+            const offer = buildOffer({
+                creator: buyerAccount.address,
+                creatorIsBuyer: true,
+                counterparty: sellerAccount.address,
+                value,
+                buyerDeposit,
+                sellerDeposit,
+                deadline,
+                expiry: (await time.latest()) + ONE_DAY_IN_SECS,
+                nonce: 1
+            });
+            const signature = await signOffer(buyerAccount, blockchainDeals.address, offer);
+            await blockchainDeals.connect(buyerAccount).depositFunds({ value: value + buyerDeposit });
+
+            await expect(blockchainDeals.connect(sellerAccount).acceptOffer(offer, signature, { value: sellerDeposit })).to.be.revertedWith(
+                "Contract is paused"
+            );
+        });
+
+        it("should let creators cancel their pending Deals", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(pausedFixture);
+
+            await blockchainDeals.connect(buyerAccount).buyerCancelDeal(0);
+            await blockchainDeals.connect(sellerAccount).sellerCancelDeal(1);
+
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.CancelledByCreator);
+            expect((await blockchainDeals.getDealById(1)).state).to.equal(dealStateMapper.CancelledByCreator);
+        });
+
+        it("should let the buyer complete and everyone withdraw", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(pausedFixture);
+            const fee = value * 10 / 10000;
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(2);
+
+            await expect(blockchainDeals.connect(sellerAccount).withdraw())
+                .to.changeEtherBalances([sellerAccount, blockchainDeals], [value + sellerDeposit - fee, -(value + sellerDeposit - fee)]);
+            await expect(blockchainDeals.connect(buyerAccount).withdraw())
+                .to.changeEtherBalances([buyerAccount, blockchainDeals], [buyerDeposit, -buyerDeposit]);
+        });
+
+        it("should let Confirmed Deals be expired after their deadline", async function () {
+            const { blockchainDeals, sellerAccount, deadline } = await loadFixture(pausedFixture);
+
+            await time.increaseTo(deadline + 1);
+            await blockchainDeals.connect(sellerAccount).expireDeal(2);
+
+            expect((await blockchainDeals.getDealById(2)).state).to.equal(dealStateMapper.Expired);
+        });
+    });
+
+    describe("sunset", function () {
+        it("should revert if not the owner", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).sunset(otherAccount.address)).to.be.revertedWith(
+                "Only the owner can perform this action."
+            );
+        });
+
+        it("should revert without a successor", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.sunset(ethers.constants.AddressZero)).to.be.revertedWith(
+                "Invalid successor"
+            );
+            await expect(blockchainDeals.sunset(blockchainDeals.address)).to.be.revertedWith(
+                "Invalid successor"
+            );
+        });
+
+        it("should record the successor and emit Sunset event", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.sunset(otherAccount.address))
+                .to.emit(blockchainDeals, "Sunset")
+                .withArgs(otherAccount.address);
+            expect(await blockchainDeals.successor()).to.equal(otherAccount.address);
+        });
+
+        it("should only be possible once", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+
+            await blockchainDeals.sunset(otherAccount.address);
+
+            await expect(blockchainDeals.sunset(owner.address)).to.be.revertedWith(
+                "Contract is sunset"
+            );
+        });
+
+        it("should block creating and confirming Deals for good, even if unpaused", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, otherAccount, deadline } = await loadFixture(pausedFixture);
+
+            await blockchainDeals.sunset(otherAccount.address);
+            await blockchainDeals.unpause();
+
+            await expect(blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            })).to.be.revertedWith("Contract is sunset");
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit})).to.be.revertedWith(
+                "Contract is sunset"
+            );
+            await blockchainDeals.connect(buyerAccount).completeDeal(2);
+            expect((await blockchainDeals.getDealById(2)).state).to.equal(dealStateMapper.Completed);
+        });
+    });
+});
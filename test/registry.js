@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readRegistry, resolveAddress, recordDeployment } = require("../scripts/registry");
+
+describe("Deployment registry", function () {
+    const registryPath = path.join(os.tmpdir(), `blockchain-deals-registry-${process.pid}.json`);
+    let previousRegistry;
+    let consoleLog;
+
+    before(function () {
+        previousRegistry = process.env.DEPLOYMENTS_REGISTRY;
+        process.env.DEPLOYMENTS_REGISTRY = registryPath;
+        consoleLog = console.log;
+        console.log = () => {};
+    });
+
+    after(function () {
+        if (previousRegistry === undefined) {
+            delete process.env.DEPLOYMENTS_REGISTRY;
+        } else {
+            process.env.DEPLOYMENTS_REGISTRY = previousRegistry;
+        }
+        console.log = consoleLog;
+    });
+
+    beforeEach(function () {
+        fs.rmSync(registryPath, { force: true });
+    });
+
+    afterEach(function () {
+        fs.rmSync(registryPath, { force: true });
+    });
+
+    async function networkKey() {
+        const { chainId } = await ethers.provider.getNetwork();
+        return `${hre.network.name}-${chainId}`;
+    }
+
+    describe("deploy", function () {
+        it("should record the deployment keyed by network name and chainId", async function () {
+            const [owner] = await ethers.getSigners();
+
+            const blockchainDeals = await hre.run("deploy");
+            const receipt = await blockchainDeals.deployTransaction.wait();
+            const artifact = await hre.artifacts.readArtifact("BlockchainDeals");
+            const deployment = readRegistry(hre)[await networkKey()].BlockchainDeals;
+
+            expect(deployment).to.deep.equal({
+                address: blockchainDeals.address,
+                deployer: owner.address,
+                blockNumber: receipt.blockNumber,
+                transactionHash: receipt.transactionHash,
+                implementation: await upgrades.erc1967.getImplementationAddress(blockchainDeals.address),
+                constructorArgs: [await blockchainDeals.extension(), await blockchainDeals.marketExtension()],
+                extension: await blockchainDeals.extension(),
+                marketExtension: await blockchainDeals.marketExtension(),
+                proxyAdmin: await upgrades.erc1967.getAdminAddress(blockchainDeals.address),
+                bytecodeHash: ethers.utils.keccak256(artifact.bytecode)
+            });
+        });
+
+        it("should deploy an initialized proxy", async function () {
+            const [owner] = await ethers.getSigners();
+
+            const blockchainDeals = await hre.run("deploy");
+
+            expect(await blockchainDeals.owner()).to.equal(owner.address);
+            expect(await upgrades.erc1967.getImplementationAddress(blockchainDeals.address)).to.not.equal(blockchainDeals.address);
+        });
+
+        it("should refuse to redeploy over an existing deployment", async function () {
+            const blockchainDeals = await hre.run("deploy");
+
+            await expect(hre.run("deploy")).to.be.rejectedWith(
+                `BlockchainDeals is already deployed to ${blockchainDeals.address}`
+            );
+            expect(readRegistry(hre)[await networkKey()].BlockchainDeals.address).to.equal(blockchainDeals.address);
+        });
+
+        it("should redeploy over an existing deployment when forced", async function () {
+            const blockchainDeals = await hre.run("deploy");
+            const redeployed = await hre.run("deploy", { force: true });
+
+            expect(redeployed.address).to.not.equal(blockchainDeals.address);
+            expect(readRegistry(hre)[await networkKey()].BlockchainDeals.address).to.equal(redeployed.address);
+        });
+
+        it("should replace a deployment without code on chain", async function () {
+            const staleAddress = ethers.Wallet.createRandom().address;
+            fs.writeFileSync(registryPath, JSON.stringify({ [await networkKey()]: { BlockchainDeals: { address: staleAddress } } }));
+
+            const blockchainDeals = await hre.run("deploy");
+
+            expect(readRegistry(hre)[await networkKey()].BlockchainDeals.address).to.equal(blockchainDeals.address);
+        });
+
+        it("should keep the deployments of other networks and contracts", async function () {
+            const other = { "sepolia-11155111": { BlockchainDeals: { address: ethers.Wallet.createRandom().address } } };
+            fs.writeFileSync(registryPath, JSON.stringify(other));
+
+            await recordDeployment(hre, "MockERC20", { address: ethers.Wallet.createRandom().address });
+            await hre.run("deploy");
+            const registry = readRegistry(hre);
+
+            expect(registry["sepolia-11155111"]).to.deep.equal(other["sepolia-11155111"]);
+            expect(registry[await networkKey()].MockERC20).to.not.equal(undefined);
+            expect(registry[await networkKey()].BlockchainDeals).to.not.equal(undefined);
+        });
+    });
+
+    describe("upgrade", function () {
+        it("should upgrade the recorded proxy and record its new implementation", async function () {
+            const blockchainDeals = await hre.run("deploy");
+            const deployment = readRegistry(hre)[await networkKey()].BlockchainDeals;
+
+            const upgraded = await hre.run("upgrade", { implementation: "BlockchainDealsV2" });
+            const artifact = await hre.artifacts.readArtifact("BlockchainDealsV2");
+            const upgradedDeployment = readRegistry(hre)[await networkKey()].BlockchainDeals;
+
+            expect(upgraded.address).to.equal(blockchainDeals.address);
+            expect(await upgraded.version()).to.equal("2");
+            expect(upgradedDeployment).to.deep.equal({
+                ...deployment,
+                implementation: await upgrades.erc1967.getImplementationAddress(blockchainDeals.address),
+                constructorArgs: [await upgraded.extension(), await upgraded.marketExtension()],
+                extension: await upgraded.extension(),
+                marketExtension: await upgraded.marketExtension(),
+                bytecodeHash: ethers.utils.keccak256(artifact.bytecode)
+            });
+            expect(upgradedDeployment.implementation).to.not.equal(deployment.implementation);
+        });
+
+        it("should only validate the new implementation with validateOnly", async function () {
+            await hre.run("deploy");
+            const deployment = readRegistry(hre)[await networkKey()].BlockchainDeals;
+
+            await hre.run("upgrade", { implementation: "BlockchainDealsV2", validateOnly: true });
+
+            expect(readRegistry(hre)[await networkKey()].BlockchainDeals).to.deep.equal(deployment);
+            await expect(hre.run("upgrade", { implementation: "BlockchainDealsShiftedLayout", validateOnly: true })).to.be.rejectedWith(
+                "New storage layout is incompatible"
+            );
+        });
+    });
+
+    describe("resolveAddress", function () {
+        it("should return addresses as they are", async function () {
+            const address = ethers.Wallet.createRandom().address;
+
+            expect(await resolveAddress(hre, address)).to.equal(address);
+        });
+
+        it("should resolve a deployment name for the current network", async function () {
+            const blockchainDeals = await hre.run("deploy");
+
+            expect(await resolveAddress(hre, "BlockchainDeals")).to.equal(blockchainDeals.address);
+        });
+
+        it("should throw if the deployment isn't recorded for the current network", async function () {
+            await expect(resolveAddress(hre, "BlockchainDeals")).to.be.rejectedWith(
+                `No BlockchainDeals deployment recorded for ${await networkKey()}`
+            );
+        });
+
+        it("should let the tasks use the recorded deployment by default", async function () {
+            await hre.run("deploy");
+
+            expect(await hre.run("admin:fee")).to.equal(10);
+            await expect(hre.run("admin:fee", { contract: "Unknown" })).to.be.rejectedWith(
+                "No Unknown deployment recorded"
+            );
+        });
+    });
+});
@@ -0,0 +1,385 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const {
+    BlockchainDealsClient,
+    BlockchainDealsError,
+    InvalidDealIdError,
+    InvalidValueOrDepositError,
+    InvalidStateError,
+    DealNotConfirmableError,
+    DealNotCancellableError,
+    DealNotCompletableError,
+    UnauthorizedError,
+    ContractClosedError,
+    getRevertReason,
+    buildCall,
+    decodeCallResult,
+    abi
+} = require("../sdk");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("SDK", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const fee = value * 10 / 10000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+        const asBuyer = new BlockchainDealsClient(blockchainDeals.address, buyerAccount);
+        const asSeller = asBuyer.connect(sellerAccount);
+
+        return { blockchainDeals, asBuyer, asSeller, owner, buyerAccount, sellerAccount, deadline };
+    }
+
+    // The client returns receipts instead of transactions, so we add the gas back to the balance change.
+    async function balanceChange(account, action) {
+        const before = await ethers.provider.getBalance(account.address);
+        const result = await action();
+        const receipt = result.receipt || result;
+        const after = await ethers.provider.getBalance(account.address);
+        return after.sub(before).add(receipt.gasUsed.mul(receipt.effectiveGasPrice));
+    }
+
+    it("should ship the ABI of the compiled contract", async function () {
+        const artifact = await hre.artifacts.readArtifact("BlockchainDeals");
+
+        expect(abi).to.deep.equal(artifact.abi);
+    });
+
+    describe("createAsBuyer and createAsSeller", function () {
+        it("should send value plus buyer deposit when creating as buyer", async function () {
+            const { blockchainDeals, asBuyer, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            let id;
+            const change = await balanceChange(buyerAccount, async () => {
+                const created = await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+                id = created.id;
+                return created;
+            });
+
+            expect(change).to.equal(-(value + buyerDeposit));
+            expect(await ethers.provider.getBalance(blockchainDeals.address)).to.equal(value + buyerDeposit);
+            expect(id).to.equal(0);
+        });
+
+        it("should send the seller deposit when creating as seller", async function () {
+            const { blockchainDeals, asSeller, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            expect(await balanceChange(sellerAccount, () => asSeller.createAsSeller({ buyer: buyerAccount.address, value, buyerDeposit, sellerDeposit, deadline })))
+                .to.equal(-sellerDeposit);
+            expect(await ethers.provider.getBalance(blockchainDeals.address)).to.equal(sellerDeposit);
+            expect(await asSeller.getDealCount()).to.equal(1);
+        });
+
+        it("should create token Deals without sending ETH", async function () {
+            const { blockchainDeals, asBuyer, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+            await token.mint(buyerAccount.address, value + buyerDeposit);
+            await token.connect(buyerAccount).approve(blockchainDeals.address, value + buyerDeposit);
+
+            const { id } = await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline, token: token.address });
+            const deal = await asBuyer.getDeal(id);
+
+            expect(deal.token).to.equal(token.address);
+            expect(await token.balanceOf(blockchainDeals.address)).to.equal(value + buyerDeposit);
+            expect(await ethers.provider.getBalance(blockchainDeals.address)).to.equal(0);
+        });
+
+        it("should throw InvalidValueOrDepositError", async function () {
+            const { asBuyer, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            const error = await asBuyer.createAsBuyer({ seller: sellerAccount.address, value: 0, buyerDeposit, sellerDeposit, deadline }).catch(error => error);
+
+            expect(error).to.be.instanceOf(InvalidValueOrDepositError);
+            expect(error).to.be.instanceOf(BlockchainDealsError);
+            expect(error.reason).to.equal("Invalid value or deposit");
+        });
+    });
+
+    describe("getDeal", function () {
+        it("should decode the Deal and its state name", async function () {
+            const { asBuyer, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+            const deal = await asBuyer.getDeal(0);
+
+            expect(deal).to.deep.include({
+                id: 0,
+                buyer: buyerAccount.address,
+                seller: sellerAccount.address,
+                creator: "buyer",
+                deadline,
+                arbiter: ethers.constants.AddressZero,
+                token: ethers.constants.AddressZero,
+                state: "PendingSellerDeposit"
+            });
+            expect(deal.value).to.equal(value);
+        });
+
+        it("should throw InvalidDealIdError", async function () {
+            const { asBuyer } = await loadFixture(deployFixture);
+
+            await expect(asBuyer.getDeal(5)).to.be.rejectedWith(InvalidDealIdError, "Invalid ID");
+        });
+    });
+
+    describe("confirm", function () {
+        it("should send the seller deposit when the seller confirms", async function () {
+            const { blockchainDeals, asBuyer, asSeller, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+
+            expect(await balanceChange(sellerAccount, () => asSeller.confirm(0))).to.equal(-sellerDeposit);
+            expect(await ethers.provider.getBalance(blockchainDeals.address)).to.equal(value + buyerDeposit + sellerDeposit);
+            expect((await asSeller.getDeal(0)).state).to.equal("Confirmed");
+        });
+
+        it("should send value plus buyer deposit when the buyer confirms", async function () {
+            const { blockchainDeals, asBuyer, asSeller, buyerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asSeller.createAsSeller({ buyer: buyerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+
+            expect(await balanceChange(buyerAccount, () => asBuyer.confirm(0))).to.equal(-(value + buyerDeposit));
+            expect(await ethers.provider.getBalance(blockchainDeals.address)).to.equal(value + buyerDeposit + sellerDeposit);
+        });
+
+        it("should throw DealNotConfirmableError if the Deal isn't pending", async function () {
+            const { asBuyer, asSeller, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+            await asSeller.confirm(0);
+
+            const error = await asSeller.confirm(0).catch(error => error);
+            expect(error).to.be.instanceOf(DealNotConfirmableError);
+            expect(error).to.be.instanceOf(InvalidStateError);
+        });
+
+        it("should throw UnauthorizedError if not the counterparty", async function () {
+            const { asBuyer, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+
+            await expect(asBuyer.confirm(0)).to.be.rejectedWith(UnauthorizedError, "Only the seller can confirm the Deal");
+        });
+    });
+
+    describe("cancel", function () {
+        it("should cancel the Deal as its creator", async function () {
+            const { asBuyer, asSeller, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+            await asSeller.createAsSeller({ buyer: buyerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+            await asBuyer.cancel(0);
+            await asSeller.cancel(1);
+
+            expect((await asBuyer.getDeal(0)).state).to.equal("CancelledByCreator");
+            expect((await asBuyer.getDeal(1)).state).to.equal("CancelledByCreator");
+        });
+
+        it("should throw DealNotCancellableError if the Deal isn't pending", async function () {
+            const { asBuyer, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+            await asBuyer.cancel(0);
+
+            await expect(asBuyer.cancel(0)).to.be.rejectedWith(DealNotCancellableError);
+        });
+    });
+
+    describe("complete and withdraw", function () {
+        it("should complete the Deal and let both parties withdraw", async function () {
+            const { asBuyer, asSeller, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+            await asSeller.confirm(0);
+            await asBuyer.complete(0);
+
+            expect((await asBuyer.getDeal(0)).state).to.equal("Completed");
+            expect(await balanceChange(buyerAccount, () => asBuyer.withdraw())).to.equal(buyerDeposit);
+            expect(await balanceChange(sellerAccount, () => asSeller.withdraw())).to.equal(value + sellerDeposit - fee);
+        });
+
+        it("should throw DealNotCompletableError if the Deal isn't confirmed", async function () {
+            const { asBuyer, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+
+            await expect(asBuyer.complete(0)).to.be.rejectedWith(DealNotCompletableError, "Deal can't be completed");
+        });
+    });
+
+    describe("Batches", function () {
+        it("should create several Deals as seller sending the sum of the seller deposits", async function () {
+            const { blockchainDeals, asSeller, buyerAccount, sellerAccount, owner, deadline } = await loadFixture(deployFixture);
+            const deals = [
+                { buyer: buyerAccount.address, value, buyerDeposit, sellerDeposit, deadline },
+                { buyer: owner.address, value: value * 2, buyerDeposit, sellerDeposit: sellerDeposit * 2, deadline }
+            ];
+
+            let ids;
+            const change = await balanceChange(sellerAccount, async () => {
+                const created = await asSeller.createManyAsSeller(deals);
+                ids = created.ids;
+                return created;
+            });
+
+            expect(change).to.equal(-(sellerDeposit * 3));
+            expect(ids).to.deep.equal([0, 1]);
+            expect(await ethers.provider.getBalance(blockchainDeals.address)).to.equal(sellerDeposit * 3);
+            expect((await asSeller.getDeal(1)).buyer).to.equal(owner.address);
+        });
+
+        it("should complete and cancel several Deals in one transaction", async function () {
+            const { asBuyer, asSeller, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            for (let i = 0; i < 4; i++) {
+                await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+            }
+            await asSeller.confirm(0);
+            await asSeller.confirm(1);
+
+            expect((await asBuyer.completeMany([0, 1])).events.filter((event) => event.event === "DealCompleted")).to.have.length(2);
+            await asBuyer.cancelMany([2, 3]);
+
+            expect((await asBuyer.getDeal(1)).state).to.equal("Completed");
+            expect((await asBuyer.getDeal(3)).state).to.equal("CancelledByCreator");
+            await expect(asBuyer.cancelMany([3])).to.be.rejectedWith(DealNotCancellableError);
+        });
+
+        it("should send the values of the calls built for a multicall", async function () {
+            const { blockchainDeals, asBuyer, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+            const calls = [
+                buildCall("createDealAsBuyer", [value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero], value + buyerDeposit),
+                buildCall("depositFunds", [], 500),
+                buildCall("getDealCount")
+            ];
+
+            expect(await balanceChange(buyerAccount, () => asBuyer.multicall(calls))).to.equal(-(value + buyerDeposit + 500));
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(500);
+            const results = await blockchainDeals.connect(buyerAccount).callStatic.multicall([buildCall("getDealCount")]);
+            expect(decodeCallResult("getDealCount", results[0])[0]).to.equal(1);
+        });
+
+        it("should throw the error of the call that reverted", async function () {
+            const { asBuyer, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+
+            await expect(asBuyer.completeMany([0])).to.be.rejectedWith(DealNotCompletableError, "Deal can't be completed");
+        });
+    });
+
+    describe("proposeCounterOffer and acceptCounterOffer", function () {
+        it("should send the top-up the creator owes for the new terms", async function () {
+            const { asBuyer, asSeller, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+            await asSeller.proposeCounterOffer(0, { value: value * 2, buyerDeposit, sellerDeposit });
+
+            expect((await asBuyer.getCounterOffer(0)).value).to.equal(value * 2);
+            expect(await balanceChange(buyerAccount, () => asBuyer.acceptCounterOffer(0))).to.equal(-value);
+            expect((await asBuyer.getDeal(0)).value).to.equal(value * 2);
+            expect(await asBuyer.getCounterOffer(0)).to.equal(undefined);
+        });
+
+        it("should throw InvalidStateError if there is no counter-offer", async function () {
+            const { asBuyer, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+
+            await expect(asBuyer.acceptCounterOffer(0)).to.be.rejectedWith(InvalidStateError, "No counter-offer proposed");
+        });
+    });
+
+    describe("proposeCancellation, acceptCancellation and withdrawCancellation", function () {
+        it("should cancel a Confirmed Deal once both parties agree", async function () {
+            const { asBuyer, asSeller, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+            await asSeller.confirm(0);
+            await asBuyer.proposeCancellation(0);
+            await asBuyer.withdrawCancellation(0);
+            await asSeller.proposeCancellation(0);
+            await asBuyer.acceptCancellation(0);
+
+            expect((await asBuyer.getDeal(0)).state).to.equal("MutuallyCancelled");
+            expect(await balanceChange(buyerAccount, () => asBuyer.withdraw())).to.equal(value + buyerDeposit);
+        });
+
+        it("should throw InvalidStateError if no cancellation was proposed", async function () {
+            const { asBuyer, asSeller, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+            await asSeller.confirm(0);
+
+            await expect(asSeller.acceptCancellation(0)).to.be.rejectedWith(InvalidStateError, "No cancellation proposed");
+        });
+    });
+
+    describe("releaseMilestone and getMilestones", function () {
+        it("should release the next milestone and report it as released", async function () {
+            const { blockchainDeals, asBuyer, asSeller, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).createMilestoneDealAsBuyer(ethers.constants.AddressZero, [400000, 600000], sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+            await asSeller.confirm(0);
+            await asBuyer.releaseMilestone(0);
+
+            const { amounts, released } = await asBuyer.getMilestones(0);
+
+            expect(amounts.map((amount) => amount.toNumber())).to.deep.equal([400000, 600000]);
+            expect(released).to.equal(1);
+            expect((await asBuyer.getDeal(0)).state).to.equal("Confirmed");
+        });
+
+        it("should throw UnauthorizedError if not the buyer", async function () {
+            const { asBuyer, asSeller, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline });
+            await asSeller.confirm(0);
+
+            await expect(asSeller.releaseMilestone(0)).to.be.rejectedWith(UnauthorizedError, "Only the buyer can release a milestone");
+        });
+    });
+
+    describe("getStatus", function () {
+        it("should report the pause and the successor once sunset", async function () {
+            const { blockchainDeals, asBuyer, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            expect(await asBuyer.getStatus()).to.deep.equal({ paused: false, successor: undefined });
+            await blockchainDeals.pause();
+            expect(await asBuyer.getStatus()).to.deep.equal({ paused: true, successor: undefined });
+            await expect(asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline })).to.be.rejectedWith(
+                ContractClosedError, "Contract is paused"
+            );
+
+            await blockchainDeals.sunset(sellerAccount.address);
+            expect((await asBuyer.getStatus()).successor).to.equal(sellerAccount.address);
+        });
+    });
+
+    describe("getRevertReason", function () {
+        it("should decode Error(string) revert data from JSON-RPC errors", function () {
+            const data = "0x08c379a0" + ethers.utils.defaultAbiCoder.encode(["string"], ["Deal can't be confirmed"]).slice(2);
+
+            expect(getRevertReason({ error: { error: { data } } })).to.equal("Deal can't be confirmed");
+            expect(getRevertReason({ error: { data: { data } } })).to.equal("Deal can't be confirmed");
+        });
+
+        it("should return undefined for errors that aren't reverts with a reason", function () {
+            expect(getRevertReason(new Error("network error"))).to.equal(undefined);
+        });
+    });
+});
@@ -0,0 +1,353 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+
+describe("Tasks", function () {
+    const value = ethers.utils.parseEther("1");
+    const buyerDeposit = ethers.utils.parseEther("0.2");
+    const sellerDeposit = ethers.utils.parseEther("0.3");
+    let logs;
+    let consoleLog;
+
+    // The tasks print their results, we keep them to check the output.
+    beforeEach(function () {
+        logs = [];
+        consoleLog = console.log;
+        console.log = (...args) => logs.push(args.join(" "));
+    });
+
+    afterEach(function () {
+        console.log = consoleLog;
+    });
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+
+        return { blockchainDeals, owner, buyerAccount, sellerAccount, otherAccount };
+    }
+
+    function createDeal(blockchainDeals, creator, from, counterparty) {
+        return hre.run("deal:create", {
+            contract: blockchainDeals.address,
+            creator,
+            counterparty: counterparty.address,
+            value,
+            buyerDeposit,
+            sellerDeposit,
+            from: from.address
+        });
+    }
+
+    describe("deal:create", function () {
+        it("should create a Deal as buyer and return its ID", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            const id = await createDeal(blockchainDeals, "buyer", buyerAccount, sellerAccount);
+            const deal = await blockchainDeals.getDealById(id);
+
+            expect(id).to.equal(0);
+            expect(deal.buyer).to.equal(buyerAccount.address);
+            expect(deal.value).to.equal(value);
+            expect(deal.state).to.equal(dealStateMapper.PendingSellerDeposit);
+            expect(logs.join("\n")).to.match(/gas used: \d+/);
+            expect(logs.join("\n")).to.contain("Deal 0 created as buyer");
+        });
+
+        it("should create a Deal as seller", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            const id = await createDeal(blockchainDeals, "seller", sellerAccount, buyerAccount);
+
+            expect((await blockchainDeals.getDealById(id)).state).to.equal(dealStateMapper.PendingBuyerDeposit);
+        });
+
+        it("should reject an invalid creator", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await expect(createDeal(blockchainDeals, "arbiter", buyerAccount, sellerAccount)).to.be.rejectedWith(
+                "Invalid creator: arbiter, expected buyer or seller"
+            );
+        });
+
+        it("should reject invalid typed params", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(deployFixture);
+
+            await expect(hre.run("deal:create", {
+                contract: blockchainDeals.address,
+                creator: "buyer",
+                counterparty: "0x123",
+                value,
+                buyerDeposit,
+                sellerDeposit,
+                from: buyerAccount.address
+            })).to.be.rejectedWith("Invalid address for counterparty");
+            await expect(hre.run("deal:list", { contract: blockchainDeals.address, buyer: buyerAccount.address, state: 9 })).to.be.rejectedWith(
+                "Invalid state for state"
+            );
+        });
+    });
+
+    describe("deal:confirm, deal:complete and deal:withdraw", function () {
+        it("should run a Deal through its lifecycle", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+            const fee = value.mul(10).div(10000);
+
+            await createDeal(blockchainDeals, "seller", sellerAccount, buyerAccount);
+            await hre.run("deal:confirm", { contract: blockchainDeals.address, id: 0, from: buyerAccount.address });
+            expect(logs).to.contain("Deal 0 confirmed, deposited 1.2 ETH");
+
+            await hre.run("deal:complete", { contract: blockchainDeals.address, id: 0, from: buyerAccount.address });
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Completed);
+            expect(logs).to.contain(`  Seller payout: ${ethers.utils.formatEther(value.add(sellerDeposit).sub(fee))} ETH`);
+
+            const amount = await hre.run("deal:withdraw", { contract: blockchainDeals.address, from: sellerAccount.address });
+            expect(amount).to.equal(value.add(sellerDeposit).sub(fee));
+        });
+
+        it("should refuse to confirm a Deal that isn't pending", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await createDeal(blockchainDeals, "buyer", buyerAccount, sellerAccount);
+            await hre.run("deal:confirm", { contract: blockchainDeals.address, id: 0, from: sellerAccount.address });
+
+            await expect(hre.run("deal:confirm", { contract: blockchainDeals.address, id: 0, from: sellerAccount.address })).to.be.rejectedWith(
+                "Deal 0 can't be confirmed, it is Confirmed"
+            );
+        });
+    });
+
+    describe("deal:cancel", function () {
+        it("should cancel a pending Deal as its creator", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await createDeal(blockchainDeals, "buyer", buyerAccount, sellerAccount);
+            await createDeal(blockchainDeals, "seller", sellerAccount, buyerAccount);
+            await hre.run("deal:cancel", { contract: blockchainDeals.address, id: 0, from: buyerAccount.address });
+            await hre.run("deal:cancel", { contract: blockchainDeals.address, id: 1, from: sellerAccount.address });
+
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.CancelledByCreator);
+            expect((await blockchainDeals.getDealById(1)).state).to.equal(dealStateMapper.CancelledByCreator);
+            await expect(hre.run("deal:cancel", { contract: blockchainDeals.address, id: 0, from: buyerAccount.address })).to.be.rejectedWith(
+                "Deal 0 can't be cancelled, it is CancelledByCreator"
+            );
+        });
+    });
+
+    describe("terms documents", function () {
+        // The same terms written twice with different formatting and key order, and different terms.
+        const termsFile = path.join(os.tmpdir(), "blockchain-deals-terms.json");
+        const reformattedTermsFile = path.join(os.tmpdir(), "blockchain-deals-terms-reformatted.json");
+        const otherTermsFile = path.join(os.tmpdir(), "blockchain-deals-terms-other.json");
+
+        before(function () {
+            fs.writeFileSync(termsFile, JSON.stringify({ item: "Bike", condition: "used" }));
+            fs.writeFileSync(reformattedTermsFile, JSON.stringify({ condition: "used", item: "Bike" }, null, 2));
+            fs.writeFileSync(otherTermsFile, JSON.stringify({ item: "Bike", condition: "new" }));
+        });
+
+        after(function () {
+            for (const file of [termsFile, reformattedTermsFile, otherTermsFile]) {
+                fs.rmSync(file, { force: true });
+            }
+        });
+
+        it("should create and confirm a Deal committed to a terms document", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            const id = (await hre.run("deal:create", {
+                contract: blockchainDeals.address,
+                creator: "seller",
+                counterparty: buyerAccount.address,
+                value,
+                buyerDeposit,
+                sellerDeposit,
+                from: sellerAccount.address,
+                terms: termsFile,
+                metadataUri: "ipfs://terms"
+            })).toNumber();
+            expect((await blockchainDeals.getDealTerms(id)).metadataURI).to.equal("ipfs://terms");
+
+            await expect(hre.run("deal:confirm", { contract: blockchainDeals.address, id, from: buyerAccount.address })).to.be.rejectedWith(
+                "Terms hash doesn't match"
+            );
+            await expect(hre.run("deal:confirm", { contract: blockchainDeals.address, id, from: buyerAccount.address, terms: otherTermsFile })).to.be.rejectedWith(
+                "Terms hash doesn't match"
+            );
+            await blockchainDeals.connect(sellerAccount).setInspectionPeriod(id, 2 * 24 * 60 * 60);
+            await expect(hre.run("deal:confirm", { contract: blockchainDeals.address, id, from: buyerAccount.address, terms: reformattedTermsFile })).to.be.rejectedWith(
+                "Inspection period doesn't match"
+            );
+            await hre.run("deal:confirm", { contract: blockchainDeals.address, id, from: buyerAccount.address, terms: reformattedTermsFile, inspectionPeriod: 2 * 24 * 60 * 60 });
+            expect((await blockchainDeals.getDealById(id)).state).to.equal(dealStateMapper.Confirmed);
+        });
+
+        it("should verify a local terms document against a Deal", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await createDeal(blockchainDeals, "buyer", buyerAccount, sellerAccount);
+            const id = (await hre.run("deal:create", {
+                contract: blockchainDeals.address,
+                creator: "buyer",
+                counterparty: sellerAccount.address,
+                value,
+                buyerDeposit,
+                sellerDeposit,
+                from: buyerAccount.address,
+                terms: termsFile
+            })).toNumber();
+
+            expect(await hre.run("deal:verify-terms", { contract: blockchainDeals.address, id, terms: reformattedTermsFile })).to.equal(true);
+            expect(logs).to.contain(`${reformattedTermsFile} matches the terms of Deal 1`);
+            expect(await hre.run("deal:verify-terms", { contract: blockchainDeals.address, id, terms: otherTermsFile })).to.equal(false);
+            expect(logs).to.contain(`${otherTermsFile} doesn't match the terms of Deal 1`);
+            expect(await hre.run("deal:verify-terms", { contract: blockchainDeals.address, id: 0, terms: termsFile })).to.equal(false);
+            expect(logs).to.contain("Deal 0 wasn't created with a terms document");
+            await expect(hre.run("deal:verify-terms", { contract: blockchainDeals.address, id, terms: "missing.json" })).to.be.rejectedWith(
+                "Can't read the terms document missing.json"
+            );
+        });
+    });
+
+    describe("deal:show and deal:list", function () {
+        it("should print the Deal with its state name and ETH amounts", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await createDeal(blockchainDeals, "buyer", buyerAccount, sellerAccount);
+            await hre.run("deal:show", { contract: blockchainDeals.address, id: 0 });
+
+            const output = logs.join("\n");
+            expect(output).to.contain("Deal 0: PendingSellerDeposit");
+            expect(output).to.contain("Value:          1.0 ETH");
+            expect(output).to.contain("Arbiter:        arbiter role");
+        });
+
+        it("should list the Deals of a buyer or seller filtered by state", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await createDeal(blockchainDeals, "buyer", buyerAccount, sellerAccount);
+            await createDeal(blockchainDeals, "seller", sellerAccount, buyerAccount);
+            await createDeal(blockchainDeals, "buyer", buyerAccount, sellerAccount);
+
+            const all = await hre.run("deal:list", { contract: blockchainDeals.address, buyer: buyerAccount.address });
+            const pending = await hre.run("deal:list", {
+                contract: blockchainDeals.address,
+                seller: sellerAccount.address,
+                state: dealStateMapper.PendingSellerDeposit,
+                offset: 1
+            });
+
+            expect(all.map(deal => Number(deal.id))).to.deep.equal([0, 1, 2]);
+            expect(pending.map(deal => Number(deal.id))).to.deep.equal([2]);
+            expect(logs).to.contain(`Deal 1: PendingBuyerDeposit, value 1.0 ETH, buyer ${buyerAccount.address}, seller ${sellerAccount.address}`);
+        });
+
+        it("should require either a buyer or a seller", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+
+            await expect(hre.run("deal:list", { contract: blockchainDeals.address })).to.be.rejectedWith(
+                "Pass either --buyer or --seller"
+            );
+            await expect(hre.run("deal:list", { contract: blockchainDeals.address, buyer: buyerAccount.address, seller: sellerAccount.address })).to.be.rejectedWith(
+                "Pass either --buyer or --seller"
+            );
+        });
+    });
+
+    describe("admin tasks", function () {
+        it("should print, announce and apply a fee change", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            expect(await hre.run("admin:fee", { contract: blockchainDeals.address })).to.equal(10);
+            expect(await hre.run("admin:fee", { contract: blockchainDeals.address, fee: 25 })).to.equal(10);
+            expect(logs.some((log) => log.startsWith("Fee change to 25 announced"))).to.equal(true);
+
+            await time.increase(await blockchainDeals.FEE_CHANGE_DELAY());
+            expect(await hre.run("admin:fee", { contract: blockchainDeals.address, apply: true })).to.equal(25);
+            expect(logs).to.contain("Fee: 25 (0.25% of the Deal value)");
+        });
+
+        it("should print, propose and accept a new owner", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(deployFixture);
+
+            expect(await hre.run("admin:owner", { contract: blockchainDeals.address })).to.equal(owner.address);
+            expect(await hre.run("admin:owner", { contract: blockchainDeals.address, newOwner: otherAccount.address })).to.equal(owner.address);
+            expect(logs).to.contain(`Proposed owner: ${otherAccount.address}`);
+            expect(await hre.run("admin:owner", { contract: blockchainDeals.address, accept: true, from: otherAccount.address })).to.equal(otherAccount.address);
+        });
+
+        it("should print, grant and revoke a role", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+            const feeManagerRole = await blockchainDeals.FEE_MANAGER_ROLE();
+            const args = { contract: blockchainDeals.address, role: feeManagerRole, account: otherAccount.address };
+
+            expect(await hre.run("admin:role", args)).to.equal(false);
+            expect(await hre.run("admin:role", { ...args, grant: true })).to.equal(true);
+            expect(await blockchainDeals.hasRole(feeManagerRole, otherAccount.address)).to.equal(true);
+            expect(await hre.run("admin:role", { ...args, revoke: true })).to.equal(false);
+            expect(logs).to.contain(`${otherAccount.address} doesn't hold the role`);
+            await expect(hre.run("admin:role", { ...args, grant: true, revoke: true })).to.be.rejectedWith(
+                "Pass either --grant or --revoke"
+            );
+        });
+
+        it("should pause and unpause the contract", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            expect(await hre.run("admin:pause", { contract: blockchainDeals.address })).to.equal(true);
+            expect(logs).to.contain("Paused: true");
+            expect(await hre.run("admin:pause", { contract: blockchainDeals.address, unpause: true })).to.equal(false);
+        });
+
+        it("should withdraw the fee earnings", async function () {
+            const { blockchainDeals, owner, buyerAccount, sellerAccount } = await loadFixture(deployFixture);
+            const fee = value.mul(10).div(10000);
+
+            await createDeal(blockchainDeals, "buyer", buyerAccount, sellerAccount);
+            await hre.run("deal:confirm", { contract: blockchainDeals.address, id: 0, from: sellerAccount.address });
+            await hre.run("deal:complete", { contract: blockchainDeals.address, id: 0, from: buyerAccount.address });
+
+            expect(await hre.run("admin:withdraw", { contract: blockchainDeals.address })).to.equal(fee);
+            expect(logs).to.contain(`Received ${ethers.utils.formatEther(fee)} ETH at ${owner.address}`);
+        });
+
+        it("should withdraw part of the fee earnings to a recipient", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, otherAccount } = await loadFixture(deployFixture);
+            const fee = value.mul(10).div(10000);
+
+            await createDeal(blockchainDeals, "buyer", buyerAccount, sellerAccount);
+            await hre.run("deal:confirm", { contract: blockchainDeals.address, id: 0, from: sellerAccount.address });
+            await hre.run("deal:complete", { contract: blockchainDeals.address, id: 0, from: buyerAccount.address });
+
+            const amount = ethers.utils.formatEther(fee.div(4));
+            expect(await hre.run("admin:withdraw", { contract: blockchainDeals.address, to: otherAccount.address, amount })).to.equal(fee.div(4));
+            expect(logs).to.contain(`Received ${amount} ETH at ${otherAccount.address}`);
+            expect(await blockchainDeals.feeEarnings(ethers.constants.AddressZero)).to.equal(fee.sub(fee.div(4)));
+            await expect(hre.run("admin:withdraw", { contract: blockchainDeals.address, to: otherAccount.address })).to.be.rejectedWith(
+                "Pass both --to and --amount for a partial withdrawal"
+            );
+        });
+
+        it("should print the amounts credited to the fee beneficiaries", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, otherAccount } = await loadFixture(deployFixture);
+            const fee = value.mul(10).div(10000);
+
+            await blockchainDeals.setFeeBeneficiaries([otherAccount.address], [10000]);
+            await createDeal(blockchainDeals, "buyer", buyerAccount, sellerAccount);
+            await hre.run("deal:confirm", { contract: blockchainDeals.address, id: 0, from: sellerAccount.address });
+            await hre.run("deal:complete", { contract: blockchainDeals.address, id: 0, from: buyerAccount.address });
+
+            expect(await hre.run("admin:withdraw", { contract: blockchainDeals.address })).to.equal(fee);
+            expect(logs).to.contain(`Credited ${ethers.utils.formatEther(fee)} ETH to ${otherAccount.address}`);
+        });
+    });
+});
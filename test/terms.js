@@ -0,0 +1,278 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+const { BlockchainDealsClient, TermsMismatchError, canonicalizeTerms, hashTerms, verifyTerms } = require("../sdk");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Terms", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const terms = { item: "Road bike", condition: "used", delivery: { by: "courier", days: 3 } };
+    const termsHash = hashTerms(terms);
+    const metadataURI = "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        for (const account of [buyerAccount, sellerAccount]) {
+            await token.mint(account.address, 10000000);
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+
+        return { blockchainDeals, token, owner, buyerAccount, sellerAccount, deadline };
+    }
+
+    // Deal 0 is created by the buyer and Deal 1 by the seller, both in ETH and committed to terms.
+    async function dealsWithTermsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, buyerAccount, sellerAccount, deadline } = fixture;
+
+        await blockchainDeals.connect(buyerAccount).createDealWithTermsAsBuyer(ethers.constants.AddressZero, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, termsHash, metadataURI, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).createDealWithTermsAsSeller(ethers.constants.AddressZero, value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, termsHash, metadataURI, {
+            value: sellerDeposit
+        });
+
+        return fixture;
+    }
+
+    describe("createDealWithTermsAsBuyer and createDealWithTermsAsSeller", function () {
+        it("should store the terms hash and the metadata URI of the Deal", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(dealsWithTermsFixture);
+
+            expect(await blockchainDeals.getDealTerms(0)).to.deep.equal([termsHash, metadataURI]);
+            expect(await blockchainDeals.getDealTerms(1)).to.deep.equal([termsHash, metadataURI]);
+            expect((await blockchainDeals.getDealById(0)).buyer).to.equal(buyerAccount.address);
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.PendingSellerDeposit);
+            expect((await blockchainDeals.getDealById(1)).seller).to.equal(sellerAccount.address);
+            expect((await blockchainDeals.getDealById(1)).state).to.equal(dealStateMapper.PendingBuyerDeposit);
+            expect(await blockchainDeals.escrowed(ethers.constants.AddressZero)).to.equal(value + buyerDeposit + sellerDeposit);
+        });
+
+        it("should emit DealCreated and DealTermsCommitted events", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            const tx = blockchainDeals.connect(buyerAccount).createDealWithTermsAsBuyer(ethers.constants.AddressZero, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, termsHash, metadataURI, {
+                value: value + buyerDeposit
+            });
+
+            await expect(tx).to.emit(blockchainDeals, "DealCreated");
+            await expect(tx).to.emit(blockchainDeals, "DealTermsCommitted").withArgs(0, termsHash, metadataURI);
+        });
+
+        it("should pull token deposits with transferFrom", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createDealWithTermsAsSeller(token.address, value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, termsHash, "")).to.changeTokenBalances(
+                token,
+                [sellerAccount, blockchainDeals],
+                [-sellerDeposit, sellerDeposit]
+            );
+            expect((await blockchainDeals.getDealById(0)).token).to.equal(token.address);
+        });
+
+        it("should revert without a terms hash", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).createDealWithTermsAsBuyer(ethers.constants.AddressZero, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, ethers.constants.HashZero, metadataURI, {
+                value: value + buyerDeposit
+            })).to.be.revertedWith(
+                "Invalid terms hash"
+            );
+        });
+
+        it("should validate the Deal terms", async function () {
+            const { blockchainDeals, buyerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).createDealWithTermsAsSeller(ethers.constants.AddressZero, value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, termsHash, metadataURI, {
+                value: sellerDeposit
+            })).to.be.revertedWith(
+                "The buyer can't also be the seller"
+            );
+        });
+    });
+
+    describe("getDealTerms", function () {
+        it("should return no terms for Deals created without them", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+
+            expect(await blockchainDeals.getDealTerms(0)).to.deep.equal([ethers.constants.HashZero, ""]);
+            await expect(blockchainDeals.getDealTerms(1)).to.be.revertedWith("Invalid ID");
+        });
+    });
+
+    describe("confirmDealWithTerms", function () {
+        it("should confirm as the seller acknowledging the terms hash", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(dealsWithTermsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).confirmDealWithTerms(0, termsHash, 0, { value: sellerDeposit }))
+                .to.emit(blockchainDeals, "DealConfirmed")
+                .withArgs(0, sellerAccount.address, sellerDeposit);
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Confirmed);
+        });
+
+        it("should confirm as the buyer acknowledging the terms hash", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(dealsWithTermsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).confirmDealWithTerms(1, termsHash, 0, {
+                value: value + buyerDeposit
+            })).to.changeEtherBalances([buyerAccount, blockchainDeals], [-(value + buyerDeposit), value + buyerDeposit]);
+            expect((await blockchainDeals.getDealById(1)).state).to.equal(dealStateMapper.Confirmed);
+        });
+
+        it("should pull token deposits with transferFrom", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).createDealWithTermsAsBuyer(token.address, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, termsHash, metadataURI);
+
+            await expect(blockchainDeals.connect(sellerAccount).confirmDealWithTerms(0, termsHash, 0)).to.changeTokenBalances(
+                token,
+                [sellerAccount, blockchainDeals],
+                [-sellerDeposit, sellerDeposit]
+            );
+        });
+
+        it("should revert if ETH is sent to confirm a token Deal", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).createDealWithTermsAsBuyer(token.address, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, termsHash, metadataURI);
+
+            await expect(blockchainDeals.connect(sellerAccount).confirmDealWithTerms(0, termsHash, 0, { value: sellerDeposit })).to.be.revertedWith(
+                "Invalid ETH amount to confirm the Deal"
+            );
+        });
+
+        it("should revert if the hash isn't the one the Deal was created with", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(dealsWithTermsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).confirmDealWithTerms(0, hashTerms({ ...terms, condition: "new" }), 0, { value: sellerDeposit })).to.be.revertedWith(
+                "Terms hash doesn't match"
+            );
+        });
+
+        it("should not let Deals with terms be confirmed without acknowledging them", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(dealsWithTermsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, { value: sellerDeposit })).to.be.revertedWith(
+                "Terms hash doesn't match"
+            );
+            await expect(blockchainDeals.connect(buyerAccount).buyerConfirmDeal(1, { value: value + buyerDeposit })).to.be.revertedWith(
+                "Terms hash doesn't match"
+            );
+        });
+
+        it("should not confirm Deals without terms", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(dealsWithTermsFixture);
+
+            await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+
+            await expect(blockchainDeals.connect(sellerAccount).confirmDealWithTerms(2, termsHash, 0, { value: sellerDeposit })).to.be.revertedWith(
+                "Terms hash doesn't match"
+            );
+        });
+
+        it("should only let the counterparty confirm", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(dealsWithTermsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).confirmDealWithTerms(0, termsHash, 0, { value: sellerDeposit })).to.be.revertedWith(
+                "Only the seller can confirm the Deal"
+            );
+            await blockchainDeals.connect(sellerAccount).confirmDealWithTerms(0, termsHash, 0, { value: sellerDeposit });
+            await expect(blockchainDeals.connect(sellerAccount).confirmDealWithTerms(0, termsHash, 0, { value: sellerDeposit })).to.be.revertedWith(
+                "Deal can't be confirmed"
+            );
+        });
+
+        it("should check the caller and the state before the terms hash", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(dealsWithTermsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).sellerConfirmDeal(0, { value: sellerDeposit })).to.be.revertedWith(
+                "Only the seller can confirm the Deal"
+            );
+            await blockchainDeals.connect(sellerAccount).confirmDealWithTerms(0, termsHash, 0, { value: sellerDeposit });
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, { value: sellerDeposit })).to.be.revertedWith(
+                "Deal can't be confirmed"
+            );
+        });
+    });
+
+    describe("canonicalizeTerms and hashTerms", function () {
+        it("should sort object keys at every level and drop whitespace", function () {
+            expect(canonicalizeTerms({ b: [3, { d: true, c: null }], a: "x" })).to.equal('{"a":"x","b":[3,{"c":null,"d":true}]}');
+        });
+
+        it("should hash the same terms the same way however they are formatted", function () {
+            const reformatted = JSON.stringify({ delivery: { days: 3, by: "courier" }, condition: "used", item: "Road bike" }, null, 4);
+
+            expect(hashTerms(reformatted)).to.equal(termsHash);
+            expect(termsHash).to.equal(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(canonicalizeTerms(terms))));
+            expect(hashTerms({ ...terms, condition: "new" })).to.not.equal(termsHash);
+        });
+
+        it("should write numbers and strings as JSON", function () {
+            expect(canonicalizeTerms({ price: 1.50, count: 1e21, note: "line\nbreak é" })).to.equal('{"count":1e+21,"note":"line\\nbreak é","price":1.5}');
+        });
+
+        it("should reject values that aren't JSON", function () {
+            expect(() => canonicalizeTerms({ price: NaN })).to.throw(TypeError, "Terms can't contain NaN, found at $.price");
+            expect(() => canonicalizeTerms({ due: new Date(0) })).to.throw(TypeError, "Terms must be plain JSON, found object at $.due");
+            expect(() => canonicalizeTerms([undefined])).to.throw(TypeError, "Terms must be plain JSON, found undefined at $[0]");
+            expect(() => canonicalizeTerms("{ not json")).to.throw(SyntaxError);
+        });
+
+        it("should verify a document against a terms hash", function () {
+            expect(verifyTerms(terms, termsHash)).to.equal(true);
+            expect(verifyTerms(terms, termsHash.toUpperCase().replace("0X", "0x"))).to.equal(true);
+            expect(verifyTerms({ ...terms, item: "Bike" }, termsHash)).to.equal(false);
+        });
+    });
+
+    describe("SDK", function () {
+        it("should create, verify and confirm Deals with terms through the client", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+            const asSeller = new BlockchainDealsClient(blockchainDeals.address, sellerAccount);
+            const asBuyer = asSeller.connect(buyerAccount);
+
+            const { id } = await asSeller.createAsSeller({ buyer: buyerAccount.address, value, buyerDeposit, sellerDeposit, deadline, terms, metadataURI });
+
+            expect(await asBuyer.getDealTerms(id)).to.deep.equal({ termsHash, metadataURI });
+            expect(await asBuyer.verifyDealTerms(id, terms)).to.deep.equal({ valid: true, termsHash, documentHash: termsHash, metadataURI });
+            expect((await asBuyer.verifyDealTerms(id, { ...terms, item: "Bike" })).valid).to.equal(false);
+            await expect(asBuyer.confirm(id)).to.be.rejectedWith(TermsMismatchError, "Terms hash doesn't match");
+            await expect(asBuyer.confirm(id, { terms: { ...terms, item: "Bike" } })).to.be.rejectedWith(TermsMismatchError);
+
+            await asBuyer.confirm(id, { terms: JSON.stringify(terms, null, 2) });
+            expect((await asBuyer.getDeal(id)).state).to.equal("Confirmed");
+        });
+
+        it("should create token Deals with terms as buyer", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+            const asBuyer = new BlockchainDealsClient(blockchainDeals.address, buyerAccount);
+
+            const { id } = await asBuyer.createAsBuyer({ seller: sellerAccount.address, value, buyerDeposit, sellerDeposit, deadline, token: token.address, terms });
+            await asBuyer.connect(sellerAccount).confirm(id, { terms });
+
+            expect(await asBuyer.getDealTerms(id)).to.deep.equal({ termsHash, metadataURI: "" });
+            expect(await token.balanceOf(blockchainDeals.address)).to.equal(value + buyerDeposit + sellerDeposit);
+        });
+    });
+});
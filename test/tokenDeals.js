@@ -0,0 +1,464 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Token Deal", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const fee = value * 10 / 10000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        for (const account of [buyerAccount, sellerAccount]) {
+            await token.mint(account.address, 10000000);
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+
+        return { blockchainDeals, token, owner, buyerAccount, sellerAccount, otherAccount, deadline };
+    }
+
+    // Deal 0 is created by the buyer and Deal 1 by the seller, both pending confirmation.
+    async function pendingDealsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = fixture;
+
+        await blockchainDeals.connect(buyerAccount).createTokenDealAsBuyer(token.address, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero);
+        await blockchainDeals.connect(sellerAccount).createTokenDealAsSeller(token.address, value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero);
+
+        return fixture;
+    }
+
+    async function confirmedDealsFixture() {
+        const fixture = await pendingDealsFixture();
+        const { blockchainDeals, buyerAccount, sellerAccount } = fixture;
+
+        await blockchainDeals.connect(sellerAccount).sellerConfirmTokenDeal(0);
+        await blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(1);
+
+        return fixture;
+    }
+
+    describe("createTokenDealAsBuyer", function () {
+        it("should revert if token is the zero address", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).createTokenDealAsBuyer(ethers.constants.AddressZero, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero)).to.be.revertedWith(
+                "Invalid token"
+            );
+        });
+
+        it("should revert if seller is also buyer", async function () {
+            const { blockchainDeals, token, buyerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).createTokenDealAsBuyer(token.address, value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero)).to.be.revertedWith(
+                "The buyer can't also be the seller"
+            );
+        });
+
+        it("should revert if value is 0", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).createTokenDealAsBuyer(token.address, 0, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero)).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
+        it("should revert if the contract isn't approved", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await token.connect(buyerAccount).approve(blockchainDeals.address, value + buyerDeposit - 1);
+
+            await expect(blockchainDeals.connect(buyerAccount).createTokenDealAsBuyer(token.address, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero)).to.be.revertedWith(
+                "ERC20: insufficient allowance"
+            );
+        });
+
+        it("should pull the value and the buyer deposit", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).createTokenDealAsBuyer(token.address, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero)).to.changeTokenBalances(
+                token,
+                [buyerAccount, blockchainDeals],
+                [-(value + buyerDeposit), value + buyerDeposit]
+            );
+        });
+
+        it("should create Deal", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(deal.buyer).to.equal(buyerAccount.address);
+            expect(deal.seller).to.equal(sellerAccount.address);
+            expect(deal.creator).to.equal("buyer");
+            expect(deal.token).to.equal(token.address);
+            expect(deal.value).to.equal(value);
+            expect(deal.state).to.equal(dealStateMapper.PendingSellerDeposit);
+        });
+
+        it("should emit DealCreated event", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+            const timestamp = (await time.latest()) + 60;
+            await time.setNextBlockTimestamp(timestamp);
+
+            await expect(blockchainDeals.connect(buyerAccount).createTokenDealAsBuyer(token.address, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero))
+                .to.emit(blockchainDeals, "DealCreated")
+                .withArgs(0, buyerAccount.address, sellerAccount.address, timestamp, value, buyerDeposit, sellerDeposit, deadline, ethers.constants.AddressZero, token.address, true, await blockchainDeals.feeFor(value));
+        });
+    });
+
+    describe("createTokenDealAsSeller", function () {
+        it("should revert if token is the zero address", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createTokenDealAsSeller(ethers.constants.AddressZero, value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero)).to.be.revertedWith(
+                "Invalid token"
+            );
+        });
+
+        it("should revert if seller deposit is 0", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createTokenDealAsSeller(token.address, value, buyerAccount.address, 0, buyerDeposit, deadline, ethers.constants.AddressZero)).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
+        it("should pull the seller deposit", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).createTokenDealAsSeller(token.address, value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero)).to.changeTokenBalances(
+                token,
+                [sellerAccount, blockchainDeals],
+                [-sellerDeposit, sellerDeposit]
+            );
+        });
+
+        it("should create Deal", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            const deal = await blockchainDeals.getDealById(1);
+
+            expect(deal.buyer).to.equal(buyerAccount.address);
+            expect(deal.seller).to.equal(sellerAccount.address);
+            expect(deal.creator).to.equal("seller");
+            expect(deal.token).to.equal(token.address);
+            expect(deal.state).to.equal(dealStateMapper.PendingBuyerDeposit);
+        });
+    });
+
+    describe("buyerConfirmTokenDeal", function () {
+        it("should revert when trying to confirm a Deal with an invalid ID", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(0)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if not the buyer", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).buyerConfirmTokenDeal(1)).to.be.revertedWith(
+                "Only the buyer can confirm the Deal"
+            );
+        });
+
+        it("should revert if Deal created by buyer", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(0)).to.be.revertedWith(
+                "Deal can't be confirmed"
+            );
+        });
+
+        it("should revert if Deal is priced in ETH", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: sellerDeposit
+            });
+
+            await expect(blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(0)).to.be.revertedWith(
+                "Deal is priced in ETH"
+            );
+        });
+
+        it("should pull the value and the buyer deposit", async function () {
+            const { blockchainDeals, token, buyerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(1)).to.changeTokenBalances(
+                token,
+                [buyerAccount, blockchainDeals],
+                [-(value + buyerDeposit), value + buyerDeposit]
+            );
+            expect((await blockchainDeals.getDealById(1)).state).to.equal(dealStateMapper.Confirmed);
+        });
+
+        it("should emit DealConfirmed event", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).buyerConfirmTokenDeal(1))
+                .to.emit(blockchainDeals, "DealConfirmed")
+                .withArgs(1, buyerAccount.address, value + buyerDeposit);
+        });
+    });
+
+    describe("sellerConfirmTokenDeal", function () {
+        it("should revert when trying to confirm a Deal with an invalid ID", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmTokenDeal(0)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if not the seller", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).sellerConfirmTokenDeal(0)).to.be.revertedWith(
+                "Only the seller can confirm the Deal"
+            );
+        });
+
+        it("should revert if Deal created by seller", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmTokenDeal(1)).to.be.revertedWith(
+                "Deal can't be confirmed"
+            );
+        });
+
+        it("should revert if Deal is priced in ETH", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount, deadline } = await loadFixture(deployFixture);
+
+            await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmTokenDeal(0)).to.be.revertedWith(
+                "Deal is priced in ETH"
+            );
+        });
+
+        it("should pull the seller deposit", async function () {
+            const { blockchainDeals, token, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmTokenDeal(0)).to.changeTokenBalances(
+                token,
+                [sellerAccount, blockchainDeals],
+                [-sellerDeposit, sellerDeposit]
+            );
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Confirmed);
+        });
+
+        it("should emit DealConfirmed event", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmTokenDeal(0))
+                .to.emit(blockchainDeals, "DealConfirmed")
+                .withArgs(0, sellerAccount.address, sellerDeposit);
+        });
+    });
+
+    describe("ETH confirm functions", function () {
+        it("should revert buyerConfirmDeal if Deal is priced in tokens", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).buyerConfirmDeal(1, {value: value + buyerDeposit})).to.be.revertedWith(
+                "Deal is priced in tokens"
+            );
+        });
+
+        it("should revert sellerConfirmDeal if Deal is priced in tokens", async function () {
+            const { blockchainDeals, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit})).to.be.revertedWith(
+                "Deal is priced in tokens"
+            );
+        });
+    });
+
+    describe("cancel", function () {
+        it("should credit the value and the buyer deposit in tokens to the buyer", async function () {
+            const { blockchainDeals, token, buyerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).buyerCancelDeal(0);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, token.address)).to.equal(value + buyerDeposit);
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(0);
+        });
+
+        it("should credit the seller deposit in tokens to the seller", async function () {
+            const { blockchainDeals, token, sellerAccount } = await loadFixture(pendingDealsFixture);
+
+            await blockchainDeals.connect(sellerAccount).sellerCancelDeal(1);
+
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, token.address)).to.equal(sellerDeposit);
+        });
+    });
+
+    describe("completeDeal", function () {
+        it("should credit the buyer deposit and the seller deposit plus the value minus the fee in tokens", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, token.address)).to.equal(buyerDeposit);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, token.address)).to.equal(sellerDeposit + value - fee);
+            expect((await blockchainDeals.getDealById(0)).state).to.equal(dealStateMapper.Completed);
+        });
+
+        it("should not credit any ETH", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(1);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(0);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(0);
+        });
+    });
+
+    describe("expireDeal", function () {
+        it("should credit both parties in tokens", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await time.increase(ONE_WEEK_IN_SECS + 1);
+            await blockchainDeals.connect(sellerAccount).expireDeal(0);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, token.address)).to.equal(value + buyerDeposit);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, token.address)).to.equal(sellerDeposit);
+        });
+    });
+
+    describe("resolveDispute", function () {
+        it("should credit the split funds in tokens", async function () {
+            const { blockchainDeals, token, owner, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+            const total = value + buyerDeposit + sellerDeposit;
+
+            await blockchainDeals.connect(buyerAccount).openDispute(0);
+            await blockchainDeals.connect(owner).resolveDispute(0, total - 1000, 900, 100);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, token.address)).to.equal(total - 1000);
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, token.address)).to.equal(900);
+            expect(await blockchainDeals.pendingWithdrawals(owner.address, token.address)).to.equal(100);
+        });
+    });
+
+    describe("withdrawToken", function () {
+        it("should revert if token is the zero address", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).withdrawToken(ethers.constants.AddressZero)).to.be.revertedWith(
+                "Invalid token"
+            );
+        });
+
+        it("should revert if there is nothing to withdraw", async function () {
+            const { blockchainDeals, token, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).withdrawToken(token.address)).to.be.revertedWith(
+                "There is nothing to withdraw"
+            );
+        });
+
+        it("should transfer the credited tokens", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+
+            await expect(blockchainDeals.connect(sellerAccount).withdrawToken(token.address)).to.changeTokenBalances(
+                token,
+                [sellerAccount, blockchainDeals],
+                [sellerDeposit + value - fee, -(sellerDeposit + value - fee)]
+            );
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, token.address)).to.equal(0);
+        });
+
+        it("should emit Withdrawal event", async function () {
+            const { blockchainDeals, token, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+
+            await expect(blockchainDeals.connect(buyerAccount).withdrawToken(token.address))
+                .to.emit(blockchainDeals, "Withdrawal")
+                .withArgs(buyerAccount.address, token.address, buyerDeposit);
+        });
+    });
+
+    describe("withdrawTokenFeeEarnings", function () {
+        it("should revert without the treasurer role", async function () {
+            const { blockchainDeals, token, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).withdrawTokenFeeEarnings(token.address)).to.be.revertedWith(
+                "Missing the role required for this action."
+            );
+        });
+
+        it("should revert if token is the zero address", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.withdrawTokenFeeEarnings(ethers.constants.AddressZero)).to.be.revertedWith(
+                "Invalid token"
+            );
+        });
+
+        it("should revert if no earnings in that token", async function () {
+            const { blockchainDeals, token } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.withdrawTokenFeeEarnings(token.address)).to.be.revertedWith(
+                "There are no earnings to withdraw"
+            );
+        });
+
+        it("should withdraw the token earnings to the owner", async function () {
+            const { blockchainDeals, token, owner, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+            await blockchainDeals.connect(buyerAccount).completeDeal(1);
+
+            await expect(blockchainDeals.withdrawTokenFeeEarnings(token.address)).to.changeTokenBalances(
+                token,
+                [owner, blockchainDeals],
+                [fee * 2, -fee * 2]
+            );
+            await expect(blockchainDeals.withdrawTokenFeeEarnings(token.address)).to.be.revertedWith(
+                "There are no earnings to withdraw"
+            );
+        });
+
+        it("should emit FeeEarningsWithdrawn event", async function () {
+            const { blockchainDeals, token, owner, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+
+            await expect(blockchainDeals.withdrawTokenFeeEarnings(token.address))
+                .to.emit(blockchainDeals, "FeeEarningsWithdrawn")
+                .withArgs(token.address, owner.address, fee);
+        });
+
+        it("should track token and ETH earnings separately", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+
+            await expect(blockchainDeals.withdrawFeeEarnings()).to.be.revertedWith(
+                "There are no earnings to withdraw"
+            );
+        });
+    });
+});
@@ -0,0 +1,217 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Treasury", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const fee = value * 10 / 10000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, treasuryAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        for (const account of [buyerAccount, sellerAccount]) {
+            await token.mint(account.address, 10000000);
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+
+        return { blockchainDeals, token, owner, buyerAccount, sellerAccount, treasuryAccount, otherAccount, deadline };
+    }
+
+    // Completes an ETH Deal and a token Deal, so there are fee earnings in both.
+    async function earningsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, token, buyerAccount, sellerAccount, deadline } = fixture;
+
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+        await blockchainDeals.connect(buyerAccount).completeDeal(0);
+
+        await blockchainDeals.connect(buyerAccount).createTokenDealAsBuyer(token.address, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero);
+        await blockchainDeals.connect(sellerAccount).sellerConfirmTokenDeal(1);
+        await blockchainDeals.connect(buyerAccount).completeDeal(1);
+
+        return fixture;
+    }
+
+    describe("feeEarnings", function () {
+        it("should report the earnings not withdrawn yet by token", async function () {
+            const { blockchainDeals, token } = await loadFixture(earningsFixture);
+
+            expect(await blockchainDeals.feeEarnings(ethers.constants.AddressZero)).to.equal(fee);
+            expect(await blockchainDeals.feeEarnings(token.address)).to.equal(fee);
+
+            await blockchainDeals.withdrawFeeEarnings();
+            expect(await blockchainDeals.feeEarnings(ethers.constants.AddressZero)).to.equal(0);
+        });
+    });
+
+    describe("changeTreasury", function () {
+        it("should start as the deployer", async function () {
+            const { blockchainDeals, owner } = await loadFixture(deployFixture);
+
+            expect(await blockchainDeals.treasury()).to.equal(owner.address);
+        });
+
+        it("should revert if not the owner", async function () {
+            const { blockchainDeals, treasuryAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(treasuryAccount).changeTreasury(treasuryAccount.address)).to.be.revertedWith(
+                "Only the owner can perform this action."
+            );
+        });
+
+        it("should revert with the zero address", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.changeTreasury(ethers.constants.AddressZero)).to.be.revertedWith(
+                "Invalid treasury"
+            );
+        });
+
+        it("should send the earnings to the new treasury and emit TreasuryChanged event", async function () {
+            const { blockchainDeals, token, owner, treasuryAccount } = await loadFixture(earningsFixture);
+
+            await expect(blockchainDeals.changeTreasury(treasuryAccount.address))
+                .to.emit(blockchainDeals, "TreasuryChanged")
+                .withArgs(owner.address, treasuryAccount.address);
+
+            await expect(blockchainDeals.withdrawFeeEarnings())
+                .to.changeEtherBalances([treasuryAccount, blockchainDeals], [fee, -fee]);
+            await expect(blockchainDeals.withdrawTokenFeeEarnings(token.address))
+                .to.emit(blockchainDeals, "FeeEarningsWithdrawn")
+                .withArgs(token.address, treasuryAccount.address, fee);
+        });
+    });
+
+    describe("withdrawFeeEarningsTo", function () {
+        it("should revert without the treasurer role", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(earningsFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).withdrawFeeEarningsTo(ethers.constants.AddressZero, otherAccount.address, 1)).to.be.revertedWith(
+                "Missing the role required for this action."
+            );
+        });
+
+        it("should revert with the zero address as recipient", async function () {
+            const { blockchainDeals } = await loadFixture(earningsFixture);
+
+            await expect(blockchainDeals.withdrawFeeEarningsTo(ethers.constants.AddressZero, ethers.constants.AddressZero, 1)).to.be.revertedWith(
+                "Invalid recipient"
+            );
+        });
+
+        it("should revert with no amount or more than the earnings", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(earningsFixture);
+
+            await expect(blockchainDeals.withdrawFeeEarningsTo(ethers.constants.AddressZero, otherAccount.address, 0)).to.be.revertedWith(
+                "Invalid amount"
+            );
+            await expect(blockchainDeals.withdrawFeeEarningsTo(ethers.constants.AddressZero, otherAccount.address, fee + 1)).to.be.revertedWith(
+                "Invalid amount"
+            );
+        });
+
+        it("should send part of the ETH earnings and keep the rest", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(earningsFixture);
+
+            await expect(blockchainDeals.withdrawFeeEarningsTo(ethers.constants.AddressZero, otherAccount.address, 400))
+                .to.emit(blockchainDeals, "FeeEarningsWithdrawn")
+                .withArgs(ethers.constants.AddressZero, otherAccount.address, 400)
+                .and.to.changeEtherBalances([otherAccount, blockchainDeals], [400, -400]);
+            expect(await blockchainDeals.feeEarnings(ethers.constants.AddressZero)).to.equal(fee - 400);
+        });
+
+        it("should send part of the token earnings", async function () {
+            const { blockchainDeals, token, otherAccount } = await loadFixture(earningsFixture);
+
+            await expect(blockchainDeals.withdrawFeeEarningsTo(token.address, otherAccount.address, fee))
+                .to.changeTokenBalances(token, [otherAccount, blockchainDeals], [fee, -fee]);
+            await expect(blockchainDeals.withdrawTokenFeeEarnings(token.address)).to.be.revertedWith(
+                "There are no earnings to withdraw"
+            );
+        });
+    });
+
+    describe("setFeeBeneficiaries", function () {
+        it("should revert if not the owner", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).setFeeBeneficiaries([otherAccount.address], [10000])).to.be.revertedWith(
+                "Only the owner can perform this action."
+            );
+        });
+
+        it("should revert with invalid beneficiaries or shares", async function () {
+            const { blockchainDeals, treasuryAccount, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.setFeeBeneficiaries([otherAccount.address], [])).to.be.revertedWith(
+                "Invalid fee beneficiaries"
+            );
+            await expect(blockchainDeals.setFeeBeneficiaries([ethers.constants.AddressZero], [10000])).to.be.revertedWith(
+                "Invalid fee beneficiaries"
+            );
+            await expect(blockchainDeals.setFeeBeneficiaries([otherAccount.address, treasuryAccount.address], [10000, 0])).to.be.revertedWith(
+                "Invalid fee beneficiaries"
+            );
+            await expect(blockchainDeals.setFeeBeneficiaries([otherAccount.address, treasuryAccount.address], [5000, 4000])).to.be.revertedWith(
+                "Invalid fee beneficiaries"
+            );
+        });
+
+        it("should store the beneficiaries and emit FeeBeneficiariesChanged event", async function () {
+            const { blockchainDeals, treasuryAccount, otherAccount } = await loadFixture(deployFixture);
+            const accounts = [treasuryAccount.address, otherAccount.address];
+
+            await expect(blockchainDeals.setFeeBeneficiaries(accounts, [7000, 3000]))
+                .to.emit(blockchainDeals, "FeeBeneficiariesChanged")
+                .withArgs(accounts, [7000, 3000]);
+
+            const beneficiaries = await blockchainDeals.getFeeBeneficiaries();
+            expect(beneficiaries.accounts).to.deep.equal(accounts);
+            expect(beneficiaries.shares.map((share) => share.toNumber())).to.deep.equal([7000, 3000]);
+        });
+
+        it("should split the earnings between the beneficiaries when withdrawn", async function () {
+            const { blockchainDeals, token, treasuryAccount, otherAccount } = await loadFixture(earningsFixture);
+
+            await blockchainDeals.setFeeBeneficiaries([treasuryAccount.address, otherAccount.address], [3333, 6667]);
+
+            await expect(blockchainDeals.withdrawFeeEarnings())
+                .to.emit(blockchainDeals, "FeeEarningsCredited")
+                .withArgs(ethers.constants.AddressZero, treasuryAccount.address, 333)
+                .and.to.emit(blockchainDeals, "FeeEarningsCredited")
+                .withArgs(ethers.constants.AddressZero, otherAccount.address, fee - 333);
+            await blockchainDeals.withdrawTokenFeeEarnings(token.address);
+
+            expect(await blockchainDeals.pendingWithdrawals(treasuryAccount.address, ethers.constants.AddressZero)).to.equal(333);
+            expect(await blockchainDeals.pendingWithdrawals(otherAccount.address, token.address)).to.equal(fee - 333);
+            await expect(blockchainDeals.connect(otherAccount).withdraw())
+                .to.changeEtherBalances([otherAccount, blockchainDeals], [fee - 333, -(fee - 333)]);
+        });
+
+        it("should go back to the treasury when cleared", async function () {
+            const { blockchainDeals, owner, otherAccount } = await loadFixture(earningsFixture);
+
+            await blockchainDeals.setFeeBeneficiaries([otherAccount.address], [10000]);
+            await blockchainDeals.setFeeBeneficiaries([], []);
+
+            await expect(blockchainDeals.withdrawFeeEarnings())
+                .to.changeEtherBalances([owner, otherAccount], [fee, 0]);
+        });
+    });
+});
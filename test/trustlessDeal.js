@@ -1,7 +1,10 @@
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
 const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
 const dealStateMapper = require("./dealData");
 
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
 describe("Deal", function () {
     // We define a fixture to reuse the same setup in every test.
     // We use loadFixture to run this setup once, snapshot that state,
@@ -10,10 +13,10 @@ describe("Deal", function () {
         // Contracts are deployed using the first signer/account by default
         const [owner, otherAccount] = await ethers.getSigners();
     
-        const BlockchainDeals = await ethers.getContractFactory("BlockchainDeals");
-        const blockchainDeals = await BlockchainDeals.deploy();
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
     
-        return { blockchainDeals, owner, otherAccount };
+        return { blockchainDeals, owner, otherAccount, deadline };
     }
 
     describe("getDealById", function () {
@@ -26,11 +29,11 @@ describe("Deal", function () {
         });
 
         it("should get deal with a valid ID", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 1000;
             const buyerDeposit = 1100;
             const sellerDeposit = 100;
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: value + buyerDeposit
             });
             const deal = await blockchainDeals.getDealById(0);
@@ -43,12 +46,12 @@ describe("Deal", function () {
 
     describe("createDealAsBuyer", function () {
         it("should revert if seller is also buyer", async function () {
-            const { blockchainDeals, owner: buyerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, deadline } = await loadFixture(deployFixture);
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await expect(blockchainDeals.createDealAsBuyer(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.createDealAsBuyer(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: value + buyerDeposit
             })).to.be.revertedWith(
                 "The buyer can't also be the seller"
@@ -56,12 +59,12 @@ describe("Deal", function () {
         });
 
         it("should revert if value is 0", async function () {
-            const { blockchainDeals, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 0;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: value + buyerDeposit
             })).to.be.revertedWith(
                 "Invalid value or deposit"
@@ -69,12 +72,12 @@ describe("Deal", function () {
         });
 
         it("should revert if deposit is 0 or less", async function () {
-            const { blockchainDeals, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 1000;
             const buyerDeposit = 0;
             const sellerDeposit = 30;
 
-            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: value + buyerDeposit
             })).to.be.revertedWith(
                 "Invalid value or deposit"
@@ -82,38 +85,105 @@ describe("Deal", function () {
         });
 
         it("should revert if msg.value is less than value + buyerDeposit", async function () {
-            const { blockchainDeals, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: value + buyerDeposit - 10
             })).to.be.revertedWith(
                 "Invalid value or deposit"
             );
         });
 
+        it("should revert if msg.value is greater than value + buyerDeposit", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit + 10
+            })).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
         it("should revert if seller deposit is 0", async function () {
-            const { blockchainDeals, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 0;
 
-            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            })).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
+        it("should revert if the amounts do not fit the stored Deal", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = ethers.BigNumber.from(2).pow(128).sub(100);
+
+            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: value + buyerDeposit
             })).to.be.revertedWith(
                 "Invalid value or deposit"
             );
         });
 
+        it("should revert if deadline does not fit the stored Deal", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+            const deadline = ethers.BigNumber.from(2).pow(40);
+
+            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            })).to.be.revertedWith(
+                "Invalid deadline"
+            );
+        });
+
+        it("should revert if deadline is not in the future", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+            const deadline = await time.latest();
+
+            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            })).to.be.revertedWith(
+                "Invalid deadline"
+            );
+        });
+
+        it("should revert if arbiter is the seller", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, sellerAccount.address, {
+                value: value + buyerDeposit
+            })).to.be.revertedWith(
+                "The arbiter can't be the buyer or the seller"
+            );
+        });
+
         it("should create Deal", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: value + buyerDeposit
             });
 
@@ -128,32 +198,35 @@ describe("Deal", function () {
             expect(deal.buyerDeposit).to.equal(buyerDeposit);
             expect(deal.sellerDeposit).to.equal(sellerDeposit);
             expect(deal.creationTime).to.equal(timestamp);
+            expect(deal.deadline).to.equal(deadline);
+            expect(deal.arbiter).to.equal(ethers.constants.AddressZero);
             expect(deal.state).to.equal(dealStateMapper.PendingSellerDeposit);
         });
 
         it("should emit DealCreated event", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
-            const timestamp = await hre.ethers.provider.send("evm_setNextBlockTimestamp", [1786774140])
+            const timestamp = (await time.latest()) + 60;
+            await time.setNextBlockTimestamp(timestamp);
 
-            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: value + buyerDeposit
             }))
                 .to.emit(blockchainDeals, "DealCreated")
-                .withArgs(0, buyerAccount.address, sellerAccount.address, timestamp, value);
+                .withArgs(0, buyerAccount.address, sellerAccount.address, timestamp, value, buyerDeposit, sellerDeposit, deadline, ethers.constants.AddressZero, ethers.constants.AddressZero, true, await blockchainDeals.feeFor(value));
         });
     });
 
     describe("createDealAsSeller", function () {
         it("should revert if seller is also buyer", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             })).to.be.revertedWith(
                 "The buyer can't also be the seller"
@@ -161,12 +234,12 @@ describe("Deal", function () {
         });
 
         it("should revert if value is 0", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 0;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             })).to.be.revertedWith(
                 "Invalid value or deposit"
@@ -174,12 +247,12 @@ describe("Deal", function () {
         });
 
         it("should revert if buyer's deposit is 0", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 1000;
             const buyerDeposit = 0;
             const sellerDeposit = 30;
 
-            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             })).to.be.revertedWith(
                 "Invalid value or deposit"
@@ -187,12 +260,12 @@ describe("Deal", function () {
         });
 
         it("should revert if seller's deposit is 0", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 1000;
             const buyerDeposit = 100;
             const sellerDeposit = 0;
 
-            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             })).to.be.revertedWith(
                 "Invalid value or deposit"
@@ -200,25 +273,65 @@ describe("Deal", function () {
         });
 
         it("should revert if msg.value is less than seller's deposit", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit - 10
             })).to.be.revertedWith(
                 "Invalid value or deposit"
             );
         });
 
-        it("should create Deal", async function () {
+        it("should revert if msg.value is greater than seller's deposit", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: sellerDeposit + 10
+            })).to.be.revertedWith(
+                "Invalid value or deposit"
+            );
+        });
+
+        it("should revert if deadline is not in the future", async function () {
             const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
+            const deadline = await time.latest();
+
+            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: sellerDeposit
+            })).to.be.revertedWith(
+                "Invalid deadline"
+            );
+        });
+
+        it("should revert if arbiter is the buyer", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, buyerAccount.address, {
+                value: sellerDeposit
+            })).to.be.revertedWith(
+                "The arbiter can't be the buyer or the seller"
+            );
+        });
+
+        it("should create Deal", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
@@ -233,21 +346,24 @@ describe("Deal", function () {
             expect(deal.buyerDeposit).to.equal(buyerDeposit);
             expect(deal.sellerDeposit).to.equal(sellerDeposit);
             expect(deal.creationTime).to.equal(timestamp);
+            expect(deal.deadline).to.equal(deadline);
+            expect(deal.arbiter).to.equal(ethers.constants.AddressZero);
             expect(deal.state).to.equal(dealStateMapper.PendingBuyerDeposit);
         });
 
         it("should emit DealCreated event", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
-            const timestamp = await hre.ethers.provider.send("evm_setNextBlockTimestamp", [1786774140])
+            const timestamp = (await time.latest()) + 60;
+            await time.setNextBlockTimestamp(timestamp);
 
-            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await expect(blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             }))
                 .to.emit(blockchainDeals, "DealCreated")
-                .withArgs(0, buyerAccount.address, sellerAccount.address, timestamp, value);
+                .withArgs(0, buyerAccount.address, sellerAccount.address, timestamp, value, buyerDeposit, sellerDeposit, deadline, ethers.constants.AddressZero, ethers.constants.AddressZero, false, await blockchainDeals.feeFor(value));
         });
     });
 
@@ -261,13 +377,13 @@ describe("Deal", function () {
         });
 
         it("should revert if not the buyer", async function () {
-            const { blockchainDeals, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -277,13 +393,13 @@ describe("Deal", function () {
         });
 
         it("should revert if the deal was created by the seller", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
@@ -293,13 +409,13 @@ describe("Deal", function () {
         });
 
         it("should revert if already confirmed by seller", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -310,34 +426,30 @@ describe("Deal", function () {
             );
         });
 
-        it("should send buyers deposit and value to buyers account", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+        it("should credit buyers deposit and value to buyers account", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
-            const prevBuyerBalance = await hre.ethers.provider.getBalance(buyerAccount.address);
-            const tx = await blockchainDeals.buyerCancelDeal(0);
-            const receipt = await tx.wait();
-
-            const newBuyerBalance = await hre.ethers.provider.getBalance(buyerAccount.address);
+            await blockchainDeals.buyerCancelDeal(0);
 
-            expect(newBuyerBalance).to.equal(BigInt(prevBuyerBalance) + BigInt(buyerDeposit) + BigInt(value) - BigInt(receipt.gasUsed));
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(buyerDeposit + value);
         });
 
         it("should change Deal state to CancelledByCreator", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -347,6 +459,22 @@ describe("Deal", function () {
 
             expect(deal.state).to.equal(dealStateMapper.CancelledByCreator);
         });
+
+        it("should emit DealCancelled event", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+      
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await expect(blockchainDeals.buyerCancelDeal(0))
+                .to.emit(blockchainDeals, "DealCancelled")
+                .withArgs(0, buyerAccount.address, buyerDeposit + value);
+        });
     });
 
     describe("sellerCancelDeal", function () {
@@ -359,13 +487,13 @@ describe("Deal", function () {
         });
 
         it("should revert if not the seller", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
@@ -375,13 +503,13 @@ describe("Deal", function () {
         });
 
         it("should revert if the deal was created by the buyer", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: value + buyerDeposit
             });
 
@@ -391,13 +519,13 @@ describe("Deal", function () {
         });
 
         it("should revert if already confirmed by buyer", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
@@ -408,34 +536,30 @@ describe("Deal", function () {
             );
         });
 
-        it("should send seller's deposit to seller's account", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+        it("should credit seller's deposit to seller's account", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
-            const prevSellerBalance = await hre.ethers.provider.getBalance(sellerAccount.address);
-            const tx = await blockchainDeals.connect(sellerAccount).sellerCancelDeal(0);
-            const receipt = await tx.wait();
-
-            const newSellerBalance = await hre.ethers.provider.getBalance(sellerAccount.address);
+            await blockchainDeals.connect(sellerAccount).sellerCancelDeal(0);
 
-            expect(newSellerBalance).to.equal(BigInt(prevSellerBalance) + BigInt(sellerDeposit) - BigInt(receipt.gasUsed));
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit);
         });
 
         it("should change Deal state to CancelledByCreator", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
@@ -445,6 +569,22 @@ describe("Deal", function () {
 
             expect(deal.state).to.equal(dealStateMapper.CancelledByCreator);
         });
+
+        it("should emit DealCancelled event", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+      
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: sellerDeposit
+            });
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerCancelDeal(0))
+                .to.emit(blockchainDeals, "DealCancelled")
+                .withArgs(0, sellerAccount.address, sellerDeposit);
+        });
     });
 
     describe("buyerConfirmDeal", async function () {
@@ -457,13 +597,13 @@ describe("Deal", function () {
         });
 
         it("should revert if not the buyer", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
@@ -473,29 +613,45 @@ describe("Deal", function () {
         });
 
         it("should revert if msg.value is insufficient", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
             await expect(blockchainDeals.buyerConfirmDeal(0, {value: value + buyerDeposit - 10})).to.be.revertedWith(
-                "Not enough ETH to confirm the Deal"
+                "Invalid ETH amount to confirm the Deal"
+            );
+        });
+
+        it("should revert if msg.value is more than required", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+      
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: sellerDeposit
+            });
+
+            await expect(blockchainDeals.buyerConfirmDeal(0, {value: value + buyerDeposit + 10})).to.be.revertedWith(
+                "Invalid ETH amount to confirm the Deal"
             );
         });
 
         it("should revert if Deal created by buyer", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -505,13 +661,13 @@ describe("Deal", function () {
         });
 
         it("should revert if Deal already confirmed", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
@@ -523,13 +679,13 @@ describe("Deal", function () {
         });
 
         it("should revert if Deal cancelled", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
@@ -540,14 +696,31 @@ describe("Deal", function () {
             );
         });
 
+        it("should revert once the deadline has passed", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+      
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: sellerDeposit
+            });
+            await time.increaseTo(deadline + 1);
+
+            await expect(blockchainDeals.buyerConfirmDeal(0, {value: value + buyerDeposit})).to.be.revertedWith(
+                "Deal deadline has passed"
+            );
+        });
+
         it("should set Deal state as Confirmed", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
@@ -557,6 +730,22 @@ describe("Deal", function () {
 
             expect(deal.state).to.equal(dealStateMapper.Confirmed);
         });
+
+        it("should emit DealConfirmed event", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+      
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: sellerDeposit
+            });
+
+            await expect(blockchainDeals.buyerConfirmDeal(0, {value: value + buyerDeposit}))
+                .to.emit(blockchainDeals, "DealConfirmed")
+                .withArgs(0, buyerAccount.address, value + buyerDeposit);
+        });
     });
 
     describe("sellerConfirmDeal", async function () {
@@ -569,13 +758,13 @@ describe("Deal", function () {
         });
 
         it("should revert if not the seller", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -585,29 +774,45 @@ describe("Deal", function () {
         });
 
         it("should revert if msg.value is insufficient", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
             await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit - 10})).to.be.revertedWith(
-                "Not enough ETH to confirm the Deal"
+                "Invalid ETH amount to confirm the Deal"
+            );
+        });
+
+        it("should revert if msg.value is more than required", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+      
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit + 10})).to.be.revertedWith(
+                "Invalid ETH amount to confirm the Deal"
             );
         });
 
         it("should revert if Deal created by seller", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
@@ -617,13 +822,13 @@ describe("Deal", function () {
         });
 
         it("should revert if Deal already confirmed", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -635,13 +840,13 @@ describe("Deal", function () {
         });
 
         it("should revert if Deal cancelled", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -652,14 +857,31 @@ describe("Deal", function () {
             );
         });
 
+        it("should revert once the deadline has passed", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+      
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+            await time.increaseTo(deadline + 1);
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit})).to.be.revertedWith(
+                "Deal deadline has passed"
+            );
+        });
+
         it("should set Deal state as Confirmed", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -669,6 +891,22 @@ describe("Deal", function () {
 
             expect(deal.state).to.equal(dealStateMapper.Confirmed);
         });
+
+        it("should emit DealConfirmed event", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+      
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await expect(blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit}))
+                .to.emit(blockchainDeals, "DealConfirmed")
+                .withArgs(0, sellerAccount.address, sellerDeposit);
+        });
     });
 
     describe("completeDeal", async function () {
@@ -681,13 +919,13 @@ describe("Deal", function () {
         });
 
         it("should revert if not the buyer", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -699,13 +937,13 @@ describe("Deal", function () {
         });
 
         it("should revert if deal not confirmed", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -715,13 +953,13 @@ describe("Deal", function () {
         });
 
         it("should revert if cancelled", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
       
             const value = 100;
             const buyerDeposit = 110;
             const sellerDeposit = 30;
 
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -732,85 +970,75 @@ describe("Deal", function () {
             );
         });
 
-        it("should send the seller deposit plus the value minus the fee to the seller", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+        it("should credit the seller deposit plus the value minus the fee to the seller", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 1000000;
             const buyerDeposit = 1200000;
             const sellerDeposit = 300000;
             const fee = value * 10 / 10000;
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
             await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
-            const prevBalance = await hre.ethers.provider.getBalance(sellerAccount.address);
             await blockchainDeals.completeDeal(0);
-            const newBalance = await hre.ethers.provider.getBalance(sellerAccount.address);
 
-            expect(newBalance).to.equal(BigInt(prevBalance) + BigInt(sellerDeposit) + BigInt(value) - BigInt(fee));
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit + value - fee);
         });
 
-        it("should send the seller deposit plus the value minus the fee to the seller (createDealAsSeller)", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+        it("should credit the seller deposit plus the value minus the fee to the seller (createDealAsSeller)", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 1000000;
             const buyerDeposit = 1200000;
             const sellerDeposit = 300000;
             const fee = value * 10 / 10000;
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
             await blockchainDeals.buyerConfirmDeal(0, {value: value + buyerDeposit});
-            const prevBalance = await hre.ethers.provider.getBalance(sellerAccount.address);
             await blockchainDeals.completeDeal(0);
-            const newBalance = await hre.ethers.provider.getBalance(sellerAccount.address);
 
-            expect(newBalance).to.equal(BigInt(prevBalance) + BigInt(sellerDeposit) + BigInt(value) - BigInt(fee));
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit + value - fee);
         });
 
-        it("should send the buyer deposit to the buyer", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+        it("should credit the buyer deposit to the buyer", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 1000000;
             const buyerDeposit = 1200000;
             const sellerDeposit = 300000;
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
             await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
-            const prevBalance = await hre.ethers.provider.getBalance(buyerAccount.address);
-            const tx = await blockchainDeals.completeDeal(0);
-            const receipt = await tx.wait();
-            const newBalance = await hre.ethers.provider.getBalance(buyerAccount.address);
+            await blockchainDeals.completeDeal(0);
 
-            expect(newBalance).to.equal(BigInt(prevBalance) + BigInt(buyerDeposit) - BigInt(receipt.gasUsed));
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(buyerDeposit);
         });
 
 
-        it("should send the buyer deposit to the buyer (createDealAsSeller)", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+        it("should credit the buyer deposit to the buyer (createDealAsSeller)", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 1000000;
             const buyerDeposit = 1200000;
             const sellerDeposit = 300000;
-            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: sellerDeposit
             });
 
             await blockchainDeals.buyerConfirmDeal(0, {value: value + buyerDeposit});
-            const prevBalance = await hre.ethers.provider.getBalance(buyerAccount.address);
-            const tx = await blockchainDeals.completeDeal(0);
-            const receipt = await tx.wait();
-            const newBalance = await hre.ethers.provider.getBalance(buyerAccount.address);
+            await blockchainDeals.completeDeal(0);
 
-            expect(newBalance).to.equal(BigInt(prevBalance) + BigInt(buyerDeposit) - BigInt(receipt.gasUsed));
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(buyerDeposit);
         });
 
         it("should set the Deal state to Completed", async function () {
-            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount } = await loadFixture(deployFixture);
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
             const value = 1000000;
             const buyerDeposit = 1200000;
             const sellerDeposit = 300000;
-            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, {
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
                 value: buyerDeposit + value
             });
 
@@ -821,5 +1049,207 @@ describe("Deal", function () {
 
             expect(deal.state).to.equal(dealStateMapper.Completed);
         });
+
+        it("should revert if the deadline has passed", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 1000000;
+            const buyerDeposit = 1200000;
+            const sellerDeposit = 300000;
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            await time.increase(ONE_WEEK_IN_SECS + 1);
+
+            await expect(blockchainDeals.completeDeal(0)).to.be.revertedWith(
+                "Deal deadline has passed"
+            );
+        });
+
+        it("should complete the Deal right before the deadline", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 1000000;
+            const buyerDeposit = 1200000;
+            const sellerDeposit = 300000;
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            await time.setNextBlockTimestamp(deadline);
+            await blockchainDeals.completeDeal(0);
+
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(deal.state).to.equal(dealStateMapper.Completed);
+        });
+
+        it("should emit DealCompleted event", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 1000000;
+            const buyerDeposit = 1200000;
+            const sellerDeposit = 300000;
+            const fee = value * 10 / 10000;
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+
+            await expect(blockchainDeals.completeDeal(0))
+                .to.emit(blockchainDeals, "DealCompleted")
+                .withArgs(0, buyerDeposit, sellerDeposit + value - fee, fee);
+        });
+    });
+
+    describe("expireDeal", async function () {
+        it("should revert when trying to expire a Deal with an invalid ID", async function () {
+            const { blockchainDeals } = await loadFixture(deployFixture);
+      
+            await expect(blockchainDeals.expireDeal(1)).to.be.revertedWith(
+                "Invalid ID"
+            );
+        });
+
+        it("should revert if not the buyer or the seller", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const [, , thirdAccount] = await ethers.getSigners();
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            await time.increase(ONE_WEEK_IN_SECS + 1);
+
+            await expect(blockchainDeals.connect(thirdAccount).expireDeal(0)).to.be.revertedWith(
+                "Only the buyer or the seller can expire the Deal"
+            );
+        });
+
+        it("should revert if deal not confirmed", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await time.increase(ONE_WEEK_IN_SECS + 1);
+
+            await expect(blockchainDeals.expireDeal(0)).to.be.revertedWith(
+                "Deal can't be expired"
+            );
+        });
+
+        it("should revert if the deadline hasn't passed", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+
+            await expect(blockchainDeals.connect(sellerAccount).expireDeal(0)).to.be.revertedWith(
+                "Deal deadline hasn't passed yet"
+            );
+        });
+
+        it("should revert if already completed", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 100;
+            const buyerDeposit = 110;
+            const sellerDeposit = 30;
+
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            await blockchainDeals.completeDeal(0);
+            await time.increase(ONE_WEEK_IN_SECS + 1);
+
+            await expect(blockchainDeals.expireDeal(0)).to.be.revertedWith(
+                "Deal can't be expired"
+            );
+        });
+
+        it("should credit the value plus the buyer deposit to the buyer", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 1000000;
+            const buyerDeposit = 1200000;
+            const sellerDeposit = 300000;
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            await time.increase(ONE_WEEK_IN_SECS + 1);
+            await blockchainDeals.connect(sellerAccount).expireDeal(0);
+
+            expect(await blockchainDeals.pendingWithdrawals(buyerAccount.address, ethers.constants.AddressZero)).to.equal(buyerDeposit + value);
+        });
+
+        it("should credit the seller deposit to the seller", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 1000000;
+            const buyerDeposit = 1200000;
+            const sellerDeposit = 300000;
+            await blockchainDeals.connect(sellerAccount).createDealAsSeller(value, buyerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: sellerDeposit
+            });
+
+            await blockchainDeals.buyerConfirmDeal(0, {value: value + buyerDeposit});
+            await time.increase(ONE_WEEK_IN_SECS + 1);
+            await blockchainDeals.expireDeal(0);
+
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit);
+        });
+
+        it("should set the Deal state to Expired", async function () {
+            const { blockchainDeals, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 1000000;
+            const buyerDeposit = 1200000;
+            const sellerDeposit = 300000;
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            await time.increase(ONE_WEEK_IN_SECS + 1);
+            await blockchainDeals.connect(sellerAccount).expireDeal(0);
+
+            const deal = await blockchainDeals.getDealById(0);
+
+            expect(deal.state).to.equal(dealStateMapper.Expired);
+        });
+
+        it("should emit DealExpired event", async function () {
+            const { blockchainDeals, owner: buyerAccount, otherAccount: sellerAccount, deadline } = await loadFixture(deployFixture);
+            const value = 1000000;
+            const buyerDeposit = 1200000;
+            const sellerDeposit = 300000;
+            await blockchainDeals.createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: buyerDeposit + value
+            });
+
+            await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+            const timestamp = deadline + 60;
+            await time.setNextBlockTimestamp(timestamp);
+
+            await expect(blockchainDeals.connect(sellerAccount).expireDeal(0))
+                .to.emit(blockchainDeals, "DealExpired")
+                .withArgs(0, buyerAccount.address, sellerAccount.address, timestamp, buyerDeposit + value, sellerDeposit);
+        });
     });
 });
\ No newline at end of file
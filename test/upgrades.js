@@ -0,0 +1,207 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals, validateBlockchainDealsUpgrade, upgradeBlockchainDeals } = require("../scripts/proxy");
+const dealStateMapper = require("./dealData");
+const recordedLayout = require("./storageLayout.json");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Upgrades", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const fee = value * 10 / 10000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount, otherAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        for (const account of [buyerAccount, sellerAccount]) {
+            await token.mint(account.address, 10000000);
+            await token.connect(account).approve(blockchainDeals.address, ethers.constants.MaxUint256);
+        }
+
+        return { blockchainDeals, token, owner, buyerAccount, sellerAccount, otherAccount, deadline };
+    }
+
+    // Deal 0 is a Confirmed ETH Deal, Deal 1 a token Deal pending the seller deposit and
+    // Deal 2 a Completed ETH Deal, so there are fee earnings and pending withdrawals.
+    async function liveDealsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, token, buyerAccount, sellerAccount, otherAccount, deadline } = fixture;
+
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+        await blockchainDeals.connect(buyerAccount).createTokenDealAsBuyer(token.address, value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, otherAccount.address);
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(2, {value: sellerDeposit});
+        await blockchainDeals.connect(buyerAccount).completeDeal(2);
+
+        return fixture;
+    }
+
+    // Storage of a contract as compiled, one "slot/offset label type" line per state variable and per
+    // member of the structs it stores. AST ids are left out so the lines only change with the layout.
+    async function describeStorageLayout(contractName) {
+        const { sourceName } = await hre.artifacts.readArtifact(contractName);
+        const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+        const { storage, types } = buildInfo.output.contracts[sourceName][contractName].storageLayout;
+        const describe = (entry) => `${entry.slot}/${entry.offset} ${entry.label} ${types[entry.type].label}`;
+        const structs = {};
+        for (const type of Object.values(types)) {
+            if (type.members) {
+                structs[type.label.replace("struct ", "")] = type.members.map(describe);
+            }
+        }
+        return { storage: storage.map(describe), structs };
+    }
+
+    async function snapshotState(blockchainDeals, token, accounts) {
+        const deals = [];
+        for (let id = 0; id < 3; id++) {
+            deals.push(await blockchainDeals.getDealById(id));
+        }
+        const pendingWithdrawals = [];
+        for (const account of accounts) {
+            pendingWithdrawals.push(await blockchainDeals.pendingWithdrawals(account.address, ethers.constants.AddressZero));
+        }
+        return {
+            deals,
+            pendingWithdrawals,
+            owner: await blockchainDeals.owner(),
+            fee: await blockchainDeals.fee(),
+            feeEarnings: await blockchainDeals.feeEarnings(ethers.constants.AddressZero),
+            ethBalance: await ethers.provider.getBalance(blockchainDeals.address),
+            tokenBalance: await token.balanceOf(blockchainDeals.address),
+        };
+    }
+
+    describe("initialize", function () {
+        it("should not be callable again on the proxy", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+
+            await expect(blockchainDeals.connect(otherAccount).initialize()).to.be.revertedWith(
+                "Initializable: contract is already initialized"
+            );
+        });
+
+        it("should not be callable on the implementation", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+            const implementation = await ethers.getContractAt("BlockchainDeals", await upgrades.erc1967.getImplementationAddress(blockchainDeals.address));
+
+            await expect(implementation.connect(otherAccount).initialize()).to.be.revertedWith(
+                "Initializable: contract is already initialized"
+            );
+            expect(await implementation.owner()).to.equal(ethers.constants.AddressZero);
+        });
+    });
+
+    describe("Storage layout", function () {
+        // storageLayout.json records the layout proxies are deployed with. Appending state variables
+        // keeps it, any other change makes a new layout version that existing proxies can't be upgraded to.
+        it(`should keep the slots of storage layout version ${recordedLayout.version}`, async function () {
+            const layout = await describeStorageLayout("BlockchainDeals");
+
+            expect(layout.storage.slice(0, recordedLayout.storage.length)).to.deep.equal(
+                recordedLayout.storage,
+                "Recorded state variables moved, record a new layout version"
+            );
+            for (const [name, members] of Object.entries(recordedLayout.structs)) {
+                expect(layout.structs[name]).to.deep.equal(members, `${name} changed, record a new layout version`);
+            }
+        });
+
+        it("should lay out the extensions as BlockchainDeals", async function () {
+            const layout = await describeStorageLayout("BlockchainDeals");
+
+            expect(await describeStorageLayout("BlockchainDealsExtension")).to.deep.equal(layout);
+            expect(await describeStorageLayout("BlockchainDealsMarket")).to.deep.equal(layout);
+        });
+    });
+
+    describe("upgradeBlockchainDeals", function () {
+        it("should keep the Deals, balances and settings of the proxy", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(liveDealsFixture);
+            const before = await snapshotState(blockchainDeals, token, [buyerAccount, sellerAccount]);
+            const previousImplementation = await upgrades.erc1967.getImplementationAddress(blockchainDeals.address);
+            const previousExtension = await blockchainDeals.extension();
+
+            const upgraded = await upgradeBlockchainDeals(hre, blockchainDeals.address, "BlockchainDealsV2");
+
+            expect(upgraded.address).to.equal(blockchainDeals.address);
+            expect(await upgraded.version()).to.equal("2");
+            expect(await upgrades.erc1967.getImplementationAddress(blockchainDeals.address)).to.not.equal(previousImplementation);
+            expect(await upgraded.extension()).to.not.equal(previousExtension);
+            expect(await snapshotState(upgraded, token, [buyerAccount, sellerAccount])).to.deep.equal(before);
+            expect(before.ethBalance).to.equal((value + buyerDeposit + sellerDeposit) * 2);
+            expect(before.feeEarnings).to.equal(fee);
+            expect(before.deals[0].state).to.equal(dealStateMapper.Confirmed);
+            expect(before.deals[1].state).to.equal(dealStateMapper.PendingSellerDeposit);
+        });
+
+        it("should let the live Deals go on after the upgrade", async function () {
+            const { blockchainDeals, token, buyerAccount, sellerAccount } = await loadFixture(liveDealsFixture);
+
+            const upgraded = await upgradeBlockchainDeals(hre, blockchainDeals.address, "BlockchainDealsV2");
+
+            await upgraded.connect(buyerAccount).completeDeal(0);
+            await upgraded.connect(sellerAccount).sellerConfirmTokenDeal(1);
+            expect((await upgraded.getDealById(0)).state).to.equal(dealStateMapper.Completed);
+            expect((await upgraded.getDealById(1)).state).to.equal(dealStateMapper.Confirmed);
+
+            await expect(upgraded.connect(sellerAccount).withdraw())
+                .to.changeEtherBalances([sellerAccount, upgraded], [(value + sellerDeposit - fee) * 2, -(value + sellerDeposit - fee) * 2]);
+            await expect(upgraded.withdrawFeeEarnings())
+                .to.emit(upgraded, "FeeEarningsWithdrawn");
+            expect(await token.balanceOf(upgraded.address)).to.equal(value + buyerDeposit + sellerDeposit);
+        });
+
+        it("should use the storage appended by the new implementation", async function () {
+            const { blockchainDeals } = await loadFixture(liveDealsFixture);
+
+            const upgraded = await upgradeBlockchainDeals(hre, blockchainDeals.address, "BlockchainDealsV2");
+            await upgraded.countUpgrade();
+
+            expect(await upgraded.upgradeCount()).to.equal(1);
+            expect(await upgraded.fee()).to.equal(10);
+        });
+
+        it("should reject an implementation with an incompatible storage layout", async function () {
+            const { blockchainDeals } = await loadFixture(liveDealsFixture);
+            const implementation = await upgrades.erc1967.getImplementationAddress(blockchainDeals.address);
+
+            await expect(validateBlockchainDealsUpgrade(hre, blockchainDeals.address, "BlockchainDealsShiftedLayout")).to.be.rejectedWith(
+                "New storage layout is incompatible"
+            );
+            await expect(upgradeBlockchainDeals(hre, blockchainDeals.address, "BlockchainDealsShiftedLayout")).to.be.rejectedWith(
+                "New storage layout is incompatible"
+            );
+            expect(await upgrades.erc1967.getImplementationAddress(blockchainDeals.address)).to.equal(implementation);
+        });
+
+        it("should only let the ProxyAdmin owner upgrade", async function () {
+            const { blockchainDeals, otherAccount } = await loadFixture(deployFixture);
+            const proxyAdmin = await upgrades.admin.getInstance();
+            const BlockchainDealsExtension = await ethers.getContractFactory("BlockchainDealsExtension");
+            const extension = await BlockchainDealsExtension.deploy();
+            const BlockchainDealsV2 = await ethers.getContractFactory("BlockchainDealsV2");
+            const implementation = await BlockchainDealsV2.deploy(extension.address, extension.address);
+
+            await expect(proxyAdmin.connect(otherAccount).upgrade(blockchainDeals.address, implementation.address)).to.be.revertedWith(
+                "Ownable: caller is not the owner"
+            );
+        });
+    });
+});
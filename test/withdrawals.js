@@ -0,0 +1,152 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { deployBlockchainDeals } = require("../scripts/proxy");
+
+const ONE_WEEK_IN_SECS = 7 * 24 * 60 * 60;
+
+describe("Withdrawals", function () {
+    const value = 1000000;
+    const buyerDeposit = 1200000;
+    const sellerDeposit = 300000;
+    const fee = value * 10 / 10000;
+
+    // We define a fixture to reuse the same setup in every test.
+    // We use loadFixture to run this setup once, snapshot that state,
+    // and reset Hardhat Network to that snapshot in every test.
+    async function deployFixture() {
+        // Contracts are deployed using the first signer/account by default
+        const [owner, buyerAccount, sellerAccount] = await ethers.getSigners();
+
+        const blockchainDeals = await deployBlockchainDeals(hre);
+        const MaliciousReceiver = await ethers.getContractFactory("MaliciousReceiver");
+        const receiver = await MaliciousReceiver.deploy(blockchainDeals.address);
+        const deadline = (await time.latest()) + ONE_WEEK_IN_SECS;
+
+        return { blockchainDeals, receiver, owner, buyerAccount, sellerAccount, deadline };
+    }
+
+    // Deal 0 is Confirmed between two EOAs, Deal 1 is Confirmed with the receiver contract as seller.
+    async function confirmedDealsFixture() {
+        const fixture = await deployFixture();
+        const { blockchainDeals, receiver, buyerAccount, sellerAccount, deadline } = fixture;
+
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, sellerAccount.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value + buyerDeposit
+        });
+        await blockchainDeals.connect(sellerAccount).sellerConfirmDeal(0, {value: sellerDeposit});
+
+        await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, receiver.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+            value: value + buyerDeposit
+        });
+        await receiver.call(blockchainDeals.interface.encodeFunctionData("sellerConfirmDeal", [1]), {value: sellerDeposit});
+
+        return fixture;
+    }
+
+    describe("withdraw", function () {
+        it("should revert if there is nothing to withdraw", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await expect(blockchainDeals.connect(buyerAccount).withdraw()).to.be.revertedWith(
+                "There is nothing to withdraw"
+            );
+        });
+
+        it("should transfer the credited ETH and reset the credit", async function () {
+            const { blockchainDeals, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+
+            await expect(blockchainDeals.connect(sellerAccount).withdraw()).to.changeEtherBalances(
+                [sellerAccount, blockchainDeals],
+                [sellerDeposit + value - fee, -(sellerDeposit + value - fee)]
+            );
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(0);
+            expect(await blockchainDeals.totalPendingWithdrawals(ethers.constants.AddressZero)).to.equal(buyerDeposit);
+            await expect(blockchainDeals.connect(sellerAccount).withdraw()).to.be.revertedWith(
+                "There is nothing to withdraw"
+            );
+        });
+
+        it("should add up credits from several Deals", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+            await blockchainDeals.connect(buyerAccount).completeDeal(1);
+
+            await expect(blockchainDeals.connect(buyerAccount).withdraw()).to.changeEtherBalances(
+                [buyerAccount, blockchainDeals],
+                [2 * buyerDeposit, -2 * buyerDeposit]
+            );
+        });
+
+        it("should emit Withdrawal event", async function () {
+            const { blockchainDeals, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+
+            await expect(blockchainDeals.connect(buyerAccount).withdraw())
+                .to.emit(blockchainDeals, "Withdrawal")
+                .withArgs(buyerAccount.address, ethers.constants.AddressZero, buyerDeposit);
+        });
+    });
+
+    describe("rejecting receiver", function () {
+        it("should not stop the buyer from completing the Deal", async function () {
+            const { blockchainDeals, receiver, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await receiver.setRejectEther(true);
+            await blockchainDeals.connect(buyerAccount).completeDeal(1);
+
+            expect(await blockchainDeals.pendingWithdrawals(receiver.address, ethers.constants.AddressZero)).to.equal(sellerDeposit + value - fee);
+            await expect(blockchainDeals.connect(buyerAccount).withdraw()).to.changeEtherBalance(buyerAccount, buyerDeposit);
+        });
+
+        it("should not stop the buyer from cancelling the Deal", async function () {
+            const { blockchainDeals, receiver, buyerAccount, deadline } = await loadFixture(deployFixture);
+
+            await receiver.setRejectEther(true);
+            await blockchainDeals.connect(buyerAccount).createDealAsBuyer(value, receiver.address, sellerDeposit, buyerDeposit, deadline, ethers.constants.AddressZero, {
+                value: value + buyerDeposit
+            });
+            await blockchainDeals.connect(buyerAccount).buyerCancelDeal(0);
+
+            await expect(blockchainDeals.connect(buyerAccount).withdraw()).to.changeEtherBalance(buyerAccount, value + buyerDeposit);
+        });
+
+        it("should keep the credit when its own withdrawal fails", async function () {
+            const { blockchainDeals, receiver, buyerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(1);
+            await receiver.setRejectEther(true);
+
+            await expect(receiver.call(blockchainDeals.interface.encodeFunctionData("withdraw"))).to.be.revertedWith(
+                "Failed to send Ether"
+            );
+            expect(await blockchainDeals.pendingWithdrawals(receiver.address, ethers.constants.AddressZero)).to.equal(sellerDeposit + value - fee);
+
+            await receiver.setRejectEther(false);
+            await receiver.call(blockchainDeals.interface.encodeFunctionData("withdraw"));
+            expect(await ethers.provider.getBalance(receiver.address)).to.equal(sellerDeposit + value - fee);
+        });
+    });
+
+    describe("reentrancy", function () {
+        it("should not let a receiver withdraw twice by re-entering", async function () {
+            const { blockchainDeals, receiver, buyerAccount, sellerAccount } = await loadFixture(confirmedDealsFixture);
+
+            await blockchainDeals.connect(buyerAccount).completeDeal(0);
+            await blockchainDeals.connect(buyerAccount).completeDeal(1);
+            await receiver.setReenter(true);
+
+            await expect(receiver.call(blockchainDeals.interface.encodeFunctionData("withdraw"))).to.be.revertedWith(
+                "Failed to send Ether"
+            );
+            expect(await blockchainDeals.pendingWithdrawals(receiver.address, ethers.constants.AddressZero)).to.equal(sellerDeposit + value - fee);
+            expect(await ethers.provider.getBalance(blockchainDeals.address)).to.equal(
+                2 * (value + buyerDeposit + sellerDeposit)
+            );
+            expect(await blockchainDeals.pendingWithdrawals(sellerAccount.address, ethers.constants.AddressZero)).to.equal(sellerDeposit + value - fee);
+        });
+    });
+});